@@ -12,6 +12,16 @@ const {Parser}=require('json2csv');
 const otpmodel = require('../models/OTP');
 const dailyHealthData = require('../models/DailyHealthData');
 const Goals = require('../models/Goals');
+const GoalHistory = require('../models/GoalHistory');
+const WorkoutProgress = require('../models/WorkoutProgress');
+const BodyMetric = require('../models/BodyMetric');
+const WaterContainer = require('../models/WaterContainer');
+const HealthRollup = require('../models/HealthRollup');
+const FavoriteFood = require('../models/FavoriteFood');
+const RecentFood = require('../models/RecentFood');
+const MealTemplate = require('../models/MealTemplate');
+const FastingSession = require('../models/FastingSession');
+const CustomMetric = require('../models/CustomMetric');
 const redis = require('../utils/redisClient')
 
 
@@ -734,6 +744,16 @@ async resetPassword(req, res) {
             await dailyHealthData.deleteMany({ userId });
             await otpmodel.deleteMany({ userId });
             await Goals.deleteMany({ userId });
+            await GoalHistory.deleteMany({ userId });
+            await WorkoutProgress.deleteMany({ userId });
+            await BodyMetric.deleteMany({ userId });
+            await WaterContainer.deleteMany({ userId });
+            await HealthRollup.deleteMany({ userId });
+            await FavoriteFood.deleteMany({ userId });
+            await RecentFood.deleteMany({ userId });
+            await MealTemplate.deleteMany({ userId });
+            await FastingSession.deleteMany({ userId });
+            await CustomMetric.deleteMany({ userId });
 
             Logger.info('Related user data deleted', requestId, { userId });
 
@@ -0,0 +1,100 @@
+// Custom Metric Template Controller - Admin management of custom metric templates users can start from
+const ResponseHandler = require('../utils/ResponseHandler');
+const Logger = require('../utils/logger');
+const customMetricTemplatesService = require('../services/Health/customMetrics/customMetricTemplates.service');
+
+// Map template service errors to responses
+function handleTemplateError(res, error, message, code) {
+    if (error.code === 'CUSTOM_METRIC_TEMPLATE_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'CUSTOM_METRIC_TEMPLATE_EXISTS') {
+        return ResponseHandler.error(res, "Validation failed", error.message, 409, error.code);
+    }
+    if (error.code === 'CUSTOM_METRIC_INVALID_TARGET') {
+        return ResponseHandler.error(res, "Validation failed", error.message, 400, error.code);
+    }
+    if (error.name === 'ValidationError') {
+        return ResponseHandler.mongooseError(res, error);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+class CustomMetricTemplateController {
+
+async gettemplates(req, res) {
+    const requestId = `admin-getcustommetrictemplates_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const templates = await customMetricTemplatesService.listTemplates();
+
+        return ResponseHandler.success(res, "Custom metric templates retrieved successfully", { templates });
+
+    } catch (error) {
+        Logger.error("Get custom metric templates FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get custom metric templates", "ADMIN_GET_CUSTOM_METRIC_TEMPLATES_FAILED");
+    }
+}
+
+async createtemplate(req, res) {
+    const requestId = `admin-createcustommetrictemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        Logger.info("Create custom metric template START", requestId, { adminId: req.user._id, name: req.body.name });
+
+        const template = await customMetricTemplatesService.createTemplate({
+            values: req.body,
+            adminId: req.user._id,
+            requestId
+        });
+
+        return ResponseHandler.created(res, "Custom metric template created successfully", { template });
+
+    } catch (error) {
+        Logger.error("Create custom metric template FAILED", requestId, { error: error.message });
+        return handleTemplateError(res, error, "Failed to create custom metric template", "ADMIN_CREATE_CUSTOM_METRIC_TEMPLATE_FAILED");
+    }
+}
+
+async updatetemplate(req, res) {
+    const requestId = `admin-updatecustommetrictemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        Logger.info("Update custom metric template START", requestId, {
+            adminId: req.user._id,
+            templateId: req.params.templateId,
+            fields: Object.keys(req.body)
+        });
+
+        const template = await customMetricTemplatesService.updateTemplate({
+            templateId: req.params.templateId,
+            values: req.body,
+            adminId: req.user._id,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Custom metric template updated successfully", { template });
+
+    } catch (error) {
+        Logger.error("Update custom metric template FAILED", requestId, { error: error.message });
+        return handleTemplateError(res, error, "Failed to update custom metric template", "ADMIN_UPDATE_CUSTOM_METRIC_TEMPLATE_FAILED");
+    }
+}
+
+async deletetemplate(req, res) {
+    const requestId = `admin-deletecustommetrictemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        await customMetricTemplatesService.deleteTemplate({
+            templateId: req.params.templateId,
+            adminId: req.user._id,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Custom metric template deleted successfully");
+
+    } catch (error) {
+        Logger.error("Delete custom metric template FAILED", requestId, { error: error.message });
+        return handleTemplateError(res, error, "Failed to delete custom metric template", "ADMIN_DELETE_CUSTOM_METRIC_TEMPLATE_FAILED");
+    }
+}
+
+}
+
+module.exports = new CustomMetricTemplateController();
@@ -0,0 +1,48 @@
+// Food Catalog Controller - Admin import of the food catalogue dataset (CSV / JSON)
+const ResponseHandler = require('../utils/ResponseHandler');
+const Logger = require('../utils/logger');
+const foodCatalogService = require('../services/Health/foods/foodCatalog.service');
+
+class FoodCatalogController {
+
+async importfoods(req, res) {
+    const requestId = `admin-importfoods_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        Logger.info("Food catalogue import START", requestId, {
+            adminId: req.user._id,
+            file: req.file?.originalname,
+            bodyRows: Array.isArray(req.body.foods) ? req.body.foods.length : 0
+        });
+
+        if (!req.file && !Array.isArray(req.body.foods)) {
+            return ResponseHandler.error(
+                res,
+                "Validation failed",
+                "Upload a CSV/JSON file (field 'file') or send a foods array",
+                400,
+                "FOOD_IMPORT_NO_DATA"
+            );
+        }
+
+        const result = await foodCatalogService.importFoods({
+            file: req.file,
+            foods: req.body.foods,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Food catalogue imported successfully", result);
+
+    } catch (error) {
+        Logger.error("Food catalogue import FAILED", requestId, { error: error.message });
+
+        if (error.code === 'FOOD_IMPORT_EMPTY' || error.code === 'FOOD_IMPORT_INVALID_FILE') {
+            return ResponseHandler.error(res, "Validation failed", error.message, 400, error.code);
+        }
+
+        return ResponseHandler.serverError(res, "Failed to import food catalogue", "ADMIN_IMPORT_FOODS_FAILED");
+    }
+}
+
+}
+
+module.exports = new FoodCatalogController();
@@ -15,230 +15,1749 @@ const dailyHealthService = require('../services/Health/common/dailyHealth.servic
 const last7DaysService = require('../services/Health/common/last7Days.service')
 const monthlyReportService = require('../services/Health/reports/monthlyReport.service.js')
 const weeklyReportService = require('../services/Health/reports/weeklyReport.service.js')
+const yearlyReportService = require('../services/Health/reports/yearlyReport.service');
+const customReportService = require('../services/Health/reports/customReport.service');
 const addSleepService = require('../services/Health/common/addSleep.service');
+const goalsService = require('../services/Health/goals/goals.service');
+const mealsService = require('../services/Health/meals/meals.service');
+const workoutsService = require('../services/Health/workouts/workouts.service');
+const StreakJobService = require('../services/Health/streak/streakJob.service');
+const heartRateService = require('../services/Health/heartRate/heartRate.service');
+const sleepService = require('../services/Health/sleep/sleep.service');
+const intakeEntriesService = require('../services/Health/intake/intakeEntries.service');
+const waterService = require('../services/Health/water/water.service');
+const bodyMetricsService = require('../services/Health/bodyMetrics/bodyMetrics.service');
+const fastingService = require('../services/Health/fasting/fasting.service');
+const customMetricsService = require('../services/Health/customMetrics/customMetrics.service');
+const customMetricTemplatesService = require('../services/Health/customMetrics/customMetricTemplates.service');
+const checkInService = require('../services/Health/checkIn/checkIn.service');
+const healthRangeService = require('../services/Health/range/healthRange.service');
+const healthRollupService = require('../services/Health/rollups/healthRollup.service');
+const reportCacheService = require('../services/Health/reports/reportCache.service');
+const calorieTargetsService = require('../services/Health/goals/calorieTargets.service');
+const foodCatalogService = require('../services/Health/foods/foodCatalog.service');
+const foodLogService = require('../services/Health/foods/foodLog.service');
+const favoritesService = require('../services/Health/foods/favorites.service');
+const recentFoodsService = require('../services/Health/foods/recentFoods.service');
+const mealTemplatesService = require('../services/Health/meals/mealTemplates.service');
+const { MACRO_KEYS, formatMacros } = require('../utils/macroCalculator');
+
+// Map meal service errors to responses
+function handleMealError(res, error, message, code) {
+    if (error.code === 'HEALTH_MEAL_NOT_FOUND' || error.code === 'HEALTH_FOOD_ITEM_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map workout service errors to responses
+function handleWorkoutError(res, error, message, code) {
+    if (error.code === 'HEALTH_WORKOUT_NOT_FOUND' || error.code === 'HEALTH_CATALOGUE_WORKOUT_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map water / calorie entry errors to responses
+function handleIntakeEntryError(res, error, message, code) {
+    if (error.code === 'HEALTH_WATER_ENTRY_NOT_FOUND' || error.code === 'HEALTH_CALORIE_ENTRY_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map water / container errors to responses
+function handleWaterError(res, error, message, code) {
+    if (error.code === 'WATER_CONTAINER_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'WATER_CONTAINER_EXISTS') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (['WATER_AMOUNT_OUT_OF_RANGE', 'WATER_CONTAINER_LIMIT', 'WATER_CONTAINER_VOLUME_OUT_OF_RANGE'].includes(error.code)) {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map sleep service errors to responses
+function handleSleepError(res, error, message, code) {
+    if (error.code === 'SLEEP_SESSION_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'SLEEP_SESSION_OVERLAP') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (error.code === 'SLEEP_DURATION_EXCEEDED' || error.code === 'SLEEP_SESSION_INVALID_RANGE') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map body metrics service errors to responses
+function handleBodyMetricError(res, error, message, code) {
+    if (error.code === 'BODY_METRIC_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'BODY_METRIC_INVALID_WEIGHT') {
+        return ResponseHandler.badRequest(res, "Invalid weight", error.message);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map fasting service errors to responses
+function handleFastingError(res, error, message, code) {
+    if (error.code === 'FASTING_NOT_FOUND' || error.code === 'FASTING_NOT_ACTIVE') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'FASTING_ALREADY_ACTIVE') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (error.code === 'FASTING_INVALID_TIMES' || error.code === 'FASTING_HOURS_REQUIRED') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map custom metric errors to responses
+function handleCustomMetricError(res, error, message, code) {
+    if (error.code === 'CUSTOM_METRIC_NOT_FOUND' || error.code === 'CUSTOM_METRIC_TEMPLATE_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'CUSTOM_METRIC_EXISTS') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (['CUSTOM_METRIC_LIMIT', 'CUSTOM_METRIC_INVALID_TARGET', 'CUSTOM_METRIC_INVALID_VALUE'].includes(error.code)) {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map check-in errors to responses
+function handleCheckInError(res, error, message, code) {
+    if (error.code === 'CHECK_IN_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map range query errors to responses
+function handleRangeError(res, error, message, code) {
+    if (error.code === 'HEALTH_RANGE_INVALID' || error.code === 'HEALTH_RANGE_TOO_LARGE') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map calorie target errors to responses
+function handleCalorieTargetError(res, error, message, code) {
+    if (error.code === 'CALORIE_TARGETS_PROFILE_INCOMPLETE') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map food catalogue / favourite / recent food errors to responses
+function handleFoodError(res, error, message, code) {
+    if ([
+        'FOOD_NOT_FOUND',
+        'FOOD_BARCODE_NOT_FOUND',
+        'FAVORITE_FOOD_NOT_FOUND',
+        'RECENT_FOOD_NOT_FOUND',
+        'HEALTH_MEAL_NOT_FOUND'
+    ].includes(error.code)) {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'FAVORITE_FOOD_EXISTS') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (error.code === 'FOOD_SERVING_NOT_FOUND' || error.code === 'FAVORITE_FOOD_LIMIT') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
+
+// Map meal template errors to responses
+function handleMealTemplateError(res, error, message, code) {
+    if (error.code === 'MEAL_TEMPLATE_NOT_FOUND' || error.code === 'HEALTH_MEAL_NOT_FOUND') {
+        return ResponseHandler.notFound(res, error.message, error.code);
+    }
+    if (error.code === 'MEAL_TEMPLATE_EXISTS') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 409, error.code);
+    }
+    if (error.code === 'MEAL_TEMPLATE_LIMIT' || error.code === 'MEAL_TEMPLATE_TYPE_REQUIRED') {
+        return ResponseHandler.error(res, 'Validation failed', error.message, 400, error.code);
+    }
+    return ResponseHandler.serverError(res, message, code);
+}
 
 class HealthController {
-  
-async monthlyreport(req, res) {
-    const requestId = `health-monthlyreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+
+async getgoals(req, res) {
+    const requestId = `health-getgoals_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+
+        Logger.info("Get goals START", requestId, { userId });
+
+        const goals = await goalsService.getUserGoals({ userId, requestId });
+
+        return ResponseHandler.success(res, "Goals retrieved successfully", { goals });
+
+    } catch (error) {
+        Logger.error("Get goals FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get goals", "HEALTH_GET_GOALS_FAILED");
+    }
+}
+
+async updategoals(req, res) {
+    const requestId = `health-updategoals_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     try {
         const userId = req.user._id;
-        const { date } = req.body;
         const timezone = req.headers.timezone || "UTC";
 
-        const result = await monthlyReportService({
+        Logger.info("Update goals START", requestId, { userId, fields: Object.keys(req.body) });
+
+        const goals = await goalsService.updateUserGoals({
             userId,
-            date,
+            updates: req.body,
             timezone,
             requestId
         });
 
-        return ResponseHandler.success(res, "Monthly health report retrieved successfully", result);
+        // New goals apply from today, so only today's score and periods change their goal-hit counts
+        const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+        await StreakJobService.refreshFromDate({ userId, date: todayDate, timezone, requestId });
+        await healthRollupService.refreshForDates({ userId, dates: [todayDate], requestId });
+        // Every cached report shows the current goals
+        await reportCacheService.invalidateUser({ userId, requestId });
 
-    } catch (err) {
-        Logger.error("Monthly report FAILED", requestId, { error: err.message });
-        return ResponseHandler.serverError(res, "Failed to get monthly report", "HEALTH_MONTHLY_REPORT_FAILED");
+        return ResponseHandler.success(res, "Goals updated successfully", { goals });
+
+    } catch (error) {
+        Logger.error("Update goals FAILED", requestId, { error: error.message });
+
+        if (error.name === 'ValidationError') {
+            return ResponseHandler.mongooseError(res, error);
+        }
+
+        return ResponseHandler.serverError(res, "Failed to update goals", "HEALTH_UPDATE_GOALS_FAILED");
     }
 }
 
-async weeklyreport(req, res) {
-    const requestId = `health-weeklyreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+async goalhistory(req, res) {
+    const requestId = `health-goalhistory_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+
+        const history = await goalsService.getGoalHistory({ userId, limit });
+
+        return ResponseHandler.success(res, "Goal history retrieved successfully", { history });
+
+    } catch (error) {
+        Logger.error("Goal history FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get goal history", "HEALTH_GOAL_HISTORY_FAILED");
+    }
+}
+
+async getcalorietargets(req, res) {
+    const requestId = `health-getcalorietargets_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+
+        const calorieTargets = await calorieTargetsService.getCalorieTargets({ userId, requestId });
+
+        return ResponseHandler.success(res, "Calorie targets retrieved successfully", { calorieTargets });
+
+    } catch (error) {
+        Logger.error("Get calorie targets FAILED", requestId, { error: error.message });
+        return handleCalorieTargetError(res, error, "Failed to get calorie targets", "HEALTH_GET_CALORIE_TARGETS_FAILED");
+    }
+}
+
+async acceptcalorietargets(req, res) {
+    const requestId = `health-acceptcalorietargets_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        Logger.info("Accept calorie targets START", requestId, { userId });
+
+        const calorieTargets = await calorieTargetsService.acceptCalorieTargets({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Calorie targets applied successfully", { calorieTargets });
+
+    } catch (error) {
+        Logger.error("Accept calorie targets FAILED", requestId, { error: error.message });
+        return handleCalorieTargetError(res, error, "Failed to apply calorie targets", "HEALTH_ACCEPT_CALORIE_TARGETS_FAILED");
+    }
+}
+
+async addmeal(req, res) {
+    const requestId = `health-addmeal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        Logger.info("Add meal START", requestId, { userId, type: req.body.type });
+
+        const result = await mealsService.addMeal({
+            userId,
+            meal: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Meal added successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Add meal FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to add meal", "HEALTH_ADD_MEAL_FAILED");
+    }
+}
+
+async updatemeal(req, res) {
+    const requestId = `health-updatemeal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await mealsService.updateMeal({
+            userId,
+            mealId: req.params.mealId,
+            updates: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Meal updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update meal FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to update meal", "HEALTH_UPDATE_MEAL_FAILED");
+    }
+}
+
+async deletemeal(req, res) {
+    const requestId = `health-deletemeal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await mealsService.deleteMeal({
+            userId,
+            mealId: req.params.mealId,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Meal deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete meal FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to delete meal", "HEALTH_DELETE_MEAL_FAILED");
+    }
+}
+
+async addfooditem(req, res) {
+    const requestId = `health-addfood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { name, quantity, calories, protein, carbs, fat, fiber } = req.body;
+
+        const result = await mealsService.addFoodItem({
+            userId,
+            mealId: req.params.mealId,
+            food: { name, quantity, calories, protein, carbs, fat, fiber },
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Food item added successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Add food item FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to add food item", "HEALTH_ADD_FOOD_ITEM_FAILED");
+    }
+}
+
+async updatefooditem(req, res) {
+    const requestId = `health-updatefood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await mealsService.updateFoodItem({
+            userId,
+            mealId: req.params.mealId,
+            foodId: req.params.foodId,
+            updates: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Food item updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update food item FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to update food item", "HEALTH_UPDATE_FOOD_ITEM_FAILED");
+    }
+}
+
+async deletefooditem(req, res) {
+    const requestId = `health-deletefood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await mealsService.deleteFoodItem({
+            userId,
+            mealId: req.params.mealId,
+            foodId: req.params.foodId,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Food item deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete food item FAILED", requestId, { error: error.message });
+        return handleMealError(res, error, "Failed to delete food item", "HEALTH_DELETE_FOOD_ITEM_FAILED");
+    }
+}
+
+async getmeals(req, res) {
+    const requestId = `health-getmeals_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     try {
         const userId = req.user._id;
         const { date } = req.body;
+
+        const result = await mealsService.getMeals({ userId, date });
+
+        return ResponseHandler.success(res, "Meals retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get meals FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get meals", "HEALTH_GET_MEALS_FAILED");
+    }
+}
+
+async searchfoods(req, res) {
+    const requestId = `health-searchfoods_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const { q, limit } = req.query;
+
+        const foods = await foodCatalogService.searchFoods({ query: q, limit });
+
+        Logger.info("Food search", requestId, { query: q, results: foods.length });
+
+        return ResponseHandler.success(res, "Foods retrieved successfully", { query: q, foods });
+
+    } catch (error) {
+        Logger.error("Food search FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to search foods", "HEALTH_SEARCH_FOODS_FAILED");
+    }
+}
+
+async getfoodbybarcode(req, res) {
+    const requestId = `health-foodbarcode_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const food = await foodCatalogService.getFoodByBarcode(req.params.barcode);
+
+        return ResponseHandler.success(res, "Food retrieved successfully", { food });
+
+    } catch (error) {
+        Logger.error("Food barcode lookup FAILED", requestId, { barcode: req.params.barcode, error: error.message });
+        return handleFoodError(res, error, "Failed to look up barcode", "HEALTH_FOOD_BARCODE_FAILED");
+    }
+}
+
+async getfood(req, res) {
+    const requestId = `health-getfood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const food = await foodCatalogService.getFood(req.params.foodId);
+
+        return ResponseHandler.success(res, "Food retrieved successfully", { food });
+
+    } catch (error) {
+        Logger.error("Get food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to get food", "HEALTH_GET_FOOD_FAILED");
+    }
+}
+
+async logfood(req, res) {
+    const requestId = `health-logfood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
         const timezone = req.headers.timezone || "UTC";
+        const { foodId, serving, servings, grams, mealId, mealType, time, date, at } = req.body;
+
+        Logger.info("Log food START", requestId, { userId, foodId });
 
-        const result = await weeklyReportService({
+        const result = await foodLogService.logCatalogueFood({
             userId,
+            foodId,
+            amount: { serving, servings, grams },
+            mealId,
+            mealType,
+            time,
             date,
+            at,
             timezone,
             requestId
         });
 
-        return ResponseHandler.success(res, "Weekly health report retrieved successfully", result);
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
 
-    } catch (err) {
-        Logger.error("Weekly report FAILED", requestId, { error: err.message });
-        return ResponseHandler.serverError(res, "Failed to get weekly report", "HEALTH_WEEKLY_REPORT_FAILED");
+        return ResponseHandler.created(res, "Food logged successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Log food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to log food", "HEALTH_LOG_FOOD_FAILED");
     }
 }
 
-async estimateCalories(req,res){
-        const requestId = `health-estimate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            // req.file.buffer contains the image data in memory
-            const imageBuffer = req.file.buffer;
-            const mimeType = req.file.mimetype;
-        
-            Logger.info('Estimate calories START', requestId, { 
-                userId: req.user._id,
-                imageSize: imageBuffer.length, 
-                mimeType 
-            });
-        
-            // Call service to get calorie estimation
-            const result = await calorieService.estimateCaloriesFromImage(
-              imageBuffer,
-              mimeType
+async getfavoritefoods(req, res) {
+    const requestId = `health-getfavorites_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const favorites = await favoritesService.listFavorites({ userId: req.user._id });
+
+        return ResponseHandler.success(res, "Favourite foods retrieved successfully", { favorites });
+
+    } catch (error) {
+        Logger.error("Get favourite foods FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to get favourite foods", "HEALTH_GET_FAVORITE_FOODS_FAILED");
+    }
+}
+
+async addfavoritefood(req, res) {
+    const requestId = `health-addfavorite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const { foodId, serving, servings, grams } = req.body;
+
+        const favorite = await favoritesService.addFavorite({
+            userId: req.user._id,
+            food: req.body,
+            foodId,
+            amount: { serving, servings, grams },
+            requestId
+        });
+
+        return ResponseHandler.created(res, "Favourite food added successfully", { favorite });
+
+    } catch (error) {
+        Logger.error("Add favourite food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to add favourite food", "HEALTH_ADD_FAVORITE_FOOD_FAILED");
+    }
+}
+
+async deletefavoritefood(req, res) {
+    const requestId = `health-deletefavorite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        await favoritesService.removeFavorite({
+            userId: req.user._id,
+            favoriteId: req.params.favoriteId,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Favourite food removed successfully");
+
+    } catch (error) {
+        Logger.error("Delete favourite food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to remove favourite food", "HEALTH_DELETE_FAVORITE_FOOD_FAILED");
+    }
+}
+
+async logfavoritefood(req, res) {
+    const requestId = `health-logfavorite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { mealId, mealType, time, date, at } = req.body;
+
+        const result = await foodLogService.logFavorite({
+            userId,
+            favoriteId: req.params.favoriteId,
+            mealId,
+            mealType,
+            time,
+            date,
+            at,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Favourite food logged successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Log favourite food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to log favourite food", "HEALTH_LOG_FAVORITE_FOOD_FAILED");
+    }
+}
+
+async getrecentfoods(req, res) {
+    const requestId = `health-getrecentfoods_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const foods = await recentFoodsService.listRecentFoods({
+            userId: req.user._id,
+            limit: req.query.limit
+        });
+
+        return ResponseHandler.success(res, "Recent foods retrieved successfully", { foods });
+
+    } catch (error) {
+        Logger.error("Get recent foods FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to get recent foods", "HEALTH_GET_RECENT_FOODS_FAILED");
+    }
+}
+
+async logrecentfood(req, res) {
+    const requestId = `health-logrecentfood_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { mealId, mealType, time, date, at } = req.body;
+
+        const result = await foodLogService.logRecentFood({
+            userId,
+            recentId: req.params.recentId,
+            mealId,
+            mealType,
+            time,
+            date,
+            at,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Recent food logged successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Log recent food FAILED", requestId, { error: error.message });
+        return handleFoodError(res, error, "Failed to log recent food", "HEALTH_LOG_RECENT_FOOD_FAILED");
+    }
+}
+
+async getmealtemplates(req, res) {
+    const requestId = `health-getmealtemplates_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const templates = await mealTemplatesService.listTemplates({ userId: req.user._id });
+
+        return ResponseHandler.success(res, "Meal templates retrieved successfully", { templates });
+
+    } catch (error) {
+        Logger.error("Get meal templates FAILED", requestId, { error: error.message });
+        return handleMealTemplateError(res, error, "Failed to get meal templates", "HEALTH_GET_MEAL_TEMPLATES_FAILED");
+    }
+}
+
+async addmealtemplate(req, res) {
+    const requestId = `health-addmealtemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const { name, type, foods, mealId, notes } = req.body;
+
+        const template = await mealTemplatesService.createTemplate({
+            userId: req.user._id,
+            name,
+            type,
+            foods,
+            mealId,
+            notes,
+            requestId
+        });
+
+        return ResponseHandler.created(res, "Meal template created successfully", { template });
+
+    } catch (error) {
+        Logger.error("Add meal template FAILED", requestId, { error: error.message });
+        return handleMealTemplateError(res, error, "Failed to create meal template", "HEALTH_ADD_MEAL_TEMPLATE_FAILED");
+    }
+}
+
+async updatemealtemplate(req, res) {
+    const requestId = `health-updatemealtemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const template = await mealTemplatesService.updateTemplate({
+            userId: req.user._id,
+            templateId: req.params.templateId,
+            updates: req.body,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Meal template updated successfully", { template });
+
+    } catch (error) {
+        Logger.error("Update meal template FAILED", requestId, { error: error.message });
+        return handleMealTemplateError(res, error, "Failed to update meal template", "HEALTH_UPDATE_MEAL_TEMPLATE_FAILED");
+    }
+}
+
+async deletemealtemplate(req, res) {
+    const requestId = `health-deletemealtemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        await mealTemplatesService.deleteTemplate({
+            userId: req.user._id,
+            templateId: req.params.templateId,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Meal template deleted successfully");
+
+    } catch (error) {
+        Logger.error("Delete meal template FAILED", requestId, { error: error.message });
+        return handleMealTemplateError(res, error, "Failed to delete meal template", "HEALTH_DELETE_MEAL_TEMPLATE_FAILED");
+    }
+}
+
+async logmealtemplate(req, res) {
+    const requestId = `health-logmealtemplate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await mealTemplatesService.logTemplate({
+            userId,
+            templateId: req.params.templateId,
+            type: req.body.type,
+            time: req.body.time,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Meal template logged successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Log meal template FAILED", requestId, { error: error.message });
+        return handleMealTemplateError(res, error, "Failed to log meal template", "HEALTH_LOG_MEAL_TEMPLATE_FAILED");
+    }
+}
+
+async addworkout(req, res) {
+    const requestId = `health-addworkout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        Logger.info("Add workout START", requestId, { userId, workoutId: req.body.workoutId });
+
+        const result = await workoutsService.logWorkout({
+            userId,
+            workout: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Workout logged successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Add workout FAILED", requestId, { error: error.message });
+        return handleWorkoutError(res, error, "Failed to log workout", "HEALTH_ADD_WORKOUT_FAILED");
+    }
+}
+
+async updateworkout(req, res) {
+    const requestId = `health-updateworkout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await workoutsService.updateWorkout({
+            userId,
+            sessionId: req.params.sessionId,
+            updates: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Workout updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update workout FAILED", requestId, { error: error.message });
+        return handleWorkoutError(res, error, "Failed to update workout", "HEALTH_UPDATE_WORKOUT_FAILED");
+    }
+}
+
+async deleteworkout(req, res) {
+    const requestId = `health-deleteworkout_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+
+        const result = await workoutsService.deleteWorkout({
+            userId,
+            sessionId: req.params.sessionId,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Workout deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete workout FAILED", requestId, { error: error.message });
+        return handleWorkoutError(res, error, "Failed to delete workout", "HEALTH_DELETE_WORKOUT_FAILED");
+    }
+}
+
+async getworkouts(req, res) {
+    const requestId = `health-getworkouts_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+
+        const result = await workoutsService.getWorkouts({ userId, date });
+
+        return ResponseHandler.success(res, "Workouts retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get workouts FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get workouts", "HEALTH_GET_WORKOUTS_FAILED");
+    }
+}
+
+async monthlyreport(req, res) {
+    const requestId = `health-monthlyreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+        const timezone = req.headers.timezone || "UTC";
+
+        const { report: result } = await reportCacheService.getOrBuild({
+            userId,
+            type: 'monthly',
+            params: date,
+            timezone,
+            requestId,
+            build: () => monthlyReportService({
+                userId,
+                date,
+                timezone,
+                requestId
+            }),
+            range: (r) => ({
+                from: r.comparison?.previous?.startDate || r.monthPeriod.startDate,
+                to: r.monthPeriod.endDate,
+                periodEnd: r.monthPeriod.endDate
+            })
+        });
+
+        return ResponseHandler.success(res, "Monthly health report retrieved successfully", result);
+
+    } catch (err) {
+        Logger.error("Monthly report FAILED", requestId, { error: err.message });
+        return ResponseHandler.serverError(res, "Failed to get monthly report", "HEALTH_MONTHLY_REPORT_FAILED");
+    }
+}
+
+async weeklyreport(req, res) {
+    const requestId = `health-weeklyreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+        const timezone = req.headers.timezone || "UTC";
+
+        const { report: result } = await reportCacheService.getOrBuild({
+            userId,
+            type: 'weekly',
+            params: date,
+            timezone,
+            requestId,
+            build: () => weeklyReportService({
+                userId,
+                date,
+                timezone,
+                requestId
+            }),
+            range: (r) => ({
+                from: r.comparison?.previous?.startDate || r.weekInfo.weekStartDate,
+                to: r.weekInfo.weekEndDate,
+                periodEnd: r.weekInfo.weekEndDate
+            })
+        });
+
+        return ResponseHandler.success(res, "Weekly health report retrieved successfully", result);
+
+    } catch (err) {
+        Logger.error("Weekly report FAILED", requestId, { error: err.message });
+        return ResponseHandler.serverError(res, "Failed to get weekly report", "HEALTH_WEEKLY_REPORT_FAILED");
+    }
+}
+
+async yearlyreport(req, res) {
+    const requestId = `health-yearlyreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+        const timezone = req.headers.timezone || "UTC";
+
+        const { report: result } = await reportCacheService.getOrBuild({
+            userId,
+            type: 'yearly',
+            params: date,
+            timezone,
+            requestId,
+            build: () => yearlyReportService({
+                userId,
+                date,
+                timezone,
+                requestId
+            }),
+            range: (r) => ({
+                from: r.comparison?.previous?.startDate || r.yearPeriod.startDate,
+                to: r.yearPeriod.endDate,
+                periodEnd: r.yearPeriod.endDate
+            })
+        });
+
+        return ResponseHandler.success(res, "Yearly health report retrieved successfully", result);
+
+    } catch (err) {
+        Logger.error("Yearly report FAILED", requestId, { error: err.message });
+        return ResponseHandler.serverError(res, "Failed to get yearly report", "HEALTH_YEARLY_REPORT_FAILED");
+    }
+}
+
+async customreport(req, res) {
+    const requestId = `health-customreport_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+    try {
+        const userId = req.user._id;
+        const { from, to } = req.body;
+        const timezone = req.headers.timezone || "UTC";
+
+        const { report: result } = await reportCacheService.getOrBuild({
+            userId,
+            type: 'custom',
+            params: `${from}_${to}`,
+            timezone,
+            requestId,
+            build: () => customReportService({
+                userId,
+                from,
+                to,
+                timezone,
+                requestId
+            }),
+            range: (r) => ({
+                from: r.comparison?.previous?.startDate || r.period.startDate,
+                to: r.period.endDate,
+                periodEnd: r.period.endDate
+            })
+        });
+
+        return ResponseHandler.success(res, "Custom health report retrieved successfully", result);
+
+    } catch (err) {
+        Logger.error("Custom report FAILED", requestId, { error: err.message });
+        return ResponseHandler.serverError(res, "Failed to get custom report", "HEALTH_CUSTOM_REPORT_FAILED");
+    }
+}
+
+async gethealthrange(req, res) {
+    const requestId = `health-gethealthrange_${Date.now()}_${Math.random().toString(36).substr(2,9)}`;
+    try {
+        const userId = req.user._id;
+        const { from, to, metrics, customMetrics, granularity } = req.query;
+
+        const result = await healthRangeService.getHealthRange({
+            userId,
+            from,
+            to,
+            metrics,
+            customMetrics,
+            granularity,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Health range retrieved successfully", result);
+
+    } catch (err) {
+        Logger.error("Health range FAILED", requestId, { error: err.message });
+        return handleRangeError(res, err, "Failed to get health range", "HEALTH_RANGE_FAILED");
+    }
+}
+
+async estimateCalories(req,res){
+        const requestId = `health-estimate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        try {
+            // req.file.buffer contains the image data in memory
+            const imageBuffer = req.file.buffer;
+            const mimeType = req.file.mimetype;
+        
+            Logger.info('Estimate calories START', requestId, { 
+                userId: req.user._id,
+                imageSize: imageBuffer.length, 
+                mimeType 
+            });
+        
+            // Call service to get calorie estimation
+            const result = await calorieService.estimateCaloriesFromImage(
+              imageBuffer,
+              mimeType
             );
         
             Logger.info('Estimate calories SUCCESS', requestId, { 
-                estimatedCalories: result.estimatedCalories 
+                estimatedCalories: result.estimatedCalories,
+                provider: result.provider
             });
+
+            const data = {
+                foodDescription: result.foodDescription,
+                estimatedCalories: result.estimatedCalories,
+                macros: result.macros,
+                provider: result.provider,
+                saved: false
+            };
+
+            // Optionally commit the estimate as a meal on today's record
+            if (req.body.save === true) {
+                const userId = req.user._id;
+                const timezone = req.headers.timezone || 'UTC';
+
+                const saveResult = await mealsService.logEstimatedMeal({
+                    userId,
+                    estimate: result,
+                    image: req.file,
+                    mealType: req.body.mealType,
+                    time: req.body.time,
+                    storeImage: req.body.storeImage !== false,
+                    timezone,
+                    requestId
+                });
+
+                const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+                data.saved = true;
+                data.meal = saveResult.meal;
+                data.todayData = todayData;
+            }
         
             // Image buffer will be garbage collected automatically
             return res.status(200).json({
               success: true,
-              message: 'Calorie estimation successful.',
-              data: {
-                foodDescription: result.foodDescription,
-                estimatedCalories: result.estimatedCalories
-              }
+              message: data.saved ? 'Calorie estimation saved as meal.' : 'Calorie estimation successful.',
+              data
+            });
+        }
+        catch(error){   
+            Logger.error('Estimate calories FAILED', requestId, { error: error.message, stack: error.stack });
+            return ResponseHandler.serverError(res, 'Failed to estimate calories', 'HEALTH_ESTIMATE_CALORIES_FAILED');
+        }
+}
+
+async addsleep(req, res) {
+    const requestId = `health-sleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const { duration, startTime, endTime, type } = req.body.sleep;
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+
+        // Bedtime + wake time take precedence over a bare duration
+        const session = startTime ? { startTime, endTime, type } : null;
+        const sleepDuration = session ? null : Number(duration);
+
+        // A bare duration can be backdated with a date or time inside the lookback window
+        const { date, at } = req.body;
+        const logDate = date || at ? timeZoneUtil.getLogDateInTimezone({ date, at }, timezone) : null;
+
+        Logger.info('Add sleep START', requestId, { 
+            userId, 
+            sleepDuration,
+            session
+        });
+
+        const result = await addSleepService({
+            userId,
+            sleepDuration,
+            session,
+            logDate,
+            loggedAt: at,
+            timezone,
+            requestId
+        });
+
+        return ResponseHandler.success(
+            res, 
+            "Sleep consumption updated successfully", 
+            result
+        );
+
+    } catch (error) {
+        Logger.error("Add sleep FAILED", requestId, { 
+            error: error.message 
+        });
+
+        return handleSleepError(res, error, "Failed to update sleep consumption", "HEALTH_ADD_SLEEP_FAILED");
+    }
+}
+
+async updatesleep(req, res) {
+    const requestId = `health-updatesleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { sessionId } = req.params;
+
+        Logger.info("Update sleep session START", requestId, { userId, sessionId, fields: Object.keys(req.body) });
+
+        const result = await sleepService.updateSleepSession({
+            userId,
+            sessionId,
+            updates: req.body,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Sleep session updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update sleep session FAILED", requestId, { error: error.message });
+        return handleSleepError(res, error, "Failed to update sleep session", "HEALTH_UPDATE_SLEEP_FAILED");
+    }
+}
+
+async deletesleep(req, res) {
+    const requestId = `health-deletesleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { sessionId } = req.params;
+
+        Logger.info("Delete sleep session START", requestId, { userId, sessionId });
+
+        const result = await sleepService.deleteSleepSession({ userId, sessionId, timezone, requestId });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Sleep session deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete sleep session FAILED", requestId, { error: error.message });
+        return handleSleepError(res, error, "Failed to delete sleep session", "HEALTH_DELETE_SLEEP_FAILED");
+    }
+}
+
+async getsleepsessions(req, res) {
+    const requestId = `health-getsleepsessions_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+
+        const result = await sleepService.getSleepSessions({ userId, date });
+
+        return ResponseHandler.success(res, "Sleep sessions retrieved successfully", result);
+    } catch (error) {
+        Logger.error("Get sleep sessions FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get sleep sessions', 'HEALTH_GET_SLEEP_FAILED');
+    }
+}
+
+   
+async getwater(req,res){
+        const requestId = `health-getwater_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        
+        try{
+            const userId=req.user._id;
+            const date = req.body.date;
+            const timezone = req.headers.timezone || 'UTC';
+            Logger.info('Get water START', requestId, { userId, date });
+            
+            // Get user goals
+            let userGoals = await Goals.findOne({ userId });
+            if (!userGoals) {
+            const { todayData } = await todayDataService({ userId, timezone, requestId });
+            userGoals = todayData.goals; // safe fallback
+        }
+           
+            // Get water data for requested date
+            const waterdata = await DailyHealthData.findOne({userId, date: date}).select('water date -_id').lean();
+            const waterUnit = await waterService.getUserWaterUnit(userId);
+            // Always get TODAY's data for streak and goal completions
+            const todayDateString = timeZoneUtil.getCurrentDateInTimezone(timezone);
+            const todayHealth = await DailyHealthData.findOne({
+                userId: userId,
+                date: todayDateString
+            }).select('goalcomplete streak -_id');
+            
+            if(waterdata){
+                Logger.info('Get water SUCCESS - Data found', requestId);
+                return ResponseHandler.success(res, 'Water data retrieved successfully', {
+                    goalcompletions: todayHealth?.goalcomplete || false,
+                    streak: todayHealth?.streak || 0,
+                    goals: {
+                        stepsGoal: userGoals.stepsGoal,
+                        caloriesBurnGoal: userGoals.caloriesBurnGoal,
+                        waterIntakeGoal: userGoals.waterIntakeGoal,
+                        waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
+                        waterGoal: WaterConverter.format(WaterConverter.getGoalMl(userGoals), waterUnit),
+                        caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
+                        sleepGoal: {
+                            hours: userGoals.sleepGoal?.hours
+                        }
+                    },
+                    water: waterdata.water ? waterService.formatDayWater(waterdata.water, waterUnit) : undefined,
+                    date: waterdata.date
+                });
+            }
+            Logger.info('Get water SUCCESS - No data found', requestId);
+            return ResponseHandler.success(res,'No water data found for the specified date',{
+                goalcompletions: todayHealth?.goalcomplete || false,
+                streak: todayHealth?.streak || 0,
+                goals: {
+                    stepsGoal: userGoals.stepsGoal,
+                    caloriesBurnGoal: userGoals.caloriesBurnGoal,
+                    waterIntakeGoal: userGoals.waterIntakeGoal,
+                    waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
+                    waterGoal: WaterConverter.format(WaterConverter.getGoalMl(userGoals), waterUnit),
+                    caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
+                    sleepGoal: {
+                        hours: userGoals.sleepGoal?.hours
+                    }
+                },
+                date: date
             });
         }
-        catch(error){   
-            Logger.error('Estimate calories FAILED', requestId, { error: error.message, stack: error.stack });
-            return ResponseHandler.serverError(res, 'Failed to estimate calories', 'HEALTH_ESTIMATE_CALORIES_FAILED');
+        catch(error){
+            Logger.error('Get water FAILED', requestId, { error: error.message, stack: error.stack });
+            return ResponseHandler.serverError(res,'Failed to get water data', 'HEALTH_GET_WATER_FAILED');
         }
 }
 
-async addsleep(req, res) {
-    const requestId = `health-sleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+async getsleep(req, res) {
+    const requestId = `health-getsleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+
+        const result = await last7DaysService({
+            userId,
+            timezone,
+            requestId,
+            field: "sleep"
+        });
+
+        return ResponseHandler.success(res, "Sleep data retrieved successfully", result);
+    } catch (error) {
+          return ResponseHandler.serverError(res, 'Failed to get sleep data', 'HEALTH_GET_STEPS_FAILED');
+    }
+}
+
+async addheartrate(req, res) {
+    const requestId = `health-addheartrate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+
+        Logger.info("Add heart rate START", requestId, {
+            userId,
+            samples: req.body.samples?.length || 0,
+            restingBpm: req.body.restingBpm
+        });
+
+        const result = await heartRateService.addHeartRate({
+            userId,
+            samples: req.body.samples,
+            restingBpm: req.body.restingBpm,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Heart rate recorded successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Add heart rate FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to record heart rate', 'HEALTH_ADD_HEART_RATE_FAILED');
+    }
+}
+
+async getheartrate(req, res) {
+    const requestId = `health-getheartrate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+
+        const result = await last7DaysService({
+            userId,
+            timezone,
+            requestId,
+            field: "heartRate"
+        });
+
+        return ResponseHandler.success(res, "Heart rate data retrieved successfully", result);
+    } catch (error) {
+        Logger.error("Get heart rate FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get heart rate data', 'HEALTH_GET_HEART_RATE_FAILED');
+    }
+}
+
+async getheartratebydate(req, res) {
+    const requestId = `health-getheartratebydate_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+
+        const result = await heartRateService.getHeartRate({ userId, date });
+
+        return ResponseHandler.success(res, "Heart rate data retrieved successfully", result);
+    } catch (error) {
+        Logger.error("Get heart rate by date FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get heart rate data', 'HEALTH_GET_HEART_RATE_FAILED');
+    }
+}
+
+async addbodymetrics(req, res) {
+    const requestId = `health-addbodymetrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { date, weightUnit, ...values } = req.body;
+
+        Logger.info("Add body metrics START", requestId, { userId, date, fields: Object.keys(values) });
+
+        const result = await bodyMetricsService.logBodyMetrics({
+            userId,
+            date,
+            values,
+            weightUnit,
+            timezone,
+            requestId
+        });
+
+        return result.created
+            ? ResponseHandler.created(res, "Body metrics logged successfully", result)
+            : ResponseHandler.success(res, "Body metrics updated successfully", result);
+
+    } catch (error) {
+        Logger.error("Add body metrics FAILED", requestId, { error: error.message });
+        return handleBodyMetricError(res, error, "Failed to log body metrics", "HEALTH_ADD_BODY_METRICS_FAILED");
+    }
+}
+
+async updatebodymetrics(req, res) {
+    const requestId = `health-updatebodymetrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { entryId } = req.params;
+        const { weightUnit, date, ...values } = req.body;
+
+        Logger.info("Update body metrics START", requestId, { userId, entryId, fields: Object.keys(values) });
+
+        const result = await bodyMetricsService.updateBodyMetrics({
+            userId,
+            entryId,
+            values,
+            weightUnit,
+            timezone,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Body metrics updated successfully", result);
+
+    } catch (error) {
+        Logger.error("Update body metrics FAILED", requestId, { error: error.message });
+        return handleBodyMetricError(res, error, "Failed to update body metrics", "HEALTH_UPDATE_BODY_METRICS_FAILED");
+    }
+}
+
+async deletebodymetrics(req, res) {
+    const requestId = `health-deletebodymetrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { entryId } = req.params;
+
+        Logger.info("Delete body metrics START", requestId, { userId, entryId });
+
+        const result = await bodyMetricsService.deleteBodyMetrics({ userId, entryId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Body metrics entry deleted successfully", result);
+
+    } catch (error) {
+        Logger.error("Delete body metrics FAILED", requestId, { error: error.message });
+        return handleBodyMetricError(res, error, "Failed to delete body metrics", "HEALTH_DELETE_BODY_METRICS_FAILED");
+    }
+}
+
+async getbodymetrics(req, res) {
+    const requestId = `health-getbodymetrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { from, to, limit } = req.query;
+
+        const result = await bodyMetricsService.listBodyMetrics({ userId, from, to, limit });
+
+        return ResponseHandler.success(res, "Body metrics retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get body metrics FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get body metrics', 'HEALTH_GET_BODY_METRICS_FAILED');
+    }
+}
+
+async getfastingprotocols(req, res) {
+    return ResponseHandler.success(res, "Fasting protocols retrieved successfully", fastingService.listProtocols());
+}
+
+async getcurrentfast(req, res) {
+    const requestId = `health-getcurrentfast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const timezone = req.headers.timezone || 'UTC';
+
+        const status = await fastingService.getFastingStatus({ userId: req.user._id, timezone });
+
+        return ResponseHandler.success(res, "Fasting status retrieved successfully", status);
+
+    } catch (error) {
+        Logger.error("Get current fast FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get fasting status', 'HEALTH_GET_CURRENT_FAST_FAILED');
+    }
+}
+
+async startfast(req, res) {
+    const requestId = `health-startfast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { protocol, fastingHours, startedAt, reminder, notes } = req.body;
+
+        Logger.info("Start fast START", requestId, { userId, protocol });
+
+        const result = await fastingService.startFast({
+            userId,
+            protocol,
+            fastingHours,
+            startedAt,
+            reminder,
+            notes,
+            timezone,
+            requestId
+        });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.created(res, "Fast started successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Start fast FAILED", requestId, { error: error.message });
+        return handleFastingError(res, error, "Failed to start fast", "HEALTH_START_FAST_FAILED");
+    }
+}
+
+async endfast(req, res) {
+    const requestId = `health-endfast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { endedAt, notes } = req.body;
+
+        Logger.info("End fast START", requestId, { userId });
+
+        const result = await fastingService.endFast({ userId, endedAt, notes, timezone, requestId });
+
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Fast ended successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("End fast FAILED", requestId, { error: error.message });
+        return handleFastingError(res, error, "Failed to end fast", "HEALTH_END_FAST_FAILED");
+    }
+}
+
+async updatefast(req, res) {
+    const requestId = `health-updatefast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { fastId } = req.params;
+
+        Logger.info("Update fast START", requestId, { userId, fastId, fields: Object.keys(req.body) });
+
+        const result = await fastingService.updateFast({
+            userId,
+            fastId,
+            updates: req.body,
+            timezone,
+            requestId
+        });
+
+        return ResponseHandler.success(res, "Fast updated successfully", result);
+
+    } catch (error) {
+        Logger.error("Update fast FAILED", requestId, { error: error.message });
+        return handleFastingError(res, error, "Failed to update fast", "HEALTH_UPDATE_FAST_FAILED");
+    }
+}
+
+async deletefast(req, res) {
+    const requestId = `health-deletefast_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { fastId } = req.params;
+
+        Logger.info("Delete fast START", requestId, { userId, fastId });
+
+        const result = await fastingService.deleteFast({ userId, fastId, requestId });
+
+        return ResponseHandler.success(res, "Fast deleted successfully", result);
+
+    } catch (error) {
+        Logger.error("Delete fast FAILED", requestId, { error: error.message });
+        return handleFastingError(res, error, "Failed to delete fast", "HEALTH_DELETE_FAST_FAILED");
+    }
+}
+
+async getfasts(req, res) {
+    const requestId = `health-getfasts_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const { from, to, limit } = req.query;
+
+        const result = await fastingService.listFasts({ userId: req.user._id, from, to, limit });
+
+        return ResponseHandler.success(res, "Fasting history retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get fasts FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get fasting history', 'HEALTH_GET_FASTS_FAILED');
+    }
+}
+
+async getcustommetrictemplates(req, res) {
+    const requestId = `health-getcustommetrictemplates_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const templates = await customMetricTemplatesService.listTemplates({ activeOnly: true });
+
+        return ResponseHandler.success(res, "Custom metric templates retrieved successfully", { templates });
+
+    } catch (error) {
+        Logger.error("Get custom metric templates FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get custom metric templates', 'HEALTH_GET_CUSTOM_METRIC_TEMPLATES_FAILED');
+    }
+}
+
+async getcustommetrics(req, res) {
+    const requestId = `health-getcustommetrics_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const metrics = await customMetricsService.listMetrics({ userId: req.user._id });
+
+        return ResponseHandler.success(res, "Custom metrics retrieved successfully", { metrics });
+
+    } catch (error) {
+        Logger.error("Get custom metrics FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get custom metrics', 'HEALTH_GET_CUSTOM_METRICS_FAILED');
+    }
+}
+
+async addcustommetric(req, res) {
+    const requestId = `health-addcustommetric_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { templateId, ...values } = req.body;
+
+        Logger.info("Add custom metric START", requestId, { userId, templateId, valueType: values.valueType });
+
+        const metric = await customMetricsService.createMetric({ userId, values, templateId, requestId });
+
+        return ResponseHandler.created(res, "Custom metric created successfully", { metric });
+
+    } catch (error) {
+        Logger.error("Add custom metric FAILED", requestId, { error: error.message });
+        return handleCustomMetricError(res, error, "Failed to create custom metric", "HEALTH_ADD_CUSTOM_METRIC_FAILED");
+    }
+}
+
+async updatecustommetric(req, res) {
+    const requestId = `health-updatecustommetric_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { metricId } = req.params;
+
+        Logger.info("Update custom metric START", requestId, { userId, metricId, fields: Object.keys(req.body) });
+
+        const metric = await customMetricsService.updateMetric({ userId, metricId, values: req.body, requestId });
+
+        return ResponseHandler.success(res, "Custom metric updated successfully", { metric });
+
+    } catch (error) {
+        Logger.error("Update custom metric FAILED", requestId, { error: error.message });
+        return handleCustomMetricError(res, error, "Failed to update custom metric", "HEALTH_UPDATE_CUSTOM_METRIC_FAILED");
+    }
+}
+
+async deletecustommetric(req, res) {
+    const requestId = `health-deletecustommetric_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { metricId } = req.params;
+
+        Logger.info("Delete custom metric START", requestId, { userId, metricId });
+
+        const result = await customMetricsService.deleteMetric({ userId, metricId, requestId });
+
+        return ResponseHandler.success(res, "Custom metric deleted successfully", result);
+
+    } catch (error) {
+        Logger.error("Delete custom metric FAILED", requestId, { error: error.message });
+        return handleCustomMetricError(res, error, "Failed to delete custom metric", "HEALTH_DELETE_CUSTOM_METRIC_FAILED");
+    }
+}
+
+async logcustommetricvalue(req, res) {
+    const requestId = `health-logcustommetricvalue_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || 'UTC';
+        const { metricId } = req.params;
+        const { date, value } = req.body;
+
+        Logger.info("Log custom metric value START", requestId, { userId, metricId, date });
+
+        const result = await customMetricsService.logValue({ userId, metricId, date, value, timezone, requestId });
+
+        return ResponseHandler.success(res, "Custom metric value saved successfully", result);
+
+    } catch (error) {
+        Logger.error("Log custom metric value FAILED", requestId, { error: error.message });
+        return handleCustomMetricError(res, error, "Failed to save custom metric value", "HEALTH_LOG_CUSTOM_METRIC_FAILED");
+    }
+}
+
+async getcustommetricvalues(req, res) {
+    const requestId = `health-getcustommetricvalues_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const timezone = req.headers.timezone || 'UTC';
+        const { from, to } = req.query;
+
+        const result = await customMetricsService.listValues({
+            userId: req.user._id,
+            metricId: req.params.metricId,
+            from,
+            to,
+            timezone
+        });
+
+        return ResponseHandler.success(res, "Custom metric values retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get custom metric values FAILED", requestId, { error: error.message });
+        return handleCustomMetricError(res, error, "Failed to get custom metric values", "HEALTH_GET_CUSTOM_METRIC_VALUES_FAILED");
+    }
+}
 
+async savecheckin(req, res) {
+    const requestId = `health-savecheckin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     try {
-        const { duration } = req.body.sleep;
-        const sleepDuration = Number(duration);
         const userId = req.user._id;
         const timezone = req.headers.timezone || 'UTC';
+        const { date, ...values } = req.body;
 
-        Logger.info('Add sleep START', requestId, { 
-            userId, 
-            sleepDuration 
-        });
+        Logger.info("Save check-in START", requestId, { userId, date, fields: Object.keys(values) });
 
-        const result = await addSleepService({
-            userId,
-            sleepDuration,
-            timezone,
-            requestId
-        });
+        const result = await checkInService.saveCheckIn({ userId, date, values, timezone, requestId });
 
-        return ResponseHandler.success(
-            res, 
-            "Sleep consumption updated successfully", 
-            result
-        );
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Check-in saved successfully", { ...result, todayData });
 
     } catch (error) {
-        Logger.error("Add sleep FAILED", requestId, { 
-            error: error.message 
-        });
+        Logger.error("Save check-in FAILED", requestId, { error: error.message });
+        return handleCheckInError(res, error, "Failed to save check-in", "HEALTH_SAVE_CHECK_IN_FAILED");
+    }
+}
 
-        // Handle specific validation errors
-        if (error.code === 'SLEEP_DURATION_EXCEEDED') {
-            return ResponseHandler.error(
-                res,
-                'Validation failed',
-                error.message,
-                400,
-                'SLEEP_DURATION_EXCEEDED'
-            );
-        }
+async deletecheckin(req, res) {
+    const requestId = `health-deletecheckin_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.params;
 
-        return ResponseHandler.serverError(
-            res,
-            "Failed to update sleep consumption",
-            "HEALTH_ADD_SLEEP_FAILED"
-        );
+        Logger.info("Delete check-in START", requestId, { userId, date });
+
+        const result = await checkInService.deleteCheckIn({ userId, date, requestId });
+
+        return ResponseHandler.success(res, "Check-in deleted successfully", result);
+
+    } catch (error) {
+        Logger.error("Delete check-in FAILED", requestId, { error: error.message });
+        return handleCheckInError(res, error, "Failed to delete check-in", "HEALTH_DELETE_CHECK_IN_FAILED");
     }
 }
 
-   
-async getwater(req,res){
-        const requestId = `health-getwater_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        try{
-            const userId=req.user._id;
-            const date = req.body.date;
-            const timezone = req.headers.timezone || 'UTC';
-            Logger.info('Get water START', requestId, { userId, date });
-            
-            // Get user goals
-            let userGoals = await Goals.findOne({ userId });
-            if (!userGoals) {
-            const { todayData } = await todayDataService({ userId, timezone, requestId });
-            userGoals = todayData.goals; // safe fallback
-        }
-           
-            // Get water data for requested date
-            const waterdata = await DailyHealthData.findOne({userId, date: date}).select('water date -_id');
-            // Always get TODAY's data for streak and goal completions
-            const todayDateString = timeZoneUtil.getCurrentDateInTimezone(timezone);
-            const todayHealth = await DailyHealthData.findOne({
-                userId: userId,
-                date: todayDateString
-            }).select('goalcomplete streak -_id');
-            
-            if(waterdata){
-                if (waterdata?.water) {
-                    waterdata.water.consumed = WaterConverter.mlToGlasses(waterdata.water.consumed || 0);
-                }
-                Logger.info('Get water SUCCESS - Data found', requestId);
-                return ResponseHandler.success(res, 'Water data retrieved successfully', {
-                    goalcompletions: todayHealth?.goalcomplete || false,
-                    streak: todayHealth?.streak || 0,
-                    goals: {
-                        stepsGoal: userGoals.stepsGoal,
-                        caloriesBurnGoal: userGoals.caloriesBurnGoal,
-                        waterIntakeGoal: userGoals.waterIntakeGoal,
-                        caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
-                        sleepGoal: {
-                            hours: userGoals.sleepGoal?.hours
-                        }
-                    },
-                    water: waterdata.water,
-                    date: waterdata.date
-                });
-            }
-            Logger.info('Get water SUCCESS - No data found', requestId);
-            return ResponseHandler.success(res,'No water data found for the specified date',{
-                goalcompletions: todayHealth?.goalcomplete || false,
-                streak: todayHealth?.streak || 0,
-                goals: {
-                    stepsGoal: userGoals.stepsGoal,
-                    caloriesBurnGoal: userGoals.caloriesBurnGoal,
-                    waterIntakeGoal: userGoals.waterIntakeGoal,
-                    caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
-                    sleepGoal: {
-                        hours: userGoals.sleepGoal?.hours
-                    }
-                },
-                date: date
-            });
-        }
-        catch(error){
-            Logger.error('Get water FAILED', requestId, { error: error.message, stack: error.stack });
-            return ResponseHandler.serverError(res,'Failed to get water data', 'HEALTH_GET_WATER_FAILED');
-        }
+async getcheckins(req, res) {
+    const requestId = `health-getcheckins_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const timezone = req.headers.timezone || 'UTC';
+        const { from, to } = req.query;
+
+        const result = await checkInService.listCheckIns({ userId: req.user._id, from, to, timezone });
+
+        return ResponseHandler.success(res, "Check-ins retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get check-ins FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get check-ins', 'HEALTH_GET_CHECK_INS_FAILED');
+    }
 }
 
-async getsleep(req, res) {
-    const requestId = `health-getsleep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+async getcheckinreminder(req, res) {
+    const requestId = `health-getcheckinreminder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const result = await checkInService.getReminder({ userId: req.user._id });
+
+        return ResponseHandler.success(res, "Check-in reminder retrieved successfully", result);
+
+    } catch (error) {
+        Logger.error("Get check-in reminder FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get check-in reminder', 'HEALTH_GET_CHECK_IN_REMINDER_FAILED');
+    }
+}
+
+async updatecheckinreminder(req, res) {
+    const requestId = `health-updatecheckinreminder_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     try {
         const userId = req.user._id;
-        const timezone = req.headers.timezone || 'UTC';
+        const { enabled, time } = req.body;
 
-        const result = await last7DaysService({
-            userId,
-            timezone,
-            requestId,
-            field: "sleep"
-        });
+        Logger.info("Update check-in reminder START", requestId, { userId, enabled, time });
+
+        const result = await checkInService.updateReminder({ userId, enabled, time, requestId });
+
+        return ResponseHandler.success(res, "Check-in reminder updated successfully", result);
 
-        return ResponseHandler.success(res, "Sleep data retrieved successfully", result);
     } catch (error) {
-          return ResponseHandler.serverError(res, 'Failed to get sleep data', 'HEALTH_GET_STEPS_FAILED');
+        Logger.error("Update check-in reminder FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to update check-in reminder', 'HEALTH_UPDATE_CHECK_IN_REMINDER_FAILED');
     }
 }
 
@@ -300,7 +1819,7 @@ async getcalories(req, res) {
             userId,
             date
         })
-            .select("calories date")
+            .select("calories macros date")
             .lean();
 
         // -------------------------------------------------
@@ -325,6 +1844,7 @@ async getcalories(req, res) {
                     burned: caloriesData.calories?.burned || 0,
                     entries: caloriesData.calories?.entries || []
                 },
+                macros: formatMacros(caloriesData.macros),
                 date: caloriesData.date,
                 goalcompletions: todayData.healthData?.goalcompletions || false,
                 streak: todayData.healthData?.streak || 0
@@ -367,8 +1887,8 @@ async addwater(req, res) {
         const userId = req.user._id;
         const timezone = req.headers.timezone || "UTC";
 
-        const waterGlasses = req.body.water?.consumed;
-        if (typeof waterGlasses !== "number") {
+        const water = req.body.water || {};
+        if (water.containerId === undefined && water.amount === undefined && typeof water.consumed !== "number") {
             return ResponseHandler.error(
                 res,
                 "Validation failed",
@@ -378,22 +1898,28 @@ async addwater(req, res) {
             );
         }
 
-        const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
-        const waterInMl = WaterConverter.glassesToMl(waterGlasses);
+        // Defaults to today; a date or time inside the lookback window backdates the entry
+        const { date, at } = req.body;
+        const logDate = timeZoneUtil.getLogDateInTimezone({ date, at }, timezone);
+
+        // Container, amount + unit, or glasses → ml
+        const { ml: waterInMl, container } = await waterService.resolveWaterAmount({ userId, water });
 
         Logger.info("Add water START", requestId, {
             userId,
-            waterGlasses,
-            todayDate
+            waterInMl,
+            containerId: container?._id,
+            logDate
         });
 
-        // --- Fetch existing record for today ---
-        let todayHealth = await DailyHealthData.findOne({ userId, date: todayDate });
+        // --- Fetch existing record for the target day ---
+        let todayHealth = await DailyHealthData.findOne({ userId, date: logDate });
 
         const entry = {
-            glasses: waterGlasses,
-            ml: waterInMl,
-            at: new Date().toISOString() 
+            amount: waterInMl, // ml - lets the entry be edited/undone later
+            containerId: container?._id,
+            containerName: container?.name,
+            at: at || new Date().toISOString() 
         };
 
         // --- Update existing record ---
@@ -407,7 +1933,7 @@ async addwater(req, res) {
         else {
             todayHealth = new DailyHealthData({
                 userId,
-                date: todayDate,
+                date: logDate,
                 water: {
                     consumed: waterInMl,
                     entries: [entry]
@@ -417,6 +1943,10 @@ async addwater(req, res) {
             Logger.info("Water created for new record", requestId);
         }
 
+        // Water may be one of the streak goals
+        await StreakJobService.refreshFromDate({ userId, date: logDate, timezone, requestId });
+        await healthRollupService.refreshForDates({ userId, dates: [logDate], requestId });
+
         // --- Fetch formatted todayData ---
         const { todayData } = await todayDataService({
             userId,
@@ -428,7 +1958,7 @@ async addwater(req, res) {
         return ResponseHandler.success(
             res,
             "Water consumption updated successfully",
-            { todayData }
+            { date: logDate, todayData }
         );
 
     } catch (error) {
@@ -437,11 +1967,73 @@ async addwater(req, res) {
             stack: error.stack
         });
 
-        return ResponseHandler.serverError(
-            res,
-            "Failed to update water consumption",
-            "HEALTH_ADD_WATER_FAILED"
-        );
+        return handleWaterError(res, error, "Failed to update water consumption", "HEALTH_ADD_WATER_FAILED");
+    }
+}
+
+async getwatercontainers(req, res) {
+    const requestId = `health-getwatercontainers_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+
+        const result = await waterService.listContainers({ userId });
+
+        return ResponseHandler.success(res, "Water containers retrieved successfully", result);
+    } catch (error) {
+        Logger.error("Get water containers FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get water containers', 'HEALTH_GET_WATER_CONTAINERS_FAILED');
+    }
+}
+
+async addwatercontainer(req, res) {
+    const requestId = `health-addwatercontainer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { name, volume, unit } = req.body;
+
+        Logger.info("Add water container START", requestId, { userId, name, volume, unit });
+
+        const result = await waterService.createContainer({ userId, name, volume, unit, requestId });
+
+        return ResponseHandler.created(res, "Water container created successfully", result);
+    } catch (error) {
+        Logger.error("Add water container FAILED", requestId, { error: error.message });
+        return handleWaterError(res, error, "Failed to create water container", "HEALTH_ADD_WATER_CONTAINER_FAILED");
+    }
+}
+
+async updatewatercontainer(req, res) {
+    const requestId = `health-updatewatercontainer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { containerId } = req.params;
+        const { name, volume, unit } = req.body;
+
+        Logger.info("Update water container START", requestId, { userId, containerId });
+
+        const result = await waterService.updateContainer({ userId, containerId, name, volume, unit, requestId });
+
+        return ResponseHandler.success(res, "Water container updated successfully", result);
+    } catch (error) {
+        Logger.error("Update water container FAILED", requestId, { error: error.message });
+        return handleWaterError(res, error, "Failed to update water container", "HEALTH_UPDATE_WATER_CONTAINER_FAILED");
+    }
+}
+
+async deletewatercontainer(req, res) {
+    const requestId = `health-deletewatercontainer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { containerId } = req.params;
+
+        Logger.info("Delete water container START", requestId, { userId, containerId });
+
+        const result = await waterService.deleteContainer({ userId, containerId, requestId });
+
+        return ResponseHandler.success(res, "Water container deleted successfully", result);
+    } catch (error) {
+        Logger.error("Delete water container FAILED", requestId, { error: error.message });
+        return handleWaterError(res, error, "Failed to delete water container", "HEALTH_DELETE_WATER_CONTAINER_FAILED");
     }
 }
 
@@ -592,6 +2184,7 @@ async bulkUpdateHealthData(req, res) {
                 sortedData,
                 allDates,
                 firstDate,
+                today,
                 isStreakMode,
             } = validation;
 
@@ -617,6 +2210,19 @@ async bulkUpdateHealthData(req, res) {
                 });
             }
 
+            // Bulk mode skips streaks, and streak mode only covers the posted days:
+            // recompute forward from the earliest changed date in the background
+            const lastDate = allDates[allDates.length - 1];
+            let streakRecomputeQueued = false;
+            if (!isStreakMode || lastDate < today) {
+                try {
+                    await StreakJobService.queueUserRecompute(userId, firstDate, requestId);
+                    streakRecomputeQueued = true;
+                } catch (queueErr) {
+                    Logger.warn("Failed to queue streak recompute", requestId, { error: queueErr.message });
+                }
+            }
+
             // 3️⃣ ALWAYS FETCH TODAY DATA
             const { todayData } = await todayDataService({
                 userId,
@@ -629,8 +2235,8 @@ async bulkUpdateHealthData(req, res) {
                 res,
                 isStreakMode
                     ? "Health data processed with streak calculation"
-                    : "Bulk health data processed (streaks skipped for performance)",
-                { todayData }
+                    : "Bulk health data processed (streaks are recalculated in the background)",
+                { todayData, streakRecomputeQueued }
             );
 
         } catch (error) {
@@ -649,6 +2255,113 @@ async bulkUpdateHealthData(req, res) {
         }
 }
 
+async getentries(req, res) {
+    const requestId = `health-getentries_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const { date } = req.body;
+
+        const result = await intakeEntriesService.listEntries({ userId, date });
+
+        return ResponseHandler.success(res, "Entries retrieved successfully", result);
+    } catch (error) {
+        Logger.error("Get entries FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, 'Failed to get entries', 'HEALTH_GET_ENTRIES_FAILED');
+    }
+}
+
+async updatewaterentry(req, res) {
+    const requestId = `health-updatewaterentry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { entryId } = req.params;
+        const { water } = req.body;
+
+        Logger.info("Update water entry START", requestId, { userId, entryId, water });
+
+        const result = await intakeEntriesService.updateWaterEntry({ userId, entryId, water, timezone, requestId });
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Water entry updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update water entry FAILED", requestId, { error: error.message });
+        if (error.code === 'HEALTH_WATER_ENTRY_NOT_FOUND') {
+            return ResponseHandler.notFound(res, error.message, error.code);
+        }
+        return handleWaterError(res, error, "Failed to update water entry", "HEALTH_UPDATE_WATER_ENTRY_FAILED");
+    }
+}
+
+async deletewaterentry(req, res) {
+    const requestId = `health-deletewaterentry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { entryId } = req.params;
+
+        Logger.info("Delete water entry START", requestId, { userId, entryId });
+
+        const result = await intakeEntriesService.deleteWaterEntry({ userId, entryId, timezone, requestId });
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Water entry deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete water entry FAILED", requestId, { error: error.message });
+        return handleIntakeEntryError(res, error, "Failed to delete water entry", "HEALTH_DELETE_WATER_ENTRY_FAILED");
+    }
+}
+
+async updatecalorieentry(req, res) {
+    const requestId = `health-updatecalorieentry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { entryId } = req.params;
+        const consumed = Number(req.body.calories.consumed);
+
+        Logger.info("Update calorie entry START", requestId, { userId, entryId, consumed });
+
+        const result = await intakeEntriesService.updateCalorieEntry({
+            userId,
+            entryId,
+            consumed,
+            macros: req.body.calories,
+            timezone,
+            requestId
+        });
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Calorie entry updated successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Update calorie entry FAILED", requestId, { error: error.message });
+        return handleIntakeEntryError(res, error, "Failed to update calorie entry", "HEALTH_UPDATE_CALORIE_ENTRY_FAILED");
+    }
+}
+
+async deletecalorieentry(req, res) {
+    const requestId = `health-deletecalorieentry_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const userId = req.user._id;
+        const timezone = req.headers.timezone || "UTC";
+        const { entryId } = req.params;
+
+        Logger.info("Delete calorie entry START", requestId, { userId, entryId });
+
+        const result = await intakeEntriesService.deleteCalorieEntry({ userId, entryId, timezone, requestId });
+        const { todayData } = await todayDataService({ userId, timezone, requestId });
+
+        return ResponseHandler.success(res, "Calorie entry deleted successfully", { ...result, todayData });
+
+    } catch (error) {
+        Logger.error("Delete calorie entry FAILED", requestId, { error: error.message });
+        return handleIntakeEntryError(res, error, "Failed to delete calorie entry", "HEALTH_DELETE_CALORIE_ENTRY_FAILED");
+    }
+}
+
 async addCalories(req, res) {
     const requestId = `health-calories_${Date.now()}_${Math.random()
         .toString(36)
@@ -669,48 +2382,27 @@ async addCalories(req, res) {
             );
         }
 
-        const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+        // Defaults to today; a date or time inside the lookback window backdates the entry
+        const { date, at } = req.body;
+        const logDate = timeZoneUtil.getLogDateInTimezone({ date, at }, timezone);
 
         Logger.info("Add calories START", requestId, {
             userId,
             caloriesConsumed,
-            todayDate
+            logDate
         });
 
-        // --- Find today's document ---
-        let todayHealth = await DailyHealthData.findOne({ userId, date: todayDate });
-
         const entry = {
             consumed: caloriesConsumed,
-            at: new Date().toISOString() 
+            at: at || new Date().toISOString() 
         };
+        MACRO_KEYS.forEach(key => {
+            if (req.body.calories[key] !== undefined) entry[key] = Number(req.body.calories[key]);
+        });
+        if (req.body.calories.name) entry.name = req.body.calories.name;
 
-        // --- Update existing ---
-        if (todayHealth) {
-            if (!todayHealth.calories) {
-                todayHealth.calories = { consumed: 0, burned: 0, entries: [] };
-            }
-            todayHealth.calories.consumed += caloriesConsumed;
-            todayHealth.calories.entries.push(entry);
-
-            await todayHealth.save();
-            Logger.info("Calories updated (existing)", requestId);
-        }
-        // --- Create new record ---
-        else {
-            todayHealth = new DailyHealthData({
-                userId,
-                date: todayDate,
-                calories: {
-                    consumed: caloriesConsumed,
-                    burned: 0,
-                    entries: [entry]
-                }
-            });
-
-            await todayHealth.save();
-            Logger.info("Calories created (new record)", requestId);
-        }
+        // Adds to the day's total (calorie intake may be one of the streak goals)
+        await intakeEntriesService.addCalorieEntry({ userId, date: logDate, entry, timezone, requestId });
 
         // --- Get formatted unified todayData ---
         const { todayData } = await todayDataService({
@@ -723,7 +2415,7 @@ async addCalories(req, res) {
         return ResponseHandler.success(
             res,
             "Calories consumed updated successfully",
-            { todayData }
+            { date: logDate, todayData }
         );
 
     } catch (error) {
@@ -0,0 +1,29 @@
+// Health Rollup Controller - Admin summaries across all users, read from the week / month rollups
+const ResponseHandler = require('../utils/ResponseHandler');
+const Logger = require('../utils/logger');
+const healthRollupService = require('../services/Health/rollups/healthRollup.service');
+
+class HealthRollupController {
+
+async getsummary(req, res) {
+    const requestId = `admin-rollupsummary_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const period = req.query.period || 'month';
+        const date = req.query.date || new Date().toISOString().split('T')[0];
+        const weekStart = req.query.weekStart || 'sunday';
+
+        Logger.info("Health rollup summary START", requestId, { adminId: req.user._id, period, date, weekStart });
+
+        const summary = await healthRollupService.getCrossUserSummary({ period, date, weekStart });
+
+        return ResponseHandler.success(res, "Health rollup summary retrieved successfully", summary);
+
+    } catch (error) {
+        Logger.error("Health rollup summary FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get health rollup summary", "ADMIN_HEALTH_ROLLUP_SUMMARY_FAILED");
+    }
+}
+
+}
+
+module.exports = new HealthRollupController();
@@ -0,0 +1,62 @@
+// Health Score Rule Controller - Admin management of the app-wide daily health score weights
+const ResponseHandler = require('../utils/ResponseHandler');
+const Logger = require('../utils/logger');
+const healthScoreService = require('../services/Health/score/healthScore.service');
+const StreakJobService = require('../services/Health/streak/streakJob.service');
+
+class HealthScoreRuleController {
+
+async getrule(req, res) {
+    const requestId = `admin-gethealthscorerule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const rule = await healthScoreService.getScoreRule(requestId);
+
+        return ResponseHandler.success(res, "Health score rule retrieved successfully", { rule });
+
+    } catch (error) {
+        Logger.error("Get health score rule FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get health score rule", "ADMIN_GET_HEALTH_SCORE_RULE_FAILED");
+    }
+}
+
+async updaterule(req, res) {
+    const requestId = `admin-updatehealthscorerule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        Logger.info("Update health score rule START", requestId, {
+            adminId: req.user._id,
+            fields: Object.keys(req.body)
+        });
+
+        const rule = await healthScoreService.updateScoreRule({
+            updates: req.body,
+            adminId: req.user._id,
+            requestId
+        });
+
+        // Stored scores were calculated with the old weights: rescore every user's history
+        let rescoreJobId = null;
+        try {
+            ({ jobId: rescoreJobId } = await StreakJobService.queueAllUsersRecompute(null, requestId));
+        } catch (queueErr) {
+            Logger.warn("Failed to queue health score rescore", requestId, { error: queueErr.message });
+        }
+
+        return ResponseHandler.success(res, "Health score rule updated successfully", { rule, rescoreJobId });
+
+    } catch (error) {
+        Logger.error("Update health score rule FAILED", requestId, { error: error.message });
+
+        if (error.code === 'HEALTH_SCORE_WEIGHTS_EMPTY') {
+            return ResponseHandler.error(res, "Validation failed", error.message, 400, error.code);
+        }
+        if (error.name === 'ValidationError') {
+            return ResponseHandler.mongooseError(res, error);
+        }
+
+        return ResponseHandler.serverError(res, "Failed to update health score rule", "ADMIN_UPDATE_HEALTH_SCORE_RULE_FAILED");
+    }
+}
+
+}
+
+module.exports = new HealthScoreRuleController();
@@ -0,0 +1,87 @@
+// Streak Rule Controller - Admin management of the app-wide streak rule and streak rebuilds
+const ResponseHandler = require('../utils/ResponseHandler');
+const Logger = require('../utils/logger');
+const streakService = require('../services/Health/streak/streak.service');
+const StreakJobService = require('../services/Health/streak/streakJob.service');
+
+class StreakRuleController {
+
+async getrule(req, res) {
+    const requestId = `admin-getstreakrule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const rule = await streakService.getStreakRule(requestId);
+
+        return ResponseHandler.success(res, "Streak rule retrieved successfully", { rule });
+
+    } catch (error) {
+        Logger.error("Get streak rule FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to get streak rule", "ADMIN_GET_STREAK_RULE_FAILED");
+    }
+}
+
+async updaterule(req, res) {
+    const requestId = `admin-updatestreakrule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        Logger.info("Update streak rule START", requestId, {
+            adminId: req.user._id,
+            fields: Object.keys(req.body)
+        });
+
+        const rule = await streakService.updateStreakRule({
+            updates: req.body,
+            adminId: req.user._id,
+            requestId
+        });
+
+        // Stored goalcomplete / streak values were evaluated with the old rule: rebuild every user's history
+        let recomputeJobId = null;
+        try {
+            ({ jobId: recomputeJobId } = await StreakJobService.queueAllUsersRecompute(null, requestId));
+        } catch (queueErr) {
+            Logger.warn("Failed to queue streak recompute", requestId, { error: queueErr.message });
+        }
+
+        return ResponseHandler.success(res, "Streak rule updated successfully", { rule, recomputeJobId });
+
+    } catch (error) {
+        Logger.error("Update streak rule FAILED", requestId, { error: error.message });
+
+        if (error.name === 'ValidationError') {
+            return ResponseHandler.mongooseError(res, error);
+        }
+
+        return ResponseHandler.serverError(res, "Failed to update streak rule", "ADMIN_UPDATE_STREAK_RULE_FAILED");
+    }
+}
+
+async recompute(req, res) {
+    const requestId = `admin-streakrecompute_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    try {
+        const { userId, fromDate } = req.body;
+
+        Logger.info("Streak recompute trigger START", requestId, {
+            adminId: req.user._id,
+            userId: userId || 'all',
+            fromDate
+        });
+
+        const { jobId } = userId
+            ? await StreakJobService.queueUserRecompute(userId, fromDate, requestId)
+            : await StreakJobService.queueAllUsersRecompute(fromDate, requestId);
+
+        return ResponseHandler.success(
+            res,
+            "Streak recompute queued",
+            { jobId, scope: userId ? 'user' : 'all', userId: userId || null, fromDate: fromDate || null },
+            202
+        );
+
+    } catch (error) {
+        Logger.error("Streak recompute trigger FAILED", requestId, { error: error.message });
+        return ResponseHandler.serverError(res, "Failed to queue streak recompute", "ADMIN_STREAK_RECOMPUTE_FAILED");
+    }
+}
+
+}
+
+module.exports = new StreakRuleController();
@@ -18,6 +18,20 @@ const s3 = require('../services/s3Service')
 const dailyHealthData = require('../models/DailyHealthData');
 const otp = require('../models/OTP');
 const Goals = require('../models/Goals');
+const GoalHistory = require('../models/GoalHistory');
+const WorkoutProgress = require('../models/WorkoutProgress');
+const BodyMetric = require('../models/BodyMetric');
+const WaterContainer = require('../models/WaterContainer');
+const HealthRollup = require('../models/HealthRollup');
+const FavoriteFood = require('../models/FavoriteFood');
+const RecentFood = require('../models/RecentFood');
+const MealTemplate = require('../models/MealTemplate');
+const FastingSession = require('../models/FastingSession');
+const CustomMetric = require('../models/CustomMetric');
+const bodyMetricsService = require('../services/Health/bodyMetrics/bodyMetrics.service');
+const healthRollupService = require('../services/Health/rollups/healthRollup.service');
+const reportCacheService = require('../services/Health/reports/reportCache.service');
+const calorieTargetsService = require('../services/Health/goals/calorieTargets.service');
 const passwordReset = require('../models/PasswordReset');
 
 async function updateUserProfile(req, res) {
@@ -55,7 +69,9 @@ async function updateUserProfile(req, res) {
             sportsAmbitions,
             bodyProfile,
             mainGoal,
-            loyaltyPercentage
+            loyaltyPercentage,
+            waterUnit,
+            weekStart
         } = req.body;
 
         Logger.info('Profile data received', requestId, { 
@@ -164,6 +180,14 @@ async function updateUserProfile(req, res) {
             updateData.sportsAmbitions = sportsAmbitions;
         }
 
+        if (waterUnit !== undefined) {
+            updateData['userPreferences.waterUnit'] = waterUnit;
+        }
+
+        if (weekStart !== undefined) {
+            updateData['userPreferences.weekStart'] = weekStart;
+        }
+
         // Check if there's anything to update
         if (Object.keys(updateData).length === 0) {
             Logger.warn('No fields to update', requestId);
@@ -220,6 +244,48 @@ async function updateUserProfile(req, res) {
             name: userUpdated.name 
         });
 
+        // Weight changes from the profile also land in the body metrics log
+        if (updateData.weight !== undefined) {
+            try {
+                await bodyMetricsService.recordProfileWeight({
+                    userId: userUpdated._id,
+                    weightKg: updateData.weight,
+                    timezone: req.headers.timezone,
+                    requestId
+                });
+            } catch (logError) {
+                Logger.warn('Failed to record profile weight in body metrics', requestId, { error: logError.message });
+            }
+        }
+
+        // Week rollups are built per week start; a new week start rebuilds them on the next report
+        if (weekStart !== undefined && weekStart !== (user.userPreferences?.weekStart || 'sunday')) {
+            try {
+                await healthRollupService.clearWeekRollups(userUpdated._id);
+            } catch (clearError) {
+                Logger.warn('Failed to clear week rollups', requestId, { error: clearError.message });
+            }
+        }
+
+        // Cached reports carry the user's units and week boundaries
+        if (weightUnit !== undefined || waterUnit !== undefined || weekStart !== undefined) {
+            await reportCacheService.invalidateUser({ userId: userUpdated._id, requestId });
+        }
+
+        // Calorie targets follow the profile (applied to the goals only while they are on auto)
+        let calorieTargets;
+        if (['weight', 'height', 'age', 'gender', 'bodyProfile', 'mainGoal'].some(field => updateData[field] !== undefined)) {
+            try {
+                calorieTargets = await calorieTargetsService.recalculateCalorieTargets({
+                    userId: userUpdated._id,
+                    timezone: req.headers.timezone,
+                    requestId
+                });
+            } catch (targetError) {
+                Logger.warn('Failed to recalculate calorie targets', requestId, { error: targetError.message });
+            }
+        }
+
         // Calculate display height and weight for response
         const displayHeight = getDisplayHeight(userUpdated.height, userUpdated.userPreferences.heightUnit);
         const displayWeight = getDisplayWeight(userUpdated.weight, userUpdated.userPreferences.weightUnit);
@@ -248,7 +314,8 @@ async function updateUserProfile(req, res) {
                 bodyProfile: userUpdated.bodyProfile,
                 mainGoal: userUpdated.mainGoal,
                 loyaltyPercentage: userUpdated.loyaltyPercentage
-            }
+            },
+            ...(calorieTargets && { calorieTargets })
         });
 
     } catch (error) {
@@ -504,6 +571,31 @@ async function updateFirstTimeProfile(req, res) {
             name: userUpdated.name 
         });
 
+        // Starting weight becomes the first body metrics entry
+        try {
+            await bodyMetricsService.recordProfileWeight({
+                userId: userUpdated._id,
+                weightKg: weightInKg,
+                timezone: req.headers.timezone,
+                requestId
+            });
+        } catch (logError) {
+            Logger.warn('Failed to record profile weight in body metrics', requestId, { error: logError.message });
+        }
+
+        // Calorie goals start from the profile's BMR/TDEE instead of the flat defaults
+        let calorieTargets = null;
+        try {
+            calorieTargets = await calorieTargetsService.recalculateCalorieTargets({
+                userId: userUpdated._id,
+                timezone: req.headers.timezone,
+                requestId,
+                enableAuto: true
+            });
+        } catch (targetError) {
+            Logger.warn('Failed to apply calorie targets', requestId, { error: targetError.message });
+        }
+
         // Calculate display height and weight for response
         const displayHeight = getDisplayHeight(userUpdated.height, userUpdated.userPreferences.heightUnit);
         const displayWeight = getDisplayWeight(userUpdated.weight, userUpdated.userPreferences.weightUnit);
@@ -532,7 +624,8 @@ async function updateFirstTimeProfile(req, res) {
                 mainGoal: userUpdated.mainGoal,
                 sportsAmbitions: userUpdated.sportsAmbitions,
                 userPreferences: userUpdated.userPreferences
-            }
+            },
+            calorieTargets
         });
 
     } catch (error) {
@@ -620,6 +713,16 @@ const deleteUserAccount = async (req, res) => {
             await otp.deleteMany({ user: userId });
             await passwordReset.deleteMany({ user: userId });
             await Goals.deleteMany({ user: userId });
+            await GoalHistory.deleteMany({ userId });
+            await WorkoutProgress.deleteMany({ userId });
+            await BodyMetric.deleteMany({ userId });
+            await WaterContainer.deleteMany({ userId });
+            await HealthRollup.deleteMany({ userId });
+            await FavoriteFood.deleteMany({ userId });
+            await RecentFood.deleteMany({ userId });
+            await MealTemplate.deleteMany({ userId });
+            await FastingSession.deleteMany({ userId });
+            await CustomMetric.deleteMany({ userId });
 
             Logger.info('Cascade delete completed', requestId, { userId });
         } catch (cascadeErr) {
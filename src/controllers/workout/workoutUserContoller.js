@@ -5,6 +5,8 @@ const WorkoutVideoModel = require('../../models/workoutvideo');
 const categoryWorkout = require('../../models/CategoryWorkout');
 const CategoryModel = require('../../models/Category');
 const redisClient = require('../../utils/redisClient');
+const workoutProgressService = require('../../services/workout/workoutProgress.service');
+const workoutsService = require('../../services/Health/workouts/workouts.service');
 
 // Define the minimal set of fields to return for a list view
 const WORKOUT_PROJECTION = {
@@ -18,6 +20,36 @@ const WORKOUT_PROJECTION = {
   sequence: 1,
 };
 
+// Prepend the user's "continue where you left off" section to the (shared, cached) homepage sections
+async function withContinueSection(userId, sections) {
+  const continueWorkouts = await workoutProgressService.getContinueWorkouts({ userId, limit: 10 });
+  if (!continueWorkouts.length) return sections;
+
+  return [
+    {
+      categoryId: null,
+      category: "Continue where you left off",
+      section: "continue",
+      designId: 0,
+      categorySequence: 0,
+      totalWorkouts: continueWorkouts.length,
+      data: continueWorkouts,
+    },
+    ...sections,
+  ];
+}
+
+// Map workout progress service errors to responses
+function handleProgressError(res, error, message, code) {
+  if (error.code === 'WORKOUT_NOT_FOUND' || error.code === 'HEALTH_CATALOGUE_WORKOUT_NOT_FOUND') {
+    return ResponseHandler.notFound(res, error.message, error.code);
+  }
+  if (error.code === 'WORKOUT_VIDEO_INDEX_OUT_OF_RANGE') {
+    return ResponseHandler.badRequest(res, error.message, error.code);
+  }
+  return ResponseHandler.serverError(res, message, code);
+}
+
 class WorkoutUserController {
 async getcategory(req, res) {
   const requestId = `category-workouts_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -115,7 +147,7 @@ async homepage(req, res) {
         return ResponseHandler.success(
           res,
           "Homepage data fetched successfully (from cache)",
-          JSON.parse(cachedData)
+          await withContinueSection(req.user._id, JSON.parse(cachedData))
         );
       }
 
@@ -213,7 +245,7 @@ async homepage(req, res) {
       return ResponseHandler.success(
         res,
         "Homepage data fetched successfully",
-        result
+        await withContinueSection(req.user._id, result)
       );
     } catch (error) {
       Logger.error("Homepage fetch FAILED", requestId, {
@@ -328,6 +360,8 @@ async getworkoutbyid(req, res) {
     if (cachedWorkout) {
       Logger.info('🧠 Cache hit for workout details', requestId, { workoutId });
       const workout = JSON.parse(cachedWorkout);
+      // Progress is per-user, so it is attached after the shared cache
+      workout.progress = await workoutProgressService.getProgress(req.user._id, workoutId, workout.videos.length);
       return ResponseHandler.success(res, 'Workout fetched successfully (from cache)', workout);
     }
 
@@ -375,6 +409,8 @@ async getworkoutbyid(req, res) {
     await redisClient.set(cacheKey, JSON.stringify(workout), { EX: 600 });
     Logger.info('💾 Cached workout details in Redis', requestId, { workoutId });
 
+    workout.progress = await workoutProgressService.getProgress(req.user._id, workoutId, videosWithSequence.length);
+
     // 4️⃣ Return final result
     Logger.info('Get workout by ID SUCCESS', requestId, {
       workoutId,
@@ -396,6 +432,66 @@ async getworkoutbyid(req, res) {
   }
 }
 
+async updateprogress(req, res) {
+  const requestId = `workout-progress_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const { workoutId, videoIndex } = req.body;
+
+    Logger.info('Update workout progress START', requestId, { workoutId, videoIndex });
+
+    const progress = await workoutProgressService.recordProgress({
+      userId: req.user._id,
+      workoutId,
+      videoIndex,
+      requestId
+    });
+
+    return ResponseHandler.success(res, 'Workout progress updated successfully', { workoutId, progress });
+
+  } catch (error) {
+    Logger.error('Update workout progress FAILED', requestId, { error: error.message });
+    return handleProgressError(res, error, 'Failed to update workout progress', 'WORKOUT_PROGRESS_UPDATE_FAILED');
+  }
+}
+
+async completeworkout(req, res) {
+  const requestId = `workout-complete_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const userId = req.user._id;
+    const timezone = req.headers.timezone || 'UTC';
+    const { workoutId, logSession, duration, intensity } = req.body;
+
+    Logger.info('Complete workout START', requestId, { workoutId, logSession });
+
+    const { progress } = await workoutProgressService.completeWorkout({
+      userId,
+      workoutId,
+      timezone,
+      requestId
+    });
+
+    // Optionally log the session on today's health record (adds to calories burned)
+    let session = null;
+    if (logSession) {
+      const logged = await workoutsService.logWorkout({
+        userId,
+        workout: { workoutId, duration, intensity },
+        timezone,
+        requestId
+      });
+      session = logged.workout;
+    }
+
+    return ResponseHandler.success(res, 'Workout completed successfully', { workoutId, progress, session });
+
+  } catch (error) {
+    Logger.error('Complete workout FAILED', requestId, { error: error.message });
+    return handleProgressError(res, error, 'Failed to complete workout', 'WORKOUT_COMPLETE_FAILED');
+  }
+}
+
 async searchWorkouts(req, res) {
   try {
     const { 
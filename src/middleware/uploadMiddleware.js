@@ -18,6 +18,23 @@ const upload = multer({
   }
 });
 
+// Dataset files (CSV / JSON) for admin imports
+const DATA_FILE_TYPES = ['text/csv', 'application/json', 'application/vnd.ms-excel', 'text/plain'];
+
+const dataUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (DATA_FILE_TYPES.includes(file.mimetype) || /\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed!'), false);
+    }
+  }
+});
+
 // Middleware to check if file exists
 const checkFileExists = (req, res, next) => {
   if (!req.file) {
@@ -29,4 +46,4 @@ const checkFileExists = (req, res, next) => {
   next();
 };
 
-module.exports = { upload, checkFileExists };
\ No newline at end of file
+module.exports = { upload, dataUpload, checkFileExists };
\ No newline at end of file
@@ -0,0 +1,36 @@
+// models/BodyMetric.js
+const mongoose = require('mongoose');
+
+// Dated body measurements. Stored in standard units (kg, cm); one entry per user per day.
+const bodyMetricSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Date in YYYY-MM-DD format (user's timezone)
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    weight: { type: Number, min: 10, max: 500 },          // kg
+    bodyFatPercent: { type: Number, min: 2, max: 75 },
+    waist: { type: Number, min: 30, max: 300 },           // cm
+    hip: { type: Number, min: 30, max: 300 },             // cm
+    chest: { type: Number, min: 30, max: 300 },           // cm
+
+    // BMI from weight + the user's height at the time of logging
+    heightCm: Number,
+    bmi: Number,
+
+    notes: { type: String, maxlength: 500 },
+}, {
+    timestamps: true
+});
+
+bodyMetricSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.models.BodyMetric || mongoose.model('BodyMetric', bodyMetricSchema);
@@ -0,0 +1,33 @@
+// models/CustomMetric.js
+const mongoose = require('mongoose');
+const { CUSTOM_METRIC_TYPES, TARGET_DIRECTIONS } = require('../utils/customMetrics');
+
+// A user's own tracker ("coffee cups", "meditated?", "stress 1-5"). Daily values live in
+// DailyHealthData.customMetrics under the metric's _id.
+const customMetricSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: { type: String, required: true, trim: true, maxlength: 40 },
+    unit: { type: String, trim: true, maxlength: 20, default: '' },
+    description: { type: String, trim: true, maxlength: 200 },
+
+    // Fixed once created - stored values depend on it
+    valueType: { type: String, enum: CUSTOM_METRIC_TYPES, required: true },
+
+    // Daily target: a number (number / scale) or true/false (boolean); none for text
+    target: { type: mongoose.Schema.Types.Mixed, default: null },
+    targetDirection: { type: String, enum: TARGET_DIRECTIONS, default: 'atLeast' },
+
+    // Admin template the metric was created from, if any
+    templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'CustomMetricTemplate' },
+}, {
+    timestamps: true
+});
+
+customMetricSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.models.CustomMetric || mongoose.model('CustomMetric', customMetricSchema);
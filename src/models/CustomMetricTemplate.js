@@ -0,0 +1,25 @@
+// models/CustomMetricTemplate.js
+const mongoose = require('mongoose');
+const { CUSTOM_METRIC_TYPES, TARGET_DIRECTIONS } = require('../utils/customMetrics');
+
+// Admin-defined starting points for custom metrics; users copy one into their own CustomMetric
+const customMetricTemplateSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true, maxlength: 40 },
+    unit: { type: String, trim: true, maxlength: 20, default: '' },
+    description: { type: String, trim: true, maxlength: 200 },
+
+    valueType: { type: String, enum: CUSTOM_METRIC_TYPES, required: true },
+    target: { type: mongoose.Schema.Types.Mixed, default: null },
+    targetDirection: { type: String, enum: TARGET_DIRECTIONS, default: 'atLeast' },
+
+    // Inactive templates are hidden from users; metrics already created from them stay
+    isActive: { type: Boolean, default: true },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, {
+    timestamps: true
+});
+
+customMetricTemplateSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.models.CustomMetricTemplate || mongoose.model('CustomMetricTemplate', customMetricTemplateSchema);
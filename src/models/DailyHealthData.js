@@ -21,6 +21,16 @@ const dailyHealthDataSchema = new mongoose.Schema(
     // Heart Rate Tracking
     heartRate: {
       avgBpm: Number, // Average BPM for the day
+      restingBpm: Number, // Resting heart rate (from watch or manual)
+      minBpm: Number,
+      maxBpm: Number,
+      samples: [
+        {
+          at: { type: Date, required: true }, // When the reading was taken
+          bpm: Number,
+          _id: false,
+        },
+      ],
     },
 
     // Step Counter
@@ -42,6 +52,11 @@ const dailyHealthDataSchema = new mongoose.Schema(
         {
           at: { type: Date, default: Date.now },
           amount: Number, // ml consumed at this time
+          containerId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'WaterContainer', // Set when logged with one of the user's containers
+          },
+          containerName: String, // Container name at the time of logging
           notes: String, // Optional notes
         },
       ],
@@ -54,23 +69,44 @@ const dailyHealthDataSchema = new mongoose.Schema(
         default: 0,
       },
       burned: {
-        type: Number, // Total calories burned (from watch)
+        type: Number, // Total calories burned (watch + logged workouts)
         default: 0,
       },
+      deviceBurned: Number, // Calories burned as reported by the watch
       entries: [
         {
           consumed: Number,
+          name: String, // Food name when logged from the food catalogue
+          foodId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Food', // Set when logged from the food catalogue
+          },
+          protein: Number, // grams
+          carbs: Number, // grams
+          fat: Number, // grams
+          fiber: Number, // grams
           at: { type: Date, default: Date.now },
         },
       ],
     },
 
+    // Daily macro totals in grams (calorie entries + meal foods, kept in sync on every write)
+    macros: {
+      protein: { type: Number, default: 0 },
+      carbs: { type: Number, default: 0 },
+      fat: { type: Number, default: 0 },
+      fiber: { type: Number, default: 0 },
+    },
+
     // Sleep Tracking
     sleep: {
-      duration: Number, // Hours slept (from watch)
+      duration: Number, // Hours slept (watch + manual sessions)
       entries: [
         {
-          duration: Number, // Duration of this sleep session
+          duration: Number, // Duration of this sleep session (hours)
+          type: { type: String, enum: ['main', 'nap'], default: 'main' },
+          startTime: Date, // Bedtime (sessions logged with start/end)
+          endTime: Date, // Wake time - the session belongs to the local date of this time
           at: { type: Date, default: Date.now }, // When this sleep was recorded
         },
       ],
@@ -79,7 +115,12 @@ const dailyHealthDataSchema = new mongoose.Schema(
     // Workout Sessions
     workouts: [
       {
-        type: String, // "cardio", "strength", "yoga"
+        type: { type: String }, // "cardio", "strength", "yoga"
+        name: String, // Catalogue workout name or free-form title
+        workoutId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Workout', // Set when a catalogue workout was completed
+        },
         duration: Number, // minutes
         caloriesBurned: Number,
         exercises: [String], // ["push-ups", "squats"]
@@ -88,6 +129,7 @@ const dailyHealthDataSchema = new mongoose.Schema(
           enum: ['low', 'moderate', 'high', 'intense'],
         },
         notes: String,
+        at: { type: Date, default: Date.now }, // When the session was logged
       },
     ],
 
@@ -104,10 +146,32 @@ const dailyHealthDataSchema = new mongoose.Schema(
             name: String, // "Grilled Chicken", "Brown Rice", "Apple"
             quantity: String, // "150g", "1 cup", "1 medium"
             calories: Number, // Estimated calories for this food item
+            foodId: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'Food', // Set when picked from the food catalogue
+            },
+            grams: Number, // Catalogue amount the nutrition was calculated for
+            protein: Number, // grams
+            carbs: Number, // grams
+            fat: Number, // grams
+            fiber: Number, // grams
           },
         ],
         totalCalories: Number, // Total calories for this meal
+        totalMacros: {
+          protein: Number,
+          carbs: Number,
+          fat: Number,
+          fiber: Number,
+        }, // Grams summed over the meal's foods
         notes: String, // Optional notes about the meal
+        source: {
+          type: String,
+          enum: ['manual', 'image_estimate'],
+          default: 'manual',
+        },
+        imageUrl: String, // Photo of the meal (S3) when logged from an image estimate
+        imageKey: String, // S3 key for imageUrl
       },
     ],
 
@@ -121,10 +185,34 @@ const dailyHealthDataSchema = new mongoose.Schema(
       default: false,
     },
 
+    // Consecutive missed streak days up to and including this one (grace days)
+    streakMisses: {
+      type: Number,
+      default: 0,
+    },
+
+    // 0-100 score from progress toward every goal (see utils/healthScore.js)
+    healthScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
+
     // Notes & Additional Data
     notes: String,
 
-    // Flexible field for future additions
+    // Daily check-in: how the user feels (scores 1-5), written through checkIn.service
+    checkIn: {
+      mood: { type: Number, min: 1, max: 5 },
+      energy: { type: Number, min: 1, max: 5 },
+      stress: { type: Number, min: 1, max: 5 },
+      soreness: { type: Number, min: 1, max: 5 },
+      note: { type: String, maxlength: 500 },
+      at: Date, // When the check-in was last saved
+    },
+
+    // User-defined metric values: { "<CustomMetric _id>": number | boolean | 1-5 | text },
+    // written only through customMetrics.service (value checked against the metric's type)
     customMetrics: mongoose.Schema.Types.Mixed,
   },
   {
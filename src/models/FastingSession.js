@@ -0,0 +1,50 @@
+// models/FastingSession.js
+const mongoose = require('mongoose');
+const { PROTOCOL_KEYS, MIN_FASTING_HOURS, MAX_FASTING_HOURS } = require('../utils/fastingCalculator');
+
+// One intermittent fast. A user has at most one active fast at a time.
+const fastingSessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    protocol: { type: String, enum: PROTOCOL_KEYS, required: true },
+    fastingHours: { type: Number, min: MIN_FASTING_HOURS, max: MAX_FASTING_HOURS, required: true },
+
+    startedAt: { type: Date, required: true },
+    plannedEndAt: { type: Date, required: true },
+    endedAt: { type: Date },
+
+    // completed = lasted until plannedEndAt, broken = ended early
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'broken'],
+        default: 'active',
+    },
+
+    // Dates in YYYY-MM-DD format (user's timezone); reports and streaks use endDate
+    startDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+    endDate: { type: String, match: /^\d{4}-\d{2}-\d{2}$/ },
+
+    // Optional push before plannedEndAt (see fastingReminder.service)
+    reminder: {
+        enabled: { type: Boolean, default: false },
+        minutesBefore: { type: Number, min: 0, max: 240, default: 0 },
+        sentAt: { type: Date },
+    },
+
+    notes: { type: String, maxlength: 500 },
+}, {
+    timestamps: true
+});
+
+fastingSessionSchema.index({ userId: 1, startedAt: -1 });
+fastingSessionSchema.index({ userId: 1, endDate: 1 });
+fastingSessionSchema.index(
+    { userId: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.models.FastingSession || mongoose.model('FastingSession', fastingSessionSchema);
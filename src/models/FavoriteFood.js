@@ -0,0 +1,34 @@
+// models/FavoriteFood.js
+const mongoose = require('mongoose');
+
+// A food the user saved for one-tap logging (catalogue pick or typed by hand).
+// Values are a snapshot, so catalogue re-imports never change a favourite.
+const favoriteFoodSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    quantity: { type: String, trim: true, maxlength: 50 }, // "1 cup", "2 slices"
+    calories: { type: Number, required: true, min: 0, max: 5000 },
+    protein: { type: Number, default: 0 }, // grams
+    carbs: { type: Number, default: 0 },
+    fat: { type: Number, default: 0 },
+    fiber: { type: Number, default: 0 },
+    foodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Food', // Set when saved from the food catalogue
+    },
+    grams: Number, // Catalogue amount the values were calculated for
+
+    // Same food + quantity + calories is only saved once
+    key: { type: String, required: true },
+}, {
+    timestamps: true
+});
+
+favoriteFoodSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.models.FavoriteFood || mongoose.model('FavoriteFood', favoriteFoodSchema);
@@ -0,0 +1,57 @@
+// models/Food.js
+const mongoose = require('mongoose');
+
+// Food catalogue entry (admin-imported dataset). Nutrition is stored per 100 g;
+// serving sizes map a label ("1 cup", "1 slice") to grams.
+const foodSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100,
+    },
+    brand: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+    },
+
+    // EAN-8 / UPC-A / EAN-13 / GTIN-14 digits
+    barcode: {
+        type: String,
+        trim: true,
+        match: /^\d{8,14}$/,
+    },
+
+    // Per 100 g
+    calories: { type: Number, required: true, min: 0, max: 1000 },
+    protein: { type: Number, default: 0, min: 0, max: 100 },
+    carbs: { type: Number, default: 0, min: 0, max: 100 },
+    fat: { type: Number, default: 0, min: 0, max: 100 },
+    fiber: { type: Number, default: 0, min: 0, max: 100 },
+
+    servingSizes: [
+        {
+            label: { type: String, required: true, trim: true, maxlength: 50 }, // "1 cup", "1 medium"
+            grams: { type: Number, required: true, min: 0.1, max: 5000 },
+            _id: false,
+        },
+    ],
+
+    // Normalised "name brand" and its trigrams, used by the fuzzy search
+    nameKey: { type: String, required: true },
+    trigrams: [String],
+
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+}, {
+    timestamps: true
+});
+
+foodSchema.index({ barcode: 1 }, { unique: true, sparse: true });
+foodSchema.index({ nameKey: 1 });
+foodSchema.index({ trigrams: 1 });
+
+module.exports = mongoose.models.Food || mongoose.model('Food', foodSchema);
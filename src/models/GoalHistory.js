@@ -0,0 +1,41 @@
+// models/GoalHistory.js
+const mongoose = require('mongoose');
+
+// One document per user per day on which the goals changed.
+// Reports resolve "goals in effect on date X" as the latest version with effectiveFrom <= X.
+const goalHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    // Date in YYYY-MM-DD format (user's timezone) from which these goals apply
+    effectiveFrom: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    stepsGoal: { type: Number },
+    caloriesBurnGoal: { type: Number },
+    waterIntakeGoal: { type: Number }, // glasses per day
+    waterIntakeGoalMl: { type: Number }, // ml per day
+    caloriesIntakeGoal: { type: Number },
+    macroGoals: {
+        protein: { type: Number },
+        carbs: { type: Number },
+        fat: { type: Number },
+        fiber: { type: Number }
+    },
+    sleepGoal: {
+        hours: { type: Number }
+    }
+}, {
+    timestamps: true
+});
+
+// Multiple edits on the same day collapse into a single version
+goalHistorySchema.index({ userId: 1, effectiveFrom: 1 }, { unique: true });
+
+module.exports = mongoose.models.GoalHistory || mongoose.model('GoalHistory', goalHistorySchema);
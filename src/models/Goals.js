@@ -24,9 +24,14 @@ const goalsSchema = new mongoose.Schema({
     // Nutrition Goals
     waterIntakeGoal: {
         type: Number,
-        default: 8, // glasses per day
+        default: 8, // glasses per day (legacy clients; mirrors waterIntakeGoalMl)
         min: 0,
-        max: 20
+        max: 50
+    },
+    waterIntakeGoalMl: {
+        type: Number, // ml per day - canonical water goal
+        min: 0,
+        max: 10000
     },
     caloriesIntakeGoal: {
         type: Number,
@@ -35,6 +40,15 @@ const goalsSchema = new mongoose.Schema({
         max: 5000
     },
     
+    // Macro goals (grams per day). Unset values follow caloriesIntakeGoal
+    // (utils/macroCalculator.js getMacroGoals) so they move with calorie target changes.
+    macroGoals: {
+        protein: { type: Number, min: 0, max: 500 },
+        carbs: { type: Number, min: 0, max: 1000 },
+        fat: { type: Number, min: 0, max: 500 },
+        fiber: { type: Number, min: 0, max: 150 }
+    },
+    
     // Sleep Goals
     sleepGoal: {
         hours: {
@@ -45,6 +59,25 @@ const goalsSchema = new mongoose.Schema({
         }
     },
     
+    // Calorie targets calculated from the profile (BMR/TDEE). While the mode is 'auto'
+    // they are applied to caloriesIntakeGoal / caloriesBurnGoal on every recalculation;
+    // setting either goal by hand switches to 'manual' until the user accepts again.
+    calorieTargetMode: {
+        type: String,
+        enum: ['auto', 'manual'],
+        default: 'manual'
+    },
+    recommendedCalories: {
+        bmr: Number,
+        tdee: Number,
+        activityFactor: Number,
+        adjustment: Number, // kcal added to TDEE for the main goal
+        caloriesIntakeGoal: Number,
+        caloriesBurnGoal: Number,
+        basedOnWeight: Number, // kg
+        calculatedAt: Date
+    },
+
     isActive: {
         type: Boolean,
         default: true
@@ -0,0 +1,58 @@
+// models/HealthRollup.js
+const mongoose = require('mongoose');
+
+// Pre-aggregated totals per user per week / calendar month, updated with the change to a day
+// whenever it is written (see services/Health/rollups/healthRollup.service.js)
+const healthRollupSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    period: {
+        type: String,
+        enum: ['week', 'month'],
+        required: true,
+    },
+
+    // First / last day of the period in YYYY-MM-DD format (user's timezone)
+    periodStart: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    periodEnd: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+
+    // Week rollups only: the week start they were built with
+    weekStart: { type: String, enum: ['sunday', 'monday'] },
+
+    days: { type: Number, required: true },
+    daysLogged: { type: Number, default: 0 },
+
+    steps: { type: Number, default: 0 },
+    waterMl: { type: Number, default: 0 },
+    caloriesConsumed: { type: Number, default: 0 },
+    caloriesBurned: { type: Number, default: 0 },
+    sleepHours: { type: Number, default: 0 },
+
+    // Goal key → days met, judged against the goals in effect each day
+    goalsMetDays: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    // YYYY-MM-DD → what that logged day added to the totals above
+    // ({ logged, steps, waterMl, caloriesConsumed, caloriesBurned, sleepHours, goalsMet }),
+    // so a write only applies the difference. Absent on rollups built before it existed.
+    dayValues: { type: mongoose.Schema.Types.Mixed },
+}, {
+    timestamps: true
+});
+
+healthRollupSchema.index({ userId: 1, period: 1, periodStart: 1 }, { unique: true });
+// Admin cross-user summaries of one period
+healthRollupSchema.index({ period: 1, periodStart: 1 });
+
+module.exports = mongoose.models.HealthRollup || mongoose.model('HealthRollup', healthRollupSchema);
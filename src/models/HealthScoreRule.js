@@ -0,0 +1,41 @@
+// models/HealthScoreRule.js
+const mongoose = require('mongoose');
+const { DEFAULT_SCORE_RULE } = require('../utils/healthScore');
+
+const weight = (key) => ({ type: Number, default: DEFAULT_SCORE_RULE.weights[key], min: 0, max: 100 });
+
+// Single app-wide document (key: 'default') holding the daily health score weights admins can edit.
+// Weights are relative: each component counts weight / (sum of weights) of the 0-100 score.
+const healthScoreRuleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true,
+    },
+
+    weights: {
+        steps: weight('steps'),
+        water: weight('water'),
+        caloriesIntake: weight('caloriesIntake'),
+        caloriesBurn: weight('caloriesBurn'),
+        sleep: weight('sleep'),
+        workouts: weight('workouts'),
+    },
+
+    // Workout minutes in a day that count as the full workouts component
+    workoutMinutesGoal: {
+        type: Number,
+        default: DEFAULT_SCORE_RULE.workoutMinutesGoal,
+        min: 5,
+        max: 300,
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.models.HealthScoreRule || mongoose.model('HealthScoreRule', healthScoreRuleSchema);
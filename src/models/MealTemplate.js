@@ -0,0 +1,51 @@
+// models/MealTemplate.js
+const mongoose = require('mongoose');
+
+// A saved meal ("usual breakfast") the user can log again in one call
+const mealTemplateSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60,
+    },
+
+    // Default meal type when logged (can be overridden per log)
+    type: {
+        type: String,
+        enum: ['breakfast', 'lunch', 'dinner', 'snack'],
+    },
+
+    foods: [
+        {
+            name: { type: String, required: true },
+            quantity: String,
+            calories: { type: Number, required: true },
+            protein: Number, // grams
+            carbs: Number,
+            fat: Number,
+            fiber: Number,
+            foodId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Food',
+            },
+            grams: Number,
+        },
+    ],
+
+    notes: { type: String, maxlength: 500 },
+    timesLogged: { type: Number, default: 0 },
+    lastLoggedAt: Date,
+}, {
+    timestamps: true
+});
+
+mealTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.MealTemplate || mongoose.model('MealTemplate', mealTemplateSchema);
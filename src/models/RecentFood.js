@@ -0,0 +1,37 @@
+// models/RecentFood.js
+const mongoose = require('mongoose');
+
+// Foods the user logged lately, maintained automatically by every named calorie entry
+// and meal food write (trimmed to the most recent ones per user).
+const recentFoodSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: { type: String, required: true },
+    quantity: String,
+    calories: { type: Number, required: true },
+    protein: { type: Number, default: 0 }, // grams
+    carbs: { type: Number, default: 0 },
+    fat: { type: Number, default: 0 },
+    fiber: { type: Number, default: 0 },
+    foodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Food',
+    },
+    grams: Number,
+
+    // Same food + quantity + calories collapses into one item
+    key: { type: String, required: true },
+    timesLogged: { type: Number, default: 0 },
+    lastLoggedAt: { type: Date, default: Date.now },
+}, {
+    timestamps: true
+});
+
+recentFoodSchema.index({ userId: 1, key: 1 }, { unique: true });
+recentFoodSchema.index({ userId: 1, lastLoggedAt: -1 });
+
+module.exports = mongoose.models.RecentFood || mongoose.model('RecentFood', recentFoodSchema);
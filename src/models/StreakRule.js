@@ -0,0 +1,39 @@
+// models/StreakRule.js
+const mongoose = require('mongoose');
+const { STREAK_GOAL_KEYS } = require('../utils/goalcounter');
+
+// Single app-wide document (key: 'default') holding the streak rule admins can edit.
+// Every streak evaluation (bulk sync, manual logging, reports) reads this rule.
+const streakRuleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'default',
+        unique: true,
+    },
+
+    // Which daily goals count toward the streak
+    goals: {
+        type: [{ type: String, enum: STREAK_GOAL_KEYS }],
+        default: ['steps'],
+    },
+
+    // 'all' = every goal in `goals`, 'atLeast' = at least `minGoals` of them
+    mode: {
+        type: String,
+        enum: ['all', 'atLeast'],
+        default: 'all',
+    },
+    minGoals: { type: Number, default: 1, min: 1 },
+
+    // Consecutive missed days that freeze (rather than reset) the streak
+    graceDays: { type: Number, default: 0, min: 0, max: 7 },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.models.StreakRule || mongoose.model('StreakRule', streakRuleSchema);
@@ -100,6 +100,14 @@ const userSchema = new mongoose.Schema(
     userPreferences: {
       heightUnit: { type: String, enum: ['cm', 'ft'], default: 'cm' },
       weightUnit: { type: String, enum: ['kg', 'lbs'], default: 'kg' },
+      waterUnit: { type: String, enum: ['ml', 'fl_oz', 'glasses'], default: 'glasses' },
+      weekStart: { type: String, enum: ['sunday', 'monday'], default: 'sunday' }, // first day of the week in reports
+    },
+    // Daily check-in prompt (push notification at a local time, see checkInReminder.service)
+    checkInReminder: {
+      enabled: { type: Boolean, default: false },
+      time: { type: String, default: '20:00', match: /^([01]\d|2[0-3]):([0-5]\d)$/ }, // HH:mm in the user's timezone
+      jobId: { type: String }, // notificationQueue job of the next prompt
     },
     role: { type: String, enum: ['admin', 'user'], default: 'user' },
     isActive: { type: Boolean, default: true },
@@ -0,0 +1,32 @@
+// models/WaterContainer.js
+const mongoose = require('mongoose');
+
+// User-defined drink containers ("bottle 750 ml", "mug 300 ml") used for one-tap water logging
+const waterContainerSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 40,
+    },
+
+    // Volume in ml (canonical unit, whatever the user's display unit is)
+    volumeMl: {
+        type: Number,
+        required: true,
+        min: 10,
+        max: 5000,
+    },
+}, {
+    timestamps: true
+});
+
+waterContainerSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.models.WaterContainer || mongoose.model('WaterContainer', waterContainerSchema);
@@ -0,0 +1,50 @@
+// models/WorkoutProgress.js
+const mongoose = require('mongoose');
+
+// One document per user per catalogue workout.
+// Tracks the current run (started → completed) plus lifetime completion stats.
+const workoutProgressSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+
+    workoutId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workout',
+        required: true,
+    },
+
+    // State of the current run
+    status: {
+        type: String,
+        enum: ['started', 'completed'],
+        default: 'started',
+    },
+
+    // Position in the workout's videos sequence (0-based, sorted by sequence)
+    lastVideoIndex: { type: Number, default: 0 },
+    lastVideoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WorkoutVideo',
+    },
+
+    startedAt: { type: Date, default: Date.now }, // Start of the current run
+    lastActivityAt: { type: Date, default: Date.now },
+
+    completionCount: { type: Number, default: 0 },
+    lastCompletedAt: { type: Date },
+    lastCompletedDate: {
+        type: String, // YYYY-MM-DD in the user's timezone
+        match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+}, {
+    timestamps: true
+});
+
+workoutProgressSchema.index({ userId: 1, workoutId: 1 }, { unique: true });
+// "Continue where you left off" lookup
+workoutProgressSchema.index({ userId: 1, status: 1, lastActivityAt: -1 });
+
+module.exports = mongoose.models.WorkoutProgress || mongoose.model('WorkoutProgress', workoutProgressSchema);
@@ -0,0 +1,29 @@
+// File: src/queues/streakQueue.js
+const { Queue } = require("bullmq");
+const Redis = require("ioredis");
+require("dotenv").config();
+
+const connection = new Redis(process.env.REDIS_URL, {
+  maxRetriesPerRequest: null,
+  enableReadyCheck: false,
+});
+
+connection.on("connect", () => console.log("✅ Streak queue connected to Redis"));
+connection.on("error", (err) => console.error("❌ Redis (streak queue) error:", err.message));
+
+// Recomputes streak/goalcomplete forward from a date (see workers/streakWorker.js)
+const streakQueue = new Queue("streakQueue", {
+  connection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: { type: "exponential", delay: 5000 },
+    removeOnComplete: {
+      age: 3600, // ⏳ remove job 1 hour after completion (in seconds)
+    },
+    removeOnFail: {
+      age: 24 * 3600, // keep failures for a day for debugging
+    },
+  },
+});
+
+module.exports = { streakQueue };
@@ -0,0 +1,42 @@
+// src/repositories/FoodRepository.js
+const Food = require('../models/Food');
+
+const PUBLIC_FIELDS = '-trigrams -nameKey -__v';
+
+class FoodRepository {
+
+    // Get an active catalogue food by id
+    static async findById(foodId) {
+        return Food.findOne({ _id: foodId, isActive: true }).select(PUBLIC_FIELDS).lean();
+    }
+
+    // Get an active catalogue food by barcode
+    static async findByBarcode(barcode) {
+        return Food.findOne({ barcode, isActive: true }).select(PUBLIC_FIELDS).lean();
+    }
+
+    // Candidates sharing the most trigrams with the query (ranked further by the service)
+    static async findByTrigrams(trigrams, limit) {
+        return Food.aggregate([
+            { $match: { isActive: true, trigrams: { $in: trigrams } } },
+            { $addFields: { sharedTrigrams: { $size: { $setIntersection: ['$trigrams', trigrams] } } } },
+            { $sort: { sharedTrigrams: -1, name: 1 } },
+            { $limit: limit },
+            { $project: { __v: 0, sharedTrigrams: 0 } }
+        ]);
+    }
+
+    // Insert or update foods - matched by barcode, else by normalised name + brand
+    static async bulkUpsert(foods) {
+        const operations = foods.map(food => ({
+            updateOne: {
+                filter: food.barcode ? { barcode: food.barcode } : { nameKey: food.nameKey, barcode: { $exists: false } },
+                update: { $set: { ...food, isActive: true } },
+                upsert: true
+            }
+        }));
+        return Food.bulkWrite(operations, { ordered: false });
+    }
+}
+
+module.exports = FoodRepository;
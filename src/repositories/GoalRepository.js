@@ -1,5 +1,6 @@
 // src/repositories/GoalsRepository.js
 const Goals = require('../models/Goals');
+const GoalHistory = require('../models/GoalHistory');
 
 class GoalsRepository {
 
@@ -8,6 +9,54 @@ class GoalsRepository {
         return Goals.findOne({ userId }).lean();
     }
 
+    // Update (or create) user goals
+    static async updateByUserId(userId, updateFields) {
+        return Goals.findOneAndUpdate(
+            { userId },
+            { $set: updateFields },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    // Save a goal version effective from the given date (same-day edits overwrite)
+    static async upsertHistory(userId, effectiveFrom, goals) {
+        return GoalHistory.findOneAndUpdate(
+            { userId, effectiveFrom },
+            {
+                $set: {
+                    stepsGoal: goals.stepsGoal,
+                    caloriesBurnGoal: goals.caloriesBurnGoal,
+                    waterIntakeGoal: goals.waterIntakeGoal,
+                    waterIntakeGoalMl: goals.waterIntakeGoalMl,
+                    caloriesIntakeGoal: goals.caloriesIntakeGoal,
+                    macroGoals: goals.macroGoals,
+                    'sleepGoal.hours': goals.sleepGoal?.hours
+                }
+            },
+            { new: true, upsert: true }
+        ).lean();
+    }
+
+    // Check whether any goal version exists for the user
+    static async hasHistory(userId) {
+        return GoalHistory.exists({ userId });
+    }
+
+    // Get all goal versions (oldest first)
+    static async findHistory(userId) {
+        return GoalHistory.find({ userId })
+            .sort({ effectiveFrom: 1 })
+            .lean();
+    }
+
+    // Get most recent goal versions (newest first)
+    static async findRecentHistory(userId, limit = 30) {
+        return GoalHistory.find({ userId })
+            .sort({ effectiveFrom: -1 })
+            .limit(limit)
+            .lean();
+    }
+
     // Raw model access
     static model() {
         return Goals;
@@ -0,0 +1,21 @@
+// src/repositories/HealthScoreRuleRepository.js
+const HealthScoreRule = require('../models/HealthScoreRule');
+
+class HealthScoreRuleRepository {
+
+    // Get the app-wide health score rule
+    static async findActive() {
+        return HealthScoreRule.findOne({ key: 'default' }).lean();
+    }
+
+    // Update (or create) the app-wide health score rule
+    static async upsertActive(updateFields) {
+        return HealthScoreRule.findOneAndUpdate(
+            { key: 'default' },
+            { $set: updateFields },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+}
+
+module.exports = HealthScoreRuleRepository;
@@ -0,0 +1,21 @@
+// src/repositories/StreakRuleRepository.js
+const StreakRule = require('../models/StreakRule');
+
+class StreakRuleRepository {
+
+    // Get the app-wide streak rule
+    static async findActive() {
+        return StreakRule.findOne({ key: 'default' }).lean();
+    }
+
+    // Update (or create) the app-wide streak rule
+    static async upsertActive(updateFields) {
+        return StreakRule.findOneAndUpdate(
+            { key: 'default' },
+            { $set: updateFields },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+}
+
+module.exports = StreakRuleRepository;
@@ -0,0 +1,34 @@
+// src/repositories/WorkoutProgressRepository.js
+const WorkoutProgress = require('../models/WorkoutProgress');
+
+class WorkoutProgressRepository {
+
+    // Get progress for a single workout
+    static async findByUserAndWorkout(userId, workoutId) {
+        return WorkoutProgress.findOne({ userId, workoutId }).lean();
+    }
+
+    // Apply an update to a user's progress on a workout (creates it on first use)
+    static async upsert(userId, workoutId, update) {
+        return WorkoutProgress.findOneAndUpdate(
+            { userId, workoutId },
+            update,
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    // Most recently touched unfinished workouts
+    static async findInProgress(userId, limit = 10) {
+        return WorkoutProgress.find({ userId, status: 'started' })
+            .sort({ lastActivityAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    // Remove all progress for a user
+    static async deleteByUserId(userId) {
+        return WorkoutProgress.deleteMany({ userId });
+    }
+}
+
+module.exports = WorkoutProgressRepository;
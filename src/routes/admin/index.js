@@ -5,6 +5,12 @@ const User = require('../../models/User');
 const { authenticateToken, adminOnly } = require('../../middleware/auth');
 const AdminAuthController = require('../../controllers/AdminAuthController');
 const AuthController = require('../../controllers/AuthController');
+const StreakRuleController = require('../../controllers/StreakRuleController');
+const HealthScoreRuleController = require('../../controllers/HealthScoreRuleController');
+const HealthRollupController = require('../../controllers/HealthRollupController');
+const FoodCatalogController = require('../../controllers/FoodCatalogController');
+const CustomMetricTemplateController = require('../../controllers/CustomMetricTemplateController');
+const { dataUpload } = require('../../middleware/uploadMiddleware');
 const ResponseHandler = require('../../utils/ResponseHandler');
 const Logger = require('../../utils/logger');
 const { 
@@ -15,6 +21,17 @@ const {
     updateUserValidationadmin,
     handleValidationErrors 
 } = require('../../validators/userValidators');
+const {
+    validateStreakRuleUpdate,
+    validateStreakRecompute,
+    validateRollupSummaryQuery,
+    validateHealthScoreRuleUpdate,
+    validateFoodImport,
+    validateCustomMetricTemplateBody,
+    validateCustomMetricTemplateUpdate,
+    validateCustomMetricTemplateParams,
+    handleValidationErrors: handleHealthValidationErrors
+} = require('../../validators/healthValidators');
 
 // Global admin route logging middleware
 router.use((req, res, next) => {
@@ -84,6 +101,53 @@ protectedRouter.delete('/users/:userId', AdminAuthController.deleteUser);
 // PUT /admin/users/:userId - Update user details with comprehensive validation
 protectedRouter.put('/users/:userId', updateUserValidationadmin,AdminAuthController.updateUser);
 
+// GET /admin/streak-rules - Current streak rule (which goals count, all vs N-of-M, grace days)
+protectedRouter.get('/streak-rules', StreakRuleController.getrule);
+
+// PUT /admin/streak-rules - Update the streak rule used by every streak evaluation (queues a rebuild of every user's streaks)
+protectedRouter.put('/streak-rules', validateStreakRuleUpdate, handleHealthValidationErrors, StreakRuleController.updaterule);
+
+// POST /admin/streaks/recompute - Rebuild streaks in the background for one user (userId) or all users
+protectedRouter.post('/streaks/recompute', validateStreakRecompute, handleHealthValidationErrors, StreakRuleController.recompute);
+
+// GET /admin/health-rollups/summary - Totals and per-user averages across all users for one week or month
+// (?period=week|month, default month; ?date=any day in it, default today UTC; ?weekStart=sunday|monday for weeks)
+protectedRouter.get('/health-rollups/summary', validateRollupSummaryQuery, handleHealthValidationErrors, HealthRollupController.getsummary);
+
+// GET /admin/health-score-rules - Current daily health score weights and workout minutes goal
+protectedRouter.get('/health-score-rules', HealthScoreRuleController.getrule);
+
+// PUT /admin/health-score-rules - Update the score weights (queues a rescore of every user's past days)
+protectedRouter.put('/health-score-rules', validateHealthScoreRuleUpdate, handleHealthValidationErrors, HealthScoreRuleController.updaterule);
+
+// POST /admin/foods/import - Import the food catalogue from a CSV/JSON file (field 'file') or a foods array;
+// rows are upserted by barcode (or name + brand), nutrition per 100 g, servings as "label:grams|label:grams"
+protectedRouter.post(
+    '/foods/import',
+    dataUpload.single('file'),
+    (err, req, res, next) => {
+        if (err) {
+            return ResponseHandler.error(res, 'Validation failed', err.message, 400, 'FOOD_IMPORT_INVALID_FILE');
+        }
+        next();
+    },
+    validateFoodImport,
+    handleHealthValidationErrors,
+    FoodCatalogController.importfoods
+);
+
+// GET /admin/custom-metric-templates - All custom metric templates (active and inactive)
+protectedRouter.get('/custom-metric-templates', CustomMetricTemplateController.gettemplates);
+
+// POST /admin/custom-metric-templates - Add a template (name, unit, valueType number/boolean/scale/text, optional target)
+protectedRouter.post('/custom-metric-templates', validateCustomMetricTemplateBody, handleHealthValidationErrors, CustomMetricTemplateController.createtemplate);
+
+// PUT /admin/custom-metric-templates/:templateId - Edit a template or hide it (isActive: false); user metrics are not changed
+protectedRouter.put('/custom-metric-templates/:templateId', validateCustomMetricTemplateUpdate, handleHealthValidationErrors, CustomMetricTemplateController.updatetemplate);
+
+// DELETE /admin/custom-metric-templates/:templateId - Delete a template
+protectedRouter.delete('/custom-metric-templates/:templateId', validateCustomMetricTemplateParams, handleHealthValidationErrors, CustomMetricTemplateController.deletetemplate);
+
 // Mount protected routes
 router.use('/', protectedRouter);
 
@@ -9,7 +9,60 @@ const {
     validateBulkUpdate,
     validatecalories,
     validateSleepBody,
+    validateWaterContainerBody,
+    validateWaterContainerUpdate,
+    validateWaterContainerParams,
+    validateWaterEntryUpdate,
+    validateCalorieEntryUpdate,
+    validateIntakeEntryParams,
+    validateSleepSessionUpdate,
+    validateSleepSessionParams,
     validateImageUpload,
+    validateGoalsUpdate,
+    validateMealBody,
+    validateMealUpdate,
+    validateMealParams,
+    validateFoodItemBody,
+    validateFoodItemUpdate,
+    validateFoodItemParams,
+    validateEstimateBody,
+    validateFoodSearch,
+    validateFoodBarcodeParam,
+    validateCatalogueFoodParams,
+    validateFoodLog,
+    validateFavoriteBody,
+    validateFavoriteParams,
+    validateFavoriteLog,
+    validateRecentFoodsQuery,
+    validateRecentFoodLog,
+    validateMealTemplateBody,
+    validateMealTemplateUpdate,
+    validateMealTemplateParams,
+    validateMealTemplateLog,
+    validateWorkoutBody,
+    validateWorkoutUpdate,
+    validateWorkoutParams,
+    validateHeartRateBody,
+    validateBodyMetricsBody,
+    validateBodyMetricsUpdate,
+    validateBodyMetricsParams,
+    validateBodyMetricsQuery,
+    validateFastStart,
+    validateFastEnd,
+    validateFastUpdate,
+    validateFastParams,
+    validateFastingQuery,
+    validateCustomMetricBody,
+    validateCustomMetricUpdate,
+    validateCustomMetricParams,
+    validateCustomMetricValue,
+    validateCustomMetricValuesQuery,
+    validateCheckInBody,
+    validateCheckInParams,
+    validateCheckInQuery,
+    validateCheckInReminder,
+    validateHealthRangeQuery,
+    validateCustomReportBody,
     handleValidationErrors: handleHealthValidationErrors
 } = require('../../validators/healthValidators');
 const { rateLimiters } = require('../../middleware/redisrateLimiter');  
@@ -35,8 +88,84 @@ router.get('/', (req, res) => {
             'GET /api/health/date - Get health data by specific date (date in body)',
             'POST /api/health/bulk - Bulk update health data for multiple dates',
             'PUT /api/health/quick-update - Quick health updates for TODAY only (water=additive, steps/sleep=replace)',
-            'POST /api/health/water - Update water consumption for TODAY (water=additive)',
-            'POST /api/health/calories - Update calorie intake for TODAY (calories=additive)',
+            'POST /api/health/water - Update water consumption for TODAY or a past day via date/at (glasses, amount + unit, or containerId; additive)',
+            'GET /api/health/water/containers - List your drink containers',
+            'POST /api/health/water/containers - Add a container (name, volume, unit ml/fl_oz/glasses)',
+            'PUT /api/health/water/containers/:containerId - Rename / resize a container',
+            'DELETE /api/health/water/containers/:containerId - Delete a container',
+            'POST /api/health/calories - Update calorie intake for TODAY or a past day via date/at (calories=additive; optional protein/carbs/fat/fiber grams)',
+            'POST /api/health/sleep - Log sleep: bedtime/wake time session (main or nap, dated by wake time) or a duration for TODAY / date/at',
+            'PUT /api/health/sleep/:sessionId - Edit a sleep session (type, bedtime/wake time)',
+            'DELETE /api/health/sleep/:sessionId - Delete a sleep session',
+            'POST /api/health/getsleepsessions - Get sleep sessions for a date (date in body)',
+            'POST /api/health/getentries - List water and quick calorie entries for a date (date in body)',
+            'PUT /api/health/water/:entryId - Edit a water entry (glasses; any date)',
+            'DELETE /api/health/water/:entryId - Undo a water entry',
+            'PUT /api/health/calories/:entryId - Edit a quick calorie entry (any date)',
+            'DELETE /api/health/calories/:entryId - Undo a quick calorie entry',
+            'GET /api/health/goals - Get current goals',
+            'PUT /api/health/goals - Update goals (new version effective from TODAY; macroGoals in grams, null = follow the calorie goal)',
+            'GET /api/health/goals/history - Get goal change history',
+            'GET /api/health/goals/calorie-targets - Calorie intake/burn targets calculated from your profile (BMR/TDEE) vs your current goals',
+            'POST /api/health/goals/calorie-targets/accept - Use the calculated calorie targets from TODAY and keep them updated as your weight changes (setting calorie goals by hand overrides)',
+            'POST /api/health/heartrate - Add heart rate readings / resting bpm for TODAY',
+            'GET /api/health/getheartrate - Heart rate for the last 7 days (avg/resting/min/max)',
+            'POST /api/health/getheartrate - Heart rate for a date including intraday samples (date in body)',
+            'POST /api/health/bodymetrics - Log weight / body fat / measurements (date optional, defaults to TODAY)',
+            'PUT /api/health/bodymetrics/:entryId - Edit a body metrics entry',
+            'DELETE /api/health/bodymetrics/:entryId - Delete a body metrics entry',
+            'GET /api/health/bodymetrics - List body metrics entries (?from=&to=&limit=)',
+            'GET /api/health/fasting/protocols - Preset fasting protocols (12:12, 14:10, 16:8, 18:6, 20:4, omad) and custom limits',
+            'GET /api/health/fasting/current - Fast in progress (elapsed/remaining), fasting streak and last fast',
+            'POST /api/health/fasting/start - Start a fast (protocol, fastingHours for custom, startedAt optional, reminder { enabled, minutesBefore })',
+            'POST /api/health/fasting/end - End the fast in progress (endedAt optional, defaults to now)',
+            'GET /api/health/fasting - Fasting history (?from=&to=&limit=)',
+            'PUT /api/health/fasting/:fastId - Edit a fast (times, protocol, reminder, notes)',
+            'DELETE /api/health/fasting/:fastId - Delete a fast',
+            'GET /api/health/custom-metrics/templates - Admin templates to start a custom metric from',
+            'GET /api/health/custom-metrics - Your custom metrics',
+            'POST /api/health/custom-metrics - Create a custom metric (name, unit, valueType number/boolean/scale/text, target, targetDirection; or templateId)',
+            'PUT /api/health/custom-metrics/:metricId - Edit a custom metric (value type is fixed)',
+            'DELETE /api/health/custom-metrics/:metricId - Delete a custom metric and its logged values',
+            'POST /api/health/custom-metrics/:metricId/values - Set the value for a date (date optional, defaults to TODAY; null clears)',
+            'GET /api/health/custom-metrics/:metricId/values - Values with summary (?from=&to=, last 30 days by default)',
+            'POST /api/health/check-ins - Save the daily check-in (mood, energy, stress, soreness 1-5, note; date optional, defaults to TODAY; null clears a field)',
+            'GET /api/health/check-ins - Check-ins with averages and workout / sleep comparisons (?from=&to=, last 30 days by default)',
+            'DELETE /api/health/check-ins/:date - Delete the check-in for a date',
+            'GET /api/health/check-ins/reminder - Daily check-in prompt settings',
+            'PUT /api/health/check-ins/reminder - Turn the daily check-in prompt on/off or change its time (enabled, time HH:mm in your timezone)',
+            'POST /api/health/weeklyreport - Weekly report for the week containing date (user week start; compared with the previous week)',
+            'POST /api/health/monthlyreport - Monthly report for the month containing date (compared with the previous month)',
+            'POST /api/health/yearlyreport - Yearly report with per-month breakdown for the year containing date (compared with the previous year)',
+            'POST /api/health/customreport - Report for any from/to window up to 366 days (compared with the preceding window)',
+            'GET /api/health/range - Aggregates for any window (?from=&to=&metrics=steps,water&customMetrics=all|<id>,<id>&granularity=day|week|month; missing days filled)',
+            'POST /api/health/meals - Add a meal for TODAY (calories.consumed kept in sync)',
+            'PUT /api/health/meals/:mealId - Edit a meal',
+            'DELETE /api/health/meals/:mealId - Delete a meal',
+            'POST /api/health/meals/:mealId/foods - Add a food item to a meal',
+            'PUT /api/health/meals/:mealId/foods/:foodId - Edit a food item',
+            'DELETE /api/health/meals/:mealId/foods/:foodId - Delete a food item',
+            'POST /api/health/getmeals - Get meals for a date (date in body)',
+            'POST /api/health/workouts - Log a workout session for TODAY (catalogue workoutId or free-form; adds to calories.burned)',
+            'PUT /api/health/workouts/:sessionId - Edit a workout session',
+            'DELETE /api/health/workouts/:sessionId - Delete a workout session',
+            'POST /api/health/getworkouts - Get workout sessions for a date (date in body)',
+            'POST /api/health/estimate - Estimate calories and macros from a food photo (save=true logs it as a meal for TODAY)',
+            'GET /api/health/foods/search?q=&limit= - Search the food catalogue by name/brand (typo tolerant)',
+            'GET /api/health/foods/barcode/:barcode - Look up a catalogue food by barcode',
+            'GET /api/health/foods/:foodId - Catalogue food with nutrition per 100 g and serving sizes',
+            'POST /api/health/foods/log - Log a catalogue food (serving/servings or grams) into a meal (mealId), a new meal for TODAY (mealType) or as a calorie entry',
+            'GET /api/health/foods/favorites - Your favourite foods',
+            'POST /api/health/foods/favorites - Save a favourite (catalogue foodId + serving/grams, or name/calories/macros)',
+            'DELETE /api/health/foods/favorites/:favoriteId - Remove a favourite',
+            'POST /api/health/foods/favorites/:favoriteId/log - Log a favourite (mealId, mealType or a calorie entry; date/at for entries)',
+            'GET /api/health/foods/recent?limit= - Recently logged foods (kept up to date automatically)',
+            'POST /api/health/foods/recent/:recentId/log - Log a recent food again (same targets as favourites)',
+            'GET /api/health/meal-templates - Your saved meal templates',
+            'POST /api/health/meal-templates - Save a meal template (foods, or mealId of a logged meal)',
+            'PUT /api/health/meal-templates/:templateId - Edit a meal template',
+            'DELETE /api/health/meal-templates/:templateId - Delete a meal template',
+            'POST /api/health/meal-templates/:templateId/log - Log a template as a meal for TODAY (type/time optional)',
         ]
     });
 }); //done
@@ -52,21 +181,104 @@ router.post('/date', validateDateBody, handleHealthValidationErrors, HealthContr
 
 router.post('/water', validateWaterBody, handleHealthValidationErrors, HealthController.addwater); //timezone done 
 router.post('/getwater',validateDateBody,handleHealthValidationErrors,HealthController.getwater); //timezone done
+router.get('/water/containers', HealthController.getwatercontainers);
+router.post('/water/containers', validateWaterContainerBody, handleHealthValidationErrors, HealthController.addwatercontainer);
+router.put('/water/containers/:containerId', validateWaterContainerUpdate, handleHealthValidationErrors, HealthController.updatewatercontainer);
+router.delete('/water/containers/:containerId', validateWaterContainerParams, handleHealthValidationErrors, HealthController.deletewatercontainer);
+router.put('/water/:entryId', validateWaterEntryUpdate, handleHealthValidationErrors, HealthController.updatewaterentry);
+router.delete('/water/:entryId', validateIntakeEntryParams, handleHealthValidationErrors, HealthController.deletewaterentry);
 
 
 router.post('/sleep', validateSleepBody, handleHealthValidationErrors, HealthController.addsleep); //timezone done 
 router.get('/getsleep',HealthController.getsleep); //timezone done
+router.put('/sleep/:sessionId', validateSleepSessionUpdate, handleHealthValidationErrors, HealthController.updatesleep);
+router.delete('/sleep/:sessionId', validateSleepSessionParams, handleHealthValidationErrors, HealthController.deletesleep);
+router.post('/getsleepsessions', validateDateBody, handleHealthValidationErrors, HealthController.getsleepsessions);
 
 router.post('/calories',validatecalories,handleHealthValidationErrors,HealthController.addCalories); //timezone done 
 router.post('/getcalories',validateDateBody,handleHealthValidationErrors,HealthController.getcalories); //timezone done 
+router.put('/calories/:entryId', validateCalorieEntryUpdate, handleHealthValidationErrors, HealthController.updatecalorieentry);
+router.delete('/calories/:entryId', validateIntakeEntryParams, handleHealthValidationErrors, HealthController.deletecalorieentry);
+
+router.post('/getentries', validateDateBody, handleHealthValidationErrors, HealthController.getentries);
 
 router.post('/weeklyreport',validateDateBody,handleHealthValidationErrors,HealthController.weeklyreport); //timezone done
 router.post('/monthlyreport',validateDateBody,handleHealthValidationErrors,HealthController.monthlyreport); //timezone added 
+router.post('/yearlyreport', validateDateBody, handleHealthValidationErrors, HealthController.yearlyreport);
+router.post('/customreport', validateCustomReportBody, handleHealthValidationErrors, HealthController.customreport);
+router.get('/range', validateHealthRangeQuery, handleHealthValidationErrors, HealthController.gethealthrange);
 
 
 
 router.get('/steps', HealthController.getsteps);
 
+router.post('/heartrate', validateHeartRateBody, handleHealthValidationErrors, HealthController.addheartrate);
+router.get('/getheartrate', HealthController.getheartrate);
+router.post('/getheartrate', validateDateBody, handleHealthValidationErrors, HealthController.getheartratebydate);
+
+router.post('/bodymetrics', validateBodyMetricsBody, handleHealthValidationErrors, HealthController.addbodymetrics);
+router.put('/bodymetrics/:entryId', validateBodyMetricsUpdate, handleHealthValidationErrors, HealthController.updatebodymetrics);
+router.delete('/bodymetrics/:entryId', validateBodyMetricsParams, handleHealthValidationErrors, HealthController.deletebodymetrics);
+router.get('/bodymetrics', validateBodyMetricsQuery, handleHealthValidationErrors, HealthController.getbodymetrics);
+
+router.get('/fasting/protocols', HealthController.getfastingprotocols);
+router.get('/fasting/current', HealthController.getcurrentfast);
+router.post('/fasting/start', validateFastStart, handleHealthValidationErrors, HealthController.startfast);
+router.post('/fasting/end', validateFastEnd, handleHealthValidationErrors, HealthController.endfast);
+router.get('/fasting', validateFastingQuery, handleHealthValidationErrors, HealthController.getfasts);
+router.put('/fasting/:fastId', validateFastUpdate, handleHealthValidationErrors, HealthController.updatefast);
+router.delete('/fasting/:fastId', validateFastParams, handleHealthValidationErrors, HealthController.deletefast);
+
+router.get('/custom-metrics/templates', HealthController.getcustommetrictemplates);
+router.get('/custom-metrics', HealthController.getcustommetrics);
+router.post('/custom-metrics', validateCustomMetricBody, handleHealthValidationErrors, HealthController.addcustommetric);
+router.put('/custom-metrics/:metricId', validateCustomMetricUpdate, handleHealthValidationErrors, HealthController.updatecustommetric);
+router.delete('/custom-metrics/:metricId', validateCustomMetricParams, handleHealthValidationErrors, HealthController.deletecustommetric);
+router.post('/custom-metrics/:metricId/values', validateCustomMetricValue, handleHealthValidationErrors, HealthController.logcustommetricvalue);
+router.get('/custom-metrics/:metricId/values', validateCustomMetricValuesQuery, handleHealthValidationErrors, HealthController.getcustommetricvalues);
+
+router.get('/check-ins/reminder', HealthController.getcheckinreminder);
+router.put('/check-ins/reminder', validateCheckInReminder, handleHealthValidationErrors, HealthController.updatecheckinreminder);
+router.post('/check-ins', validateCheckInBody, handleHealthValidationErrors, HealthController.savecheckin);
+router.get('/check-ins', validateCheckInQuery, handleHealthValidationErrors, HealthController.getcheckins);
+router.delete('/check-ins/:date', validateCheckInParams, handleHealthValidationErrors, HealthController.deletecheckin);
+
+router.get('/goals', HealthController.getgoals);
+router.put('/goals', validateGoalsUpdate, handleHealthValidationErrors, HealthController.updategoals);
+router.get('/goals/history', HealthController.goalhistory);
+router.get('/goals/calorie-targets', HealthController.getcalorietargets);
+router.post('/goals/calorie-targets/accept', HealthController.acceptcalorietargets);
+
+router.post('/meals', validateMealBody, handleHealthValidationErrors, HealthController.addmeal);
+router.put('/meals/:mealId', validateMealUpdate, handleHealthValidationErrors, HealthController.updatemeal);
+router.delete('/meals/:mealId', validateMealParams, handleHealthValidationErrors, HealthController.deletemeal);
+router.post('/meals/:mealId/foods', validateFoodItemBody, handleHealthValidationErrors, HealthController.addfooditem);
+router.put('/meals/:mealId/foods/:foodId', validateFoodItemUpdate, handleHealthValidationErrors, HealthController.updatefooditem);
+router.delete('/meals/:mealId/foods/:foodId', validateFoodItemParams, handleHealthValidationErrors, HealthController.deletefooditem);
+router.post('/getmeals', validateDateBody, handleHealthValidationErrors, HealthController.getmeals);
+
+router.get('/foods/favorites', HealthController.getfavoritefoods);
+router.post('/foods/favorites', validateFavoriteBody, handleHealthValidationErrors, HealthController.addfavoritefood);
+router.delete('/foods/favorites/:favoriteId', validateFavoriteParams, handleHealthValidationErrors, HealthController.deletefavoritefood);
+router.post('/foods/favorites/:favoriteId/log', validateFavoriteLog, handleHealthValidationErrors, HealthController.logfavoritefood);
+router.get('/foods/recent', validateRecentFoodsQuery, handleHealthValidationErrors, HealthController.getrecentfoods);
+router.post('/foods/recent/:recentId/log', validateRecentFoodLog, handleHealthValidationErrors, HealthController.logrecentfood);
+router.get('/foods/search', validateFoodSearch, handleHealthValidationErrors, HealthController.searchfoods);
+router.get('/foods/barcode/:barcode', validateFoodBarcodeParam, handleHealthValidationErrors, HealthController.getfoodbybarcode);
+router.post('/foods/log', validateFoodLog, handleHealthValidationErrors, HealthController.logfood);
+router.get('/foods/:foodId', validateCatalogueFoodParams, handleHealthValidationErrors, HealthController.getfood);
+
+router.get('/meal-templates', HealthController.getmealtemplates);
+router.post('/meal-templates', validateMealTemplateBody, handleHealthValidationErrors, HealthController.addmealtemplate);
+router.put('/meal-templates/:templateId', validateMealTemplateUpdate, handleHealthValidationErrors, HealthController.updatemealtemplate);
+router.delete('/meal-templates/:templateId', validateMealTemplateParams, handleHealthValidationErrors, HealthController.deletemealtemplate);
+router.post('/meal-templates/:templateId/log', validateMealTemplateLog, handleHealthValidationErrors, HealthController.logmealtemplate);
+
+router.post('/workouts', validateWorkoutBody, handleHealthValidationErrors, HealthController.addworkout);
+router.put('/workouts/:sessionId', validateWorkoutUpdate, handleHealthValidationErrors, HealthController.updateworkout);
+router.delete('/workouts/:sessionId', validateWorkoutParams, handleHealthValidationErrors, HealthController.deleteworkout);
+router.post('/getworkouts', validateDateBody, handleHealthValidationErrors, HealthController.getworkouts);
+
 
 
 const { upload, checkFileExists } = require('../../middleware/uploadMiddleware');
@@ -91,6 +303,8 @@ router.post(
       next();
     },
     checkFileExists,
+    validateEstimateBody,
+    handleHealthValidationErrors,
     HealthController.estimateCalories
   );
     
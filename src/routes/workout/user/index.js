@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 
-const {getworkoutByIdvalidator,handleValidationErrors,getcategoryvalidator, listWorkoutsValidator} = require('../../../validators/workoutValidators');
+const {getworkoutByIdvalidator,handleValidationErrors,getcategoryvalidator, listWorkoutsValidator, workoutProgressValidator, completeWorkoutValidator} = require('../../../validators/workoutValidators');
 const workoutUserController = require('../../../controllers/workout/workoutUserContoller');
 const { authenticateToken, adminOrUser } = require('../../../middleware/auth');
 const rateLimiters = require('../../../middleware/redisrateLimiter').rateLimiters;
@@ -27,6 +27,8 @@ router.get('/', (req, res) => {
         },
         availableEndpoints: [
             'GET /api/workout/user - Get this info',
+            'POST /api/workout/user/progress - Save the last video reached in a workout',
+            'POST /api/workout/user/complete - Mark a workout completed (logSession=true also logs it to health)',
             // Add more user-specific workout endpoints here
         ]
     });
@@ -38,6 +40,12 @@ router.get('/listworkout', listWorkoutsValidator, handleValidationErrors, workou
 // get details of a particular workout 
 router.post('/getworkoutbyid', getworkoutByIdvalidator, handleValidationErrors, workoutUserController.getworkoutbyid);
 
+// track progress through a workout's videos
+router.post('/progress', workoutProgressValidator, handleValidationErrors, workoutUserController.updateprogress);
+
+// mark a workout as completed
+router.post('/complete', completeWorkoutValidator, handleValidationErrors, workoutUserController.completeworkout);
+
 
 //mobile view
 router.get('/Homepage', workoutUserController.homepage);
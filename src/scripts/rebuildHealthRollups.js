@@ -0,0 +1,53 @@
+// scripts/rebuildHealthRollups.js
+// Rebuild week/month health rollups from DailyHealthData (historical data, or after a failed refresh)
+//
+//   npm run rollups:rebuild                         - every user, full history
+//   npm run rollups:rebuild -- --user <userId>      - one user
+//   npm run rollups:rebuild -- --from 2025-01-01    - only periods from that date on
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { findUsersWithHealthData } = require("../services/Health/streak/streakRecompute.service");
+const { rebuildUserRollups } = require("../services/Health/rollups/healthRollup.service");
+const Logger = require("../utils/logger");
+
+function readOption(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+(async () => {
+  const requestId = Logger.generateId("rollup-rebuild");
+  let failed = 0;
+
+  try {
+    const userId = readOption("user");
+    const fromDate = readOption("from");
+
+    if (fromDate && !/^\d{4}-\d{2}-\d{2}$/.test(fromDate)) {
+      throw new Error("--from must be YYYY-MM-DD");
+    }
+
+    await connectDB();
+
+    const userIds = userId ? [userId] : await findUsersWithHealthData();
+    Logger.info(requestId, "Rebuilding health rollups", { users: userIds.length, fromDate: fromDate || null });
+
+    for (const id of userIds) {
+      try {
+        await rebuildUserRollups({ userId: id, fromDate, requestId });
+      } catch (error) {
+        failed++;
+        Logger.error(requestId, "Rollup rebuild failed for user", { userId: String(id), error: error.message });
+      }
+    }
+
+    Logger.success(requestId, "Health rollup rebuild finished", { users: userIds.length, failed });
+  } catch (error) {
+    failed++;
+    Logger.error(requestId, "Health rollup rebuild aborted", { error: error.message });
+  } finally {
+    await mongoose.disconnect();
+    process.exit(failed ? 1 : 0);
+  }
+})();
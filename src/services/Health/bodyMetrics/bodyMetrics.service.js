@@ -0,0 +1,259 @@
+// services/Health/bodyMetrics/bodyMetrics.service.js
+// Dated weight / body measurements log (kg + cm in storage, user's weight unit in responses)
+
+const BodyMetric = require('../../../models/BodyMetric');
+const User = require('../../../models/User');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const calorieTargetsService = require('../goals/calorieTargets.service');
+const {
+    convertWeightToKg,
+    isValidWeight,
+    getWeightRangeMessage,
+    getDisplayWeight,
+    convertKgToUnit,
+    calculateBmi,
+    getBmiCategory
+} = require('../../../utils/unitConverter');
+
+const MEASUREMENT_FIELDS = ['bodyFatPercent', 'waist', 'hip', 'chest', 'notes'];
+
+/**
+ * Build an error the controller can map to a response
+ */
+function bodyMetricError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Height + preferred weight unit for a user
+ */
+async function getUserBodyProfile(userId) {
+    const user = await User.findById(userId).select('height userPreferences').lean();
+    return {
+        heightCm: user?.height,
+        weightUnit: user?.userPreferences?.weightUnit || 'kg'
+    };
+}
+
+/**
+ * Convert an incoming weight to kg and range-check it
+ */
+function toKg(weight, unit) {
+    const weightInKg = convertWeightToKg(Number(weight), unit);
+    if (!isValidWeight(weightInKg)) {
+        throw bodyMetricError(
+            `Weight out of range: ${weight} ${unit}. Must be between ${getWeightRangeMessage(unit)}`,
+            'BODY_METRIC_INVALID_WEIGHT'
+        );
+    }
+    return weightInKg;
+}
+
+/**
+ * Apply request values to an entry (weight converted, BMI recomputed)
+ */
+function applyValues(entry, values, weightUnit, heightCm) {
+    if (values.weight !== undefined) {
+        entry.weight = toKg(values.weight, weightUnit);
+    }
+    MEASUREMENT_FIELDS.forEach(key => {
+        if (values[key] !== undefined) entry[key] = values[key];
+    });
+
+    if (heightCm) entry.heightCm = heightCm;
+    entry.bmi = calculateBmi(entry.weight, entry.heightCm) ?? undefined;
+}
+
+/**
+ * Format an entry for response
+ */
+function formatEntry(entry, weightUnit) {
+    return {
+        _id: entry._id,
+        date: entry.date,
+        weightKg: entry.weight ?? null,
+        weight: getDisplayWeight(entry.weight, weightUnit),
+        bmi: entry.bmi ?? null,
+        bmiCategory: getBmiCategory(entry.bmi),
+        bodyFatPercent: entry.bodyFatPercent ?? null,
+        waist: entry.waist ?? null,
+        hip: entry.hip ?? null,
+        chest: entry.chest ?? null,
+        notes: entry.notes
+    };
+}
+
+/**
+ * Keep User.weight equal to the most recent logged weight.
+ * A changed weight also recalculates the calorie targets.
+ */
+async function syncProfileWeight(userId, { timezone, requestId } = {}) {
+    const latest = await BodyMetric.findOne({ userId, weight: { $ne: null } })
+        .sort({ date: -1 })
+        .select('weight')
+        .lean();
+
+    if (!latest?.weight) return;
+
+    const { modifiedCount } = await User.updateOne({ _id: userId }, { $set: { weight: latest.weight } });
+    if (!modifiedCount) return;
+
+    try {
+        await calorieTargetsService.recalculateCalorieTargets({ userId, timezone, requestId });
+    } catch (targetErr) {
+        Logger.warn("Calorie target recalculation failed", requestId, { error: targetErr.message });
+    }
+}
+
+/**
+ * Log measurements for a date (defaults to today). Re-logging a date updates that entry.
+ */
+async function logBodyMetrics({ userId, date, values, weightUnit, timezone, requestId }) {
+    const entryDate = date || timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const profile = await getUserBodyProfile(userId);
+    const unit = weightUnit || profile.weightUnit;
+
+    let entry = await BodyMetric.findOne({ userId, date: entryDate });
+    const isNew = !entry;
+    if (!entry) {
+        entry = new BodyMetric({ userId, date: entryDate });
+    }
+
+    applyValues(entry, values, unit, profile.heightCm);
+    await entry.save();
+
+    if (values.weight !== undefined) {
+        await syncProfileWeight(userId, { timezone, requestId });
+    }
+    await reportCacheService.invalidateDates({ userId, dates: [entryDate], requestId });
+
+    Logger.info(isNew ? "Body metrics logged" : "Body metrics updated for date", requestId, {
+        date: entryDate,
+        entryId: entry._id,
+        bmi: entry.bmi
+    });
+
+    return { entry: formatEntry(entry, profile.weightUnit), created: isNew };
+}
+
+/**
+ * Record a weight set through the profile (/user/update, first-time setup) as today's entry
+ */
+async function recordProfileWeight({ userId, weightKg, timezone, requestId }) {
+    const entryDate = timeZoneUtil.getCurrentDateInTimezone(timezone || 'UTC');
+    const { heightCm } = await getUserBodyProfile(userId);
+
+    await BodyMetric.findOneAndUpdate(
+        { userId, date: entryDate },
+        { $set: { weight: weightKg, heightCm, bmi: calculateBmi(weightKg, heightCm) } },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    await reportCacheService.invalidateDates({ userId, dates: [entryDate], requestId });
+
+    Logger.info("Profile weight recorded in body metrics", requestId, { date: entryDate });
+}
+
+/**
+ * Edit an entry by id
+ */
+async function updateBodyMetrics({ userId, entryId, values, weightUnit, timezone, requestId }) {
+    const entry = await BodyMetric.findOne({ _id: entryId, userId });
+    if (!entry) {
+        throw bodyMetricError('Body metrics entry not found', 'BODY_METRIC_NOT_FOUND');
+    }
+
+    const profile = await getUserBodyProfile(userId);
+    applyValues(entry, values, weightUnit || profile.weightUnit, profile.heightCm);
+    await entry.save();
+
+    if (values.weight !== undefined) {
+        await syncProfileWeight(userId, { timezone, requestId });
+    }
+    await reportCacheService.invalidateDates({ userId, dates: [entry.date], requestId });
+
+    Logger.info("Body metrics entry updated", requestId, { entryId });
+
+    return { entry: formatEntry(entry, profile.weightUnit) };
+}
+
+/**
+ * Delete an entry by id
+ */
+async function deleteBodyMetrics({ userId, entryId, timezone, requestId }) {
+    const entry = await BodyMetric.findOneAndDelete({ _id: entryId, userId });
+    if (!entry) {
+        throw bodyMetricError('Body metrics entry not found', 'BODY_METRIC_NOT_FOUND');
+    }
+
+    await syncProfileWeight(userId, { timezone, requestId });
+    await reportCacheService.invalidateDates({ userId, dates: [entry.date], requestId });
+
+    Logger.info("Body metrics entry deleted", requestId, { entryId, date: entry.date });
+
+    return { deletedId: entry._id, date: entry.date };
+}
+
+/**
+ * List entries (newest first), optionally within a date range
+ */
+async function listBodyMetrics({ userId, from, to, limit = 60 }) {
+    const query = { userId };
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = from;
+        if (to) query.date.$lte = to;
+    }
+
+    const [entries, profile] = await Promise.all([
+        BodyMetric.find(query).sort({ date: -1 }).limit(limit).lean(),
+        getUserBodyProfile(userId)
+    ]);
+
+    return {
+        weightUnit: profile.weightUnit,
+        entries: entries.map(e => formatEntry(e, profile.weightUnit))
+    };
+}
+
+/**
+ * Trend over a report period: entries plus start/end weight and BMI change
+ * @returns {Object} { weightUnit, entries, startWeight, endWeight, weightChange, latestBmi, bmiCategory, bmiChange }
+ */
+async function getBodyMetricsTrend({ userId, startDate, endDate }) {
+    const [entries, profile] = await Promise.all([
+        BodyMetric.find({ userId, date: { $gte: startDate, $lte: endDate } }).sort({ date: 1 }).lean(),
+        getUserBodyProfile(userId)
+    ]);
+
+    const withWeight = entries.filter(e => e.weight);
+    const first = withWeight[0];
+    const last = withWeight[withWeight.length - 1];
+
+    return {
+        weightUnit: profile.weightUnit,
+        entries: entries.map(e => formatEntry(e, profile.weightUnit)),
+        startWeight: getDisplayWeight(first?.weight, profile.weightUnit),
+        endWeight: getDisplayWeight(last?.weight, profile.weightUnit),
+        // Signed change in the user's unit (negative = lost weight)
+        weightChange: first && last
+            ? Math.round((convertKgToUnit(last.weight, profile.weightUnit) - convertKgToUnit(first.weight, profile.weightUnit)) * 10) / 10
+            : null,
+        latestBmi: last?.bmi ?? null,
+        bmiCategory: getBmiCategory(last?.bmi),
+        bmiChange: first?.bmi && last?.bmi ? Math.round((last.bmi - first.bmi) * 10) / 10 : null
+    };
+}
+
+module.exports = {
+    logBodyMetrics,
+    recordProfileWeight,
+    updateBodyMetrics,
+    deleteBodyMetrics,
+    listBodyMetrics,
+    getBodyMetricsTrend,
+    formatEntry
+};
@@ -2,6 +2,12 @@
 
 const Logger = require('../../../utils/logger');
 const DailyHealthRepository = require('../../../repositories/DailyHealthRepository');
+const healthRollupService = require('../rollups/healthRollup.service');
+const healthScoreService = require('../score/healthScore.service');
+const GoalsRepository = require('../../../repositories/GoalRepository');
+const goalsService = require('../goals/goals.service');
+const { calculateWorkoutsBurned } = require('../../../utils/workoutCalculator');
+const { buildHeartRateUpdate } = require('../../../utils/heartRateCalculator');
 
 async function bulkModeService({
     sortedData,
@@ -17,10 +23,13 @@ async function bulkModeService({
     // -----------------------------
     // 1. Fetch existing records
     // -----------------------------
-    const existingRecords = await DailyHealthRepository.findByUserAndDates(
-        userId,
-        allDates
-    );
+    const [existingRecords, userGoals, scoreRule] = await Promise.all([
+        DailyHealthRepository.findByUserAndDates(userId, allDates),
+        GoalsRepository.findByUserId(userId),
+        healthScoreService.getScoreRule(requestId)
+    ]);
+
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
 
     const recordMap = {};
     existingRecords.forEach(r => (recordMap[r.date] = r));
@@ -41,17 +50,19 @@ async function bulkModeService({
             if (data.steps?.count !== undefined)
                 setDoc["steps.count"] = data.steps.count;
 
-            // Heart Rate
-            if (data.heartRate?.avgBpm !== undefined)
-                setDoc["heartRate.avgBpm"] = data.heartRate.avgBpm;
+            // Heart Rate (daily figures + intraday samples)
+            Object.assign(setDoc, buildHeartRateUpdate(data.heartRate, existing?.heartRate?.samples));
 
             // Sleep
             if (data.sleep?.duration !== undefined)
                 setDoc["sleep.duration"] = data.sleep.duration;
 
-            // Calories (burned only)
-            if (data.calories?.burned !== undefined)
-                setDoc["calories.burned"] = data.calories.burned;
+            // Calories (burned only) - logged workouts stay on top of the watch figure
+            if (data.calories?.burned !== undefined) {
+                setDoc["calories.deviceBurned"] = data.calories.burned;
+                setDoc["calories.burned"] =
+                    data.calories.burned + calculateWorkoutsBurned(existing?.workouts);
+            }
 
             // Water (exclude *consumed*)
             if (data.water) {
@@ -62,6 +73,16 @@ async function bulkModeService({
                 });
             }
 
+            // Health score of the day as it will look after this sync, against that day's goals
+            setDoc.healthScore = healthScoreService.scoreDay({
+                ...existing,
+                steps: data.steps ?? existing?.steps,
+                sleep: data.sleep ?? existing?.sleep,
+                calories: setDoc["calories.burned"] !== undefined
+                    ? { ...existing?.calories, burned: setDoc["calories.burned"] }
+                    : existing?.calories
+            }, goalsService.resolveGoalsForDate(goalTimeline, date), scoreRule);
+
             // Defaults only if inserting a new entry
             const setOnInsertDoc = {
                 "calories.consumed": 0,
@@ -101,6 +122,11 @@ async function bulkModeService({
     // -----------------------------
     if (bulkOps.length > 0) {
         await DailyHealthRepository.bulkWrite(bulkOps);
+        await healthRollupService.refreshForDates({
+            userId,
+            dates: sortedData.map(({ date }) => date),
+            requestId
+        });
     }
 
     // NO TODAY DATA IN BULK MODE
@@ -1,9 +1,14 @@
 // services/Health/bulk/streakMode.service.js
 
 const DailyHealthRepository = require('../../../repositories/DailyHealthRepository');
+const healthRollupService = require('../rollups/healthRollup.service');
 const GoalsRepository = require('../../../repositories/GoalRepository');
+const goalsService = require('../goals/goals.service');
 const Logger = require('../../../utils/logger');
-const { calculateAllGoals, calculateStreakCompletion, STREAK_GOALS } = require('../../../utils/goalcounter');
+const streakService = require('../streak/streak.service');
+const healthScoreService = require('../score/healthScore.service');
+const { calculateWorkoutsBurned } = require('../../../utils/workoutCalculator');
+const { buildHeartRateUpdate } = require('../../../utils/heartRateCalculator');
 
 async function streakModeService({
     sortedData,
@@ -16,26 +21,24 @@ async function streakModeService({
     Logger.info("STREAK MODE: Fetching required records", requestId);
 
     // ------------------ 1. Fetch DB Records Using Repositories ------------------ //
-    const previousDay = new Date(
-        new Date(firstDate + "T00:00:00Z").getTime() - 24 * 60 * 60 * 1000
-    )
-        .toISOString()
-        .split("T")[0];
-
-    const [existingRecords, userGoals, prevRecord] = await Promise.all([
+    const [existingRecords, userGoals, rule, scoreRule] = await Promise.all([
         DailyHealthRepository.findByUserAndDates(userId, allDates),
         GoalsRepository.findByUserId(userId),
-        DailyHealthRepository.findPreviousRecord(userId, previousDay)
+        streakService.getStreakRule(requestId),
+        healthScoreService.getScoreRule(requestId)
     ]);
 
+    // Latest earlier record that can still carry the streak (grace days look further back)
+    const prevRecord = await streakService.findPreviousStreakRecord(userId, firstDate, rule);
+
     // Map existing data for quick lookup
     const recordMap = {};
     existingRecords.forEach(r => (recordMap[r.date] = r));
 
-    const goals = userGoals || { stepsGoal: 10000 };
+    // Each day is judged against the goals in effect on it (same as the streak recompute)
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
 
-    let prevStreak = prevRecord ? prevRecord.streak : 0;
-    let prevGoalCompleted = prevRecord ? prevRecord.goalcomplete : false;
+    let prevState = prevRecord;
 
     const bulkOps = [];
     const results = [];
@@ -44,36 +47,45 @@ async function streakModeService({
     for (const { date, data } of sortedData) {
         try {
             const existing = recordMap[date];
+            const goals = goalsService.resolveGoalsForDate(goalTimeline, date);
+
+            // Watch figure + logged workouts = total burned for the day
+            const totalBurned = data.calories?.burned !== undefined
+                ? data.calories.burned + calculateWorkoutsBurned(existing?.workouts)
+                : undefined;
+
+            // Day as it will look after this sync (incoming watch data over the stored record)
+            const merged = {
+                ...existing,
+                steps: data.steps ?? existing?.steps,
+                sleep: data.sleep ?? existing?.sleep,
+                calories: totalBurned !== undefined
+                    ? { ...existing?.calories, burned: totalBurned }
+                    : existing?.calories
+            };
 
-            // Remove sleep from goal logic
-            const sanitized = { ...data };
-            if (sanitized.sleep !== undefined) delete sanitized.sleep;
-
-            const goalResults = calculateAllGoals(sanitized, existing, goals);
-            const streakResults = calculateStreakCompletion(goalResults, STREAK_GOALS);
-
+            const streakResults = streakService.evaluateStreakDay(merged, goals, rule);
+            const goalResults = streakResults.goalResults;
             const todayCompleted = streakResults.allCompleted;
 
             // ------------------ 3. Streak Logic ------------------ //
-            let streak;
-            if (!prevGoalCompleted) {
-                streak = todayCompleted ? 1 : 0;
-            } else {
-                streak = todayCompleted ? prevStreak + 1 : prevStreak;
-            }
+            const state = streakService.nextStreakState(prevState, date, todayCompleted, rule);
 
             // ------------------ 4. Build Update Docs ------------------ //
             const setDoc = {
                 userId,
                 date,
-                streak,
-                goalcomplete: todayCompleted
+                ...state,
+                healthScore: healthScoreService.scoreDay(merged, goals, scoreRule)
             };
 
             if (data.steps?.count !== undefined) setDoc['steps.count'] = data.steps.count;
             if (data.sleep?.duration !== undefined) setDoc['sleep.duration'] = data.sleep.duration;
-            if (data.heartRate?.avgBpm !== undefined) setDoc['heartRate.avgBpm'] = data.heartRate.avgBpm;
-            if (data.calories?.burned !== undefined) setDoc['calories.burned'] = data.calories.burned;
+            Object.assign(setDoc, buildHeartRateUpdate(data.heartRate, existing?.heartRate?.samples));
+            if (totalBurned !== undefined) {
+                setDoc['calories.deviceBurned'] = data.calories.burned;
+                setDoc['calories.burned'] = totalBurned;
+            }
 
             const setOnInsertDoc = {
                 'calories.consumed': 0,
@@ -94,13 +106,12 @@ async function streakModeService({
                 }
             });
 
-            prevStreak = streak;
-            prevGoalCompleted = todayCompleted;
+            prevState = { date, ...state };
 
             // Store result for logging and return
             results.push({
                 date,
-                streak,
+                streak: state.streak,
                 mode: "streak",
                 status: existing ? "updated" : "created",
                 goalsCompleted: {
@@ -121,6 +132,11 @@ async function streakModeService({
     // ------------------ 5. Write Final Bulk Ops ------------------ //
     if (bulkOps.length > 0) {
         await DailyHealthRepository.bulkWrite(bulkOps);
+        await healthRollupService.refreshForDates({
+            userId,
+            dates: sortedData.map(({ date }) => date),
+            requestId
+        });
     }
 
     return { results };
@@ -0,0 +1,136 @@
+// services/Health/checkIn/checkIn.service.js
+// Daily check-in (mood / energy / stress / soreness / note) in DailyHealthData.checkIn,
+// its history with workout / sleep correlations, and the daily prompt settings
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const User = require('../../../models/User');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const CheckInReminderService = require('./checkInReminder.service');
+const { CHECK_IN_FIELDS, formatCheckIn, hasCheckIn, buildCheckInReport } = require('../../../utils/checkInCalculator');
+
+const DEFAULT_HISTORY_DAYS = 30;
+
+function checkInError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatReminder(user, nextPromptAt = null) {
+    return {
+        enabled: !!user?.checkInReminder?.enabled,
+        time: CheckInReminderService.getReminderTime(user),
+        timezone: user?.timezone || 'UTC',
+        nextPromptAt
+    };
+}
+
+/**
+ * Save the check-in for a date (defaults to today). Only the given fields change;
+ * null (or an empty note) clears a field, and clearing everything removes the check-in.
+ */
+async function saveCheckIn({ userId, date, values, timezone, requestId }) {
+    const entryDate = date || timeZoneUtil.getCurrentDateInTimezone(timezone);
+
+    const $set = { 'checkIn.at': new Date() };
+    const $unset = {};
+    CHECK_IN_FIELDS.forEach(key => {
+        if (values[key] === undefined) return;
+        if (values[key] === null || values[key] === '') $unset[`checkIn.${key}`] = '';
+        else $set[`checkIn.${key}`] = values[key];
+    });
+
+    const update = { $set };
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    let day = await DailyHealthData.findOneAndUpdate(
+        { userId, date: entryDate },
+        update,
+        { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+    )
+        .select('checkIn')
+        .lean();
+
+    if (!hasCheckIn(day.checkIn)) {
+        await DailyHealthData.updateOne({ userId, date: entryDate }, { $unset: { checkIn: '' } });
+        day = { checkIn: null };
+    }
+    await reportCacheService.invalidateDates({ userId, dates: [entryDate], requestId });
+
+    Logger.info("Check-in saved", requestId, { date: entryDate, fields: Object.keys(values) });
+    return { date: entryDate, checkIn: formatCheckIn(day.checkIn) };
+}
+
+async function deleteCheckIn({ userId, date, requestId }) {
+    const { modifiedCount } = await DailyHealthData.updateOne(
+        { userId, date, checkIn: { $exists: true } },
+        { $unset: { checkIn: '' } }
+    );
+    if (!modifiedCount) {
+        throw checkInError('No check-in for this date', 'CHECK_IN_NOT_FOUND');
+    }
+    await reportCacheService.invalidateDates({ userId, dates: [date], requestId });
+
+    Logger.info("Check-in deleted", requestId, { date });
+    return { date };
+}
+
+/**
+ * Check-ins between two dates (default: the last 30 days), newest first, with
+ * averages and the workout / sleep comparisons for the window
+ */
+async function listCheckIns({ userId, from, to, timezone }) {
+    const endDate = to || timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const startDate = from || timeZoneUtil.addDaysToDateString(endDate, -(DEFAULT_HISTORY_DAYS - 1));
+
+    const days = await DailyHealthData.find({
+        userId,
+        date: { $gte: startDate, $lte: endDate },
+        checkIn: { $exists: true }
+    })
+        .select('date checkIn workouts.duration sleep.duration')
+        .sort({ date: -1 })
+        .lean();
+
+    return {
+        from: startDate,
+        to: endDate,
+        checkIns: days
+            .filter(day => hasCheckIn(day.checkIn))
+            .map(day => ({ date: day.date, ...formatCheckIn(day.checkIn) })),
+        summary: buildCheckInReport(days)
+    };
+}
+
+async function getReminder({ userId }) {
+    const user = await User.findById(userId).select('checkInReminder timezone').lean();
+    return { reminder: formatReminder(user) };
+}
+
+/**
+ * Turn the daily prompt on / off or move it; the queued prompt follows the new settings
+ */
+async function updateReminder({ userId, enabled, time, requestId }) {
+    const $set = {};
+    if (enabled !== undefined) $set['checkInReminder.enabled'] = enabled;
+    if (time !== undefined) $set['checkInReminder.time'] = time;
+
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true, runValidators: true })
+        .select('checkInReminder timezone')
+        .lean();
+
+    const scheduled = await CheckInReminderService.scheduleReminder(user, requestId);
+
+    Logger.info("Check-in reminder updated", requestId, { enabled: user.checkInReminder?.enabled, time: user.checkInReminder?.time });
+    return { reminder: formatReminder(user, scheduled?.nextPromptAt || null) };
+}
+
+module.exports = {
+    saveCheckIn,
+    deleteCheckIn,
+    listCheckIns,
+    getReminder,
+    updateReminder
+};
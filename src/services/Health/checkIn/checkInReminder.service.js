@@ -0,0 +1,93 @@
+// services/Health/checkIn/checkInReminder.service.js
+// Daily check-in prompt: one delayed notificationQueue job per user at their local
+// reminder time, sent (and requeued for the next day) by workers/notificationWorker.js
+
+const moment = require('moment-timezone');
+const User = require('../../../models/User');
+const { notificationQueue } = require('../../../queues/notificationQueue');
+const Logger = require('../../../utils/logger');
+
+const PROMPT_JOB = "check-in-prompt";
+const DEFAULT_REMINDER_TIME = '20:00';
+// A prompt closer than this is pushed to the next day (keeps a just-fired job from requeueing itself)
+const MIN_LEAD_MS = 60 * 1000;
+
+class CheckInReminderService {
+
+    // Users who never set a time fall back to the default (the schema default only covers new users)
+    static getReminderTime(user) {
+        return user?.checkInReminder?.time || DEFAULT_REMINDER_TIME;
+    }
+
+    /**
+     * Next local `time` (HH:mm) in the user's timezone, as a UTC Date
+     */
+    static getNextPromptTime(time, timezone) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const zone = moment.tz.zone(timezone) ? timezone : 'UTC';
+        const now = moment.tz(zone);
+        const next = now.clone().hours(hours).minutes(minutes).seconds(0).milliseconds(0);
+
+        if (next.valueOf() - now.valueOf() < MIN_LEAD_MS) {
+            next.add(1, 'day');
+        }
+        return next.toDate();
+    }
+
+    static getJobId(userId, fireAt) {
+        return `check-in-${userId}-${fireAt.getTime()}`;
+    }
+
+    /**
+     * Queue the next prompt for a user and remember its job id on the user.
+     * Any queued prompt is dropped first (except from the worker, whose job is the
+     * one running); disabled reminders just clear it.
+     * Queue problems are logged, never thrown - the settings are already saved.
+     */
+    static async scheduleReminder(user, requestId, { cancelQueued = true } = {}) {
+        try {
+            if (cancelQueued) {
+                await this.cancelReminder(user.checkInReminder?.jobId, requestId);
+            }
+
+            if (!user.checkInReminder?.enabled) {
+                await User.updateOne({ _id: user._id }, { $unset: { 'checkInReminder.jobId': '' } });
+                return null;
+            }
+
+            const fireAt = this.getNextPromptTime(this.getReminderTime(user), user.timezone);
+            const jobId = this.getJobId(user._id, fireAt);
+
+            await notificationQueue.add(
+                PROMPT_JOB,
+                { userId: String(user._id) },
+                {
+                    jobId,
+                    delay: Math.max(fireAt.getTime() - Date.now(), 0),
+                    removeOnComplete: true,
+                    removeOnFail: { age: 3600 }
+                }
+            );
+            // The worker only sends the job the user currently points at
+            await User.updateOne({ _id: user._id }, { $set: { 'checkInReminder.jobId': jobId } });
+
+            Logger.info("Queued check-in prompt", requestId, { userId: user._id, fireAt });
+            return { jobId, nextPromptAt: fireAt };
+        } catch (queueErr) {
+            Logger.warn("Failed to queue check-in prompt", requestId, { error: queueErr.message });
+            return null;
+        }
+    }
+
+    static async cancelReminder(jobId, requestId) {
+        if (!jobId) return;
+        try {
+            const job = await notificationQueue.getJob(jobId);
+            if (job) await job.remove();
+        } catch (queueErr) {
+            Logger.warn("Failed to remove check-in prompt", requestId, { error: queueErr.message });
+        }
+    }
+}
+
+module.exports = CheckInReminderService;
@@ -2,12 +2,30 @@
 const DailyHealthData = require('../../../models/DailyHealthData');
 const Goals = require('../../../models/Goals');
 const Logger = require('../../../utils/logger');
+const WaterConverter = require('../../../utils/waterConverter');
+const { MAX_DAILY_SLEEP_HOURS } = require('../../../utils/sleepduration');
 const todayDataService = require('./todayData.service');
+const StreakJobService = require('../streak/streakJob.service');
+const sleepService = require('../sleep/sleep.service');
+const healthRollupService = require('../rollups/healthRollup.service');
 
-module.exports = async ({ userId, sleepDuration, timezone, requestId }) => {
-    
-    // 1️⃣ UPDATE TODAY'S SLEEP
-    const todayHealth = await updateTodaySleep(userId, sleepDuration, timezone, requestId);
+module.exports = async ({ userId, sleepDuration, session, logDate, loggedAt, timezone, requestId }) => {
+
+    // 1️⃣ RECORD SLEEP
+    // Timed sessions land on the date the user woke up; a bare duration goes to logDate (default today)
+    let sessionResult = null;
+    let streakState;
+
+    if (session) {
+        sessionResult = await sleepService.addSleepSession({ userId, ...session, timezone, requestId });
+        streakState = sessionResult.streakState;
+    } else {
+        const dayHealth = await updateDaySleep(userId, sleepDuration, logDate, loggedAt, timezone, requestId);
+
+        // Sleep may be one of the streak goals
+        streakState = await StreakJobService.refreshFromDate({ userId, date: dayHealth.date, timezone, requestId });
+        await healthRollupService.refreshForDates({ userId, dates: [dayHealth.date], requestId });
+    }
 
     // 2️⃣ FETCH USER GOALS
     const userGoals = await fetchUserGoals(userId, timezone, requestId);
@@ -17,38 +35,44 @@ module.exports = async ({ userId, sleepDuration, timezone, requestId }) => {
 
     // 4️⃣ BUILD RESPONSE
     const result = {
-        goalcompletions: todayHealth?.goalcomplete || false,
-        streak: todayHealth?.streak || 0,
+        goalcompletions: streakState?.goalcomplete || false,
+        streak: streakState?.streak || 0,
         goals: formatGoals(userGoals),
         last7Days: sleepHistory
     };
 
+    if (sessionResult) {
+        result.date = sessionResult.date;
+        result.session = sessionResult.session;
+    } else if (logDate) {
+        result.date = logDate;
+    }
+
     Logger.info("Add sleep SUCCESS", requestId);
     return result;
 };
 
 /**
- * Update or create today's sleep record
+ * Update or create the sleep record for a day (today unless backdated)
  */
-async function updateTodaySleep(userId, sleepDuration, timezone, requestId) {
+async function updateDaySleep(userId, sleepDuration, logDate, loggedAt, timezone, requestId) {
     const timeZoneUtil = require('../../../utils/timeZone');
-    const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const todayDate = logDate || timeZoneUtil.getCurrentDateInTimezone(timezone);
 
     let todayHealth = await DailyHealthData.findOne({ userId, date: todayDate });
 
     const entry = {
         duration: sleepDuration,
-        at: new Date().toISOString()
+        at: loggedAt || new Date().toISOString()
     };
 
     if (todayHealth) {
         // Update existing record
         const currentDuration = todayHealth.sleep?.duration || 0;
 
-        // Validate 12-hour limit
-        if (currentDuration + sleepDuration > 12) {
-            Logger.warn('Sleep duration exceeds 12 hours', requestId);
-            const error = new Error('Sleep duration cannot be greater than 12 hours');
+        if (currentDuration + sleepDuration > MAX_DAILY_SLEEP_HOURS) {
+            Logger.warn(`Sleep duration exceeds ${MAX_DAILY_SLEEP_HOURS} hours`, requestId);
+            const error = new Error(`Sleep duration cannot be greater than ${MAX_DAILY_SLEEP_HOURS} hours`);
             error.code = 'SLEEP_DURATION_EXCEEDED';
             throw error;
         }
@@ -146,6 +170,7 @@ function formatGoals(userGoals) {
         stepsGoal: userGoals.stepsGoal,
         caloriesBurnGoal: userGoals.caloriesBurnGoal,
         waterIntakeGoal: userGoals.waterIntakeGoal,
+        waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
         caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
         sleepGoal: { 
             hours: userGoals.sleepGoal?.hours || 8 
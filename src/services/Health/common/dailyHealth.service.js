@@ -5,6 +5,12 @@ const Goals = require('../../../models/Goals');
 const WaterConverter = require('../../../utils/waterConverter');
 const timeZoneUtil = require('../../../utils/timeZone');
 const Logger = require('../../../utils/logger');
+const { buildMealBreakdown } = require('../../../utils/mealCalculator');
+const { formatMacros } = require('../../../utils/macroCalculator');
+const { buildWorkoutSummary } = require('../../../utils/workoutCalculator');
+const { formatHeartRate } = require('../../../utils/heartRateCalculator');
+const { formatWorkout } = require('../workouts/workouts.service');
+const { getUserWaterUnit, formatDayWater } = require('../water/water.service');
 
 async function dailyHealthService({ userId, date, timezone, requestId }) {
     Logger.info("DailyHealthService START", requestId, {
@@ -31,11 +37,14 @@ async function dailyHealthService({ userId, date, timezone, requestId }) {
 
     // ------------------ 3️⃣ Fetch user goals ------------------ //
     let userGoals = await Goals.findOne({ userId }).lean();
+    const waterUnit = await getUserWaterUnit(userId);
 
     const cleanGoals = {
         stepsGoal: userGoals.stepsGoal,
         caloriesBurnGoal: userGoals.caloriesBurnGoal,
         waterIntakeGoal: userGoals.waterIntakeGoal,
+        waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
+        waterGoal: WaterConverter.format(WaterConverter.getGoalMl(userGoals), waterUnit),
         caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
         sleepGoal: { hours: userGoals.sleepGoal?.hours }
     };
@@ -47,16 +56,9 @@ async function dailyHealthService({ userId, date, timezone, requestId }) {
         const h = { ...selectedHealth };
 
         cleanHealthData = {
-            heartRate: h.heartRate ? { avgBpm: h.heartRate.avgBpm } : undefined,
+            heartRate: h.heartRate ? formatHeartRate(h.heartRate) : undefined,
             steps: h.steps ? { count: h.steps.count } : undefined,
-            water: h.water
-                ? {
-                      consumed: WaterConverter.mlToGlasses(
-                          h.water.consumed || 0
-                      ),
-                      entries: h.water.entries || []
-                  }
-                : undefined,
+            water: h.water ? formatDayWater(h.water, waterUnit) : undefined,
             calories: h.calories
                 ? {
                       consumed: h.calories.consumed || 0,
@@ -70,6 +72,11 @@ async function dailyHealthService({ userId, date, timezone, requestId }) {
                       entries: h.sleep.entries || []
                   }
                 : undefined,
+            meals: h.meals || [],
+            mealBreakdown: buildMealBreakdown(h.meals),
+            macros: formatMacros(h.macros),
+            workouts: (h.workouts || []).map(formatWorkout),
+            workoutSummary: buildWorkoutSummary(h.workouts),
             date: h.date,
 
             // Always today's streak & goalcompletion
@@ -5,12 +5,13 @@ const Goals = require('../../../models/Goals');
 const timeZoneUtil = require('../../../utils/timeZone');
 const WaterConverter = require('../../../utils/waterConverter');
 const Logger = require('../../../utils/logger');
+const { formatHeartRate } = require('../../../utils/heartRateCalculator');
 
 module.exports = async function last7DaysService({
     userId,
     timezone,
     requestId,
-    field // "sleep" or "steps" etc.
+    field // "sleep", "steps" or "heartRate"
 }) {
     const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
 
@@ -80,6 +81,13 @@ module.exports = async function last7DaysService({
                 estimates: calculateStepEstimates(steps)
             });
         }
+
+        if (field === "heartRate") {
+            last7Days.push({
+                date: dateString,
+                ...formatHeartRate(dayData?.heartRate)
+            });
+        }
     }
 
     // ---------------------------------------------
@@ -94,6 +102,7 @@ module.exports = async function last7DaysService({
         stepsGoal: userGoals.stepsGoal,
         caloriesBurnGoal: userGoals.caloriesBurnGoal,
         waterIntakeGoal: userGoals.waterIntakeGoal,
+        waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
         caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
         sleepGoal: { hours: userGoals.sleepGoal?.hours }
     };
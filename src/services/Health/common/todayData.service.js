@@ -5,6 +5,17 @@ const Goals = require('../../../models/Goals');
 const WaterConverter = require('../../../utils/waterConverter');
 const timeZoneUtil = require('../../../utils/timeZone');
 const Logger = require('../../../utils/logger');
+const { buildMealBreakdown } = require('../../../utils/mealCalculator');
+const { getMacroGoals, buildMacroBreakdown } = require('../../../utils/macroCalculator');
+const { buildWorkoutSummary } = require('../../../utils/workoutCalculator');
+const { formatHeartRate } = require('../../../utils/heartRateCalculator');
+const { formatWorkout } = require('../workouts/workouts.service');
+const streakService = require('../streak/streak.service');
+const healthScoreService = require('../score/healthScore.service');
+const { calculateHealthScore } = require('../../../utils/healthScore');
+const { getUserWaterUnit, formatDayWater } = require('../water/water.service');
+const fastingService = require('../fasting/fasting.service');
+const { formatCheckIn } = require('../../../utils/checkInCalculator');
 
 async function todayDataService({ userId, timezone, requestId }) {
     try {
@@ -41,6 +52,13 @@ async function todayDataService({ userId, timezone, requestId }) {
             Logger.info("Default goals created via todayDataService", requestId);
         }
 
+        const streakRule = await streakService.getStreakRule(requestId);
+        const scoreRule = await healthScoreService.getScoreRule(requestId);
+        const waterUnit = await getUserWaterUnit(userId);
+        const macroGoals = getMacroGoals(todayGoals);
+        // Fasts span midnight, so the status is not tied to today's record
+        const fasting = await fastingService.getFastingStatus({ userId, timezone: timezone || 'UTC' });
+
         // -----------------------------------------
         // 3️⃣ Build response
         // -----------------------------------------
@@ -51,18 +69,13 @@ async function todayDataService({ userId, timezone, requestId }) {
 
             const cleanHealthData = {
                 heartRate: formatted.heartRate
-                    ? { avgBpm: formatted.heartRate.avgBpm }
+                    ? formatHeartRate(formatted.heartRate)
                     : undefined,
                 steps: formatted.steps
                     ? { count: formatted.steps.count }
                     : undefined,
                 water: formatted.water
-                    ? {
-                        consumed: WaterConverter.mlToGlasses(
-                            formatted.water.consumed || 0
-                        ),
-                        entries: formatted.water.entries || []
-                    }
+                    ? formatDayWater(formatted.water, waterUnit)
                     : undefined,
                 calories: formatted.calories
                     ? {
@@ -77,9 +90,18 @@ async function todayDataService({ userId, timezone, requestId }) {
                         entries: formatted.sleep.entries || []
                     }
                     : undefined,
+                meals: formatted.meals || [],
+                mealBreakdown: buildMealBreakdown(formatted.meals),
+                // grams vs goal and share of macro calories per macro
+                macros: buildMacroBreakdown(formatted.macros, macroGoals),
+                workouts: (formatted.workouts || []).map(formatWorkout),
+                workoutSummary: buildWorkoutSummary(formatted.workouts),
                 date: formatted.date,
                 goalcompletions: formatted.goalcomplete,
-                streak: formatted.streak
+                streak: formatted.streak,
+                checkIn: formatCheckIn(formatted.checkIn),
+                // { score, components } - per-goal progress behind the stored score
+                healthScore: calculateHealthScore(formatted, todayGoals, scoreRule)
             };
 
             // Remove undefined
@@ -91,22 +113,28 @@ async function todayDataService({ userId, timezone, requestId }) {
                 stepsGoal: todayGoals.stepsGoal,
                 caloriesBurnGoal: todayGoals.caloriesBurnGoal,
                 waterIntakeGoal: todayGoals.waterIntakeGoal,
+                waterIntakeGoalMl: WaterConverter.getGoalMl(todayGoals),
+                waterGoal: WaterConverter.format(WaterConverter.getGoalMl(todayGoals), waterUnit),
                 caloriesIntakeGoal: todayGoals.caloriesIntakeGoal,
+                macroGoals,
                 sleepGoal: { hours: todayGoals.sleepGoal?.hours }
             };
 
-            todayData = { healthData: cleanHealthData, goals: cleanGoals };
+            todayData = { healthData: cleanHealthData, goals: cleanGoals, streakRule, waterUnit, fasting };
         } else {
             // No health today → still return goals
             const cleanGoals = {
                 stepsGoal: todayGoals.stepsGoal,
                 caloriesBurnGoal: todayGoals.caloriesBurnGoal,
                 waterIntakeGoal: todayGoals.waterIntakeGoal,
+                waterIntakeGoalMl: WaterConverter.getGoalMl(todayGoals),
+                waterGoal: WaterConverter.format(WaterConverter.getGoalMl(todayGoals), waterUnit),
                 caloriesIntakeGoal: todayGoals.caloriesIntakeGoal,
+                macroGoals,
                 sleepGoal: { hours: todayGoals.sleepGoal?.hours }
             };
 
-            todayData = { healthData: null, goals: cleanGoals };
+            todayData = { healthData: null, goals: cleanGoals, streakRule, waterUnit, fasting };
         }
 
         return { todayData };
@@ -0,0 +1,107 @@
+// services/Health/customMetrics/customMetricTemplates.service.js
+// Admin-managed custom metric templates users can start their own trackers from
+
+const CustomMetricTemplate = require('../../../models/CustomMetricTemplate');
+const Logger = require('../../../utils/logger');
+const { applyMetricDefinition } = require('../../../utils/customMetrics');
+
+function templateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatTemplate(template) {
+    return {
+        _id: template._id,
+        name: template.name,
+        unit: template.unit || '',
+        description: template.description || null,
+        valueType: template.valueType,
+        target: template.target ?? null,
+        targetDirection: template.targetDirection,
+        isActive: template.isActive
+    };
+}
+
+async function saveTemplate(template) {
+    try {
+        return await template.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw templateError('A custom metric template with this name already exists', 'CUSTOM_METRIC_TEMPLATE_EXISTS');
+        }
+        throw err;
+    }
+}
+
+/**
+ * Templates by name; users only see active ones
+ */
+async function listTemplates({ activeOnly = false } = {}) {
+    const templates = await CustomMetricTemplate.find(activeOnly ? { isActive: true } : {})
+        .sort({ name: 1 })
+        .lean();
+    return templates.map(formatTemplate);
+}
+
+async function getActiveTemplate(templateId) {
+    const template = await CustomMetricTemplate.findOne({ _id: templateId, isActive: true }).lean();
+    if (!template) {
+        throw templateError('Custom metric template not found', 'CUSTOM_METRIC_TEMPLATE_NOT_FOUND');
+    }
+    return template;
+}
+
+async function createTemplate({ values, adminId, requestId }) {
+    const template = new CustomMetricTemplate({ valueType: values.valueType, updatedBy: adminId });
+    const { error } = applyMetricDefinition(template, values);
+    if (error) {
+        throw templateError(error, 'CUSTOM_METRIC_INVALID_TARGET');
+    }
+    if (values.isActive !== undefined) template.isActive = values.isActive;
+
+    await saveTemplate(template);
+
+    Logger.info("Custom metric template created", requestId, { templateId: template._id, adminId });
+    return formatTemplate(template);
+}
+
+/**
+ * Edit a template (the value type is fixed). Metrics already created from it are not changed.
+ */
+async function updateTemplate({ templateId, values, adminId, requestId }) {
+    const template = await CustomMetricTemplate.findById(templateId);
+    if (!template) {
+        throw templateError('Custom metric template not found', 'CUSTOM_METRIC_TEMPLATE_NOT_FOUND');
+    }
+
+    const { error } = applyMetricDefinition(template, values);
+    if (error) {
+        throw templateError(error, 'CUSTOM_METRIC_INVALID_TARGET');
+    }
+    if (values.isActive !== undefined) template.isActive = values.isActive;
+    template.updatedBy = adminId;
+
+    await saveTemplate(template);
+
+    Logger.info("Custom metric template updated", requestId, { templateId, adminId });
+    return formatTemplate(template);
+}
+
+async function deleteTemplate({ templateId, adminId, requestId }) {
+    const template = await CustomMetricTemplate.findByIdAndDelete(templateId);
+    if (!template) {
+        throw templateError('Custom metric template not found', 'CUSTOM_METRIC_TEMPLATE_NOT_FOUND');
+    }
+    Logger.info("Custom metric template deleted", requestId, { templateId, adminId });
+}
+
+module.exports = {
+    listTemplates,
+    getActiveTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    formatTemplate
+};
@@ -0,0 +1,268 @@
+// services/Health/customMetrics/customMetrics.service.js
+// User-defined trackers: definitions (CustomMetric) and daily values in DailyHealthData.customMetrics
+
+const CustomMetric = require('../../../models/CustomMetric');
+const DailyHealthData = require('../../../models/DailyHealthData');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const templatesService = require('./customMetricTemplates.service');
+const {
+    normalizeMetricValue,
+    applyMetricDefinition,
+    isTargetMet,
+    summarizeMetricValues
+} = require('../../../utils/customMetrics');
+
+const MAX_CUSTOM_METRICS = 20;
+const DEFAULT_VALUES_DAYS = 30;
+
+function customMetricError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatMetric(metric) {
+    return {
+        _id: metric._id,
+        name: metric.name,
+        unit: metric.unit || '',
+        description: metric.description || null,
+        valueType: metric.valueType,
+        target: metric.target ?? null,
+        targetDirection: metric.targetDirection,
+        templateId: metric.templateId || null
+    };
+}
+
+// DailyHealthData path holding a metric's daily value
+function valuePath(metricId) {
+    return `customMetrics.${metricId}`;
+}
+
+async function findMetric(userId, metricId) {
+    const metric = await CustomMetric.findOne({ _id: metricId, userId });
+    if (!metric) {
+        throw customMetricError('Custom metric not found', 'CUSTOM_METRIC_NOT_FOUND');
+    }
+    return metric;
+}
+
+async function saveMetric(metric) {
+    try {
+        return await metric.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw customMetricError('You already have a custom metric with this name', 'CUSTOM_METRIC_EXISTS');
+        }
+        throw err;
+    }
+}
+
+/**
+ * Logged values of metrics between two dates
+ * @returns {Object} { [metricId]: [{ date, value }] } in date order, unlogged days left out
+ */
+async function loadEntries(userId, metrics, startDate, endDate) {
+    const days = await DailyHealthData.find({
+        userId,
+        date: { $gte: startDate, $lte: endDate },
+        customMetrics: { $exists: true }
+    })
+        .select('date customMetrics')
+        .sort({ date: 1 })
+        .lean();
+
+    const entries = {};
+    metrics.forEach(metric => {
+        const id = String(metric._id);
+        entries[id] = days
+            .filter(day => day.customMetrics?.[id] !== undefined && day.customMetrics[id] !== null)
+            .map(day => ({ date: day.date, value: day.customMetrics[id] }));
+    });
+    return entries;
+}
+
+async function listMetrics({ userId }) {
+    const metrics = await CustomMetric.find({ userId }).sort({ createdAt: 1 }).lean();
+    return metrics.map(formatMetric);
+}
+
+/**
+ * Define a metric, from scratch or from an admin template (request values override the template's)
+ */
+async function createMetric({ userId, values, templateId, requestId }) {
+    const count = await CustomMetric.countDocuments({ userId });
+    if (count >= MAX_CUSTOM_METRICS) {
+        throw customMetricError(`You can create up to ${MAX_CUSTOM_METRICS} custom metrics`, 'CUSTOM_METRIC_LIMIT');
+    }
+
+    const template = templateId ? await templatesService.getActiveTemplate(templateId) : null;
+    const metric = new CustomMetric({
+        userId,
+        valueType: template ? template.valueType : values.valueType,
+        templateId: template?._id
+    });
+
+    const definition = {};
+    ['name', 'unit', 'description', 'target', 'targetDirection'].forEach(key => {
+        const value = values[key] !== undefined ? values[key] : template?.[key];
+        if (value !== undefined) definition[key] = value;
+    });
+
+    const { error } = applyMetricDefinition(metric, definition);
+    if (error) {
+        throw customMetricError(error, 'CUSTOM_METRIC_INVALID_TARGET');
+    }
+
+    await saveMetric(metric);
+
+    Logger.info("Custom metric created", requestId, { metricId: metric._id, valueType: metric.valueType, templateId });
+    return formatMetric(metric);
+}
+
+/**
+ * Edit a metric's name, unit, description or target (the value type is fixed)
+ */
+async function updateMetric({ userId, metricId, values, requestId }) {
+    const metric = await findMetric(userId, metricId);
+
+    const { error } = applyMetricDefinition(metric, values);
+    if (error) {
+        throw customMetricError(error, 'CUSTOM_METRIC_INVALID_TARGET');
+    }
+    await saveMetric(metric);
+
+    // Target changes alter "days target met" in every cached report
+    await reportCacheService.invalidateUser({ userId, requestId });
+
+    Logger.info("Custom metric updated", requestId, { metricId });
+    return formatMetric(metric);
+}
+
+/**
+ * Delete a metric together with its logged values
+ */
+async function deleteMetric({ userId, metricId, requestId }) {
+    const metric = await CustomMetric.findOneAndDelete({ _id: metricId, userId });
+    if (!metric) {
+        throw customMetricError('Custom metric not found', 'CUSTOM_METRIC_NOT_FOUND');
+    }
+
+    const path = valuePath(metric._id);
+    const { modifiedCount } = await DailyHealthData.updateMany(
+        { userId, [path]: { $exists: true } },
+        { $unset: { [path]: '' } }
+    );
+    await reportCacheService.invalidateUser({ userId, requestId });
+
+    Logger.info("Custom metric deleted", requestId, { metricId, daysCleared: modifiedCount });
+    return { deletedId: metric._id, daysCleared: modifiedCount };
+}
+
+/**
+ * Set a metric's value for a date (defaults to today); null clears the day's value
+ */
+async function logValue({ userId, metricId, date, value, timezone, requestId }) {
+    const metric = await findMetric(userId, metricId);
+    const entryDate = date || timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const path = valuePath(metric._id);
+
+    let stored = null;
+    if (value === null) {
+        await DailyHealthData.updateOne({ userId, date: entryDate }, { $unset: { [path]: '' } });
+    } else {
+        const normalized = normalizeMetricValue(metric.valueType, value);
+        if (normalized.error) {
+            throw customMetricError(`${metric.name}: ${normalized.error}`, 'CUSTOM_METRIC_INVALID_VALUE');
+        }
+        stored = normalized.value;
+        await DailyHealthData.updateOne(
+            { userId, date: entryDate },
+            { $set: { [path]: stored } },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+    }
+    await reportCacheService.invalidateDates({ userId, dates: [entryDate], requestId });
+
+    Logger.info(stored === null ? "Custom metric value cleared" : "Custom metric value logged", requestId, {
+        metricId,
+        date: entryDate
+    });
+
+    return {
+        date: entryDate,
+        metric: formatMetric(metric),
+        value: stored,
+        targetMet: isTargetMet(metric, stored)
+    };
+}
+
+/**
+ * A metric's values between two dates (default: the last 30 days) with a summary
+ */
+async function listValues({ userId, metricId, from, to, timezone }) {
+    const metric = await findMetric(userId, metricId);
+    const endDate = to || timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const startDate = from || timeZoneUtil.addDaysToDateString(endDate, -(DEFAULT_VALUES_DAYS - 1));
+
+    const entries = (await loadEntries(userId, [metric], startDate, endDate))[String(metric._id)];
+
+    return {
+        metric: formatMetric(metric),
+        from: startDate,
+        to: endDate,
+        entries: entries.map(e => ({ ...e, targetMet: isTargetMet(metric, e.value) })),
+        summary: summarizeMetricValues(metric, entries)
+    };
+}
+
+/**
+ * Metrics for the range API: every metric for 'all', otherwise the given ids (all must exist)
+ */
+async function getRangeMetrics({ userId, metricIds }) {
+    if (metricIds.includes('all')) {
+        return CustomMetric.find({ userId }).sort({ createdAt: 1 }).lean();
+    }
+
+    const metrics = await CustomMetric.find({ userId, _id: { $in: metricIds } }).sort({ createdAt: 1 }).lean();
+    const missing = metricIds.filter(id => !metrics.some(m => String(m._id) === id));
+    if (missing.length) {
+        throw customMetricError(`Unknown custom metrics: ${missing.join(', ')}`, 'CUSTOM_METRIC_NOT_FOUND');
+    }
+    return metrics;
+}
+
+/**
+ * Report section: every metric with its period summary and logged days
+ * @returns {Array} [{ ...metric, summary, days: [{ date, value, targetMet }] }]
+ */
+async function getCustomMetricsSummary({ userId, startDate, endDate }) {
+    const metrics = await CustomMetric.find({ userId }).sort({ createdAt: 1 }).lean();
+    if (!metrics.length) return [];
+
+    const entries = await loadEntries(userId, metrics, startDate, endDate);
+
+    return metrics.map(metric => {
+        const metricEntries = entries[String(metric._id)];
+        return {
+            ...formatMetric(metric),
+            summary: summarizeMetricValues(metric, metricEntries),
+            days: metricEntries.map(e => ({ ...e, targetMet: isTargetMet(metric, e.value) }))
+        };
+    });
+}
+
+module.exports = {
+    MAX_CUSTOM_METRICS,
+    listMetrics,
+    createMetric,
+    updateMetric,
+    deleteMetric,
+    logValue,
+    listValues,
+    getRangeMetrics,
+    getCustomMetricsSummary,
+    formatMetric
+};
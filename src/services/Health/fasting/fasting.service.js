@@ -0,0 +1,288 @@
+// services/Health/fasting/fasting.service.js
+// Intermittent fasting sessions: start / end / edit, current status, history and report summaries
+
+const FastingSession = require('../../../models/FastingSession');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const FastingReminderService = require('./fastingReminder.service');
+const {
+    FASTING_PROTOCOLS,
+    CUSTOM_PROTOCOL,
+    MIN_FASTING_HOURS,
+    MAX_FASTING_HOURS,
+    resolveFastingHours,
+    calculatePlannedEnd,
+    buildFastProgress,
+    calculateBestStreak,
+    calculateCurrentStreak,
+    summarizeFasts
+} = require('../../../utils/fastingCalculator');
+
+function fastingError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Fast for responses, with live progress for an active fast
+ */
+function formatFast(session) {
+    return {
+        _id: session._id,
+        protocol: session.protocol,
+        fastingHours: session.fastingHours,
+        startedAt: session.startedAt,
+        plannedEndAt: session.plannedEndAt,
+        endedAt: session.endedAt || null,
+        status: session.status,
+        startDate: session.startDate,
+        endDate: session.endDate || null,
+        ...buildFastProgress(session),
+        reminder: {
+            enabled: !!session.reminder?.enabled,
+            minutesBefore: session.reminder?.minutesBefore || 0,
+            sentAt: session.reminder?.sentAt || null
+        },
+        notes: session.notes
+    };
+}
+
+function listProtocols() {
+    return {
+        protocols: [
+            ...Object.entries(FASTING_PROTOCOLS).map(([key, hours]) => ({ key, ...hours })),
+            { key: CUSTOM_PROTOCOL, fastingHours: null, eatingHours: null }
+        ],
+        minFastingHours: MIN_FASTING_HOURS,
+        maxFastingHours: MAX_FASTING_HOURS
+    };
+}
+
+/**
+ * Close a fast at `end`: completed when it lasted until the planned end, otherwise broken
+ */
+function applyEnd(session, end, timezone) {
+    if (end < session.startedAt) {
+        throw fastingError('A fast cannot end before it started', 'FASTING_INVALID_TIMES');
+    }
+    session.endedAt = end;
+    session.status = end >= session.plannedEndAt ? 'completed' : 'broken';
+    session.endDate = timeZoneUtil.formatDateInTimezone(end, timezone);
+}
+
+async function findFast(userId, fastId) {
+    const session = await FastingSession.findOne({ _id: fastId, userId });
+    if (!session) {
+        throw fastingError('Fast not found', 'FASTING_NOT_FOUND');
+    }
+    return session;
+}
+
+async function getCurrentStreak(userId, timezone) {
+    const today = timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const dates = await FastingSession.distinct('endDate', { userId, status: 'completed', endDate: { $lte: today } });
+    return calculateCurrentStreak(dates, today);
+}
+
+/**
+ * Start a fast now or at a past `startedAt`
+ */
+async function startFast({ userId, protocol, fastingHours, startedAt, reminder, notes, timezone, requestId }) {
+    const hours = resolveFastingHours(protocol, fastingHours);
+    if (!hours) {
+        throw fastingError('fastingHours is required for a custom protocol', 'FASTING_HOURS_REQUIRED');
+    }
+
+    if (await FastingSession.exists({ userId, status: 'active' })) {
+        throw fastingError('You already have a fast in progress', 'FASTING_ALREADY_ACTIVE');
+    }
+
+    const start = startedAt ? new Date(startedAt) : new Date();
+    const session = new FastingSession({
+        userId,
+        protocol,
+        fastingHours: hours,
+        startedAt: start,
+        plannedEndAt: calculatePlannedEnd(start, hours),
+        startDate: timeZoneUtil.formatDateInTimezone(start, timezone),
+        reminder: {
+            enabled: !!reminder?.enabled,
+            minutesBefore: reminder?.minutesBefore ?? 0
+        },
+        notes
+    });
+
+    try {
+        await session.save();
+    } catch (err) {
+        // Two starts racing past the exists() check above
+        if (err.code === 11000) {
+            throw fastingError('You already have a fast in progress', 'FASTING_ALREADY_ACTIVE');
+        }
+        throw err;
+    }
+
+    await FastingReminderService.scheduleReminder(session, requestId);
+
+    Logger.info("Fast started", requestId, { fastId: session._id, protocol, fastingHours: hours });
+    return { fast: formatFast(session) };
+}
+
+/**
+ * End the active fast now or at `endedAt`
+ */
+async function endFast({ userId, endedAt, notes, timezone, requestId }) {
+    const session = await FastingSession.findOne({ userId, status: 'active' });
+    if (!session) {
+        throw fastingError('No fast in progress', 'FASTING_NOT_ACTIVE');
+    }
+
+    applyEnd(session, endedAt ? new Date(endedAt) : new Date(), timezone);
+    if (notes !== undefined) session.notes = notes;
+    await session.save();
+
+    await FastingReminderService.cancelReminder(session._id, requestId);
+    await reportCacheService.invalidateDates({ userId, dates: [session.endDate], requestId });
+
+    Logger.info("Fast ended", requestId, { fastId: session._id, status: session.status });
+    return {
+        fast: formatFast(session),
+        streak: await getCurrentStreak(userId, timezone)
+    };
+}
+
+/**
+ * Edit a fast. Times are re-derived (planned end, status, dates) and an active fast's
+ * reminder is requeued for the new plan.
+ */
+async function updateFast({ userId, fastId, updates, timezone, requestId }) {
+    const session = await findFast(userId, fastId);
+    const previousEndDate = session.endDate;
+
+    if (updates.endedAt !== undefined && session.status === 'active') {
+        throw fastingError('End an active fast with POST /fasting/end', 'FASTING_INVALID_TIMES');
+    }
+
+    if (updates.protocol !== undefined || updates.fastingHours !== undefined) {
+        const protocol = updates.protocol ?? session.protocol;
+        const hours = resolveFastingHours(protocol, updates.fastingHours ?? session.fastingHours);
+        session.protocol = protocol;
+        session.fastingHours = hours;
+    }
+    if (updates.startedAt !== undefined) {
+        session.startedAt = new Date(updates.startedAt);
+        session.startDate = timeZoneUtil.formatDateInTimezone(session.startedAt, timezone);
+    }
+
+    const plannedEndAt = calculatePlannedEnd(session.startedAt, session.fastingHours);
+    if (plannedEndAt.getTime() !== session.plannedEndAt.getTime()) {
+        session.plannedEndAt = plannedEndAt;
+        session.reminder.sentAt = undefined;
+    }
+
+    if (session.status !== 'active') {
+        applyEnd(session, updates.endedAt ? new Date(updates.endedAt) : session.endedAt, timezone);
+    }
+    if (updates.reminder) {
+        if (updates.reminder.enabled !== undefined) session.reminder.enabled = updates.reminder.enabled;
+        if (updates.reminder.minutesBefore !== undefined) session.reminder.minutesBefore = updates.reminder.minutesBefore;
+    }
+    if (updates.notes !== undefined) session.notes = updates.notes;
+
+    await session.save();
+
+    if (session.status === 'active') {
+        await FastingReminderService.scheduleReminder(session, requestId);
+    }
+    const dates = [...new Set([previousEndDate, session.endDate].filter(Boolean))];
+    await reportCacheService.invalidateDates({ userId, dates, requestId });
+
+    Logger.info("Fast updated", requestId, { fastId, status: session.status });
+    return { fast: formatFast(session) };
+}
+
+async function deleteFast({ userId, fastId, requestId }) {
+    const session = await FastingSession.findOneAndDelete({ _id: fastId, userId });
+    if (!session) {
+        throw fastingError('Fast not found', 'FASTING_NOT_FOUND');
+    }
+
+    await FastingReminderService.cancelReminder(session._id, requestId);
+    if (session.endDate) {
+        await reportCacheService.invalidateDates({ userId, dates: [session.endDate], requestId });
+    }
+
+    Logger.info("Fast deleted", requestId, { fastId });
+    return { deletedId: session._id };
+}
+
+/**
+ * Fast history (newest first), optionally by start date range
+ */
+async function listFasts({ userId, from, to, limit = 30 }) {
+    const query = { userId };
+    if (from || to) {
+        query.startDate = {};
+        if (from) query.startDate.$gte = from;
+        if (to) query.startDate.$lte = to;
+    }
+
+    const sessions = await FastingSession.find(query).sort({ startedAt: -1 }).limit(limit).lean();
+    return { fasts: sessions.map(formatFast) };
+}
+
+/**
+ * Status for /health/today: the fast in progress, current streak and the last finished fast
+ */
+async function getFastingStatus({ userId, timezone }) {
+    const [current, lastFast, streak] = await Promise.all([
+        FastingSession.findOne({ userId, status: 'active' }).lean(),
+        FastingSession.findOne({ userId, status: { $ne: 'active' } }).sort({ endedAt: -1 }).lean(),
+        getCurrentStreak(userId, timezone)
+    ]);
+
+    return {
+        current: current ? formatFast(current) : null,
+        streak,
+        lastFast: lastFast ? formatFast(lastFast) : null
+    };
+}
+
+/**
+ * Report section: fasts that ended in the period, totals and streaks
+ * @returns {Object} { summary, streak: { current, best }, daysCompleted, history }
+ */
+async function getFastingSummary({ userId, startDate, endDate, timezone }) {
+    const sessions = await FastingSession.find({
+        userId,
+        endDate: { $gte: startDate, $lte: endDate }
+    })
+        .sort({ startedAt: 1 })
+        .lean();
+
+    const completedDates = sessions.filter(s => s.status === 'completed').map(s => s.endDate);
+
+    return {
+        summary: summarizeFasts(sessions),
+        streak: {
+            current: await getCurrentStreak(userId, timezone),
+            best: calculateBestStreak(completedDates)
+        },
+        daysCompleted: new Set(completedDates).size,
+        history: sessions.map(formatFast)
+    };
+}
+
+module.exports = {
+    listProtocols,
+    startFast,
+    endFast,
+    updateFast,
+    deleteFast,
+    listFasts,
+    getFastingStatus,
+    getFastingSummary,
+    formatFast
+};
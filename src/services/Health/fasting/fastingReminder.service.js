@@ -0,0 +1,65 @@
+// services/Health/fasting/fastingReminder.service.js
+// Push reminder before a fast's planned end: a delayed notificationQueue job,
+// sent by workers/notificationWorker.js through FCMService
+
+const { notificationQueue } = require('../../../queues/notificationQueue');
+const Logger = require('../../../utils/logger');
+
+const REMINDER_JOB = "fasting-end-reminder";
+const MS_PER_MINUTE = 60 * 1000;
+
+class FastingReminderService {
+
+    static getJobId(sessionId) {
+        return `fasting-${sessionId}`;
+    }
+
+    /**
+     * (Re)queue the reminder for an active fast. Replaces any queued reminder for it;
+     * fasts without a reminder or already past their planned end just drop it.
+     * Queue problems are logged, never thrown - the fast itself is already saved.
+     */
+    static async scheduleReminder(session, requestId) {
+        try {
+            await this.cancelReminder(session._id, requestId);
+
+            const plannedEnd = new Date(session.plannedEndAt).getTime();
+            if (session.status !== 'active' || !session.reminder?.enabled || plannedEnd <= Date.now()) {
+                return null;
+            }
+
+            const fireAt = plannedEnd - (session.reminder.minutesBefore || 0) * MS_PER_MINUTE;
+            const job = await notificationQueue.add(
+                REMINDER_JOB,
+                {
+                    sessionId: String(session._id),
+                    // Lets the worker ignore a reminder for a plan that has since changed
+                    plannedEndAt: new Date(session.plannedEndAt).toISOString()
+                },
+                {
+                    jobId: this.getJobId(session._id),
+                    delay: Math.max(fireAt - Date.now(), 0),
+                    removeOnComplete: true,
+                    removeOnFail: { age: 3600 }
+                }
+            );
+
+            Logger.info("Queued fasting reminder", requestId, { sessionId: session._id, fireAt: new Date(fireAt) });
+            return { jobId: job.id };
+        } catch (queueErr) {
+            Logger.warn("Failed to queue fasting reminder", requestId, { error: queueErr.message });
+            return null;
+        }
+    }
+
+    static async cancelReminder(sessionId, requestId) {
+        try {
+            const job = await notificationQueue.getJob(this.getJobId(sessionId));
+            if (job) await job.remove();
+        } catch (queueErr) {
+            Logger.warn("Failed to remove fasting reminder", requestId, { error: queueErr.message });
+        }
+    }
+}
+
+module.exports = FastingReminderService;
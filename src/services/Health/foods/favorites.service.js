@@ -0,0 +1,78 @@
+// services/Health/foods/favorites.service.js
+// Per-user favourite foods (snapshots of a catalogue pick or a typed food)
+
+const FavoriteFood = require('../../../models/FavoriteFood');
+const Logger = require('../../../utils/logger');
+const foodCatalogService = require('./foodCatalog.service');
+const { pickFoodItem, buildFoodItemKey } = require('../../../utils/foodCatalog');
+
+const MAX_FAVORITES = 100;
+
+function favoriteError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatFavorite(favorite) {
+    return {
+        _id: favorite._id,
+        ...pickFoodItem(favorite),
+        createdAt: favorite.createdAt
+    };
+}
+
+async function listFavorites({ userId }) {
+    const favorites = await FavoriteFood.find({ userId }).sort({ name: 1 }).lean();
+    return favorites.map(formatFavorite);
+}
+
+/**
+ * Save a favourite: a catalogue food (foodId + amount) or a typed food item
+ */
+async function addFavorite({ userId, food, foodId, amount, requestId }) {
+    const count = await FavoriteFood.countDocuments({ userId });
+    if (count >= MAX_FAVORITES) {
+        throw favoriteError(`You can save up to ${MAX_FAVORITES} favourite foods`, 'FAVORITE_FOOD_LIMIT');
+    }
+
+    const item = foodId
+        ? await foodCatalogService.buildCatalogueFoodItem(foodId, amount)
+        : pickFoodItem(food);
+
+    try {
+        const favorite = await FavoriteFood.create({ userId, ...item, key: buildFoodItemKey(item) });
+        Logger.info("Favourite food added", requestId, { favoriteId: favorite._id });
+        return formatFavorite(favorite);
+    } catch (err) {
+        if (err.code === 11000) {
+            throw favoriteError('This food is already in your favourites', 'FAVORITE_FOOD_EXISTS');
+        }
+        throw err;
+    }
+}
+
+async function getFavorite({ userId, favoriteId }) {
+    const favorite = await FavoriteFood.findOne({ _id: favoriteId, userId }).lean();
+    if (!favorite) {
+        throw favoriteError('Favourite food not found', 'FAVORITE_FOOD_NOT_FOUND');
+    }
+    return favorite;
+}
+
+async function removeFavorite({ userId, favoriteId, requestId }) {
+    const favorite = await FavoriteFood.findOneAndDelete({ _id: favoriteId, userId });
+    if (!favorite) {
+        throw favoriteError('Favourite food not found', 'FAVORITE_FOOD_NOT_FOUND');
+    }
+    Logger.info("Favourite food removed", requestId, { favoriteId });
+}
+
+module.exports = {
+    MAX_FAVORITES,
+    listFavorites,
+    addFavorite,
+    getFavorite,
+    removeFavorite,
+    formatFavorite
+};
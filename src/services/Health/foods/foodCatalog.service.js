@@ -0,0 +1,183 @@
+// services/Health/foods/foodCatalog.service.js
+// Food catalogue: admin dataset import, fuzzy search, barcode lookup and catalogue nutrition for an amount
+
+const FoodRepository = require('../../../repositories/FoodRepository');
+const Logger = require('../../../utils/logger');
+const { MACRO_KEYS } = require('../../../utils/macroCalculator');
+const {
+    normalizeFoodText,
+    buildTrigrams,
+    scoreFoodMatch,
+    parseCsv,
+    normalizeFoodRow,
+    calculateServingNutrition
+} = require('../../../utils/foodCatalog');
+
+const SEARCH_CANDIDATES = 100; // trigram matches ranked in memory per search
+const MIN_MATCH_SCORE = 0.35;
+const IMPORT_CHUNK_SIZE = 500;
+const MAX_REPORTED_ERRORS = 50;
+
+function foodError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Catalogue food for responses
+ */
+function formatFood(food) {
+    return {
+        _id: food._id,
+        name: food.name,
+        brand: food.brand || null,
+        barcode: food.barcode || null,
+        per100g: {
+            calories: food.calories,
+            protein: food.protein || 0,
+            carbs: food.carbs || 0,
+            fat: food.fat || 0,
+            fiber: food.fiber || 0
+        },
+        servingSizes: food.servingSizes || []
+    };
+}
+
+/**
+ * Typo-tolerant name/brand search
+ */
+async function searchFoods({ query, limit = 20 }) {
+    const queryKey = normalizeFoodText(query);
+    const queryTrigrams = buildTrigrams(queryKey);
+    if (!queryTrigrams.length) return [];
+
+    const candidates = await FoodRepository.findByTrigrams(queryTrigrams, SEARCH_CANDIDATES);
+
+    return candidates
+        .map(food => ({ food, score: scoreFoodMatch(queryKey, queryTrigrams, food) }))
+        .filter(match => match.score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score || a.food.name.localeCompare(b.food.name))
+        .slice(0, limit)
+        .map(({ food, score }) => ({ ...formatFood(food), score }));
+}
+
+async function getFood(foodId) {
+    const food = await FoodRepository.findById(foodId);
+    if (!food) {
+        throw foodError('Food not found', 'FOOD_NOT_FOUND');
+    }
+    return formatFood(food);
+}
+
+async function getFoodByBarcode(barcode) {
+    const food = await FoodRepository.findByBarcode(barcode);
+    if (!food) {
+        throw foodError(`No food found for barcode ${barcode}`, 'FOOD_BARCODE_NOT_FOUND');
+    }
+    return formatFood(food);
+}
+
+/**
+ * Read dataset rows from an uploaded CSV / JSON file, or a JSON body { foods: [...] }
+ */
+function readImportRows({ file, foods }) {
+    if (!file) return foods || [];
+
+    const text = file.buffer.toString('utf8');
+    const isJson = file.mimetype === 'application/json' || /\.json$/i.test(file.originalname || '');
+    if (!isJson) return parseCsv(text);
+
+    try {
+        const parsed = JSON.parse(text);
+        return Array.isArray(parsed) ? parsed : parsed.foods || [];
+    } catch (parseErr) {
+        throw foodError(`Invalid JSON file: ${parseErr.message}`, 'FOOD_IMPORT_INVALID_FILE');
+    }
+}
+
+/**
+ * Admin import. Rows are upserted by barcode (or name + brand without a barcode);
+ * invalid rows are skipped and reported by row number.
+ * @returns {Object} { total, created, updated, failed, errors: [{ row, error }] }
+ */
+async function importFoods({ file, foods, requestId }) {
+    const rows = readImportRows({ file, foods });
+    if (!rows.length) {
+        throw foodError('The dataset contains no food rows', 'FOOD_IMPORT_EMPTY');
+    }
+
+    const valid = [];
+    const errors = [];
+    rows.forEach((raw, index) => {
+        const { food, error } = normalizeFoodRow(raw || {});
+        if (error) {
+            errors.push({ row: index + 1, error });
+            return;
+        }
+        // Undefined brand / barcode must not end up in $set
+        Object.keys(food).forEach(key => food[key] === undefined && delete food[key]);
+        valid.push(food);
+    });
+
+    let created = 0;
+    let updated = 0;
+    for (let i = 0; i < valid.length; i += IMPORT_CHUNK_SIZE) {
+        const result = await FoodRepository.bulkUpsert(valid.slice(i, i + IMPORT_CHUNK_SIZE));
+        created += result.upsertedCount || 0;
+        updated += result.matchedCount || 0;
+    }
+
+    Logger.info("Food catalogue import finished", requestId, {
+        total: rows.length,
+        created,
+        updated,
+        failed: errors.length
+    });
+
+    return {
+        total: rows.length,
+        created,
+        updated,
+        failed: errors.length,
+        errors: errors.slice(0, MAX_REPORTED_ERRORS)
+    };
+}
+
+/**
+ * Food item (meal food / calorie entry values) for an amount of a catalogue food
+ * @param {Object} amount - { serving, servings } or { grams }
+ */
+async function buildCatalogueFoodItem(foodId, amount = {}) {
+    const food = await FoodRepository.findById(foodId);
+    if (!food) {
+        throw foodError('Food not found', 'FOOD_NOT_FOUND');
+    }
+
+    const nutrition = calculateServingNutrition(food, amount);
+    if (!nutrition) {
+        throw foodError(
+            `Unknown serving "${amount.serving}" for ${food.name}`,
+            'FOOD_SERVING_NOT_FOUND'
+        );
+    }
+
+    const item = {
+        name: food.brand ? `${food.name} (${food.brand})` : food.name,
+        quantity: nutrition.quantity,
+        calories: nutrition.calories,
+        foodId: food._id,
+        grams: nutrition.grams
+    };
+    MACRO_KEYS.forEach(key => (item[key] = nutrition[key]));
+    return item;
+}
+
+module.exports = {
+    searchFoods,
+    getFood,
+    getFoodByBarcode,
+    importFoods,
+    buildCatalogueFoodItem,
+    formatFood
+};
@@ -0,0 +1,82 @@
+// services/Health/foods/foodLog.service.js
+// One-call logging of a ready-made food item (catalogue pick, favourite, recent food).
+// Goes through the normal meal / calorie entry writers, so totals, macros, streaks and rollups update as usual.
+
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const mealsService = require('../meals/meals.service');
+const intakeEntriesService = require('../intake/intakeEntries.service');
+const foodCatalogService = require('./foodCatalog.service');
+const favoritesService = require('./favorites.service');
+const recentFoodsService = require('./recentFoods.service');
+const { pickFoodItem } = require('../../../utils/foodCatalog');
+
+/**
+ * Log a food item into an existing meal (mealId), a new meal for today (mealType),
+ * or otherwise as a quick calorie entry (date / at backdate it)
+ * @returns {Object} { loggedAs: 'meal' | 'calorieEntry', foodItem, ...writer result }
+ */
+async function logFoodItem({ userId, foodItem, mealId, mealType, time, date, at, timezone, requestId }) {
+    const item = pickFoodItem(foodItem);
+
+    if (mealId) {
+        const result = await mealsService.addFoodItem({ userId, mealId, food: item, timezone, requestId });
+        return { loggedAs: 'meal', foodItem: item, ...result };
+    }
+
+    if (mealType) {
+        const result = await mealsService.addMeal({
+            userId,
+            meal: {
+                type: mealType,
+                time: time || timeZoneUtil.getCurrentTimeInTimezone(timezone).slice(11, 16),
+                foods: [item]
+            },
+            timezone,
+            requestId
+        });
+        return { loggedAs: 'meal', foodItem: item, ...result };
+    }
+
+    const { calories, quantity, grams, ...entryFields } = item;
+    const result = await intakeEntriesService.addCalorieEntry({
+        userId,
+        date: timeZoneUtil.getLogDateInTimezone({ date, at }, timezone),
+        entry: {
+            consumed: calories,
+            ...entryFields,
+            at: at || new Date().toISOString()
+        },
+        timezone,
+        requestId
+    });
+    return { loggedAs: 'calorieEntry', foodItem: item, ...result };
+}
+
+/**
+ * Log an amount of a catalogue food (values calculated from the catalogue)
+ */
+async function logCatalogueFood({ userId, foodId, amount, ...target }) {
+    const foodItem = await foodCatalogService.buildCatalogueFoodItem(foodId, amount);
+    Logger.info("Log catalogue food", target.requestId, { foodId, grams: foodItem.grams });
+    return logFoodItem({ userId, foodItem, ...target });
+}
+
+async function logFavorite({ userId, favoriteId, ...target }) {
+    const foodItem = await favoritesService.getFavorite({ userId, favoriteId });
+    Logger.info("Log favourite food", target.requestId, { favoriteId });
+    return logFoodItem({ userId, foodItem, ...target });
+}
+
+async function logRecentFood({ userId, recentId, ...target }) {
+    const foodItem = await recentFoodsService.getRecentFood({ userId, recentId });
+    Logger.info("Log recent food", target.requestId, { recentId });
+    return logFoodItem({ userId, foodItem, ...target });
+}
+
+module.exports = {
+    logFoodItem,
+    logCatalogueFood,
+    logFavorite,
+    logRecentFood
+};
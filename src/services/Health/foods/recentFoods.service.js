@@ -0,0 +1,84 @@
+// services/Health/foods/recentFoods.service.js
+// "Recently logged" foods, recorded by every named calorie entry / meal food write
+
+const RecentFood = require('../../../models/RecentFood');
+const Logger = require('../../../utils/logger');
+const { pickFoodItem, buildFoodItemKey } = require('../../../utils/foodCatalog');
+
+const MAX_RECENT_FOODS = 30;
+
+function recentFoodError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatRecentFood(recent) {
+    return {
+        _id: recent._id,
+        ...pickFoodItem(recent),
+        timesLogged: recent.timesLogged || 0,
+        lastLoggedAt: recent.lastLoggedAt
+    };
+}
+
+/**
+ * Move logged food items to the top of the user's recent list (unnamed items are skipped).
+ * Never fails the log that triggered it.
+ */
+async function recordRecentFoods({ userId, items, requestId }) {
+    const named = (items || []).filter(item => item?.name);
+    if (!named.length) return;
+
+    try {
+        const now = new Date();
+        await RecentFood.bulkWrite(named.map(item => {
+            const food = pickFoodItem(item);
+            return {
+                updateOne: {
+                    filter: { userId, key: buildFoodItemKey(food) },
+                    update: { $set: { ...food, lastLoggedAt: now }, $inc: { timesLogged: 1 } },
+                    upsert: true
+                }
+            };
+        }), { ordered: false });
+
+        const stale = await RecentFood.find({ userId })
+            .sort({ lastLoggedAt: -1 })
+            .skip(MAX_RECENT_FOODS)
+            .select('_id')
+            .lean();
+        if (stale.length) {
+            await RecentFood.deleteMany({ _id: { $in: stale.map(r => r._id) } });
+        }
+    } catch (recentErr) {
+        Logger.warn("Recent foods update failed", requestId, { error: recentErr.message });
+    }
+}
+
+/**
+ * Most recently logged foods first
+ */
+async function listRecentFoods({ userId, limit = MAX_RECENT_FOODS }) {
+    const recent = await RecentFood.find({ userId })
+        .sort({ lastLoggedAt: -1 })
+        .limit(limit)
+        .lean();
+    return recent.map(formatRecentFood);
+}
+
+async function getRecentFood({ userId, recentId }) {
+    const recent = await RecentFood.findOne({ _id: recentId, userId }).lean();
+    if (!recent) {
+        throw recentFoodError('Recent food not found', 'RECENT_FOOD_NOT_FOUND');
+    }
+    return recent;
+}
+
+module.exports = {
+    MAX_RECENT_FOODS,
+    recordRecentFoods,
+    listRecentFoods,
+    getRecentFood,
+    formatRecentFood
+};
@@ -0,0 +1,136 @@
+// services/Health/goals/calorieTargets.service.js
+// Calorie goals calculated from the user profile (BMR/TDEE), applied while the user keeps them on auto
+
+const User = require('../../../models/User');
+const GoalsRepository = require('../../../repositories/GoalRepository');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const { calculateCalorieTargets } = require('../../../utils/calorieTargets');
+const goalsService = require('./goals.service');
+const StreakJobService = require('../streak/streakJob.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const reportCacheService = require('../reports/reportCache.service');
+
+const PROFILE_FIELDS = 'weight height age gender bodyProfile mainGoal';
+
+function calorieTargetError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Format for responses
+ */
+function formatTargets(goals) {
+    return {
+        mode: goals.calorieTargetMode || 'manual',
+        recommended: goals.recommendedCalories?.caloriesIntakeGoal ? goals.recommendedCalories : null,
+        current: {
+            caloriesIntakeGoal: goals.caloriesIntakeGoal,
+            caloriesBurnGoal: goals.caloriesBurnGoal
+        }
+    };
+}
+
+/**
+ * Calculate targets from the user's profile and store them as the recommendation
+ * @returns {Object|null} Goals document, null when the profile lacks weight/height/age
+ */
+async function storeRecommendation(userId) {
+    const user = await User.findById(userId).select(PROFILE_FIELDS).lean();
+    const targets = user && calculateCalorieTargets(user);
+    if (!targets) return null;
+
+    return GoalsRepository.updateByUserId(userId, {
+        recommendedCalories: { ...targets, basedOnWeight: user.weight, calculatedAt: new Date() }
+    });
+}
+
+/**
+ * Recalculate the recommendation (profile completed, weight / profile changed).
+ * Goals on auto - or enableAuto, when the user accepts - take the new targets from today.
+ * @returns {Object|null} { mode, recommended, current, applied } - null when the profile is incomplete
+ */
+async function recalculateCalorieTargets({ userId, timezone, requestId, enableAuto = false }) {
+    const goals = await storeRecommendation(userId);
+    if (!goals) {
+        Logger.info("Calorie targets skipped - profile incomplete", requestId, { userId });
+        return null;
+    }
+
+    if (!enableAuto && goals.calorieTargetMode !== 'auto') {
+        return { ...formatTargets(goals), applied: false };
+    }
+
+    const { caloriesIntakeGoal, caloriesBurnGoal } = goals.recommendedCalories;
+    const unchanged =
+        goals.calorieTargetMode === 'auto' &&
+        goals.caloriesIntakeGoal === caloriesIntakeGoal &&
+        goals.caloriesBurnGoal === caloriesBurnGoal;
+
+    if (!unchanged) {
+        await goalsService.updateUserGoals({
+            userId,
+            updates: { caloriesIntakeGoal, caloriesBurnGoal },
+            timezone,
+            requestId,
+            calorieTargetMode: 'auto'
+        });
+
+        // Same follow-up as a manual goal change: today's streak/score, rollups and cached reports
+        const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone || 'UTC');
+        await StreakJobService.refreshFromDate({ userId, date: todayDate, timezone, requestId });
+        await healthRollupService.refreshForDates({ userId, dates: [todayDate], requestId });
+        await reportCacheService.invalidateUser({ userId, requestId });
+    }
+
+    Logger.info("Calorie targets applied", requestId, { userId, caloriesIntakeGoal, caloriesBurnGoal, unchanged });
+
+    return {
+        mode: 'auto',
+        recommended: goals.recommendedCalories,
+        current: { caloriesIntakeGoal, caloriesBurnGoal },
+        applied: true
+    };
+}
+
+/**
+ * Current recommendation and calorie goals (calculated on first request for older accounts)
+ */
+async function getCalorieTargets({ userId, requestId }) {
+    let goals = await GoalsRepository.findByUserId(userId);
+
+    if (!goals?.recommendedCalories?.caloriesIntakeGoal) {
+        goals = await storeRecommendation(userId);
+        if (!goals) {
+            throw calorieTargetError(
+                'Complete your profile (weight, height, age) to get calorie targets',
+                'CALORIE_TARGETS_PROFILE_INCOMPLETE'
+            );
+        }
+        Logger.info("Calorie targets calculated on read", requestId, { userId });
+    }
+
+    return formatTargets(goals);
+}
+
+/**
+ * Use the recommended targets from today and keep following profile changes
+ */
+async function acceptCalorieTargets({ userId, timezone, requestId }) {
+    const result = await recalculateCalorieTargets({ userId, timezone, requestId, enableAuto: true });
+    if (!result) {
+        throw calorieTargetError(
+            'Complete your profile (weight, height, age) to get calorie targets',
+            'CALORIE_TARGETS_PROFILE_INCOMPLETE'
+        );
+    }
+    return result;
+}
+
+module.exports = {
+    getCalorieTargets,
+    recalculateCalorieTargets,
+    acceptCalorieTargets
+};
@@ -0,0 +1,178 @@
+// services/Health/goals/goals.service.js
+// Current goals + versioned goal history (used by reports to judge past days)
+
+const GoalsRepository = require('../../../repositories/GoalRepository');
+const timeZoneUtil = require('../../../utils/timeZone');
+const { calculateAllGoals } = require('../../../utils/goalcounter');
+const WaterConverter = require('../../../utils/waterConverter');
+const { MACRO_KEYS, getMacroGoals } = require('../../../utils/macroCalculator');
+const Logger = require('../../../utils/logger');
+
+const DEFAULT_GOALS = {
+    stepsGoal: 10000,
+    caloriesBurnGoal: 2000,
+    waterIntakeGoal: 8,
+    caloriesIntakeGoal: 2000,
+    sleepGoal: { hours: 8 }
+};
+
+/**
+ * Format goals for response
+ */
+function formatGoals(goals) {
+    return {
+        stepsGoal: goals.stepsGoal,
+        caloriesBurnGoal: goals.caloriesBurnGoal,
+        waterIntakeGoal: goals.waterIntakeGoal,
+        waterIntakeGoalMl: WaterConverter.getGoalMl(goals),
+        caloriesIntakeGoal: goals.caloriesIntakeGoal,
+        macroGoals: getMacroGoals(goals),
+        sleepGoal: { hours: goals.sleepGoal?.hours }
+    };
+}
+
+/**
+ * Get current goals (creates defaults if the user has none yet)
+ */
+async function getUserGoals({ userId, requestId }) {
+    let goals = await GoalsRepository.findByUserId(userId);
+
+    if (!goals) {
+        goals = await GoalsRepository.updateByUserId(userId, DEFAULT_GOALS);
+        Logger.info("Default goals created via goalsService", requestId);
+    }
+
+    return formatGoals(goals);
+}
+
+/**
+ * Update current goals and record a goal version effective from today (user timezone).
+ * Calorie goals set here switch the calorie target mode (manual unless the profile targets are being applied).
+ */
+async function updateUserGoals({ userId, updates, timezone, requestId, calorieTargetMode = 'manual' }) {
+    const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone || 'UTC');
+
+    const existing = await GoalsRepository.findByUserId(userId);
+
+    // First change ever → keep the goals that applied before today as the baseline version
+    if (existing && !(await GoalsRepository.hasHistory(userId))) {
+        const baselineDate =
+            timeZoneUtil.formatDateInTimezone(existing.createdAt, timezone || 'UTC') || todayDate;
+
+        if (baselineDate < todayDate) {
+            await GoalsRepository.upsertHistory(userId, baselineDate, existing);
+            Logger.info("Baseline goal version recorded", requestId, { baselineDate });
+        }
+    }
+
+    const setFields = {};
+    ['stepsGoal', 'caloriesBurnGoal', 'waterIntakeGoal', 'caloriesIntakeGoal'].forEach(key => {
+        if (updates[key] !== undefined) setFields[key] = updates[key];
+    });
+    if (updates.sleepGoal?.hours !== undefined) {
+        setFields['sleepGoal.hours'] = updates.sleepGoal.hours;
+    }
+    // null clears a macro goal so it follows caloriesIntakeGoal again
+    MACRO_KEYS.forEach(key => {
+        if (updates.macroGoals?.[key] !== undefined) setFields[`macroGoals.${key}`] = updates.macroGoals[key];
+    });
+    if (updates.caloriesIntakeGoal !== undefined || updates.caloriesBurnGoal !== undefined) {
+        setFields.calorieTargetMode = calorieTargetMode;
+    }
+
+    // Water goal is kept in ml; the glasses value is mirrored for older clients
+    if (updates.waterIntakeGoalMl !== undefined) {
+        setFields.waterIntakeGoalMl = updates.waterIntakeGoalMl;
+        setFields.waterIntakeGoal = WaterConverter.fromMl(updates.waterIntakeGoalMl, 'glasses');
+    } else if (updates.waterIntakeGoal !== undefined) {
+        setFields.waterIntakeGoalMl = WaterConverter.toMl(updates.waterIntakeGoal, 'glasses');
+    }
+
+    const updated = await GoalsRepository.updateByUserId(userId, setFields);
+    await GoalsRepository.upsertHistory(userId, todayDate, updated);
+
+    Logger.info("Goals updated", requestId, {
+        userId,
+        effectiveFrom: todayDate,
+        fields: Object.keys(setFields)
+    });
+
+    return formatGoals(updated);
+}
+
+/**
+ * Get recent goal versions (newest first)
+ */
+async function getGoalHistory({ userId, limit }) {
+    const versions = await GoalsRepository.findRecentHistory(userId, limit);
+
+    return versions.map(v => ({
+        effectiveFrom: v.effectiveFrom,
+        goals: formatGoals(v)
+    }));
+}
+
+/**
+ * Load the user's goal versions for per-day resolution.
+ * currentGoals is used for users who never changed their goals.
+ */
+async function getGoalTimeline(userId, currentGoals) {
+    const versions = await GoalsRepository.findHistory(userId);
+
+    return {
+        versions,
+        fallback: currentGoals || DEFAULT_GOALS
+    };
+}
+
+/**
+ * Resolve the goals that were in effect on a given YYYY-MM-DD date
+ */
+function resolveGoalsForDate(timeline, date) {
+    const { versions, fallback } = timeline;
+    if (!versions.length) return formatGoals(fallback);
+
+    let inEffect = versions[0]; // days before the first version use the oldest known goals
+    for (const v of versions) {
+        if (v.effectiveFrom > date) break;
+        inEffect = v;
+    }
+
+    return formatGoals(inEffect);
+}
+
+/**
+ * Evaluate a stored day record against the goals in effect on that day
+ */
+function evaluateGoalsForDay(record, goals) {
+    const goalResults = calculateAllGoals(record || {}, record, goals);
+
+    const evaluated = {};
+    Object.keys(goalResults).forEach(key => (evaluated[key] = Boolean(goalResults[key])));
+    return evaluated;
+}
+
+/**
+ * Count, per goal, the days of a breakdown on which it was met
+ */
+function countGoalsMetDays(dailyBreakdown) {
+    const counts = {};
+    dailyBreakdown.forEach(day => {
+        Object.keys(day.goalsMet || {}).forEach(key => {
+            counts[key] = (counts[key] || 0) + (day.goalsMet[key] ? 1 : 0);
+        });
+    });
+    return counts;
+}
+
+module.exports = {
+    DEFAULT_GOALS,
+    formatGoals,
+    getUserGoals,
+    updateUserGoals,
+    getGoalHistory,
+    getGoalTimeline,
+    resolveGoalsForDate,
+    evaluateGoalsForDay,
+    countGoalsMetDays
+};
@@ -0,0 +1,67 @@
+// services/Health/heartRate/heartRate.service.js
+// Manual heart rate capture (intraday samples + resting) and per-day reads
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const {
+    mergeSamples,
+    summarizeSamples,
+    formatHeartRate
+} = require('../../../utils/heartRateCalculator');
+
+/**
+ * Add readings (and/or a resting value) to today's record.
+ * Daily avg/min/max are recalculated from all of the day's samples.
+ */
+async function addHeartRate({ userId, samples = [], restingBpm, timezone, requestId }) {
+    const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+
+    let healthDoc = await DailyHealthData.findOne({ userId, date: todayDate });
+    if (!healthDoc) {
+        healthDoc = new DailyHealthData({ userId, date: todayDate });
+    }
+
+    const current = healthDoc.toObject().heartRate || {};
+    const merged = mergeSamples(
+        current.samples || [],
+        samples.map(s => ({ at: s.at || new Date(), bpm: s.bpm }))
+    );
+
+    healthDoc.heartRate = {
+        ...current,
+        ...summarizeSamples(merged),
+        samples: merged,
+        restingBpm: restingBpm ?? current.restingBpm
+    };
+
+    await healthDoc.save();
+    await reportCacheService.invalidateDates({ userId, dates: [todayDate], requestId });
+
+    Logger.info("Heart rate added", requestId, {
+        date: todayDate,
+        newSamples: samples.length,
+        totalSamples: merged.length,
+        restingBpm: healthDoc.heartRate.restingBpm
+    });
+
+    return { date: todayDate, heartRate: formatHeartRate(healthDoc.heartRate) };
+}
+
+/**
+ * Heart rate for a date, including intraday samples
+ */
+async function getHeartRate({ userId, date }) {
+    const healthDoc = await DailyHealthData.findOne({ userId, date }).select('date heartRate').lean();
+
+    return {
+        date,
+        heartRate: formatHeartRate(healthDoc?.heartRate, { includeSamples: true })
+    };
+}
+
+module.exports = {
+    addHeartRate,
+    getHeartRate
+};
@@ -0,0 +1,229 @@
+// services/Health/intake/intakeEntries.service.js
+// List / edit / delete individual water and quick-calorie entries on any date.
+// Day totals are recomputed from the remaining entries and the day's streak is re-evaluated.
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const WaterConverter = require('../../../utils/waterConverter');
+const Logger = require('../../../utils/logger');
+const StreakJobService = require('../streak/streakJob.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const recentFoodsService = require('../foods/recentFoods.service');
+const { recalculateCaloriesConsumed } = require('../../../utils/mealCalculator');
+const { MACRO_KEYS, formatMacros } = require('../../../utils/macroCalculator');
+const { getUserWaterUnit, formatWaterEntry, formatDayWater, resolveWaterAmount } = require('../water/water.service');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function entryError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Recompute water.consumed from its entries.
+ * Entries logged before amounts were stored have no amount; whatever they added to the
+ * total is carried over as-is so editing a newer entry never wipes it.
+ */
+function recalculateWaterConsumed(healthDoc, carriedMl) {
+    const entriesTotal = (healthDoc.water.entries || [])
+        .reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+
+    healthDoc.water.consumed = Math.max(0, carriedMl + entriesTotal);
+    return healthDoc.water.consumed;
+}
+
+// ml on the day that is not backed by an entry amount (legacy entries)
+function getCarriedWaterMl(healthDoc) {
+    const entriesTotal = (healthDoc.water.entries || [])
+        .reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+    return Math.max(0, (healthDoc.water.consumed || 0) - entriesTotal);
+}
+
+function formatCalorieEntry(entry) {
+    return {
+        _id: entry._id,
+        consumed: entry.consumed || 0,
+        ...formatMacros(entry),
+        name: entry.name,
+        foodId: entry.foodId,
+        at: entry.at
+    };
+}
+
+/**
+ * Persist a day and refresh its streak (and the streaks after it for past dates) and rollups
+ */
+async function saveAndRefresh(healthDoc, timezone, requestId) {
+    await healthDoc.save();
+    await StreakJobService.refreshFromDate({ userId: healthDoc.userId, date: healthDoc.date, timezone, requestId });
+    await healthRollupService.refreshForDates({ userId: healthDoc.userId, dates: [healthDoc.date], requestId });
+}
+
+async function findDayByEntry(userId, path, entryId, notFoundMessage, notFoundCode) {
+    const healthDoc = await DailyHealthData.findOne({ userId, [`${path}._id`]: entryId });
+    const entry = healthDoc && healthDoc.get(path).id(entryId);
+    if (!entry) {
+        throw entryError(notFoundMessage, notFoundCode);
+    }
+    return { healthDoc, entry };
+}
+
+/**
+ * Water + calorie entries for a date
+ */
+async function listEntries({ userId, date }) {
+    const [healthDoc, unit] = await Promise.all([
+        DailyHealthData.findOne({ userId, date })
+            .select('date water calories.consumed calories.entries macros')
+            .lean(),
+        getUserWaterUnit(userId)
+    ]);
+
+    return {
+        date,
+        water: formatDayWater(healthDoc?.water, unit),
+        calories: {
+            consumed: healthDoc?.calories?.consumed || 0,
+            entries: (healthDoc?.calories?.entries || []).map(formatCalorieEntry)
+        },
+        macros: formatMacros(healthDoc?.macros)
+    };
+}
+
+/**
+ * Change the amount of a water entry (container, amount + unit, or glasses)
+ */
+async function updateWaterEntry({ userId, entryId, water, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayByEntry(
+        userId, 'water.entries', entryId, 'Water entry not found', 'HEALTH_WATER_ENTRY_NOT_FOUND'
+    );
+
+    // Same shapes as logging water: container, amount + unit, or glasses
+    const { ml, container } = await resolveWaterAmount({ userId, water });
+
+    const carriedMl = getCarriedWaterMl(healthDoc);
+    entry.amount = ml;
+    entry.containerId = container?._id;
+    entry.containerName = container?.name;
+    recalculateWaterConsumed(healthDoc, carriedMl);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Water entry updated", requestId, { entryId, date: healthDoc.date, consumed: healthDoc.water.consumed });
+
+    const unit = await getUserWaterUnit(userId);
+    return {
+        date: healthDoc.date,
+        entry: formatWaterEntry(entry, unit),
+        consumedMl: healthDoc.water.consumed,
+        display: WaterConverter.format(healthDoc.water.consumed, unit)
+    };
+}
+
+/**
+ * Remove a water entry
+ */
+async function deleteWaterEntry({ userId, entryId, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayByEntry(
+        userId, 'water.entries', entryId, 'Water entry not found', 'HEALTH_WATER_ENTRY_NOT_FOUND'
+    );
+
+    const carriedMl = getCarriedWaterMl(healthDoc);
+    entry.deleteOne();
+    recalculateWaterConsumed(healthDoc, carriedMl);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Water entry deleted", requestId, { entryId, date: healthDoc.date, consumed: healthDoc.water.consumed });
+
+    const unit = await getUserWaterUnit(userId);
+    return {
+        date: healthDoc.date,
+        consumedMl: healthDoc.water.consumed,
+        display: WaterConverter.format(healthDoc.water.consumed, unit)
+    };
+}
+
+/**
+ * Add a quick calorie entry to a date; calories.consumed is recomputed from entries + meals
+ * @param {Object} entry - { consumed, at, protein?, carbs?, fat?, fiber?, name?, foodId? }
+ */
+async function addCalorieEntry({ userId, date, entry, timezone, requestId }) {
+    let healthDoc = await DailyHealthData.findOne({ userId, date });
+    if (!healthDoc) {
+        healthDoc = new DailyHealthData({ userId, date, calories: { consumed: 0, burned: 0, entries: [] } });
+    }
+    if (!healthDoc.calories) {
+        healthDoc.calories = { consumed: 0, burned: 0, entries: [] };
+    }
+
+    healthDoc.calories.entries.push(entry);
+    recalculateCaloriesConsumed(healthDoc);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+    await recentFoodsService.recordRecentFoods({
+        userId,
+        items: [{ ...entry, calories: entry.consumed }],
+        requestId
+    });
+
+    Logger.info("Calorie entry added", requestId, { date, consumed: healthDoc.calories.consumed });
+
+    const added = healthDoc.calories.entries[healthDoc.calories.entries.length - 1];
+    return {
+        date,
+        entry: formatCalorieEntry(added),
+        consumed: healthDoc.calories.consumed,
+        macros: formatMacros(healthDoc.macros)
+    };
+}
+
+/**
+ * Change the calories (and any macros sent) of a quick calorie entry (meal totals are unaffected)
+ */
+async function updateCalorieEntry({ userId, entryId, consumed, macros = {}, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayByEntry(
+        userId, 'calories.entries', entryId, 'Calorie entry not found', 'HEALTH_CALORIE_ENTRY_NOT_FOUND'
+    );
+
+    entry.consumed = consumed;
+    MACRO_KEYS.forEach(key => {
+        if (macros[key] !== undefined) entry[key] = macros[key];
+    });
+    recalculateCaloriesConsumed(healthDoc);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Calorie entry updated", requestId, { entryId, date: healthDoc.date, consumed: healthDoc.calories.consumed });
+
+    return {
+        date: healthDoc.date,
+        entry: formatCalorieEntry(entry),
+        consumed: healthDoc.calories.consumed,
+        macros: formatMacros(healthDoc.macros)
+    };
+}
+
+/**
+ * Remove a quick calorie entry
+ */
+async function deleteCalorieEntry({ userId, entryId, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayByEntry(
+        userId, 'calories.entries', entryId, 'Calorie entry not found', 'HEALTH_CALORIE_ENTRY_NOT_FOUND'
+    );
+
+    entry.deleteOne();
+    recalculateCaloriesConsumed(healthDoc);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Calorie entry deleted", requestId, { entryId, date: healthDoc.date, consumed: healthDoc.calories.consumed });
+
+    return { date: healthDoc.date, consumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+module.exports = {
+    listEntries,
+    addCalorieEntry,
+    updateWaterEntry,
+    deleteWaterEntry,
+    updateCalorieEntry,
+    deleteCalorieEntry
+};
@@ -0,0 +1,161 @@
+// services/Health/meals/mealTemplates.service.js
+// Saved meals ("usual breakfast") that can be logged again in one call
+
+const MealTemplate = require('../../../models/MealTemplate');
+const DailyHealthData = require('../../../models/DailyHealthData');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const mealsService = require('./meals.service');
+const { calculateMealTotal } = require('../../../utils/mealCalculator');
+const { sumMacros } = require('../../../utils/macroCalculator');
+const { pickFoodItem } = require('../../../utils/foodCatalog');
+
+const MAX_TEMPLATES = 50;
+
+function templateError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function formatTemplate(template) {
+    const foods = (template.foods || []).map(food => ({ _id: food._id, ...pickFoodItem(food) }));
+    return {
+        _id: template._id,
+        name: template.name,
+        type: template.type || null,
+        foods,
+        totalCalories: calculateMealTotal(foods),
+        totalMacros: sumMacros(foods),
+        notes: template.notes,
+        timesLogged: template.timesLogged || 0,
+        lastLoggedAt: template.lastLoggedAt || null
+    };
+}
+
+async function findTemplate(userId, templateId) {
+    const template = await MealTemplate.findOne({ _id: templateId, userId });
+    if (!template) {
+        throw templateError('Meal template not found', 'MEAL_TEMPLATE_NOT_FOUND');
+    }
+    return template;
+}
+
+// Foods of a logged meal (any date) to save as a template
+async function getMealFoods(userId, mealId) {
+    const healthDoc = await DailyHealthData.findOne({ userId, 'meals._id': mealId }).select('meals').lean();
+    const meal = healthDoc?.meals.find(m => String(m._id) === String(mealId));
+    if (!meal) {
+        throw templateError('Meal not found', 'HEALTH_MEAL_NOT_FOUND');
+    }
+    return { type: meal.type, foods: meal.foods || [] };
+}
+
+async function saveTemplate(template) {
+    try {
+        return await template.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw templateError('A meal template with this name already exists', 'MEAL_TEMPLATE_EXISTS');
+        }
+        throw err;
+    }
+}
+
+async function listTemplates({ userId }) {
+    const templates = await MealTemplate.find({ userId })
+        .sort({ lastLoggedAt: -1, name: 1 })
+        .lean();
+    return templates.map(formatTemplate);
+}
+
+/**
+ * Create a template from a foods list, or from a meal already logged (mealId)
+ */
+async function createTemplate({ userId, name, type, foods, mealId, notes, requestId }) {
+    const count = await MealTemplate.countDocuments({ userId });
+    if (count >= MAX_TEMPLATES) {
+        throw templateError(`You can save up to ${MAX_TEMPLATES} meal templates`, 'MEAL_TEMPLATE_LIMIT');
+    }
+
+    let source = { type, foods };
+    if (mealId) {
+        const meal = await getMealFoods(userId, mealId);
+        source = { type: type || meal.type, foods: meal.foods };
+    }
+
+    const template = await saveTemplate(new MealTemplate({
+        userId,
+        name,
+        type: source.type,
+        foods: source.foods.map(pickFoodItem),
+        notes
+    }));
+
+    Logger.info("Meal template created", requestId, { templateId: template._id, foods: template.foods.length });
+    return formatTemplate(template);
+}
+
+async function updateTemplate({ userId, templateId, updates, requestId }) {
+    const template = await findTemplate(userId, templateId);
+
+    if (updates.name !== undefined) template.name = updates.name;
+    if (updates.type !== undefined) template.type = updates.type;
+    if (updates.notes !== undefined) template.notes = updates.notes;
+    if (updates.foods !== undefined) template.foods = updates.foods.map(pickFoodItem);
+
+    await saveTemplate(template);
+
+    Logger.info("Meal template updated", requestId, { templateId });
+    return formatTemplate(template);
+}
+
+async function deleteTemplate({ userId, templateId, requestId }) {
+    const template = await MealTemplate.findOneAndDelete({ _id: templateId, userId });
+    if (!template) {
+        throw templateError('Meal template not found', 'MEAL_TEMPLATE_NOT_FOUND');
+    }
+    Logger.info("Meal template deleted", requestId, { templateId });
+}
+
+/**
+ * Log a template as a meal on today's record (same path as POST /meals)
+ */
+async function logTemplate({ userId, templateId, type, time, timezone, requestId }) {
+    const template = await findTemplate(userId, templateId);
+
+    const mealType = type || template.type;
+    if (!mealType) {
+        throw templateError('Meal type is required for a template without a default type', 'MEAL_TEMPLATE_TYPE_REQUIRED');
+    }
+
+    const result = await mealsService.addMeal({
+        userId,
+        meal: {
+            type: mealType,
+            time: time || timeZoneUtil.getCurrentTimeInTimezone(timezone).slice(11, 16),
+            foods: template.foods.map(pickFoodItem),
+            notes: template.notes
+        },
+        timezone,
+        requestId
+    });
+
+    await MealTemplate.updateOne(
+        { _id: template._id },
+        { $inc: { timesLogged: 1 }, $set: { lastLoggedAt: new Date() } }
+    );
+
+    Logger.info("Meal template logged", requestId, { templateId, mealId: result.meal._id });
+    return { templateId: template._id, ...result };
+}
+
+module.exports = {
+    MAX_TEMPLATES,
+    listTemplates,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    logTemplate,
+    formatTemplate
+};
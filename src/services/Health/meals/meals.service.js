@@ -0,0 +1,281 @@
+// services/Health/meals/meals.service.js
+// Meal + food item logging on DailyHealthData.meals (keeps calories.consumed in sync)
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const s3 = require('../../s3Service');
+const StreakJobService = require('../streak/streakJob.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const recentFoodsService = require('../foods/recentFoods.service');
+const {
+    calculateMealTotal,
+    recalculateCaloriesConsumed
+} = require('../../../utils/mealCalculator');
+const { MACRO_KEYS, formatMacros } = require('../../../utils/macroCalculator');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function mealError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Find the day document that holds a meal (meals can be edited on any date)
+ */
+async function findDayByMeal(userId, mealId) {
+    const healthDoc = await DailyHealthData.findOne({ userId, 'meals._id': mealId });
+    if (!healthDoc) {
+        throw mealError('Meal not found', 'HEALTH_MEAL_NOT_FOUND');
+    }
+    return { healthDoc, meal: healthDoc.meals.id(mealId) };
+}
+
+/**
+ * Recalculate meal + day totals, persist and refresh the day's streak (and the streaks
+ * after it for past dates) and rollups
+ */
+async function saveWithTotals(healthDoc, meal, timezone, requestId) {
+    if (meal) meal.totalCalories = calculateMealTotal(meal.foods);
+    recalculateCaloriesConsumed(healthDoc);
+    await healthDoc.save();
+    await StreakJobService.refreshFromDate({ userId: healthDoc.userId, date: healthDoc.date, timezone, requestId });
+    await healthRollupService.refreshForDates({ userId: healthDoc.userId, dates: [healthDoc.date], requestId });
+    return healthDoc;
+}
+
+/**
+ * Format a meal for response
+ */
+function formatMeal(meal) {
+    return {
+        _id: meal._id,
+        type: meal.type,
+        time: meal.time,
+        foods: (meal.foods || []).map(f => ({
+            _id: f._id,
+            name: f.name,
+            quantity: f.quantity,
+            calories: f.calories,
+            ...formatMacros(f),
+            foodId: f.foodId,
+            grams: f.grams
+        })),
+        totalCalories: meal.totalCalories || 0,
+        totalMacros: formatMacros(meal.totalMacros),
+        notes: meal.notes,
+        source: meal.source || 'manual',
+        imageUrl: meal.imageUrl || null
+    };
+}
+
+/**
+ * Add a meal to today's record
+ */
+async function addMeal({ userId, meal, timezone, requestId }) {
+    const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+
+    let healthDoc = await DailyHealthData.findOne({ userId, date: todayDate });
+    if (!healthDoc) {
+        healthDoc = new DailyHealthData({ userId, date: todayDate });
+    }
+
+    healthDoc.meals.push({
+        type: meal.type,
+        time: meal.time,
+        foods: meal.foods || [],
+        notes: meal.notes,
+        source: meal.source,
+        imageUrl: meal.imageUrl,
+        imageKey: meal.imageKey
+    });
+
+    const added = healthDoc.meals[healthDoc.meals.length - 1];
+    await saveWithTotals(healthDoc, added, timezone, requestId);
+    await recentFoodsService.recordRecentFoods({ userId, items: added.foods, requestId });
+
+    Logger.info("Meal added", requestId, {
+        date: todayDate,
+        mealId: added._id,
+        totalCalories: added.totalCalories
+    });
+
+    return { date: healthDoc.date, meal: formatMeal(added), caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Update meal fields (type/time/notes) and optionally replace its foods
+ */
+async function updateMeal({ userId, mealId, updates, timezone, requestId }) {
+    const { healthDoc, meal } = await findDayByMeal(userId, mealId);
+
+    if (updates.type !== undefined) meal.type = updates.type;
+    if (updates.time !== undefined) meal.time = updates.time;
+    if (updates.notes !== undefined) meal.notes = updates.notes;
+    if (updates.foods !== undefined) meal.foods = updates.foods;
+
+    await saveWithTotals(healthDoc, meal, timezone, requestId);
+
+    Logger.info("Meal updated", requestId, { mealId, date: healthDoc.date });
+
+    return { date: healthDoc.date, meal: formatMeal(meal), caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Delete a meal
+ */
+async function deleteMeal({ userId, mealId, timezone, requestId }) {
+    const { healthDoc, meal } = await findDayByMeal(userId, mealId);
+
+    if (meal.imageKey) {
+        try {
+            await s3.deleteFromS3(meal.imageKey);
+        } catch (deleteErr) {
+            Logger.warn("Failed to delete meal image", requestId, { error: deleteErr.message });
+        }
+    }
+
+    meal.deleteOne();
+    await saveWithTotals(healthDoc, null, timezone, requestId);
+
+    Logger.info("Meal deleted", requestId, { mealId, date: healthDoc.date });
+
+    return { date: healthDoc.date, caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Add a food item to an existing meal
+ */
+async function addFoodItem({ userId, mealId, food, timezone, requestId }) {
+    const { healthDoc, meal } = await findDayByMeal(userId, mealId);
+
+    meal.foods.push(food);
+    await saveWithTotals(healthDoc, meal, timezone, requestId);
+    await recentFoodsService.recordRecentFoods({ userId, items: [food], requestId });
+
+    Logger.info("Food item added", requestId, { mealId, date: healthDoc.date });
+
+    return { date: healthDoc.date, meal: formatMeal(meal), caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Update a food item inside a meal
+ */
+async function updateFoodItem({ userId, mealId, foodId, updates, timezone, requestId }) {
+    const { healthDoc, meal } = await findDayByMeal(userId, mealId);
+
+    const food = meal.foods.id(foodId);
+    if (!food) {
+        throw mealError('Food item not found', 'HEALTH_FOOD_ITEM_NOT_FOUND');
+    }
+
+    ['name', 'quantity', 'calories', ...MACRO_KEYS].forEach(key => {
+        if (updates[key] !== undefined) food[key] = updates[key];
+    });
+
+    await saveWithTotals(healthDoc, meal, timezone, requestId);
+
+    Logger.info("Food item updated", requestId, { mealId, foodId, date: healthDoc.date });
+
+    return { date: healthDoc.date, meal: formatMeal(meal), caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Remove a food item from a meal
+ */
+async function deleteFoodItem({ userId, mealId, foodId, timezone, requestId }) {
+    const { healthDoc, meal } = await findDayByMeal(userId, mealId);
+
+    const food = meal.foods.id(foodId);
+    if (!food) {
+        throw mealError('Food item not found', 'HEALTH_FOOD_ITEM_NOT_FOUND');
+    }
+
+    food.deleteOne();
+    await saveWithTotals(healthDoc, meal, timezone, requestId);
+
+    Logger.info("Food item deleted", requestId, { mealId, foodId, date: healthDoc.date });
+
+    return { date: healthDoc.date, meal: formatMeal(meal), caloriesConsumed: healthDoc.calories.consumed, macros: formatMacros(healthDoc.macros) };
+}
+
+/**
+ * Commit an image calorie estimate as a meal on today's record.
+ * The photo is stored in S3 when storeImage is set; an upload failure does not lose the estimate.
+ */
+async function logEstimatedMeal({ userId, estimate, image, mealType, time, storeImage, timezone, requestId }) {
+    let imageUrl;
+    let imageKey;
+
+    if (storeImage && image) {
+        try {
+            const uploadResult = await s3.uploadToS3(
+                image.buffer,
+                image.originalname || 'meal.jpg',
+                image.mimetype,
+                {
+                    keyPrefix: `users/meal-images/${userId}/`,
+                    cacheControl: 'private, max-age=31536000, immutable',
+                    contentDisposition: 'inline',
+                }
+            );
+            imageUrl = uploadResult.url || s3.getS3PublicUrl(uploadResult.key);
+            imageKey = uploadResult.key;
+        } catch (uploadErr) {
+            Logger.warn("Meal image upload failed, saving estimate without image", requestId, {
+                error: uploadErr.message
+            });
+        }
+    }
+
+    // Default meal time = now in the user's timezone ("YYYY-MM-DDTHH:mm:ss" → "HH:mm")
+    const mealTime = time || timeZoneUtil.getCurrentTimeInTimezone(timezone).slice(11, 16);
+
+    return addMeal({
+        userId,
+        meal: {
+            type: mealType,
+            time: mealTime,
+            foods: [{
+                name: estimate.foodDescription,
+                quantity: '1 serving',
+                calories: estimate.estimatedCalories,
+                ...estimate.macros
+            }],
+            source: 'image_estimate',
+            imageUrl,
+            imageKey
+        },
+        timezone,
+        requestId
+    });
+}
+
+/**
+ * List meals for a date
+ */
+async function getMeals({ userId, date }) {
+    const healthDoc = await DailyHealthData.findOne({ userId, date }).select('date meals calories macros').lean();
+
+    return {
+        date,
+        meals: (healthDoc?.meals || []).map(formatMeal),
+        caloriesConsumed: healthDoc?.calories?.consumed || 0,
+        macros: formatMacros(healthDoc?.macros)
+    };
+}
+
+module.exports = {
+    addMeal,
+    updateMeal,
+    deleteMeal,
+    addFoodItem,
+    updateFoodItem,
+    deleteFoodItem,
+    getMeals,
+    logEstimatedMeal,
+    formatMeal
+};
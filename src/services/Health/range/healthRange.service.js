@@ -0,0 +1,171 @@
+// services/Health/range/healthRange.service.js
+// Any-window health query: per-bucket (day/week/month) and overall sum/avg/min/max, computed in MongoDB.
+// Custom metrics are aggregated alongside under a "custom_<metricId>" field.
+
+const mongoose = require('mongoose');
+const DailyHealthData = require('../../../models/DailyHealthData');
+const Logger = require('../../../utils/logger');
+const { getUserWeekStart } = require('../reports/reportPeriod.service');
+const customMetricsService = require('../customMetrics/customMetrics.service');
+const { buildRangeExpression } = require('../../../utils/customMetrics');
+const {
+    RANGE_METRICS,
+    RANGE_METRIC_KEYS,
+    MAX_RANGE_DAYS,
+    countDays,
+    listBuckets,
+    bucketKeyExpression
+} = require('../../../utils/healthRange');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function rangeError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * $group accumulators for the requested metrics. Zero counts as "not logged",
+ * so a day with only water doesn't drag the step average down.
+ */
+function buildAccumulators(metrics) {
+    const group = {};
+    metrics.forEach(metric => {
+        const field = `$${metric}`;
+        group[`${metric}Sum`] = { $sum: field };
+        group[`${metric}Avg`] = { $avg: field };
+        group[`${metric}Min`] = { $min: field };
+        group[`${metric}Max`] = { $max: field };
+        group[`${metric}Days`] = { $sum: { $cond: [{ $gt: [field, null] }, 1, 0] } };
+    });
+    return group;
+}
+
+function round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Pull one metric's aggregates out of a $group row (missing row = nothing logged)
+ */
+function readAggregates(row, metric) {
+    return {
+        sum: round(row?.[`${metric}Sum`] || 0),
+        avg: round(row?.[`${metric}Avg`]),
+        min: round(row?.[`${metric}Min`]),
+        max: round(row?.[`${metric}Max`]),
+        daysLogged: row?.[`${metric}Days`] || 0
+    };
+}
+
+function customField(metric) {
+    return `custom_${metric._id}`;
+}
+
+/**
+ * Custom metric aggregates keyed by metric id
+ */
+function readCustomAggregates(row, customMetrics) {
+    const values = {};
+    customMetrics.forEach(metric => (values[metric._id] = readAggregates(row, customField(metric))));
+    return values;
+}
+
+/**
+ * Query a date range
+ * @param {Object} params - { userId, from, to, metrics, customMetrics (ids or 'all'), granularity, requestId }
+ * @returns {Object} { from, to, granularity, metrics, units, customMetrics, buckets, summary }
+ */
+async function getHealthRange({ userId, from, to, metrics, customMetrics: customMetricIds, granularity = 'day', requestId }) {
+    if (from > to) {
+        throw rangeError('from must be on or before to', 'HEALTH_RANGE_INVALID');
+    }
+
+    const totalDays = countDays(from, to);
+    if (totalDays > MAX_RANGE_DAYS[granularity]) {
+        throw rangeError(
+            `Range too large for ${granularity} granularity (max ${MAX_RANGE_DAYS[granularity]} days)`,
+            'HEALTH_RANGE_TOO_LARGE'
+        );
+    }
+
+    const selected = metrics?.length ? metrics : RANGE_METRIC_KEYS;
+
+    Logger.info("Health range START", requestId, { userId, from, to, granularity, metrics: selected });
+
+    const withCustom = customMetricIds?.length > 0;
+    let customMetrics = [];
+    if (withCustom) {
+        try {
+            customMetrics = await customMetricsService.getRangeMetrics({ userId, metricIds: customMetricIds });
+        } catch (err) {
+            if (err.code === 'CUSTOM_METRIC_NOT_FOUND') throw rangeError(err.message, 'HEALTH_RANGE_INVALID');
+            throw err;
+        }
+    }
+
+    // Week buckets follow the user's week start, same as the weekly report
+    const weekStart = granularity === 'week' ? await getUserWeekStart(userId) : 'sunday';
+
+    const projection = { _id: 0, bucket: bucketKeyExpression(granularity, weekStart) };
+    selected.forEach(metric => {
+        const expr = RANGE_METRICS[metric].expr;
+        projection[metric] = { $cond: [{ $gt: [expr, 0] }, expr, null] };
+    });
+
+    customMetrics.forEach(metric => {
+        projection[customField(metric)] = buildRangeExpression(metric);
+    });
+
+    const accumulators = buildAccumulators([...selected, ...customMetrics.map(customField)]);
+
+    const [result] = await DailyHealthData.aggregate([
+        {
+            $match: {
+                userId: new mongoose.Types.ObjectId(String(userId)),
+                date: { $gte: from, $lte: to }
+            }
+        },
+        { $project: projection },
+        {
+            $facet: {
+                buckets: [{ $group: { _id: '$bucket', ...accumulators } }],
+                summary: [{ $group: { _id: null, ...accumulators } }]
+            }
+        }
+    ]);
+
+    const rowsByKey = {};
+    (result?.buckets || []).forEach(row => (rowsByKey[row._id] = row));
+    const summaryRow = result?.summary?.[0];
+
+    // Every bucket in the window is returned, empty ones included
+    const buckets = listBuckets(from, to, granularity, weekStart).map(({ key, start, end, days }) => {
+        const values = {};
+        selected.forEach(metric => (values[metric] = readAggregates(rowsByKey[key], metric)));
+        const bucket = { start, end, days, metrics: values };
+        if (withCustom) bucket.customMetrics = readCustomAggregates(rowsByKey[key], customMetrics);
+        return bucket;
+    });
+
+    const summary = { days: totalDays, metrics: {} };
+    selected.forEach(metric => (summary.metrics[metric] = readAggregates(summaryRow, metric)));
+    if (withCustom) summary.customMetrics = readCustomAggregates(summaryRow, customMetrics);
+
+    const units = {};
+    selected.forEach(metric => (units[metric] = RANGE_METRICS[metric].unit));
+
+    Logger.info("Health range SUCCESS", requestId, { buckets: buckets.length });
+
+    const response = { from, to, granularity, metrics: selected, units, buckets, summary };
+    if (withCustom) {
+        response.customMetrics = customMetrics.map(customMetricsService.formatMetric);
+    }
+    return response;
+}
+
+module.exports = {
+    getHealthRange
+};
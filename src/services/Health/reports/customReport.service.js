@@ -0,0 +1,115 @@
+// services/Health/reports/customReport.service.js
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const Goals = require('../../../models/Goals');
+const WaterConverter = require('../../../utils/waterConverter');
+const Logger = require('../../../utils/logger');
+const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const streakService = require('../streak/streak.service');
+const bodyMetricsService = require('../bodyMetrics/bodyMetrics.service');
+const customMetricsService = require('../customMetrics/customMetrics.service');
+const { getUserWaterUnit } = require('../water/water.service');
+const reportPeriodService = require('./reportPeriod.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const { calculateStreakCompletion } = require('../../../utils/goalcounter');
+const { buildSleepConsistency } = require('../../../utils/sleepduration');
+const { formatMacros, getMacroGoals, summarizeMacros } = require('../../../utils/macroCalculator');
+
+/**
+ * Report for any from/to window (validated to at most a year), compared with
+ * the same number of days immediately before it
+ */
+module.exports = async function customReportService({
+    userId,
+    from,
+    to,
+    timezone,
+    requestId
+}) {
+    Logger.info("Custom report START", requestId, { userId, from, to });
+
+    const userGoals = await Goals.findOne({ userId }).lean();
+    const waterUnit = await getUserWaterUnit(userId);
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+    const streakRule = await streakService.getStreakRule(requestId);
+    const bodyMetrics = await bodyMetricsService.getBodyMetricsTrend({
+        userId,
+        startDate: from,
+        endDate: to
+    });
+    const customMetrics = await customMetricsService.getCustomMetricsSummary({
+        userId,
+        startDate: from,
+        endDate: to
+    });
+
+    const rangeData = await DailyHealthData.find({
+        userId,
+        date: { $gte: from, $lte: to }
+    })
+        .select(`${reportPeriodService.PERIOD_FIELDS} sleep.entries macros`)
+        .sort({ date: 1 })
+        .lean();
+
+    const dataMap = {};
+    rangeData.forEach(d => (dataMap[d.date] = d));
+
+    const dailyBreakdown = [];
+    for (let dateString = from; dateString <= to; dateString = timeZoneUtil.addDaysToDateString(dateString, 1)) {
+        const d = dataMap[dateString];
+        const goalsInEffect = goalsService.resolveGoalsForDate(goalTimeline, dateString);
+        const goalsMet = goalsService.evaluateGoalsForDay(d, goalsInEffect);
+
+        dailyBreakdown.push({
+            date: dateString,
+            goalCompletion: calculateStreakCompletion(goalsMet, streakRule).allCompleted,
+            goalsInEffect,
+            goalsMet,
+            water: {
+                ml: d?.water?.consumed || 0,
+                glasses: WaterConverter.mlToGlasses(d?.water?.consumed || 0),
+                display: WaterConverter.format(d?.water?.consumed || 0, waterUnit).display
+            },
+            calories: {
+                consumed: d?.calories?.consumed || 0,
+                burned: d?.calories?.burned || 0
+            },
+            macros: formatMacros(d?.macros),
+            steps: { count: d?.steps?.count || 0 },
+            sleep: { duration: d?.sleep?.duration || 0 }
+        });
+    }
+
+    const summary = reportPeriodService.summarizePeriod(rangeData, { startDate: from, endDate: to }, goalTimeline);
+    summary.water.unit = waterUnit;
+    summary.water.totalDisplay = WaterConverter.format(summary.water.totalMl, waterUnit).display;
+    summary.sleep.consistency = buildSleepConsistency(rangeData, timezone);
+    summary.macros = summarizeMacros(dailyBreakdown, getMacroGoals(userGoals || {}));
+
+    const comparison = await reportPeriodService.comparePeriods({
+        userId,
+        current: { startDate: from, endDate: to },
+        previous: reportPeriodService.getPreviousPeriod(from, to, 'custom'),
+        goalTimeline,
+        timezone,
+        loadSummary: healthRollupService.loadPeriodSummary
+    });
+
+    Logger.info("Custom report SUCCESS", requestId, { days: dailyBreakdown.length });
+
+    return {
+        streakRule,
+        bodyMetrics,
+        customMetrics,
+        goals: goalsService.formatGoals(userGoals || goalsService.DEFAULT_GOALS),
+        period: {
+            startDate: from,
+            endDate: to,
+            totalDays: summary.days
+        },
+        summary,
+        comparison,
+        dailyBreakdown
+    };
+};
@@ -5,6 +5,22 @@ const Goals = require('../../../models/Goals');
 const WaterConverter = require('../../../utils/waterConverter');
 const Logger = require('../../../utils/logger');
 const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const streakService = require('../streak/streak.service');
+const bodyMetricsService = require('../bodyMetrics/bodyMetrics.service');
+const customMetricsService = require('../customMetrics/customMetrics.service');
+const fastingService = require('../fasting/fasting.service');
+const { getUserWaterUnit } = require('../water/water.service');
+const reportPeriodService = require('./reportPeriod.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const { calculateStreakCompletion } = require('../../../utils/goalcounter');
+const { buildMealBreakdown, mergeMealBreakdown } = require('../../../utils/mealCalculator');
+const { buildWorkoutSummary, mergeWorkoutSummary } = require('../../../utils/workoutCalculator');
+const { formatHeartRate, buildHeartRateSummary } = require('../../../utils/heartRateCalculator');
+const { buildSleepConsistency } = require('../../../utils/sleepduration');
+const { summarizeHealthScores } = require('../../../utils/healthScore');
+const { formatMacros, getMacroGoals, summarizeMacros } = require('../../../utils/macroCalculator');
+const { formatCheckIn, buildCheckInReport } = require('../../../utils/checkInCalculator');
 
 module.exports = async function monthlyReportService({
     userId,
@@ -39,6 +55,25 @@ module.exports = async function monthlyReportService({
         });
 
         const userGoals = await Goals.findOne({ userId });
+        const waterUnit = await getUserWaterUnit(userId);
+        const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+        const streakRule = await streakService.getStreakRule(requestId);
+        const bodyMetrics = await bodyMetricsService.getBodyMetricsTrend({
+            userId,
+            startDate: monthStartString,
+            endDate: monthEndString
+        });
+        const customMetrics = await customMetricsService.getCustomMetricsSummary({
+            userId,
+            startDate: monthStartString,
+            endDate: monthEndString
+        });
+        const fasting = await fastingService.getFastingSummary({
+            userId,
+            startDate: monthStartString,
+            endDate: monthEndString,
+            timezone
+        });
 
         const monthlyData = await DailyHealthData.aggregate([
             {
@@ -55,7 +90,17 @@ module.exports = async function monthlyReportService({
                     water: 1,
                     calories: 1,
                     sleep: 1,
-                    goalcomplete: 1,
+                    'meals.type': 1,
+                    'meals.totalCalories': 1,
+                    'workouts.duration': 1,
+                    'workouts.caloriesBurned': 1,
+                    'heartRate.avgBpm': 1,
+                    'heartRate.restingBpm': 1,
+                    'heartRate.minBpm': 1,
+                    'heartRate.maxBpm': 1,
+                    healthScore: 1,
+                    macros: 1,
+                    checkIn: 1,
                     _id: 0
                 }
             }
@@ -75,37 +120,83 @@ module.exports = async function monthlyReportService({
         for (let day = 1; day <= daysInMonth; day++) {
             const dateString = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
             const d = dataMap[dateString];
+            const goalsInEffect = goalsService.resolveGoalsForDate(goalTimeline, dateString);
+            const goalsMet = goalsService.evaluateGoalsForDay(d, goalsInEffect);
 
             dailyBreakdown.push({
                 date: dateString,
-                goalCompletion: Boolean(d?.goalcomplete),
+                // Streak rule judged against the goals in effect that day
+                goalCompletion: calculateStreakCompletion(goalsMet, streakRule).allCompleted,
+                goalsInEffect,
+                goalsMet,
+                healthScore: d?.healthScore ?? null,
                 water: {
                     ml: d?.water?.consumed || 0,
-                    glasses: WaterConverter.mlToGlasses(d?.water?.consumed || 0)
+                    glasses: WaterConverter.mlToGlasses(d?.water?.consumed || 0),
+                    display: WaterConverter.format(d?.water?.consumed || 0, waterUnit).display
                 },
                 calories: {
                     consumed: d?.calories?.consumed || 0,
                     burned: d?.calories?.burned || 0
                 },
+                macros: formatMacros(d?.macros),
+                mealBreakdown: buildMealBreakdown(d?.meals),
+                workouts: buildWorkoutSummary(d?.workouts),
+                heartRate: formatHeartRate(d?.heartRate),
                 steps: { count: d?.steps?.count || 0 },
-                sleep: { duration: d?.sleep?.duration || 0 }
+                sleep: { duration: d?.sleep?.duration || 0 },
+                checkIn: formatCheckIn(d?.checkIn)
             });
         }
 
-        const totalWaterIntake = monthlyData.reduce((sum, d) => sum + (d.water?.consumed || 0), 0);
-        const totalCaloriesConsumed = monthlyData.reduce((sum, d) => sum + (d.calories?.consumed || 0), 0);
-        const totalCaloriesBurned = monthlyData.reduce((sum, d) => sum + (d.calories?.burned || 0), 0);
-        const totalSleepDuration = monthlyData.reduce((sum, d) => sum + (d.sleep?.duration || 0), 0);
-        const totalSteps = monthlyData.reduce((sum, d) => sum + (d.steps?.count || 0), 0);
+        // Month totals come from the rollup kept up to date by every health write
+        const monthRollup = await healthRollupService.getRollup({
+            userId,
+            period: 'month',
+            date: monthStartString,
+            goalTimeline
+        });
+        const totalWaterIntake = monthRollup.waterMl;
+        const totalCaloriesConsumed = monthRollup.caloriesConsumed;
+        const totalCaloriesBurned = monthRollup.caloriesBurned;
+        const totalSleepDuration = monthRollup.sleepHours;
+        const totalSteps = monthRollup.steps;
+        const totalMealBreakdown = dailyBreakdown.reduce(
+            (total, day) => mergeMealBreakdown(total, day.mealBreakdown),
+            buildMealBreakdown()
+        );
+        const totalWorkouts = dailyBreakdown.reduce(
+            (total, day) => mergeWorkoutSummary(total, day.workouts),
+            buildWorkoutSummary()
+        );
+
+        // Days on which each goal was met (judged against the goal in effect that day)
+        const goalsMetDays = monthRollup.goalsMetDays;
+
+        const comparison = await reportPeriodService.comparePeriods({
+            userId,
+            current: { startDate: monthStartString, endDate: monthEndString },
+            previous: reportPeriodService.getPreviousPeriod(monthStartString, monthEndString, 'month'),
+            goalTimeline,
+            timezone,
+            loadSummary: healthRollupService.loadPeriodSummary
+        });
 
 
         return {
             goalcompletions: Boolean(todayHealth?.goalcomplete),
             streak: todayHealth?.streak || 0,
+            streakRule,
+            bodyMetrics,
+            customMetrics,
+            fasting,
+            // Check-in averages and how they differ on workout / well-slept days
+            checkIns: buildCheckInReport(monthlyData),
             goals: {
                 stepsGoal: userGoals.stepsGoal,
                 caloriesBurnGoal: userGoals.caloriesBurnGoal,
                 waterIntakeGoal: userGoals.waterIntakeGoal,
+                waterIntakeGoalMl: WaterConverter.getGoalMl(userGoals),
                 caloriesIntakeGoal: userGoals.caloriesIntakeGoal,
                 sleepGoal: { hours: userGoals.sleepGoal?.hours || 8 }
             },
@@ -119,15 +210,27 @@ module.exports = async function monthlyReportService({
             monthSummary: {
                 water: {
                     totalGlasses: WaterConverter.mlToGlasses(totalWaterIntake),
+                    unit: waterUnit,
+                    totalDisplay: WaterConverter.format(totalWaterIntake, waterUnit).display,
                     totalConsumed: totalWaterIntake
                 },
                 calories: {
                     totalConsumed: totalCaloriesConsumed,
-                    totalBurned: totalCaloriesBurned
+                    totalBurned: totalCaloriesBurned,
+                    mealBreakdown: totalMealBreakdown
+                },
+                sleep: {
+                    totalDuration: totalSleepDuration,
+                    consistency: buildSleepConsistency(monthlyData, timezone)
                 },
-                sleep: { totalDuration: totalSleepDuration },
-                steps: { totalCount: totalSteps }
+                steps: { totalCount: totalSteps },
+                workouts: totalWorkouts,
+                heartRate: buildHeartRateSummary(monthlyData),
+                healthScore: summarizeHealthScores(dailyBreakdown),
+                macros: summarizeMacros(dailyBreakdown, getMacroGoals(userGoals || {})),
+                goalsMetDays
             },
+            comparison,
             dailyBreakdown
         };
 
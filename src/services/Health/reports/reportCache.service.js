@@ -0,0 +1,205 @@
+// services/Health/reports/reportCache.service.js
+// Redis cache for health report responses. Each cached report is listed in a tag set per month
+// it reads (its period + the comparison period) together with its exact date range, so a write
+// to a day drops only the reports whose range includes that day - no KEYS scan.
+// Closed periods are kept long-term, the current one briefly.
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const redisClient = require('../../../utils/redisClient');
+const Logger = require('../../../utils/logger');
+const timeZoneUtil = require('../../../utils/timeZone');
+
+const PAST_PERIOD_TTL = 7 * 24 * 3600;   // 7 days - only a backdated write changes a closed period
+const CURRENT_PERIOD_TTL = 900;          // 15 minutes - "today" moves on even without writes
+const VERSION_KEY = 'report:version';    // bumped when every cached report goes stale (streak rule change)
+
+// Bumped by every invalidation of the user's reports, so a build can tell a write happened meanwhile
+function writesKey(userId) {
+    return `report-writes:${userId}`;
+}
+
+function userTag(userId) {
+    return `report-tag:${userId}:all`;
+}
+
+function monthTag(userId, month) {
+    return `report-tag:${userId}:${month}`;
+}
+
+/**
+ * "YYYY-MM" of every month from one date to another
+ */
+function monthsBetween(fromDate, toDate) {
+    const months = [];
+    let month = fromDate.slice(0, 7);
+    while (month <= toDate.slice(0, 7)) {
+        months.push(month);
+        const d = new Date(`${month}-01T00:00:00Z`);
+        d.setUTCMonth(d.getUTCMonth() + 1);
+        month = d.toISOString().slice(0, 7);
+    }
+    return months;
+}
+
+/**
+ * Today's streak / goal completion change with every write, so a cached report
+ * gets them re-read instead of being invalidated for them
+ */
+async function applyLiveStreak(report, userId, timezone) {
+    if (!('streak' in report)) return report;
+
+    const today = await DailyHealthData.findOne({
+        userId,
+        date: timeZoneUtil.getCurrentDateInTimezone(timezone)
+    }).select('goalcomplete streak -_id').lean();
+
+    report.streak = today?.streak || 0;
+    if ('goalcompletions' in report) report.goalcompletions = Boolean(today?.goalcomplete);
+    return report;
+}
+
+/**
+ * Global version + the user's write count; a change between reading and caching a report means it may be stale
+ */
+async function readCacheState(userId) {
+    const [version, writes] = await redisClient.mGet([VERSION_KEY, writesKey(userId)]);
+    return { version: version || 0, writes: writes || 0 };
+}
+
+async function markWrite(userId) {
+    await redisClient.multi().incr(writesKey(userId)).expire(writesKey(userId), PAST_PERIOD_TTL).exec();
+}
+
+function buildKey(userId, type, params, timezone, version) {
+    return `report:v${version}:${userId}:${type}:${params}:${timezone}`;
+}
+
+/**
+ * Serve a report from cache or build and cache it.
+ * Redis problems never fail the request - the report is just built uncached.
+ * @param {Object} options
+ * @param {string} options.type - 'weekly' | 'monthly' | 'yearly' | 'custom'
+ * @param {string} options.params - request parameters identifying the report (e.g. the date)
+ * @param {Function} options.build - async () => report
+ * @param {Function} options.range - report => { from, to, periodEnd }: dates the report reads, and its last day
+ * @returns {Object} { report, cached }
+ */
+async function getOrBuild({ userId, type, params, timezone, build, range, requestId }) {
+    let key = null;
+    let state = null;
+
+    if (redisClient.isReady) {
+        try {
+            state = await readCacheState(userId);
+            key = buildKey(userId, type, params, timezone, state.version);
+            const cached = await redisClient.get(key);
+            if (cached) {
+                Logger.info("Report served from cache", requestId, { type, params });
+                return { report: await applyLiveStreak(JSON.parse(cached), userId, timezone), cached: true };
+            }
+        } catch (cacheErr) {
+            Logger.warn("Report cache read failed", requestId, { error: cacheErr.message });
+        }
+    }
+
+    const report = await build();
+    if (!key || !report || report.error) return { report, cached: false };
+
+    try {
+        // A write (or a version bump) while building may not be in this report - serve it, don't cache it
+        const current = await readCacheState(userId);
+        if (current.version !== state.version || current.writes !== state.writes) {
+            Logger.info("Report changed while building, not cached", requestId, { type, params });
+            return { report, cached: false };
+        }
+
+        const { from, to, periodEnd } = range(report);
+        const isPast = periodEnd < timeZoneUtil.getCurrentDateInTimezone(timezone);
+        const ttl = isPast ? PAST_PERIOD_TTL : CURRENT_PERIOD_TTL;
+        const monthTags = monthsBetween(from, to).map(month => monthTag(userId, month));
+
+        const multi = redisClient.multi().set(key, JSON.stringify(report), { EX: ttl });
+        multi.sAdd(userTag(userId), key).expire(userTag(userId), PAST_PERIOD_TTL);
+        monthTags.forEach(tag => {
+            multi.sAdd(tag, `${from}|${to}|${key}`).expire(tag, PAST_PERIOD_TTL);
+        });
+        await multi.exec();
+
+        Logger.info("Report cached", requestId, { type, params, ttl, months: monthTags.length });
+    } catch (cacheErr) {
+        Logger.warn("Report cache write failed", requestId, { error: cacheErr.message });
+    }
+
+    return { report, cached: false };
+}
+
+/**
+ * Drop the user's cached reports whose date range includes any of these dates
+ */
+async function invalidateDates({ userId, dates, requestId }) {
+    if (!redisClient.isReady || !dates.length) return;
+
+    try {
+        await markWrite(userId);
+
+        const months = [...new Set(dates.map(date => date.slice(0, 7)))];
+        let dropped = 0;
+
+        for (const month of months) {
+            const tag = monthTag(userId, month);
+            const stale = (await redisClient.sMembers(tag)).filter(member => {
+                const [from, to] = member.split('|');
+                return dates.some(date => date >= from && date <= to);
+            });
+            if (!stale.length) continue;
+
+            await redisClient.multi()
+                .del(stale.map(member => member.split('|')[2]))
+                .sRem(tag, stale)
+                .exec();
+            dropped += stale.length;
+        }
+
+        if (dropped) Logger.info("Report cache invalidated", requestId, { userId, reports: dropped });
+    } catch (cacheErr) {
+        Logger.warn("Report cache invalidation failed", requestId, { error: cacheErr.message });
+    }
+}
+
+/**
+ * Drop all of a user's cached reports (goals, units or week start changed)
+ */
+async function invalidateUser({ userId, requestId }) {
+    if (!redisClient.isReady) return;
+
+    try {
+        await markWrite(userId);
+
+        const keys = await redisClient.sMembers(userTag(userId));
+        await redisClient.del([...keys, userTag(userId)]);
+        Logger.info("Report cache cleared for user", requestId, { userId, reports: keys.length });
+    } catch (cacheErr) {
+        Logger.warn("Report cache invalidation failed", requestId, { error: cacheErr.message });
+    }
+}
+
+/**
+ * Make every cached report stale at once; old entries simply expire
+ */
+async function invalidateAll(requestId) {
+    if (!redisClient.isReady) return;
+
+    try {
+        await redisClient.incr(VERSION_KEY);
+        Logger.info("Report cache version bumped", requestId);
+    } catch (cacheErr) {
+        Logger.warn("Report cache version bump failed", requestId, { error: cacheErr.message });
+    }
+}
+
+module.exports = {
+    getOrBuild,
+    invalidateDates,
+    invalidateUser,
+    invalidateAll
+};
@@ -0,0 +1,200 @@
+// services/Health/reports/reportPeriod.service.js
+// Shared pieces for the period reports: user week start, period totals and previous-period comparison
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const User = require('../../../models/User');
+const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const { countDays } = require('../../../utils/healthRange');
+
+// Everything the totals and goal evaluation need from a day record
+const PERIOD_FIELDS = 'date water.consumed calories.consumed calories.burned sleep.duration steps.count';
+
+/**
+ * First day of the week for a user ('sunday' unless they chose 'monday')
+ */
+async function getUserWeekStart(userId) {
+    const user = await User.findById(userId).select('userPreferences.weekStart').lean();
+    return user?.userPreferences?.weekStart || 'sunday';
+}
+
+/**
+ * The period a report is compared against: the previous week, calendar month or year,
+ * or for a custom range the same number of days immediately before it
+ * @param {string} type - 'week' | 'month' | 'year' | 'custom'
+ * @returns {Object} { startDate, endDate }
+ */
+function getPreviousPeriod(startDate, endDate, type) {
+    if (type === 'month') {
+        const start = new Date(startDate + "T00:00:00Z");
+        start.setUTCMonth(start.getUTCMonth() - 1);
+        return {
+            startDate: start.toISOString().split("T")[0],
+            endDate: timeZoneUtil.addDaysToDateString(startDate, -1)
+        };
+    }
+    if (type === 'year') {
+        const year = Number(startDate.slice(0, 4)) - 1;
+        return { startDate: `${year}-01-01`, endDate: `${year}-12-31` };
+    }
+
+    const length = type === 'week' ? 7 : countDays(startDate, endDate);
+    return {
+        startDate: timeZoneUtil.addDaysToDateString(startDate, -length),
+        endDate: timeZoneUtil.addDaysToDateString(startDate, -1)
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Totals, daily averages and goal-hit days for the day records of a period
+ * @param {Array} records - DailyHealthData documents inside the period
+ * @param {Object} period - { startDate, endDate }
+ * @param {Object} goalTimeline - from goalsService.getGoalTimeline
+ */
+function summarizePeriod(records, { startDate, endDate }, goalTimeline) {
+    const days = countDays(startDate, endDate);
+    const byDate = {};
+    records.forEach(d => (byDate[d.date] = d));
+
+    const goalsMetDays = {};
+    for (let date = startDate; date <= endDate; date = timeZoneUtil.addDaysToDateString(date, 1)) {
+        const goalsMet = goalsService.evaluateGoalsForDay(
+            byDate[date],
+            goalsService.resolveGoalsForDate(goalTimeline, date)
+        );
+        Object.keys(goalsMet).forEach(key => {
+            goalsMetDays[key] = (goalsMetDays[key] || 0) + (goalsMet[key] ? 1 : 0);
+        });
+    }
+
+    const total = (read) => records.reduce((sum, d) => sum + (read(d) || 0), 0);
+
+    return buildSummary({
+        startDate,
+        endDate,
+        days,
+        daysLogged: records.length,
+        steps: total(d => d.steps?.count),
+        waterMl: total(d => d.water?.consumed),
+        caloriesConsumed: total(d => d.calories?.consumed),
+        caloriesBurned: total(d => d.calories?.burned),
+        sleepHours: total(d => d.sleep?.duration),
+        goalsMetDays
+    });
+}
+
+/**
+ * Period summary from raw totals (also used for rollup documents)
+ * @param {Object} totals - { startDate, endDate, days, daysLogged, steps, waterMl, caloriesConsumed, caloriesBurned, sleepHours, goalsMetDays }
+ */
+function buildSummary(totals) {
+    const { startDate, endDate, days, daysLogged, steps, waterMl, caloriesConsumed, caloriesBurned, sleepHours } = totals;
+
+    // Averages are per logged day so untracked days don't pull them down
+    const perDay = (value) => (daysLogged ? value / daysLogged : 0);
+
+    return {
+        startDate,
+        endDate,
+        days,
+        daysLogged,
+        steps: { total: steps, dailyAvg: Math.round(perDay(steps)) },
+        water: { totalMl: waterMl, dailyAvgMl: Math.round(perDay(waterMl)) },
+        calories: {
+            consumed: caloriesConsumed,
+            burned: caloriesBurned,
+            dailyAvgConsumed: Math.round(perDay(caloriesConsumed)),
+            dailyAvgBurned: Math.round(perDay(caloriesBurned))
+        },
+        sleep: { totalHours: round(sleepHours), avgHours: round(perDay(sleepHours)) },
+        goalsMetDays: { ...totals.goalsMetDays }
+    };
+}
+
+/**
+ * Load a period's records and summarize them
+ */
+async function loadPeriodSummary({ userId, period, goalTimeline }) {
+    const records = await DailyHealthData.find({
+        userId,
+        date: { $gte: period.startDate, $lte: period.endDate }
+    })
+        .select(PERIOD_FIELDS)
+        .lean();
+
+    return summarizePeriod(records, period, goalTimeline);
+}
+
+function delta(current, previous) {
+    return {
+        current,
+        previous,
+        change: round(current - previous),
+        changePercent: previous ? round(((current - previous) / previous) * 100) : null
+    };
+}
+
+/**
+ * Deltas between two period summaries (positive change = more than the previous period)
+ */
+function buildComparison(current, previous) {
+    const goalsMetDays = {};
+    new Set([...Object.keys(current.goalsMetDays), ...Object.keys(previous.goalsMetDays)]).forEach(key => {
+        goalsMetDays[key] = delta(current.goalsMetDays[key] || 0, previous.goalsMetDays[key] || 0);
+    });
+
+    return {
+        steps: delta(current.steps.total, previous.steps.total),
+        water: delta(current.water.totalMl, previous.water.totalMl),
+        caloriesConsumed: delta(current.calories.consumed, previous.calories.consumed),
+        caloriesBurned: delta(current.calories.burned, previous.calories.burned),
+        sleep: delta(current.sleep.totalHours, previous.sleep.totalHours),
+        goalsMetDays
+    };
+}
+
+/**
+ * Compare a report period with its previous equivalent period.
+ * A period still in progress is compared to-date: only the days elapsed so far
+ * are counted, against the same number of days at the start of the previous period.
+ * loadSummary defaults to reading raw day records; reports pass the rollup-backed loader.
+ * @returns {Object|null} { toDate, current, previous, changes } - null for a period that hasn't started
+ */
+async function comparePeriods({ userId, current, previous, goalTimeline, timezone, loadSummary = loadPeriodSummary }) {
+    const today = timeZoneUtil.getCurrentDateInTimezone(timezone);
+    if (current.startDate > today) return null;
+
+    const currentEnd = current.endDate < today ? current.endDate : today;
+    const elapsedDays = countDays(current.startDate, currentEnd);
+    const fullPeriod = currentEnd === current.endDate;
+
+    const previousCutoff = timeZoneUtil.addDaysToDateString(previous.startDate, elapsedDays - 1);
+    const previousEnd = fullPeriod || previousCutoff > previous.endDate ? previous.endDate : previousCutoff;
+
+    const [currentSummary, previousSummary] = await Promise.all([
+        loadSummary({ userId, period: { startDate: current.startDate, endDate: currentEnd }, goalTimeline }),
+        loadSummary({ userId, period: { startDate: previous.startDate, endDate: previousEnd }, goalTimeline })
+    ]);
+
+    return {
+        toDate: !fullPeriod,
+        current: currentSummary,
+        previous: previousSummary,
+        changes: buildComparison(currentSummary, previousSummary)
+    };
+}
+
+module.exports = {
+    PERIOD_FIELDS,
+    getUserWeekStart,
+    getPreviousPeriod,
+    summarizePeriod,
+    buildSummary,
+    loadPeriodSummary,
+    buildComparison,
+    comparePeriods
+};
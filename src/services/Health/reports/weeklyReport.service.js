@@ -5,6 +5,22 @@ const Goals = require('../../../models/Goals');
 const WaterConverter = require('../../../utils/waterConverter');
 const Logger = require('../../../utils/logger');
 const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const streakService = require('../streak/streak.service');
+const bodyMetricsService = require('../bodyMetrics/bodyMetrics.service');
+const customMetricsService = require('../customMetrics/customMetrics.service');
+const fastingService = require('../fasting/fasting.service');
+const { getUserWaterUnit } = require('../water/water.service');
+const reportPeriodService = require('./reportPeriod.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const { calculateStreakCompletion } = require('../../../utils/goalcounter');
+const { buildMealBreakdown, mergeMealBreakdown } = require('../../../utils/mealCalculator');
+const { buildWorkoutSummary, mergeWorkoutSummary } = require('../../../utils/workoutCalculator');
+const { formatHeartRate, buildHeartRateSummary } = require('../../../utils/heartRateCalculator');
+const { formatSleepEntry, buildSleepConsistency } = require('../../../utils/sleepduration');
+const { summarizeHealthScores } = require('../../../utils/healthScore');
+const { formatMacros, getMacroGoals, summarizeMacros } = require('../../../utils/macroCalculator');
+const { formatCheckIn, buildCheckInReport } = require('../../../utils/checkInCalculator');
 
 module.exports = async function weeklyReportService({
     userId,
@@ -27,23 +43,37 @@ module.exports = async function weeklyReportService({
 
         const dayOfWeek = inputDate.getUTCDay();
 
-        const weekStart = new Date(inputDate);
-        weekStart.setUTCDate(inputDate.getUTCDate() - dayOfWeek);
-        weekStart.setUTCHours(0, 0, 0, 0);
-
-        const weekEnd = new Date(weekStart);
-        weekEnd.setUTCDate(weekStart.getUTCDate() + 6);
-
-        const weekStartString = weekStart.toISOString().split("T")[0];
-        const weekEndString = weekEnd.toISOString().split("T")[0];
+        // Week runs Sunday-Saturday or Monday-Sunday depending on the user's preference
+        const weekStartDay = await reportPeriodService.getUserWeekStart(userId);
+        const weekStartString = timeZoneUtil.getWeekStartDate(date, weekStartDay);
+        const weekEndString = timeZoneUtil.addDaysToDateString(weekStartString, 6);
 
         const userGoals = await Goals.findOne({ userId }).lean();
+        const waterUnit = await getUserWaterUnit(userId);
+        const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+        const streakRule = await streakService.getStreakRule(requestId);
+        const bodyMetrics = await bodyMetricsService.getBodyMetricsTrend({
+            userId,
+            startDate: weekStartString,
+            endDate: weekEndString
+        });
+        const customMetrics = await customMetricsService.getCustomMetricsSummary({
+            userId,
+            startDate: weekStartString,
+            endDate: weekEndString
+        });
+        const fasting = await fastingService.getFastingSummary({
+            userId,
+            startDate: weekStartString,
+            endDate: weekEndString,
+            timezone
+        });
 
         const weeklyHealthData = await DailyHealthData.find({
             userId,
             date: { $gte: weekStartString, $lte: weekEndString }
         })
-            .select("date water.consumed calories.consumed calories.burned sleep.duration steps.count")
+            .select("date water.consumed calories.consumed calories.burned sleep.duration sleep.entries steps.count meals.type meals.totalCalories workouts.duration workouts.caloriesBurned heartRate.avgBpm heartRate.restingBpm heartRate.minBpm heartRate.maxBpm healthScore macros checkIn")
             .sort({ date: 1 })
             .lean();
 
@@ -51,48 +81,87 @@ module.exports = async function weeklyReportService({
 
         const weekDates = [];
         for (let i = 0; i < 7; i++) {
-            const d = new Date(weekStart);
-            d.setUTCDate(weekStart.getUTCDate() + i);
+            const dayDate = timeZoneUtil.addDaysToDateString(weekStartString, i);
             weekDates.push({
-                date: d.toISOString().split("T")[0],
-                dayName: dayNames[i]
+                date: dayDate,
+                dayName: dayNames[new Date(dayDate + "T00:00:00Z").getUTCDay()]
             });
         }
 
         const dailyBreakdown = weekDates.map(({ date, dayName }) => {
             const d = weeklyHealthData.find(x => x.date === date);
+            const goalsInEffect = goalsService.resolveGoalsForDate(goalTimeline, date);
+            const goalsMet = goalsService.evaluateGoalsForDay(d, goalsInEffect);
             return {
                 date,
                 dayName,
+                goalsInEffect,
+                goalsMet,
+                goalCompletion: calculateStreakCompletion(goalsMet, streakRule).allCompleted,
+                healthScore: d?.healthScore ?? null,
                 water: {
                     ml: d?.water?.consumed || 0,
-                    glasses: WaterConverter.mlToGlasses(d?.water?.consumed || 0)
+                    glasses: WaterConverter.mlToGlasses(d?.water?.consumed || 0),
+                    display: WaterConverter.format(d?.water?.consumed || 0, waterUnit).display
                 },
                 calories: {
                     consumed: d?.calories?.consumed || 0,
                     burned: d?.calories?.burned || 0
                 },
+                macros: formatMacros(d?.macros),
+                mealBreakdown: buildMealBreakdown(d?.meals),
+                workouts: buildWorkoutSummary(d?.workouts),
+                heartRate: formatHeartRate(d?.heartRate),
                 steps: {
                     count: d?.steps?.count || 0,
                     entries: d?.steps?.entries || []
                 },
                 sleep: {
                     duration: d?.sleep?.duration || 0,
-                    entries: d?.sleep?.entries || []
-                }
+                    entries: (d?.sleep?.entries || []).map(formatSleepEntry)
+                },
+                checkIn: formatCheckIn(d?.checkIn)
             };
         });
 
-        const totalWaterIntake = weeklyHealthData.reduce((sum, d) => sum + (d.water?.consumed || 0), 0);
-        const totalCaloriesConsumed = weeklyHealthData.reduce((sum, d) => sum + (d.calories?.consumed || 0), 0);
-        const totalCaloriesBurned = weeklyHealthData.reduce((sum, d) => sum + (d.calories?.burned || 0), 0);
-        const totalSleepDuration = weeklyHealthData.reduce((sum, d) => sum + (d.sleep?.duration || 0), 0);
-        const totalSteps = weeklyHealthData.reduce((sum, d) => sum + (d.steps?.count || 0), 0);
+        // Week totals come from the rollup kept up to date by every health write
+        const weekRollup = await healthRollupService.getRollup({
+            userId,
+            period: 'week',
+            date: weekStartString,
+            weekStart: weekStartDay,
+            goalTimeline
+        });
+        const totalWaterIntake = weekRollup.waterMl;
+        const totalCaloriesConsumed = weekRollup.caloriesConsumed;
+        const totalCaloriesBurned = weekRollup.caloriesBurned;
+        const totalSleepDuration = weekRollup.sleepHours;
+        const totalSteps = weekRollup.steps;
+        const totalMealBreakdown = dailyBreakdown.reduce(
+            (total, day) => mergeMealBreakdown(total, day.mealBreakdown),
+            buildMealBreakdown()
+        );
+        const totalWorkouts = dailyBreakdown.reduce(
+            (total, day) => mergeWorkoutSummary(total, day.workouts),
+            buildWorkoutSummary()
+        );
+
+        // Days on which each goal was met (judged against the goal in effect that day)
+        const goalsMetDays = weekRollup.goalsMetDays;
 
         const todayDateString = timeZoneUtil.getCurrentDateInTimezone(timezone);
         const todayRecord = await DailyHealthData.findOne({ userId, date: todayDateString });
         const streak = todayRecord?.streak || 0;
 
+        const comparison = await reportPeriodService.comparePeriods({
+            userId,
+            current: { startDate: weekStartString, endDate: weekEndString },
+            previous: reportPeriodService.getPreviousPeriod(weekStartString, weekEndString, 'week'),
+            goalTimeline,
+            timezone,
+            loadSummary: healthRollupService.loadPeriodSummary
+        });
+
         Logger.info("Weekly report SUCCESS", requestId);
 
         return {
@@ -101,27 +170,44 @@ module.exports = async function weeklyReportService({
                 inputDayName: dayNames[dayOfWeek],
                 weekStartDate: weekStartString,
                 weekEndDate: weekEndString,
+                weekStart: weekStartDay,
                 weekRange: `${weekStartString} to ${weekEndString}`
             },
             userGoals,
             dailyBreakdown,
             streak,
+            streakRule,
+            bodyMetrics,
+            customMetrics,
+            fasting,
+            // Check-in averages and how they differ on workout / well-slept days
+            checkIns: buildCheckInReport(weeklyHealthData),
             weekSummary: {
                 water: {
                     totalGlasses: WaterConverter.mlToGlasses(totalWaterIntake),
+                    unit: waterUnit,
+                    totalDisplay: WaterConverter.format(totalWaterIntake, waterUnit).display,
                     totalConsumed: totalWaterIntake
                 },
                 calories: {
                     totalConsumed: totalCaloriesConsumed,
-                    totalBurned: totalCaloriesBurned
+                    totalBurned: totalCaloriesBurned,
+                    mealBreakdown: totalMealBreakdown
                 },
                 sleep: {
-                    totalDuration: totalSleepDuration
+                    totalDuration: totalSleepDuration,
+                    consistency: buildSleepConsistency(weeklyHealthData, timezone)
                 },
                 steps: {
                     totalCount: totalSteps
-                }
-            }
+                },
+                workouts: totalWorkouts,
+                heartRate: buildHeartRateSummary(weeklyHealthData),
+                healthScore: summarizeHealthScores(dailyBreakdown),
+                macros: summarizeMacros(dailyBreakdown, getMacroGoals(userGoals || {})),
+                goalsMetDays
+            },
+            comparison
         };
 
     } catch (err) {
@@ -0,0 +1,104 @@
+// services/Health/reports/yearlyReport.service.js
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const Goals = require('../../../models/Goals');
+const WaterConverter = require('../../../utils/waterConverter');
+const Logger = require('../../../utils/logger');
+const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const streakService = require('../streak/streak.service');
+const bodyMetricsService = require('../bodyMetrics/bodyMetrics.service');
+const { getUserWaterUnit } = require('../water/water.service');
+const reportPeriodService = require('./reportPeriod.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const { buildSleepConsistency } = require('../../../utils/sleepduration');
+const { getMacroGoals, summarizeMacros } = require('../../../utils/macroCalculator');
+
+const MONTH_NAMES = [
+    "January", "February", "March", "April", "May", "June",
+    "July", "August", "September", "October", "November", "December"
+];
+
+/**
+ * Calendar-year report with a per-month breakdown (date = any day in the year)
+ */
+module.exports = async function yearlyReportService({
+    userId,
+    date,
+    timezone,
+    requestId
+}) {
+    const year = Number(date.slice(0, 4));
+    const yearStartString = `${year}-01-01`;
+    const yearEndString = `${year}-12-31`;
+
+    Logger.info("Yearly report START", requestId, { userId, year });
+
+    const userGoals = await Goals.findOne({ userId }).lean();
+    const waterUnit = await getUserWaterUnit(userId);
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+    const streakRule = await streakService.getStreakRule(requestId);
+    const bodyMetrics = await bodyMetricsService.getBodyMetricsTrend({
+        userId,
+        startDate: yearStartString,
+        endDate: yearEndString
+    });
+
+    // Months come from the rollups; day records are only read for sleep timing and macros
+    const monthRollups = await healthRollupService.getMonthRollups({ userId, year, goalTimeline });
+    const dayData = await DailyHealthData.find({
+        userId,
+        date: { $gte: yearStartString, $lte: yearEndString }
+    })
+        .select('date sleep.entries macros')
+        .lean();
+
+    const monthlyBreakdown = monthRollups.map((rollup, index) => ({
+        month: index + 1,
+        monthName: MONTH_NAMES[index],
+        ...healthRollupService.toSummary(rollup)
+    }));
+
+    const yearSummary = healthRollupService.mergeRollups(monthRollups, {
+        startDate: yearStartString,
+        endDate: yearEndString
+    });
+    yearSummary.water.unit = waterUnit;
+    yearSummary.water.totalDisplay = WaterConverter.format(yearSummary.water.totalMl, waterUnit).display;
+    yearSummary.sleep.consistency = buildSleepConsistency(dayData, timezone);
+    yearSummary.macros = summarizeMacros(dayData, getMacroGoals(userGoals || {}));
+
+    const comparison = await reportPeriodService.comparePeriods({
+        userId,
+        current: { startDate: yearStartString, endDate: yearEndString },
+        previous: reportPeriodService.getPreviousPeriod(yearStartString, yearEndString, 'year'),
+        goalTimeline,
+        timezone,
+        loadSummary: healthRollupService.loadPeriodSummary
+    });
+
+    const todayDateString = timeZoneUtil.getCurrentDateInTimezone(timezone);
+    const todayHealth = await DailyHealthData.findOne({
+        userId,
+        date: todayDateString
+    }).select('goalcomplete streak -_id');
+
+    Logger.info("Yearly report SUCCESS", requestId);
+
+    return {
+        goalcompletions: Boolean(todayHealth?.goalcomplete),
+        streak: todayHealth?.streak || 0,
+        streakRule,
+        bodyMetrics,
+        goals: goalsService.formatGoals(userGoals || goalsService.DEFAULT_GOALS),
+        yearPeriod: {
+            startDate: yearStartString,
+            endDate: yearEndString,
+            year,
+            totalDays: yearSummary.days
+        },
+        yearSummary,
+        comparison,
+        monthlyBreakdown
+    };
+};
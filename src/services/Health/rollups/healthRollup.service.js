@@ -0,0 +1,422 @@
+// services/Health/rollups/healthRollup.service.js
+// Per-user week/month rollups of DailyHealthData. Writers call refreshForDates after saving a day,
+// which applies that day's change to the stored totals; reports read the rollups instead of
+// re-adding every day record.
+
+const HealthRollup = require('../../../models/HealthRollup');
+const DailyHealthData = require('../../../models/DailyHealthData');
+const Goals = require('../../../models/Goals');
+const Logger = require('../../../utils/logger');
+const timeZoneUtil = require('../../../utils/timeZone');
+const goalsService = require('../goals/goals.service');
+const reportPeriodService = require('../reports/reportPeriod.service');
+const reportCacheService = require('../reports/reportCache.service');
+const { countDays } = require('../../../utils/healthRange');
+
+const ROLLUP_PERIODS = ['week', 'month'];
+// Rollup totals that are plain sums of a per-day value
+const DAY_TOTAL_KEYS = ['steps', 'waterMl', 'caloriesConsumed', 'caloriesBurned', 'sleepHours'];
+
+/**
+ * First and last day of the week / calendar month a date falls in
+ */
+function getPeriodBounds(date, period, weekStart = 'sunday') {
+    if (period === 'month') {
+        const [year, month] = date.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return {
+            periodStart: `${date.slice(0, 7)}-01`,
+            periodEnd: `${date.slice(0, 7)}-${String(daysInMonth).padStart(2, '0')}`
+        };
+    }
+
+    const periodStart = timeZoneUtil.getWeekStartDate(date, weekStart);
+    return { periodStart, periodEnd: timeZoneUtil.addDaysToDateString(periodStart, 6) };
+}
+
+/**
+ * Distinct week + month periods touched by a list of dates
+ * @returns {Array} [{ period, periodStart, periodEnd }]
+ */
+function collectPeriods(dates, weekStart) {
+    const periods = new Map();
+    dates.forEach(date => {
+        ROLLUP_PERIODS.forEach(period => {
+            const bounds = getPeriodBounds(date, period, weekStart);
+            periods.set(`${period}:${bounds.periodStart}`, { period, ...bounds });
+        });
+    });
+    return [...periods.values()];
+}
+
+async function loadGoalTimeline(userId) {
+    const userGoals = await Goals.findOne({ userId }).lean();
+    return goalsService.getGoalTimeline(userId, userGoals);
+}
+
+/**
+ * What one day adds to its rollups (same rules as reportPeriodService.summarizePeriod).
+ * A date without a record still adds its goal keys, all unmet.
+ */
+function dayContribution(record, date, goalTimeline) {
+    const goalsMet = goalsService.evaluateGoalsForDay(record, goalsService.resolveGoalsForDate(goalTimeline, date));
+
+    const contribution = {
+        logged: record ? 1 : 0,
+        steps: record?.steps?.count || 0,
+        waterMl: record?.water?.consumed || 0,
+        caloriesConsumed: record?.calories?.consumed || 0,
+        caloriesBurned: record?.calories?.burned || 0,
+        sleepHours: record?.sleep?.duration || 0,
+        goalsMet: {}
+    };
+    Object.keys(goalsMet).forEach(key => (contribution.goalsMet[key] = goalsMet[key] ? 1 : 0));
+    return contribution;
+}
+
+/**
+ * Rollup fields from a period summary
+ */
+function toRollupFields(summary) {
+    return {
+        days: summary.days,
+        daysLogged: summary.daysLogged,
+        steps: summary.steps.total,
+        waterMl: summary.water.totalMl,
+        caloriesConsumed: summary.calories.consumed,
+        caloriesBurned: summary.calories.burned,
+        sleepHours: summary.sleep.totalHours,
+        goalsMetDays: summary.goalsMetDays
+    };
+}
+
+/**
+ * Period summary (reportPeriod.service shape) from a rollup document
+ */
+function toSummary(rollup) {
+    return reportPeriodService.buildSummary({
+        startDate: rollup.periodStart,
+        endDate: rollup.periodEnd,
+        days: rollup.days,
+        daysLogged: rollup.daysLogged,
+        steps: rollup.steps,
+        waterMl: rollup.waterMl,
+        caloriesConsumed: rollup.caloriesConsumed,
+        caloriesBurned: rollup.caloriesBurned,
+        sleepHours: rollup.sleepHours,
+        goalsMetDays: rollup.goalsMetDays || {}
+    });
+}
+
+/**
+ * Recompute one period from its day records and store it, with each logged day's
+ * contribution for later incremental updates. Lazy builds on read pass
+ * persistEmpty=false so periods without any data aren't stored.
+ */
+async function buildRollup({ userId, period, periodStart, periodEnd, weekStart, goalTimeline, persistEmpty = true }) {
+    const records = await DailyHealthData.find({
+        userId,
+        date: { $gte: periodStart, $lte: periodEnd }
+    })
+        .select(reportPeriodService.PERIOD_FIELDS)
+        .lean();
+
+    const summary = reportPeriodService.summarizePeriod(records, { startDate: periodStart, endDate: periodEnd }, goalTimeline);
+
+    const fields = { userId, period, periodStart, periodEnd, ...toRollupFields(summary) };
+    if (period === 'week') fields.weekStart = weekStart;
+
+    if (!summary.daysLogged && !persistEmpty) {
+        return fields;
+    }
+
+    const dayValues = {};
+    records.forEach(record => (dayValues[record.date] = dayContribution(record, record.date, goalTimeline)));
+
+    return HealthRollup.findOneAndUpdate(
+        { userId, period, periodStart },
+        { $set: { ...fields, dayValues } },
+        { upsert: true, new: true, lean: true, runValidators: true }
+    ).select('-dayValues');
+}
+
+/**
+ * Swap a day's stored contribution for its new one and add the difference to the totals.
+ * The swap is atomic, so concurrent writes to the same day still add up to the latest value.
+ * @returns {boolean} false when the rollup doesn't exist yet (or predates dayValues) and needs a full build
+ */
+async function applyDayChange({ userId, period, periodStart, date, contribution, goalTimeline }) {
+    const previous = await HealthRollup.findOneAndUpdate(
+        { userId, period, periodStart, dayValues: { $exists: true } },
+        { $set: { [`dayValues.${date}`]: contribution } }
+    )
+        .select(`dayValues.${date}`)
+        .lean();
+
+    if (!previous) return false;
+
+    const old = previous.dayValues?.[date] || dayContribution(null, date, goalTimeline);
+    const $inc = { daysLogged: contribution.logged - old.logged };
+    DAY_TOTAL_KEYS.forEach(key => ($inc[key] = contribution[key] - (old[key] || 0)));
+    new Set([...Object.keys(contribution.goalsMet), ...Object.keys(old.goalsMet || {})]).forEach(key => {
+        $inc[`goalsMetDays.${key}`] = (contribution.goalsMet[key] || 0) - (old.goalsMet?.[key] || 0);
+    });
+
+    await HealthRollup.updateOne({ userId, period, periodStart }, { $inc });
+    return true;
+}
+
+/**
+ * Apply the given dates' changes to the week and month rollups containing them (only
+ * those day records are read), and drop cached reports covering them. Rollups that
+ * don't exist yet are built in full. Failures are logged, not thrown: the day itself is
+ * already saved and a later write or the rebuild script brings the rollup back in line.
+ */
+async function refreshForDates({ userId, dates, requestId }) {
+    try {
+        const uniqueDates = [...new Set(dates)];
+        const [weekStart, goalTimeline, records] = await Promise.all([
+            reportPeriodService.getUserWeekStart(userId),
+            loadGoalTimeline(userId),
+            DailyHealthData.find({ userId, date: { $in: uniqueDates } })
+                .select(reportPeriodService.PERIOD_FIELDS)
+                .lean()
+        ]);
+
+        const byDate = {};
+        records.forEach(record => (byDate[record.date] = record));
+
+        // A full build reads every day of its period, so later dates in it need no update
+        const built = new Set();
+        let updated = 0;
+
+        for (const date of uniqueDates) {
+            const contribution = dayContribution(byDate[date], date, goalTimeline);
+
+            for (const period of ROLLUP_PERIODS) {
+                const target = { period, ...getPeriodBounds(date, period, weekStart) };
+                const periodKey = `${period}:${target.periodStart}`;
+                if (built.has(periodKey)) continue;
+
+                if (await applyDayChange({ userId, ...target, date, contribution, goalTimeline })) {
+                    updated++;
+                } else {
+                    await buildRollup({ userId, ...target, weekStart, goalTimeline });
+                    built.add(periodKey);
+                }
+            }
+        }
+
+        Logger.info("Health rollups refreshed", requestId, { userId, dates: uniqueDates.length, updated, built: [...built] });
+    } catch (error) {
+        Logger.warn("Health rollup refresh failed", requestId, { userId, error: error.message });
+    }
+
+    await reportCacheService.invalidateDates({ userId, dates, requestId });
+}
+
+/**
+ * Rollup for the week / month containing a date. Periods written before rollups
+ * existed are built on first read.
+ */
+async function getRollup({ userId, period, date, weekStart = 'sunday', goalTimeline }) {
+    const { periodStart, periodEnd } = getPeriodBounds(date, period, weekStart);
+
+    const existing = await HealthRollup.findOne({ userId, period, periodStart }).select('-dayValues').lean();
+    if (existing) return existing;
+
+    return buildRollup({
+        userId,
+        period,
+        periodStart,
+        periodEnd,
+        weekStart,
+        goalTimeline: goalTimeline || await loadGoalTimeline(userId),
+        persistEmpty: false
+    });
+}
+
+/**
+ * The twelve month rollups of a year, January first
+ */
+async function getMonthRollups({ userId, year, goalTimeline }) {
+    const stored = await HealthRollup.find({
+        userId,
+        period: 'month',
+        periodStart: { $gte: `${year}-01-01`, $lte: `${year}-12-01` }
+    }).select('-dayValues').lean();
+
+    const byStart = {};
+    stored.forEach(r => (byStart[r.periodStart] = r));
+
+    const timeline = goalTimeline || await loadGoalTimeline(userId);
+    const rollups = [];
+    for (let month = 1; month <= 12; month++) {
+        const date = `${year}-${String(month).padStart(2, '0')}-01`;
+        rollups.push(byStart[date] || await getRollup({ userId, period: 'month', date, goalTimeline: timeline }));
+    }
+    return rollups;
+}
+
+/**
+ * Add rollups (e.g. the months of a year) into one period summary
+ */
+function mergeRollups(rollups, { startDate, endDate }) {
+    const totals = {
+        startDate,
+        endDate,
+        days: 0,
+        daysLogged: 0,
+        steps: 0,
+        waterMl: 0,
+        caloriesConsumed: 0,
+        caloriesBurned: 0,
+        sleepHours: 0,
+        goalsMetDays: {}
+    };
+
+    rollups.forEach(r => {
+        ['days', 'daysLogged', 'steps', 'waterMl', 'caloriesConsumed', 'caloriesBurned', 'sleepHours']
+            .forEach(key => (totals[key] += r[key] || 0));
+        Object.keys(r.goalsMetDays || {}).forEach(key => {
+            totals.goalsMetDays[key] = (totals.goalsMetDays[key] || 0) + r.goalsMetDays[key];
+        });
+    });
+
+    return reportPeriodService.buildSummary(totals);
+}
+
+/**
+ * Summary loader for reportPeriodService.comparePeriods: whole weeks, months and years
+ * come from rollups, anything else (to-date and custom windows) from the day records
+ */
+async function loadPeriodSummary({ userId, period, goalTimeline }) {
+    const { startDate, endDate } = period;
+
+    const month = getPeriodBounds(startDate, 'month');
+    if (month.periodStart === startDate && month.periodEnd === endDate) {
+        return toSummary(await getRollup({ userId, period: 'month', date: startDate, goalTimeline }));
+    }
+
+    const year = startDate.slice(0, 4);
+    if (startDate === `${year}-01-01` && endDate === `${year}-12-31`) {
+        return mergeRollups(await getMonthRollups({ userId, year, goalTimeline }), period);
+    }
+
+    if (timeZoneUtil.addDaysToDateString(startDate, 6) === endDate) {
+        const weekStart = await reportPeriodService.getUserWeekStart(userId);
+        if (timeZoneUtil.getWeekStartDate(startDate, weekStart) === startDate) {
+            return toSummary(await getRollup({ userId, period: 'week', date: startDate, weekStart, goalTimeline }));
+        }
+    }
+
+    return reportPeriodService.loadPeriodSummary({ userId, period, goalTimeline });
+}
+
+/**
+ * Totals across every user with data in one week / month (admin), read from the stored rollups.
+ * Weeks only line up between users with the same week start, so a week covers one week start.
+ * @returns {Object} { period, periodStart, periodEnd, weekStart, users, summary, perUserAvg }
+ */
+async function getCrossUserSummary({ period, date, weekStart = 'sunday' }) {
+    const { periodStart, periodEnd } = getPeriodBounds(date, period, weekStart);
+
+    const match = { period, periodStart, daysLogged: { $gt: 0 } };
+    if (period === 'week') match.weekStart = weekStart;
+
+    const totalFields = {};
+    ['daysLogged', ...DAY_TOTAL_KEYS].forEach(key => (totalFields[key] = { $sum: `${key}` }));
+
+    const [result] = await HealthRollup.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [{ $group: { _id: null, users: { $sum: 1 }, ...totalFields } }],
+                goals: [
+                    { $project: { goals: { $objectToArray: { $ifNull: ['$goalsMetDays', {}] } } } },
+                    { $unwind: '$goals' },
+                    { $group: { _id: '$goals.k', days: { $sum: '$goals.v' } } }
+                ]
+            }
+        }
+    ]);
+
+    const totals = result.totals[0] || { users: 0, daysLogged: 0 };
+    const goalsMetDays = {};
+    result.goals.forEach(goal => (goalsMetDays[goal._id] = goal.days));
+
+    const perUser = (value) => (totals.users ? Math.round(((value || 0) / totals.users) * 100) / 100 : 0);
+    const perUserAvg = { daysLogged: perUser(totals.daysLogged) };
+    DAY_TOTAL_KEYS.forEach(key => (perUserAvg[key] = perUser(totals[key])));
+
+    return {
+        period,
+        periodStart,
+        periodEnd,
+        weekStart: period === 'week' ? weekStart : null,
+        users: totals.users,
+        // Daily averages here are per logged user-day
+        summary: reportPeriodService.buildSummary({
+            startDate: periodStart,
+            endDate: periodEnd,
+            days: countDays(periodStart, periodEnd),
+            daysLogged: totals.daysLogged,
+            steps: totals.steps || 0,
+            waterMl: totals.waterMl || 0,
+            caloriesConsumed: totals.caloriesConsumed || 0,
+            caloriesBurned: totals.caloriesBurned || 0,
+            sleepHours: totals.sleepHours || 0,
+            goalsMetDays
+        }),
+        perUserAvg
+    };
+}
+
+/**
+ * Drop week rollups (after the user changes their week start they no longer line up)
+ */
+async function clearWeekRollups(userId) {
+    await HealthRollup.deleteMany({ userId, period: 'week' });
+}
+
+/**
+ * Rebuild a user's rollups from their day records, optionally only periods from fromDate on
+ * @returns {Object} { periods } - number of rollups written
+ */
+async function rebuildUserRollups({ userId, fromDate, requestId }) {
+    const dateFilter = fromDate ? { date: { $gte: fromDate } } : {};
+    const dates = await DailyHealthData.distinct('date', { userId, ...dateFilter });
+
+    const [weekStart, goalTimeline] = await Promise.all([
+        reportPeriodService.getUserWeekStart(userId),
+        loadGoalTimeline(userId)
+    ]);
+
+    // Start clean so rollups of periods that no longer have data (or an old week start) go away
+    await HealthRollup.deleteMany({
+        userId,
+        ...(fromDate ? { periodEnd: { $gte: fromDate } } : {})
+    });
+
+    const periods = collectPeriods(dates, weekStart);
+    for (const target of periods) {
+        await buildRollup({ userId, ...target, weekStart, goalTimeline });
+    }
+
+    Logger.info("Health rollups rebuilt", requestId, { userId, fromDate, periods: periods.length });
+    return { periods: periods.length };
+}
+
+module.exports = {
+    ROLLUP_PERIODS,
+    getPeriodBounds,
+    refreshForDates,
+    getRollup,
+    getMonthRollups,
+    mergeRollups,
+    toSummary,
+    loadPeriodSummary,
+    getCrossUserSummary,
+    clearWeekRollups,
+    rebuildUserRollups
+};
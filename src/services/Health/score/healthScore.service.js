@@ -0,0 +1,105 @@
+// services/Health/score/healthScore.service.js
+// Daily health score rule (admin-editable weights) and scoring of day records
+
+const HealthScoreRuleRepository = require('../../../repositories/HealthScoreRuleRepository');
+const redisClient = require('../../../utils/redisClient');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const {
+    SCORE_COMPONENTS,
+    DEFAULT_SCORE_RULE,
+    calculateHealthScore
+} = require('../../../utils/healthScore');
+
+const RULE_CACHE_KEY = 'health-score:rule';
+const RULE_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Format a rule for responses / scoring
+ */
+function formatRule(rule) {
+    const weights = {};
+    SCORE_COMPONENTS.forEach(key => {
+        weights[key] = rule?.weights?.[key] ?? DEFAULT_SCORE_RULE.weights[key];
+    });
+
+    return {
+        weights,
+        workoutMinutesGoal: rule?.workoutMinutesGoal || DEFAULT_SCORE_RULE.workoutMinutesGoal,
+        updatedAt: rule?.updatedAt || null
+    };
+}
+
+/**
+ * Get the active score rule (Redis → MongoDB → default)
+ */
+async function getScoreRule(requestId) {
+    try {
+        const cached = await redisClient.get(RULE_CACHE_KEY);
+        if (cached) return JSON.parse(cached);
+    } catch (cacheErr) {
+        Logger.warn("Health score rule cache read failed", requestId, { error: cacheErr.message });
+    }
+
+    const rule = formatRule(await HealthScoreRuleRepository.findActive());
+
+    try {
+        await redisClient.set(RULE_CACHE_KEY, JSON.stringify(rule), { EX: RULE_CACHE_TTL });
+    } catch (cacheErr) {
+        Logger.warn("Health score rule cache write failed", requestId, { error: cacheErr.message });
+    }
+
+    return rule;
+}
+
+function scoreRuleError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Save the score rule (admin). Stored scores are rescored by the streak recompute the
+ * admin controller queues after this (kept out of here: the streak services depend on this one).
+ */
+async function updateScoreRule({ updates, adminId, requestId }) {
+    if (updates.weights) {
+        const current = formatRule(await HealthScoreRuleRepository.findActive());
+        const merged = { ...current.weights, ...updates.weights };
+        if (!SCORE_COMPONENTS.some(key => merged[key] > 0)) {
+            throw scoreRuleError('At least one weight must be above 0', 'HEALTH_SCORE_WEIGHTS_EMPTY');
+        }
+    }
+
+    const setFields = { updatedBy: adminId };
+    SCORE_COMPONENTS.forEach(key => {
+        if (updates.weights?.[key] !== undefined) setFields[`weights.${key}`] = updates.weights[key];
+    });
+    if (updates.workoutMinutesGoal !== undefined) setFields.workoutMinutesGoal = updates.workoutMinutesGoal;
+
+    const rule = formatRule(await HealthScoreRuleRepository.upsertActive(setFields));
+
+    try {
+        await redisClient.del(RULE_CACHE_KEY);
+    } catch (cacheErr) {
+        Logger.warn("Health score rule cache invalidation failed", requestId, { error: cacheErr.message });
+    }
+    await reportCacheService.invalidateAll(requestId);
+
+    Logger.info("Health score rule updated", requestId, { rule });
+    return rule;
+}
+
+/**
+ * Score a day record (the value stored as DailyHealthData.healthScore)
+ */
+function scoreDay(record, goals, rule) {
+    return calculateHealthScore(record || {}, goals || {}, rule).score;
+}
+
+module.exports = {
+    getScoreRule,
+    updateScoreRule,
+    formatRule,
+    scoreDay
+};
@@ -0,0 +1,207 @@
+// services/Health/sleep/sleep.service.js
+// Timed sleep sessions (bedtime → wake time) on DailyHealthData.sleep.entries.
+// A session belongs to the local date the user woke up on; sleep.duration keeps the day total.
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const StreakJobService = require('../streak/streakJob.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const {
+    MAX_SESSION_HOURS,
+    calculateSessionDuration,
+    formatSleepEntry
+} = require('../../../utils/sleepduration');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function sleepError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Validate a bedtime/wake pair and return its duration in hours
+ */
+function getSessionDuration(startTime, endTime) {
+    const duration = calculateSessionDuration(startTime, endTime);
+    if (duration === null) {
+        throw sleepError('Wake time must be after bedtime', 'SLEEP_SESSION_INVALID_RANGE');
+    }
+    if (duration > MAX_SESSION_HOURS) {
+        throw sleepError(`A sleep session cannot be longer than ${MAX_SESSION_HOURS} hours`, 'SLEEP_SESSION_INVALID_RANGE');
+    }
+    return duration;
+}
+
+/**
+ * Reject sessions that overlap another timed session of the user (on any date)
+ */
+async function assertNoOverlap(userId, startTime, endTime, excludeId) {
+    const elemMatch = {
+        startTime: { $lt: new Date(endTime) },
+        endTime: { $gt: new Date(startTime) }
+    };
+    if (excludeId) elemMatch._id = { $ne: excludeId };
+
+    const clash = await DailyHealthData.exists({ userId, 'sleep.entries': { $elemMatch: elemMatch } });
+    if (clash) {
+        throw sleepError('This sleep session overlaps another logged session', 'SLEEP_SESSION_OVERLAP');
+    }
+}
+
+/**
+ * Find the day document that holds a sleep session
+ */
+async function findDayBySession(userId, sessionId) {
+    const healthDoc = await DailyHealthData.findOne({ userId, 'sleep.entries._id': sessionId });
+    if (!healthDoc) {
+        throw sleepError('Sleep session not found', 'SLEEP_SESSION_NOT_FOUND');
+    }
+    return { healthDoc, entry: healthDoc.sleep.entries.id(sessionId) };
+}
+
+/**
+ * Add hours to a day's sleep total (negative to remove). Watch-synced hours are kept.
+ */
+function adjustDuration(healthDoc, hours) {
+    if (!healthDoc.sleep) healthDoc.sleep = { duration: 0, entries: [] };
+    const current = healthDoc.sleep.duration || 0;
+    healthDoc.sleep.duration = Math.max(0, Number((current + hours).toFixed(2)));
+}
+
+/**
+ * Persist a day, re-evaluate its streak (sleep may be a streak goal) and refresh its rollups
+ */
+async function saveAndRefresh(healthDoc, timezone, requestId) {
+    await healthDoc.save();
+    const state = await StreakJobService.refreshFromDate({ userId: healthDoc.userId, date: healthDoc.date, timezone, requestId });
+    await healthRollupService.refreshForDates({ userId: healthDoc.userId, dates: [healthDoc.date], requestId });
+    return state;
+}
+
+async function findOrCreateDay(userId, date) {
+    const healthDoc = await DailyHealthData.findOne({ userId, date });
+    return healthDoc || new DailyHealthData({ userId, date });
+}
+
+/**
+ * Log a sleep session from bedtime + wake time (crossing midnight is fine)
+ * @returns {Object} { date, session, totalDuration, streakState }
+ */
+async function addSleepSession({ userId, startTime, endTime, type = 'main', timezone, requestId }) {
+    const duration = getSessionDuration(startTime, endTime);
+    await assertNoOverlap(userId, startTime, endTime);
+
+    const date = timeZoneUtil.formatDateInTimezone(endTime, timezone);
+    const healthDoc = await findOrCreateDay(userId, date);
+
+    if (!healthDoc.sleep) healthDoc.sleep = { duration: 0, entries: [] };
+    healthDoc.sleep.entries.push({ duration, type, startTime, endTime });
+    adjustDuration(healthDoc, duration);
+
+    const added = healthDoc.sleep.entries[healthDoc.sleep.entries.length - 1];
+    const streakState = await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Sleep session added", requestId, { date, sessionId: added._id, type, duration });
+
+    return {
+        date,
+        session: formatSleepEntry(added),
+        totalDuration: healthDoc.sleep.duration,
+        streakState
+    };
+}
+
+/**
+ * Edit a session's type and/or times. New times can move it to a different date.
+ */
+async function updateSleepSession({ userId, sessionId, updates, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayBySession(userId, sessionId);
+
+    if (updates.type !== undefined) entry.type = updates.type;
+
+    if (updates.startTime === undefined) {
+        await saveAndRefresh(healthDoc, timezone, requestId);
+        Logger.info("Sleep session updated", requestId, { sessionId, date: healthDoc.date });
+        return { date: healthDoc.date, session: formatSleepEntry(entry), totalDuration: healthDoc.sleep.duration };
+    }
+
+    const duration = getSessionDuration(updates.startTime, updates.endTime);
+    await assertNoOverlap(userId, updates.startTime, updates.endTime, entry._id);
+
+    const newDate = timeZoneUtil.formatDateInTimezone(updates.endTime, timezone);
+    const oldDuration = entry.duration || 0;
+
+    if (newDate === healthDoc.date) {
+        entry.startTime = updates.startTime;
+        entry.endTime = updates.endTime;
+        entry.duration = duration;
+        adjustDuration(healthDoc, duration - oldDuration);
+        await saveAndRefresh(healthDoc, timezone, requestId);
+
+        Logger.info("Sleep session updated", requestId, { sessionId, date: healthDoc.date, duration });
+        return { date: healthDoc.date, session: formatSleepEntry(entry), totalDuration: healthDoc.sleep.duration };
+    }
+
+    // Wake time moved to another local date: move the session to that day
+    const moved = { type: entry.type, at: entry.at, duration, startTime: updates.startTime, endTime: updates.endTime, _id: entry._id };
+    entry.deleteOne();
+    adjustDuration(healthDoc, -oldDuration);
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    const targetDoc = await findOrCreateDay(userId, newDate);
+    if (!targetDoc.sleep) targetDoc.sleep = { duration: 0, entries: [] };
+    targetDoc.sleep.entries.push(moved);
+    adjustDuration(targetDoc, duration);
+    await saveAndRefresh(targetDoc, timezone, requestId);
+
+    Logger.info("Sleep session moved", requestId, { sessionId, from: healthDoc.date, to: newDate, duration });
+
+    return {
+        date: newDate,
+        previousDate: healthDoc.date,
+        session: formatSleepEntry(targetDoc.sleep.entries.id(sessionId)),
+        totalDuration: targetDoc.sleep.duration
+    };
+}
+
+/**
+ * Delete a sleep session (legacy duration-only entries included)
+ */
+async function deleteSleepSession({ userId, sessionId, timezone, requestId }) {
+    const { healthDoc, entry } = await findDayBySession(userId, sessionId);
+
+    adjustDuration(healthDoc, -(entry.duration || 0));
+    entry.deleteOne();
+    await saveAndRefresh(healthDoc, timezone, requestId);
+
+    Logger.info("Sleep session deleted", requestId, { sessionId, date: healthDoc.date });
+
+    return { date: healthDoc.date, totalDuration: healthDoc.sleep.duration };
+}
+
+/**
+ * List sleep sessions for a date
+ */
+async function getSleepSessions({ userId, date }) {
+    const healthDoc = await DailyHealthData.findOne({ userId, date }).select('date sleep').lean();
+    const sessions = (healthDoc?.sleep?.entries || []).map(formatSleepEntry);
+
+    return {
+        date,
+        totalDuration: healthDoc?.sleep?.duration || 0,
+        mainSleepDuration: Number(sessions.filter(s => s.type !== 'nap').reduce((sum, s) => sum + s.duration, 0).toFixed(2)),
+        napDuration: Number(sessions.filter(s => s.type === 'nap').reduce((sum, s) => sum + s.duration, 0).toFixed(2)),
+        sessions
+    };
+}
+
+module.exports = {
+    addSleepSession,
+    updateSleepSession,
+    deleteSleepSession,
+    getSleepSessions
+};
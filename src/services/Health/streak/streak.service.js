@@ -0,0 +1,185 @@
+// services/Health/streak/streak.service.js
+// Single place where streak rules are loaded and applied (bulk sync, manual logging, reports)
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const StreakRuleRepository = require('../../../repositories/StreakRuleRepository');
+const GoalsRepository = require('../../../repositories/GoalRepository');
+const redisClient = require('../../../utils/redisClient');
+const Logger = require('../../../utils/logger');
+const reportCacheService = require('../reports/reportCache.service');
+const healthScoreService = require('../score/healthScore.service');
+const goalsService = require('../goals/goals.service');
+const {
+    DEFAULT_STREAK_RULE,
+    calculateAllGoals,
+    calculateStreakCompletion
+} = require('../../../utils/goalcounter');
+
+const RULE_CACHE_KEY = 'streak:rule';
+const RULE_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Format a rule for responses / evaluation
+ */
+function formatRule(rule) {
+    return {
+        goals: rule?.goals?.length ? rule.goals : DEFAULT_STREAK_RULE.goals,
+        mode: rule?.mode || DEFAULT_STREAK_RULE.mode,
+        minGoals: rule?.minGoals || DEFAULT_STREAK_RULE.minGoals,
+        graceDays: rule?.graceDays ?? DEFAULT_STREAK_RULE.graceDays,
+        updatedAt: rule?.updatedAt || null
+    };
+}
+
+/**
+ * Get the active streak rule (Redis → MongoDB → default)
+ */
+async function getStreakRule(requestId) {
+    try {
+        const cached = await redisClient.get(RULE_CACHE_KEY);
+        if (cached) return JSON.parse(cached);
+    } catch (cacheErr) {
+        Logger.warn("Streak rule cache read failed", requestId, { error: cacheErr.message });
+    }
+
+    const rule = formatRule(await StreakRuleRepository.findActive());
+
+    try {
+        await redisClient.set(RULE_CACHE_KEY, JSON.stringify(rule), { EX: RULE_CACHE_TTL });
+    } catch (cacheErr) {
+        Logger.warn("Streak rule cache write failed", requestId, { error: cacheErr.message });
+    }
+
+    return rule;
+}
+
+/**
+ * Save the streak rule (admin) and drop the cached copy along with every cached report.
+ * Stored streaks are rebuilt by the recompute the admin controller queues after this
+ * (streakJob.service depends on this module).
+ */
+async function updateStreakRule({ updates, adminId, requestId }) {
+    const setFields = { updatedBy: adminId };
+    ['goals', 'mode', 'minGoals', 'graceDays'].forEach(key => {
+        if (updates[key] !== undefined) setFields[key] = updates[key];
+    });
+
+    const rule = formatRule(await StreakRuleRepository.upsertActive(setFields));
+
+    try {
+        await redisClient.del(RULE_CACHE_KEY);
+    } catch (cacheErr) {
+        Logger.warn("Streak rule cache invalidation failed", requestId, { error: cacheErr.message });
+    }
+    await reportCacheService.invalidateAll(requestId);
+
+    Logger.info("Streak rule updated", requestId, { rule });
+    return rule;
+}
+
+/**
+ * Whole days between two YYYY-MM-DD strings
+ */
+function daysBetween(fromDate, toDate) {
+    return Math.round(
+        (new Date(toDate + "T00:00:00Z") - new Date(fromDate + "T00:00:00Z")) / (24 * 60 * 60 * 1000)
+    );
+}
+
+/**
+ * Evaluate whether a day record meets the streak rule
+ * @param {Object} record - DailyHealthData (lean) for the day
+ * @param {Object} goals - User goals to judge against
+ * @param {Object} rule - Streak rule
+ */
+function evaluateStreakDay(record, goals, rule) {
+    const goalResults = calculateAllGoals(record || {}, record, goals || {});
+    return calculateStreakCompletion(goalResults, rule);
+}
+
+/**
+ * Carry the streak from the previous record to `date`.
+ * Days with no record between them count as missed days.
+ * @param {Object|null} prevRecord - Latest record before `date` ({ date, streak, goalcomplete, streakMisses })
+ * @param {string} date - Day being evaluated (YYYY-MM-DD)
+ * @param {boolean} completed - Whether `date` meets the streak rule
+ * @param {Object} rule - Streak rule (graceDays)
+ * @returns {Object} { streak, goalcomplete, streakMisses }
+ */
+function nextStreakState(prevRecord, date, completed, rule) {
+    let prevStreak = 0;
+    let missesBefore = Infinity;
+
+    if (prevRecord) {
+        const gapDays = Math.max(daysBetween(prevRecord.date, date) - 1, 0);
+        prevStreak = prevRecord.streak || 0;
+        missesBefore = (prevRecord.goalcomplete ? 0 : (prevRecord.streakMisses || 1)) + gapDays;
+    }
+
+    const alive = prevStreak > 0 && missesBefore <= (rule.graceDays || 0);
+
+    if (completed) {
+        return { streak: alive ? prevStreak + 1 : 1, goalcomplete: true, streakMisses: 0 };
+    }
+
+    return {
+        streak: alive ? prevStreak : 0,
+        goalcomplete: false,
+        streakMisses: Number.isFinite(missesBefore) ? missesBefore + 1 : 1
+    };
+}
+
+/**
+ * Latest record before `date` that can still carry a streak under the rule
+ */
+async function findPreviousStreakRecord(userId, date, rule) {
+    const lookback = new Date(date + "T00:00:00Z");
+    lookback.setUTCDate(lookback.getUTCDate() - ((rule.graceDays || 0) + 1));
+
+    return DailyHealthData.findOne({
+        userId,
+        date: { $lt: date, $gte: lookback.toISOString().split("T")[0] }
+    })
+        .sort({ date: -1 })
+        .select('date streak goalcomplete streakMisses')
+        .lean();
+}
+
+/**
+ * Re-evaluate goalcomplete/streak and the health score for one day after its data changed
+ * @returns {Object|null} { streak, goalcomplete, streakMisses } or null when the day has no record
+ */
+async function refreshDayStreak({ userId, date, requestId }) {
+    const [record, rule, userGoals, scoreRule] = await Promise.all([
+        DailyHealthData.findOne({ userId, date }).lean(),
+        getStreakRule(requestId),
+        GoalsRepository.findByUserId(userId),
+        healthScoreService.getScoreRule(requestId)
+    ]);
+
+    if (!record) return null;
+
+    // Judge the day against the goals in effect on it, as the recompute does
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+    const goalsInEffect = goalsService.resolveGoalsForDate(goalTimeline, date);
+
+    const { allCompleted } = evaluateStreakDay(record, goalsInEffect, rule);
+    const prevRecord = await findPreviousStreakRecord(userId, date, rule);
+    const state = nextStreakState(prevRecord, date, allCompleted, rule);
+    const healthScore = healthScoreService.scoreDay(record, goalsInEffect, scoreRule);
+
+    await DailyHealthData.updateOne({ _id: record._id }, { $set: { ...state, healthScore } });
+
+    Logger.info("Day streak refreshed", requestId, { date, ...state, healthScore });
+    return state;
+}
+
+module.exports = {
+    getStreakRule,
+    updateStreakRule,
+    formatRule,
+    evaluateStreakDay,
+    nextStreakState,
+    findPreviousStreakRecord,
+    refreshDayStreak
+};
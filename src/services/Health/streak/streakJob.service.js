@@ -0,0 +1,96 @@
+// services/Health/streak/streakJob.service.js
+// Queueing helpers for the streak recompute worker
+
+const { streakQueue } = require('../../../queues/streakQueue');
+const Logger = require('../../../utils/logger');
+const timeZoneUtil = require('../../../utils/timeZone');
+const streakService = require('./streak.service');
+
+// Back-to-back syncs inside this window collapse into one recompute
+const RECOMPUTE_DELAY_MS = 2000;
+// streakQueue's connection retries forever while Redis is down; don't let a request wait on it
+const ENQUEUE_TIMEOUT_MS = 3000;
+
+class StreakJobService {
+
+    /**
+     * Job options for a user recompute. Requests only collapse while the job is still
+     * delayed (debounce: the dedup key lives as long as the delay); once it runs, the
+     * next write queues a fresh job, so writes made during a run are never lost.
+     */
+    static getUserRecomputeOptions(userId, fromDate) {
+        return {
+            delay: RECOMPUTE_DELAY_MS,
+            deduplication: {
+                id: `streak-${userId}-${fromDate || 'all'}`,
+                ttl: RECOMPUTE_DELAY_MS,
+                extend: true,
+                replace: true
+            },
+            removeOnComplete: true
+        };
+    }
+
+    /**
+     * Add a streak job, giving up after ENQUEUE_TIMEOUT_MS so callers' catch blocks run
+     */
+    static async addJob(name, data, opts) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`Streak queue did not respond within ${ENQUEUE_TIMEOUT_MS}ms`)), ENQUEUE_TIMEOUT_MS);
+        });
+        try {
+            return await Promise.race([streakQueue.add(name, data, opts), timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Queue a recompute for one user from `fromDate` (omit to rebuild the whole history).
+     * Identical requests still waiting in the queue collapse into one job.
+     */
+    static async queueUserRecompute(userId, fromDate, requestId) {
+        const job = await this.addJob(
+            "recompute-user",
+            { userId: String(userId), fromDate: fromDate || null },
+            this.getUserRecomputeOptions(userId, fromDate)
+        );
+
+        Logger.info(requestId, "Queued streak recompute", { userId, fromDate, jobId: job.id });
+        return { jobId: job.id };
+    }
+
+    /**
+     * Re-evaluate a day's streak now. Past days also queue a recompute from that day,
+     * since every later streak count builds on it.
+     */
+    static async refreshFromDate({ userId, date, timezone, requestId }) {
+        const state = await streakService.refreshDayStreak({ userId, date, requestId });
+
+        if (date < timeZoneUtil.getCurrentDateInTimezone(timezone)) {
+            try {
+                await this.queueUserRecompute(userId, date, requestId);
+            } catch (queueErr) {
+                Logger.warn("Failed to queue streak recompute", requestId, { error: queueErr.message });
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Queue a rebuild for every user with health data (the worker fans out per-user jobs)
+     */
+    static async queueAllUsersRecompute(fromDate, requestId) {
+        const job = await this.addJob(
+            "recompute-all",
+            { fromDate: fromDate || null }
+        );
+
+        Logger.info(requestId, "Queued streak recompute for all users", { fromDate, jobId: job.id });
+        return { jobId: job.id };
+    }
+}
+
+module.exports = StreakJobService;
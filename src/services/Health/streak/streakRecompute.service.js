@@ -0,0 +1,101 @@
+// services/Health/streak/streakRecompute.service.js
+// Rebuild streak/goalcomplete and health scores for a user's history, walking forward from a date
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const GoalsRepository = require('../../../repositories/GoalRepository');
+const DailyHealthRepository = require('../../../repositories/DailyHealthRepository');
+const goalsService = require('../goals/goals.service');
+const streakService = require('./streak.service');
+const healthScoreService = require('../score/healthScore.service');
+const reportCacheService = require('../reports/reportCache.service');
+const Logger = require('../../../utils/logger');
+
+// Fields needed to evaluate goals and score a day
+const RECOMPUTE_FIELDS = 'date steps sleep calories water workouts.duration streak goalcomplete streakMisses healthScore';
+
+/**
+ * Recompute streaks for one user from `fromDate` (inclusive) to their latest record.
+ * Without fromDate the whole history is rebuilt.
+ * @returns {Object} { userId, fromDate, processed, updated }
+ */
+async function recomputeUserStreaks({ userId, fromDate, requestId }) {
+    const [rule, userGoals, scoreRule] = await Promise.all([
+        streakService.getStreakRule(requestId),
+        GoalsRepository.findByUserId(userId),
+        healthScoreService.getScoreRule(requestId)
+    ]);
+    const goalTimeline = await goalsService.getGoalTimeline(userId, userGoals);
+
+    const query = { userId };
+    if (fromDate) query.date = { $gte: fromDate };
+
+    const records = await DailyHealthData.find(query)
+        .select(RECOMPUTE_FIELDS)
+        .sort({ date: 1 })
+        .lean();
+
+    if (!records.length) {
+        return { userId, fromDate: fromDate || null, processed: 0, updated: 0 };
+    }
+
+    // State carried into the first recomputed day
+    let prevState = fromDate
+        ? await streakService.findPreviousStreakRecord(userId, records[0].date, rule)
+        : null;
+
+    const bulkOps = [];
+    for (const record of records) {
+        const goalsInEffect = goalsService.resolveGoalsForDate(goalTimeline, record.date);
+        const { allCompleted } = streakService.evaluateStreakDay(record, goalsInEffect, rule);
+        const state = streakService.nextStreakState(prevState, record.date, allCompleted, rule);
+        const healthScore = healthScoreService.scoreDay(record, goalsInEffect, scoreRule);
+
+        const changed =
+            record.streak !== state.streak ||
+            record.goalcomplete !== state.goalcomplete ||
+            (record.streakMisses || 0) !== state.streakMisses ||
+            record.healthScore !== healthScore;
+
+        if (changed) {
+            bulkOps.push({
+                updateOne: {
+                    filter: { _id: record._id },
+                    update: { $set: { ...state, healthScore } }
+                }
+            });
+        }
+
+        prevState = { date: record.date, ...state };
+    }
+
+    if (bulkOps.length > 0) {
+        await DailyHealthRepository.bulkWrite(bulkOps);
+        await reportCacheService.invalidateUser({ userId, requestId });
+    }
+
+    Logger.info("Streaks recomputed", requestId, {
+        userId,
+        fromDate: fromDate || records[0].date,
+        processed: records.length,
+        updated: bulkOps.length
+    });
+
+    return {
+        userId,
+        fromDate: fromDate || records[0].date,
+        processed: records.length,
+        updated: bulkOps.length
+    };
+}
+
+/**
+ * Users that have any health data (for full rebuilds)
+ */
+async function findUsersWithHealthData() {
+    return DailyHealthData.distinct('userId');
+}
+
+module.exports = {
+    recomputeUserStreaks,
+    findUsersWithHealthData
+};
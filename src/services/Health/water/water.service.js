@@ -0,0 +1,209 @@
+// services/Health/water/water.service.js
+// Hydration units + user-defined containers. Water is always stored in ml;
+// the user's userPreferences.waterUnit only affects how amounts are shown.
+
+const WaterContainer = require('../../../models/WaterContainer');
+const User = require('../../../models/User');
+const WaterConverter = require('../../../utils/waterConverter');
+const Logger = require('../../../utils/logger');
+
+const MAX_CONTAINERS = 20;
+const MAX_ENTRY_ML = 10000;
+// Container size limits (WaterContainer.volumeMl)
+const MIN_CONTAINER_ML = 10;
+const MAX_CONTAINER_ML = 5000;
+
+/**
+ * Build an error the controller can map to a response
+ */
+function waterError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * The user's display unit for water (defaults to glasses)
+ */
+async function getUserWaterUnit(userId) {
+    const user = await User.findById(userId).select('userPreferences.waterUnit').lean();
+    return user?.userPreferences?.waterUnit || 'glasses';
+}
+
+/**
+ * Format a container for response
+ */
+function formatContainer(container, unit) {
+    return {
+        _id: container._id,
+        name: container.name,
+        volumeMl: container.volumeMl,
+        volume: WaterConverter.format(container.volumeMl, unit)
+    };
+}
+
+/**
+ * Format a water entry for response
+ */
+function formatWaterEntry(entry, unit = 'glasses') {
+    const hasAmount = entry.amount !== undefined && entry.amount !== null;
+    return {
+        _id: entry._id,
+        amount: hasAmount ? entry.amount : null,
+        glasses: hasAmount ? WaterConverter.mlToGlasses(entry.amount) : null,
+        display: hasAmount ? WaterConverter.format(entry.amount, unit) : null,
+        containerId: entry.containerId || null,
+        containerName: entry.containerName || null,
+        notes: entry.notes,
+        at: entry.at
+    };
+}
+
+/**
+ * Format a day's water block. `consumed` stays in glasses for older clients;
+ * consumedMl + display carry the canonical value and the user's unit.
+ */
+function formatDayWater(water = {}, unit = 'glasses') {
+    const consumedMl = water.consumed || 0;
+    return {
+        consumed: WaterConverter.mlToGlasses(consumedMl),
+        consumedMl,
+        unit,
+        display: WaterConverter.format(consumedMl, unit),
+        entries: (water.entries || []).map(entry => formatWaterEntry(entry, unit))
+    };
+}
+
+/**
+ * Turn a water request into ml. Accepts (in priority order):
+ * - containerId (+ servings, default 1)
+ * - amount + unit (unit defaults to the user's preference)
+ * - consumed (glasses - original API)
+ * @returns {Object} { ml, container }
+ */
+async function resolveWaterAmount({ userId, water }) {
+    let ml;
+    let container = null;
+
+    if (water.containerId) {
+        container = await WaterContainer.findOne({ _id: water.containerId, userId }).lean();
+        if (!container) {
+            throw waterError('Water container not found', 'WATER_CONTAINER_NOT_FOUND');
+        }
+        ml = container.volumeMl * (water.servings || 1);
+    } else if (water.amount !== undefined) {
+        const unit = water.unit || await getUserWaterUnit(userId);
+        ml = WaterConverter.toMl(Number(water.amount), unit);
+    } else {
+        ml = WaterConverter.glassesToMl(Number(water.consumed));
+    }
+
+    if (ml > MAX_ENTRY_ML) {
+        throw waterError(`A single water entry cannot exceed ${MAX_ENTRY_ML} ml`, 'WATER_AMOUNT_OUT_OF_RANGE');
+    }
+
+    return { ml, container };
+}
+
+/**
+ * Container volume in ml, checked after conversion from `unit`
+ */
+function toContainerMl(volume, unit) {
+    const volumeMl = WaterConverter.toMl(Number(volume), unit);
+    if (volumeMl < MIN_CONTAINER_ML || volumeMl > MAX_CONTAINER_ML) {
+        throw waterError(
+            `Container volume must be between ${MIN_CONTAINER_ML} and ${MAX_CONTAINER_ML} ml`,
+            'WATER_CONTAINER_VOLUME_OUT_OF_RANGE'
+        );
+    }
+    return volumeMl;
+}
+
+/**
+ * List the user's containers (smallest first)
+ */
+async function listContainers({ userId }) {
+    const [containers, unit] = await Promise.all([
+        WaterContainer.find({ userId }).sort({ volumeMl: 1 }).lean(),
+        getUserWaterUnit(userId)
+    ]);
+
+    return { unit, containers: containers.map(c => formatContainer(c, unit)) };
+}
+
+/**
+ * Create a container. Volume is given in `unit` (defaults to the user's preference).
+ */
+async function createContainer({ userId, name, volume, unit, requestId }) {
+    const count = await WaterContainer.countDocuments({ userId });
+    if (count >= MAX_CONTAINERS) {
+        throw waterError(`You can save up to ${MAX_CONTAINERS} containers`, 'WATER_CONTAINER_LIMIT');
+    }
+
+    const displayUnit = await getUserWaterUnit(userId);
+    const volumeMl = toContainerMl(volume, unit || displayUnit);
+
+    try {
+        const container = await WaterContainer.create({ userId, name, volumeMl });
+        Logger.info("Water container created", requestId, { containerId: container._id, volumeMl });
+        return { container: formatContainer(container, displayUnit) };
+    } catch (err) {
+        if (err.code === 11000) {
+            throw waterError('A container with this name already exists', 'WATER_CONTAINER_EXISTS');
+        }
+        throw err;
+    }
+}
+
+/**
+ * Rename / resize a container (past entries keep the ml they were logged with)
+ */
+async function updateContainer({ userId, containerId, name, volume, unit, requestId }) {
+    const container = await WaterContainer.findOne({ _id: containerId, userId });
+    if (!container) {
+        throw waterError('Water container not found', 'WATER_CONTAINER_NOT_FOUND');
+    }
+
+    const displayUnit = await getUserWaterUnit(userId);
+    if (name !== undefined) container.name = name;
+    if (volume !== undefined) container.volumeMl = toContainerMl(volume, unit || displayUnit);
+
+    try {
+        await container.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw waterError('A container with this name already exists', 'WATER_CONTAINER_EXISTS');
+        }
+        throw err;
+    }
+
+    Logger.info("Water container updated", requestId, { containerId, volumeMl: container.volumeMl });
+    return { container: formatContainer(container, displayUnit) };
+}
+
+/**
+ * Delete a container
+ */
+async function deleteContainer({ userId, containerId, requestId }) {
+    const container = await WaterContainer.findOneAndDelete({ _id: containerId, userId });
+    if (!container) {
+        throw waterError('Water container not found', 'WATER_CONTAINER_NOT_FOUND');
+    }
+
+    Logger.info("Water container deleted", requestId, { containerId });
+    return { deletedId: container._id };
+}
+
+module.exports = {
+    MAX_CONTAINERS,
+    MAX_ENTRY_ML,
+    getUserWaterUnit,
+    resolveWaterAmount,
+    listContainers,
+    createContainer,
+    updateContainer,
+    deleteContainer,
+    formatContainer,
+    formatWaterEntry,
+    formatDayWater
+};
@@ -0,0 +1,189 @@
+// services/Health/workouts/workouts.service.js
+// Workout session logging on DailyHealthData.workouts (keeps calories.burned in sync)
+
+const DailyHealthData = require('../../../models/DailyHealthData');
+const Workout = require('../../../models/Workout');
+const timeZoneUtil = require('../../../utils/timeZone');
+const Logger = require('../../../utils/logger');
+const StreakJobService = require('../streak/streakJob.service');
+const healthRollupService = require('../rollups/healthRollup.service');
+const {
+    estimateWorkoutCalories,
+    recalculateCaloriesBurned
+} = require('../../../utils/workoutCalculator');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function workoutError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Find the day document that holds a workout session (sessions can be edited on any date)
+ */
+async function findDayByWorkout(userId, sessionId) {
+    const healthDoc = await DailyHealthData.findOne({ userId, 'workouts._id': sessionId });
+    if (!healthDoc) {
+        throw workoutError('Workout session not found', 'HEALTH_WORKOUT_NOT_FOUND');
+    }
+    return { healthDoc, session: healthDoc.workouts.id(sessionId) };
+}
+
+/**
+ * Fill name/duration/calories from the workout catalogue.
+ * Catalogue calories are scaled when the session ran shorter or longer than planned.
+ */
+async function applyCatalogueWorkout(session) {
+    const workout = await Workout.findOne({ _id: session.workoutId, isActive: true })
+        .select('name duration caloriesBurned')
+        .lean();
+
+    if (!workout) {
+        throw workoutError('Workout not found', 'HEALTH_CATALOGUE_WORKOUT_NOT_FOUND');
+    }
+
+    const duration = session.duration ?? workout.duration;
+    let caloriesBurned = session.caloriesBurned;
+    if (caloriesBurned === undefined && workout.caloriesBurned) {
+        caloriesBurned = workout.duration
+            ? Math.round(workout.caloriesBurned * (duration / workout.duration))
+            : workout.caloriesBurned;
+    }
+
+    return {
+        ...session,
+        name: session.name || workout.name,
+        duration,
+        caloriesBurned
+    };
+}
+
+/**
+ * Recalculate calories.burned, persist and refresh the day's streak (and the streaks
+ * after it for past dates) and rollups
+ */
+async function saveWithTotals(healthDoc, timezone, requestId) {
+    recalculateCaloriesBurned(healthDoc);
+    await healthDoc.save();
+    await StreakJobService.refreshFromDate({ userId: healthDoc.userId, date: healthDoc.date, timezone, requestId });
+    await healthRollupService.refreshForDates({ userId: healthDoc.userId, dates: [healthDoc.date], requestId });
+    return healthDoc;
+}
+
+/**
+ * Format a workout session for response
+ */
+function formatWorkout(session) {
+    return {
+        _id: session._id,
+        type: session.type,
+        name: session.name,
+        workoutId: session.workoutId || null,
+        duration: session.duration || 0,
+        caloriesBurned: session.caloriesBurned || 0,
+        exercises: session.exercises || [],
+        intensity: session.intensity,
+        notes: session.notes,
+        at: session.at
+    };
+}
+
+/**
+ * Log a workout session on today's record
+ */
+async function logWorkout({ userId, workout, timezone, requestId }) {
+    const todayDate = timeZoneUtil.getCurrentDateInTimezone(timezone);
+
+    let session = { ...workout };
+    if (session.workoutId) {
+        session = await applyCatalogueWorkout(session);
+    }
+    if (session.caloriesBurned === undefined) {
+        session.caloriesBurned = estimateWorkoutCalories(session.duration, session.intensity);
+    }
+
+    let healthDoc = await DailyHealthData.findOne({ userId, date: todayDate });
+    if (!healthDoc) {
+        healthDoc = new DailyHealthData({ userId, date: todayDate });
+    }
+
+    recalculateCaloriesBurned(healthDoc);
+    healthDoc.workouts.push({
+        type: session.type,
+        name: session.name,
+        workoutId: session.workoutId,
+        duration: session.duration,
+        caloriesBurned: session.caloriesBurned,
+        exercises: session.exercises || [],
+        intensity: session.intensity,
+        notes: session.notes
+    });
+    await saveWithTotals(healthDoc, timezone, requestId);
+
+    const added = healthDoc.workouts[healthDoc.workouts.length - 1];
+
+    Logger.info("Workout logged", requestId, {
+        date: todayDate,
+        sessionId: added._id,
+        workoutId: session.workoutId,
+        caloriesBurned: added.caloriesBurned
+    });
+
+    return { date: healthDoc.date, workout: formatWorkout(added), caloriesBurned: healthDoc.calories.burned };
+}
+
+/**
+ * Update a logged workout session
+ */
+async function updateWorkout({ userId, sessionId, updates, timezone, requestId }) {
+    const { healthDoc, session } = await findDayByWorkout(userId, sessionId);
+
+    recalculateCaloriesBurned(healthDoc);
+    ['type', 'name', 'duration', 'caloriesBurned', 'exercises', 'intensity', 'notes'].forEach(key => {
+        if (updates[key] !== undefined) session[key] = updates[key];
+    });
+    await saveWithTotals(healthDoc, timezone, requestId);
+
+    Logger.info("Workout updated", requestId, { sessionId, date: healthDoc.date });
+
+    return { date: healthDoc.date, workout: formatWorkout(session), caloriesBurned: healthDoc.calories.burned };
+}
+
+/**
+ * Delete a logged workout session
+ */
+async function deleteWorkout({ userId, sessionId, timezone, requestId }) {
+    const { healthDoc, session } = await findDayByWorkout(userId, sessionId);
+
+    recalculateCaloriesBurned(healthDoc);
+    session.deleteOne();
+    await saveWithTotals(healthDoc, timezone, requestId);
+
+    Logger.info("Workout deleted", requestId, { sessionId, date: healthDoc.date });
+
+    return { date: healthDoc.date, caloriesBurned: healthDoc.calories.burned };
+}
+
+/**
+ * List workout sessions for a date
+ */
+async function getWorkouts({ userId, date }) {
+    const healthDoc = await DailyHealthData.findOne({ userId, date }).select('date workouts calories').lean();
+
+    return {
+        date,
+        workouts: (healthDoc?.workouts || []).map(formatWorkout),
+        caloriesBurned: healthDoc?.calories?.burned || 0
+    };
+}
+
+module.exports = {
+    logWorkout,
+    updateWorkout,
+    deleteWorkout,
+    getWorkouts,
+    formatWorkout
+};
@@ -0,0 +1,65 @@
+// Calorie Estimator Factory - Centralized calorie estimation provider management
+// Switch providers via the CALORIE_ESTIMATOR environment variable (gemini | stub)
+const Logger = require('../../utils/logger');
+
+class CalorieEstimatorFactory {
+    constructor() {
+        this.provider = null;
+        this.providerName = null;
+    }
+
+    // Initialize the estimator based on environment variable
+    initialize() {
+        const requestId = Logger.generateId('calorie-estimator-factory');
+
+        // Gemini stays the default so existing deployments keep their behaviour
+        const estimator = (process.env.CALORIE_ESTIMATOR || 'gemini').toLowerCase();
+
+        Logger.info(requestId, 'Initializing calorie estimator', { provider: estimator });
+
+        switch (estimator) {
+            case 'stub':
+                const StubEstimator = require('./providers/StubEstimator');
+                this.provider = new StubEstimator();
+                this.providerName = 'Stub';
+                break;
+
+            case 'gemini':
+            default:
+                const GeminiEstimator = require('./providers/GeminiEstimator');
+                this.provider = new GeminiEstimator();
+                this.providerName = 'Gemini';
+                break;
+        }
+
+        const validation = this.provider.validateConfig();
+        if (!validation.isValid) {
+            Logger.warn(requestId, 'Calorie estimator configuration issues detected', validation);
+        }
+
+        Logger.success(requestId, `Calorie estimator initialized: ${this.providerName}`);
+        return this.provider;
+    }
+
+    // Get the current provider instance
+    getProvider() {
+        if (!this.provider) {
+            this.initialize();
+        }
+        return this.provider;
+    }
+
+    // Replace the provider (tests can inject their own estimator)
+    setProvider(provider) {
+        this.provider = provider;
+        this.providerName = provider?.getName ? provider.getName() : 'Custom';
+    }
+
+    // Get provider name
+    getProviderName() {
+        return this.providerName || 'Unknown';
+    }
+}
+
+// Export singleton instance
+module.exports = new CalorieEstimatorFactory();
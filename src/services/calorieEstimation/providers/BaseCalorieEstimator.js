@@ -0,0 +1,48 @@
+// Base Calorie Estimator - Abstract class defining the interface for all calorie estimation providers
+// All estimators must extend this class and implement the required methods
+
+class BaseCalorieEstimator {
+    constructor(providerName) {
+        if (this.constructor === BaseCalorieEstimator) {
+            throw new Error('BaseCalorieEstimator is an abstract class and cannot be instantiated directly');
+        }
+        this.providerName = providerName;
+    }
+
+    /**
+     * Estimate food and calories from an image
+     * @param {Buffer} imageBuffer - Raw image data
+     * @param {string} mimeType - Image mime type (e.g. image/jpeg)
+     * @returns {Promise<Object>} { foodDescription: string, estimatedCalories: number,
+     *   macros: { protein, carbs, fat, fiber } } - macros in grams
+     */
+    async estimateFromImage(imageBuffer, mimeType) {
+        throw new Error('estimateFromImage() must be implemented by subclass');
+    }
+
+    /**
+     * Validate provider configuration
+     * @returns {Object} Validation result with isValid flag and missing fields
+     */
+    validateConfig() {
+        throw new Error('validateConfig() must be implemented by subclass');
+    }
+
+    /**
+     * Get provider configuration status (without exposing secrets)
+     * @returns {Object} Configuration status
+     */
+    getConfig() {
+        throw new Error('getConfig() must be implemented by subclass');
+    }
+
+    /**
+     * Get provider name
+     * @returns {string} Provider name
+     */
+    getName() {
+        return this.providerName;
+    }
+}
+
+module.exports = BaseCalorieEstimator;
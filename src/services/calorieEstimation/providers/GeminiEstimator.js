@@ -0,0 +1,114 @@
+// Gemini Calorie Estimator - Uses Google Gemini vision to estimate calories from a food photo
+const BaseCalorieEstimator = require('./BaseCalorieEstimator');
+
+class GeminiEstimator extends BaseCalorieEstimator {
+    constructor() {
+        super('Gemini');
+        this.apiKey = process.env.GEMINI_API_KEY;
+        this.model = 'gemini-2.0-flash';
+    }
+
+    async estimateFromImage(imageBuffer, mimeType) {
+        try {
+            if (!this.apiKey) {
+                throw new Error("Gemini API key is not configured.");
+            }
+
+            // Convert buffer to base64
+            const base64Image = imageBuffer.toString('base64');
+
+            // Prepare the prompt
+            const prompt = `Estimate the type of food shown in the image and provide a reasonable estimate of the total calorie count for the portion size visible. Also estimate the macronutrients of that portion in grams. Respond ONLY with a JSON object containing the fields: 'foodDescription' (string), 'estimatedCalories' (number), 'proteinGrams' (number), 'carbsGrams' (number), 'fatGrams' (number) and 'fiberGrams' (number). Do not include any other text or markdown formatting.`;
+
+            const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`;
+            const payload = {
+                contents: [{
+                    parts: [
+                        {
+                            inlineData: {
+                                mimeType: mimeType,
+                                data: base64Image
+                            }
+                        },
+                        { text: prompt }
+                    ]
+                }],
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: {
+                        type: "OBJECT",
+                        properties: {
+                            "foodDescription": { "type": "STRING" },
+                            "estimatedCalories": { "type": "NUMBER" },
+                            "proteinGrams": { "type": "NUMBER" },
+                            "carbsGrams": { "type": "NUMBER" },
+                            "fatGrams": { "type": "NUMBER" },
+                            "fiberGrams": { "type": "NUMBER" }
+                        },
+                        required: ["foodDescription", "estimatedCalories", "proteinGrams", "carbsGrams", "fatGrams", "fiberGrams"]
+                    }
+                }
+            };
+
+            // Call the Gemini API
+            const response = await fetch(apiUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+
+            if (!response.ok) {
+                const errorDetails = await response.text();
+                console.error("Gemini API Error:", response.status, errorDetails);
+                throw new Error("Failed to connect to the Calorie Estimation Service.");
+            }
+
+            const result = await response.json();
+
+            // Extract and parse the structured JSON response
+            let geminiJsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
+
+            if (!geminiJsonText) {
+                throw new Error("AI failed to return valid JSON output.");
+            }
+
+            const estimation = JSON.parse(geminiJsonText);
+            const { foodDescription, estimatedCalories } = estimation;
+
+            return {
+                foodDescription,
+                estimatedCalories,
+                macros: {
+                    protein: estimation.proteinGrams,
+                    carbs: estimation.carbsGrams,
+                    fat: estimation.fatGrams,
+                    fiber: estimation.fiberGrams
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in Gemini API call:', error);
+            throw new Error('Failed to process image with Gemini API: ' + error.message);
+        }
+    }
+
+    validateConfig() {
+        const missing = [];
+        if (!this.apiKey) missing.push('GEMINI_API_KEY');
+
+        return {
+            isValid: missing.length === 0,
+            missing
+        };
+    }
+
+    getConfig() {
+        return {
+            provider: 'gemini',
+            model: this.model,
+            hasApiKey: !!this.apiKey
+        };
+    }
+}
+
+module.exports = GeminiEstimator;
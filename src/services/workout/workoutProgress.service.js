@@ -0,0 +1,193 @@
+// services/workout/workoutProgress.service.js
+// Per-user progress through catalogue workouts (started / completed, last video, completion stats)
+
+const Workout = require('../../models/Workout');
+const WorkoutProgressRepository = require('../../repositories/WorkoutProgressRepository');
+const timeZoneUtil = require('../../utils/timeZone');
+const Logger = require('../../utils/logger');
+
+/**
+ * Build an error the controller can map to a response
+ */
+function progressError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Videos in playback order (same ordering as getworkoutbyid)
+ */
+function sortedVideos(workout) {
+    return (workout.videos || [])
+        .filter(v => v.video)
+        .sort((a, b) => a.sequence - b.sequence);
+}
+
+/**
+ * Fetch an active catalogue workout or throw WORKOUT_NOT_FOUND
+ */
+async function getActiveWorkout(workoutId) {
+    const workout = await Workout.findOne({ _id: workoutId, isActive: true })
+        .select('name duration caloriesBurned videos')
+        .lean();
+
+    if (!workout) {
+        throw progressError('Workout not found', 'WORKOUT_NOT_FOUND');
+    }
+    return workout;
+}
+
+/**
+ * Format progress for response (null progress = never started)
+ * @param {Object|null} progress - WorkoutProgress document
+ * @param {number} totalVideos - Number of videos in the workout
+ */
+function formatProgress(progress, totalVideos) {
+    if (!progress) {
+        return {
+            status: 'not_started',
+            started: false,
+            completed: false,
+            lastVideoIndex: 0,
+            lastVideoId: null,
+            totalVideos,
+            progressPercent: 0,
+            completionCount: 0,
+            lastCompletedAt: null,
+            lastCompletedDate: null
+        };
+    }
+
+    const watched = progress.status === 'completed'
+        ? totalVideos
+        : Math.min(progress.lastVideoIndex + 1, totalVideos);
+
+    return {
+        status: progress.status,
+        started: true,
+        completed: progress.completionCount > 0,
+        lastVideoIndex: progress.lastVideoIndex,
+        lastVideoId: progress.lastVideoId || null,
+        totalVideos,
+        progressPercent: totalVideos ? Math.round((watched / totalVideos) * 100) : 0,
+        completionCount: progress.completionCount,
+        lastCompletedAt: progress.lastCompletedAt || null,
+        lastCompletedDate: progress.lastCompletedDate || null,
+        startedAt: progress.startedAt,
+        lastActivityAt: progress.lastActivityAt
+    };
+}
+
+/**
+ * Record that the user reached a video in the workout.
+ * Progress after a completed run starts a fresh run.
+ */
+async function recordProgress({ userId, workoutId, videoIndex, requestId }) {
+    const workout = await getActiveWorkout(workoutId);
+    const videos = sortedVideos(workout);
+
+    if (videoIndex >= Math.max(videos.length, 1)) {
+        throw progressError(
+            `Video index must be between 0 and ${Math.max(videos.length - 1, 0)}`,
+            'WORKOUT_VIDEO_INDEX_OUT_OF_RANGE'
+        );
+    }
+
+    const existing = await WorkoutProgressRepository.findByUserAndWorkout(userId, workoutId);
+    const now = new Date();
+
+    const setDoc = {
+        status: 'started',
+        lastVideoIndex: videoIndex,
+        lastVideoId: videos[videoIndex]?.video,
+        lastActivityAt: now
+    };
+    if (existing?.status === 'completed') {
+        setDoc.startedAt = now;
+    }
+
+    const progress = await WorkoutProgressRepository.upsert(userId, workoutId, { $set: setDoc });
+
+    Logger.info("Workout progress recorded", requestId, { workoutId, videoIndex });
+
+    return formatProgress(progress, videos.length);
+}
+
+/**
+ * Mark the current run of a workout as completed
+ */
+async function completeWorkout({ userId, workoutId, timezone, requestId }) {
+    const workout = await getActiveWorkout(workoutId);
+    const videos = sortedVideos(workout);
+    const now = new Date();
+
+    const progress = await WorkoutProgressRepository.upsert(userId, workoutId, {
+        $set: {
+            status: 'completed',
+            lastVideoIndex: Math.max(videos.length - 1, 0),
+            lastVideoId: videos[videos.length - 1]?.video,
+            lastActivityAt: now,
+            lastCompletedAt: now,
+            lastCompletedDate: timeZoneUtil.getCurrentDateInTimezone(timezone || 'UTC')
+        },
+        $inc: { completionCount: 1 }
+    });
+
+    Logger.info("Workout completed", requestId, {
+        workoutId,
+        completionCount: progress.completionCount
+    });
+
+    return { workout, progress: formatProgress(progress, videos.length) };
+}
+
+/**
+ * Progress for one workout (used by getworkoutbyid)
+ */
+async function getProgress(userId, workoutId, totalVideos) {
+    const progress = await WorkoutProgressRepository.findByUserAndWorkout(userId, workoutId);
+    return formatProgress(progress, totalVideos);
+}
+
+/**
+ * Unfinished workouts, most recent first, in the homepage card shape
+ */
+async function getContinueWorkouts({ userId, limit = 10 }) {
+    const inProgress = await WorkoutProgressRepository.findInProgress(userId, limit);
+    if (!inProgress.length) return [];
+
+    const workouts = await Workout.find({
+        _id: { $in: inProgress.map(p => p.workoutId) },
+        isActive: true
+    })
+        .select('name thumbnailUrl duration level caloriesBurned introduction videos')
+        .lean();
+
+    const workoutMap = {};
+    workouts.forEach(w => (workoutMap[w._id.toString()] = w));
+
+    return inProgress
+        .filter(p => workoutMap[p.workoutId.toString()])
+        .map(p => {
+            const w = workoutMap[p.workoutId.toString()];
+            return {
+                _id: w._id,
+                name: w.name || 'Untitled Workout',
+                thumbnail: w.thumbnailUrl || null,
+                duration: w.duration,
+                level: w.level,
+                caloriesBurned: w.caloriesBurned,
+                introduction: w.introduction,
+                progress: formatProgress(p, sortedVideos(w).length)
+            };
+        });
+}
+
+module.exports = {
+    recordProgress,
+    completeWorkout,
+    getProgress,
+    getContinueWorkouts,
+    formatProgress
+};
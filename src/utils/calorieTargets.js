@@ -0,0 +1,89 @@
+// src/utils/calorieTargets.js
+// Daily calorie targets from the user profile: Mifflin-St Jeor BMR → TDEE → goal adjustment
+
+// Added to 10*kg + 6.25*cm - 5*age; 'other' uses the midpoint of the male/female constants
+const BMR_GENDER_CONSTANT = {
+    male: 5,
+    female: -161,
+    other: -78
+};
+
+// No activity level is collected, so the body profile stands in for it
+const ACTIVITY_FACTOR = {
+    slim: 1.375,
+    average: 1.375,
+    overweight: 1.2,
+    muscular: 1.55
+};
+const DEFAULT_ACTIVITY_FACTOR = 1.375;
+
+// kcal/day added to TDEE for the intake target, per main goal
+const GOAL_INTAKE_ADJUSTMENT = {
+    weight_loss: -500,
+    weight_gain: 400,
+    build_muscles: 250,
+    athletic_performance: 200,
+    fit_body: 0,
+    full_body_detox: 0
+};
+
+// Floors so a weight-loss target never drops below a safe intake
+const MIN_INTAKE = {
+    male: 1500,
+    female: 1200,
+    other: 1350
+};
+
+// Goals schema bounds (models/Goals.js)
+const INTAKE_RANGE = { min: 500, max: 5000 };
+const BURN_RANGE = { min: 0, max: 10000 };
+
+function roundTo50(value) {
+    return Math.round(value / 50) * 50;
+}
+
+function clamp(value, { min, max }) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Basal metabolic rate (Mifflin-St Jeor)
+ * @param {Object} profile - { weight (kg), height (cm), age, gender }
+ * @returns {number|null} kcal/day, null when the profile is incomplete
+ */
+function calculateBmr({ weight, height, age, gender }) {
+    if (!weight || !height || !age) return null;
+    const constant = BMR_GENDER_CONSTANT[gender] ?? BMR_GENDER_CONSTANT.other;
+    return Math.round(10 * weight + 6.25 * height - 5 * age + constant);
+}
+
+/**
+ * Proposed intake and burn goals for a profile.
+ * Burn target = TDEE (total daily burn, the figure calories.burned tracks);
+ * intake target = TDEE adjusted for the main goal.
+ * @param {Object} profile - User fields: weight, height, age, gender, bodyProfile, mainGoal
+ * @returns {Object|null} { bmr, activityFactor, tdee, adjustment, caloriesIntakeGoal, caloriesBurnGoal }
+ */
+function calculateCalorieTargets(profile) {
+    const bmr = calculateBmr(profile);
+    if (!bmr) return null;
+
+    const activityFactor = ACTIVITY_FACTOR[profile.bodyProfile] || DEFAULT_ACTIVITY_FACTOR;
+    const tdee = Math.round(bmr * activityFactor);
+    const adjustment = GOAL_INTAKE_ADJUSTMENT[profile.mainGoal] || 0;
+    const minIntake = MIN_INTAKE[profile.gender] || MIN_INTAKE.other;
+
+    return {
+        bmr,
+        activityFactor,
+        tdee,
+        adjustment,
+        caloriesIntakeGoal: clamp(roundTo50(Math.max(tdee + adjustment, minIntake)), INTAKE_RANGE),
+        caloriesBurnGoal: clamp(roundTo50(tdee), BURN_RANGE)
+    };
+}
+
+module.exports = {
+    calculateBmr,
+    calculateCalorieTargets
+};
@@ -0,0 +1,124 @@
+// src/utils/checkInCalculator.js
+// Daily check-in (DailyHealthData.checkIn): 1-5 scores, period averages and
+// how the scores differ on workout days and after a good night's sleep
+
+const CHECK_IN_SCORES = ['mood', 'energy', 'stress', 'soreness'];
+const CHECK_IN_FIELDS = [...CHECK_IN_SCORES, 'note'];
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 5;
+const MAX_NOTE_LENGTH = 500;
+
+// "Slept well" split used by the sleep correlation
+const SLEEP_THRESHOLD_HOURS = 7;
+
+function roundValue(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function hasCheckIn(checkIn) {
+    return !!checkIn && CHECK_IN_FIELDS.some(key => checkIn[key] !== undefined && checkIn[key] !== null && checkIn[key] !== '');
+}
+
+/**
+ * Check-in for responses
+ * @returns {Object|null} null when nothing was logged for the day
+ */
+function formatCheckIn(checkIn) {
+    if (!hasCheckIn(checkIn)) return null;
+    return {
+        mood: checkIn.mood ?? null,
+        energy: checkIn.energy ?? null,
+        stress: checkIn.stress ?? null,
+        soreness: checkIn.soreness ?? null,
+        note: checkIn.note || null,
+        at: checkIn.at || null
+    };
+}
+
+/**
+ * Average of each score over the check-ins that logged it
+ * @returns {Object} { mood, energy, stress, soreness } (null when never logged)
+ */
+function averageScores(checkIns) {
+    const averages = {};
+    CHECK_IN_SCORES.forEach(key => {
+        const values = checkIns.map(c => c[key]).filter(v => typeof v === 'number');
+        averages[key] = values.length ? roundValue(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    });
+    return averages;
+}
+
+/**
+ * Split check-in days in two and compare their averages
+ * @param {Array} days - DailyHealthData records with a check-in
+ * @param {Function} classify - true / false per day, null leaves the day out
+ * @returns {Object} { with: { days, averages }, without: { days, averages }, difference }
+ */
+function compareGroups(days, classify) {
+    const groups = { with: [], without: [] };
+    days.forEach(day => {
+        const result = classify(day);
+        if (result === true) groups.with.push(day.checkIn);
+        if (result === false) groups.without.push(day.checkIn);
+    });
+
+    const withAverages = averageScores(groups.with);
+    const withoutAverages = averageScores(groups.without);
+    const difference = {};
+    CHECK_IN_SCORES.forEach(key => {
+        difference[key] = withAverages[key] === null || withoutAverages[key] === null
+            ? null
+            : roundValue(withAverages[key] - withoutAverages[key]);
+    });
+
+    return {
+        with: { days: groups.with.length, averages: withAverages },
+        without: { days: groups.without.length, averages: withoutAverages },
+        difference
+    };
+}
+
+/**
+ * Report section built from the period's daily records
+ * @param {Array} days - DailyHealthData with checkIn, workouts and sleep.duration
+ * @returns {Object} { daysCheckedIn, averages, correlations: { workout, sleep } }
+ */
+function buildCheckInReport(days = []) {
+    const checkedIn = days.filter(day => hasCheckIn(day?.checkIn));
+
+    const workout = compareGroups(checkedIn, day => (day.workouts || []).length > 0);
+    // Days without any sleep logged are left out rather than counted as short sleep
+    const sleep = compareGroups(checkedIn, day => (day.sleep?.duration > 0 ? day.sleep.duration > SLEEP_THRESHOLD_HOURS : null));
+
+    return {
+        daysCheckedIn: checkedIn.length,
+        averages: averageScores(checkedIn.map(day => day.checkIn)),
+        correlations: {
+            workout: {
+                withWorkout: workout.with,
+                withoutWorkout: workout.without,
+                difference: workout.difference
+            },
+            sleep: {
+                thresholdHours: SLEEP_THRESHOLD_HOURS,
+                moreThanThreshold: sleep.with,
+                thresholdOrLess: sleep.without,
+                difference: sleep.difference
+            }
+        }
+    };
+}
+
+module.exports = {
+    CHECK_IN_SCORES,
+    CHECK_IN_FIELDS,
+    SCORE_MIN,
+    SCORE_MAX,
+    MAX_NOTE_LENGTH,
+    SLEEP_THRESHOLD_HOURS,
+    hasCheckIn,
+    formatCheckIn,
+    averageScores,
+    buildCheckInReport
+};
@@ -0,0 +1,166 @@
+// src/utils/customMetrics.js
+// User-defined trackers stored in DailyHealthData.customMetrics ({ "<metricId>": value }):
+// value checks per type, daily targets, report summaries and range query expressions
+
+const CUSTOM_METRIC_TYPES = ['number', 'boolean', 'scale', 'text'];
+const TARGET_DIRECTIONS = ['atLeast', 'atMost'];
+
+const SCALE_MIN = 1;
+const SCALE_MAX = 5;
+const MAX_NUMBER_VALUE = 1000000;
+const MAX_TEXT_LENGTH = 500;
+
+function roundValue(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function parseBoolean(value) {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+}
+
+/**
+ * Check a logged value against the metric's type
+ * @returns {Object} { value } normalized, or { error }
+ */
+function normalizeMetricValue(valueType, value) {
+    switch (valueType) {
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || value === null || typeof value === 'boolean' || !Number.isFinite(number) || Math.abs(number) > MAX_NUMBER_VALUE) {
+                return { error: `Value must be a number between -${MAX_NUMBER_VALUE} and ${MAX_NUMBER_VALUE}` };
+            }
+            return { value: roundValue(number) };
+        }
+        case 'scale': {
+            const number = Number(value);
+            if (typeof value === 'boolean' || !Number.isInteger(number) || number < SCALE_MIN || number > SCALE_MAX) {
+                return { error: `Value must be a whole number from ${SCALE_MIN} to ${SCALE_MAX}` };
+            }
+            return { value: number };
+        }
+        case 'boolean': {
+            const bool = parseBoolean(value);
+            return bool === undefined ? { error: 'Value must be true or false' } : { value: bool };
+        }
+        case 'text': {
+            const text = typeof value === 'string' ? value.trim() : '';
+            if (!text || text.length > MAX_TEXT_LENGTH) {
+                return { error: `Value must be text of 1 to ${MAX_TEXT_LENGTH} characters` };
+            }
+            return { value: text };
+        }
+        default:
+            return { error: `Unknown metric type ${valueType}` };
+    }
+}
+
+/**
+ * Check a daily target against the metric's type (null clears it; text metrics have none)
+ * @returns {Object} { target } normalized, or { error }
+ */
+function normalizeMetricTarget(valueType, target) {
+    if (target === null || target === undefined) return { target: null };
+    if (valueType === 'text') {
+        return { error: 'Text metrics cannot have a daily target' };
+    }
+
+    const { value, error } = normalizeMetricValue(valueType, target);
+    return error ? { error: `Invalid target: ${error.charAt(0).toLowerCase()}${error.slice(1)}` } : { target: value };
+}
+
+/**
+ * Copy definition fields (metric or template) onto a document; valueType must already be set.
+ * The target is checked against the type.
+ * @returns {Object} { error } when the target does not fit the type, else {}
+ */
+function applyMetricDefinition(doc, values) {
+    ['name', 'unit', 'description', 'targetDirection'].forEach(key => {
+        if (values[key] !== undefined) doc[key] = values[key];
+    });
+
+    if (values.target !== undefined) {
+        const { target, error } = normalizeMetricTarget(doc.valueType, values.target);
+        if (error) return { error };
+        doc.target = target;
+    }
+    return {};
+}
+
+/**
+ * Whether a day's value meets the metric's target
+ * @returns {boolean|null} null when the metric has no target or nothing was logged
+ */
+function isTargetMet(metric, value) {
+    if (metric.target === null || metric.target === undefined || value === null || value === undefined) {
+        return null;
+    }
+    if (metric.valueType === 'boolean') return value === metric.target;
+    return metric.targetDirection === 'atMost' ? value <= metric.target : value >= metric.target;
+}
+
+/**
+ * Period summary for one metric
+ * @param {Array} entries - [{ date, value }] logged days only
+ * @returns {Object} daysLogged / daysTargetMet plus per-type figures
+ */
+function summarizeMetricValues(metric, entries = []) {
+    const hasTarget = metric.target !== null && metric.target !== undefined;
+    const summary = {
+        daysLogged: entries.length,
+        daysTargetMet: hasTarget ? entries.filter(e => isTargetMet(metric, e.value)).length : null
+    };
+
+    if (metric.valueType === 'boolean') {
+        summary.yesDays = entries.filter(e => e.value === true).length;
+        summary.noDays = entries.length - summary.yesDays;
+        return summary;
+    }
+    if (metric.valueType === 'text') return summary;
+
+    const values = entries.map(e => e.value);
+    const total = values.reduce((sum, v) => sum + v, 0);
+    if (metric.valueType === 'number') summary.total = roundValue(total);
+    summary.avg = values.length ? roundValue(total / values.length) : null;
+    summary.min = values.length ? Math.min(...values) : null;
+    summary.max = values.length ? Math.max(...values) : null;
+
+    if (metric.valueType === 'scale') {
+        summary.distribution = {};
+        for (let score = SCALE_MIN; score <= SCALE_MAX; score++) {
+            summary.distribution[score] = values.filter(v => v === score).length;
+        }
+    }
+    return summary;
+}
+
+/**
+ * Aggregation expression for the range API: numbers/scales as-is, booleans as 1/0
+ * (sum = "yes" days, avg = share of yes), text as 1 per logged day. Unlogged days are null.
+ */
+function buildRangeExpression(metric) {
+    const field = `$customMetrics.${metric._id}`;
+    switch (metric.valueType) {
+        case 'boolean':
+            return { $cond: [{ $eq: [field, true] }, 1, { $cond: [{ $eq: [field, false] }, 0, null] }] };
+        case 'text':
+            return { $cond: [{ $eq: [{ $type: field }, 'string'] }, 1, null] };
+        default:
+            return { $cond: [{ $isNumber: field }, field, null] };
+    }
+}
+
+module.exports = {
+    CUSTOM_METRIC_TYPES,
+    TARGET_DIRECTIONS,
+    SCALE_MIN,
+    SCALE_MAX,
+    MAX_TEXT_LENGTH,
+    normalizeMetricValue,
+    normalizeMetricTarget,
+    applyMetricDefinition,
+    isTargetMet,
+    summarizeMetricValues,
+    buildRangeExpression
+};
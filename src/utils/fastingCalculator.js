@@ -0,0 +1,127 @@
+// src/utils/fastingCalculator.js
+// Intermittent fasting: preset protocols, live progress of a fast, streaks and report summaries
+
+const timeZoneUtil = require('./timeZone');
+
+// Preset protocols (fasting:eating hours); 'custom' takes the user's own fasting hours
+const FASTING_PROTOCOLS = {
+    '12:12': { fastingHours: 12, eatingHours: 12 },
+    '14:10': { fastingHours: 14, eatingHours: 10 },
+    '16:8': { fastingHours: 16, eatingHours: 8 },
+    '18:6': { fastingHours: 18, eatingHours: 6 },
+    '20:4': { fastingHours: 20, eatingHours: 4 },
+    'omad': { fastingHours: 23, eatingHours: 1 }
+};
+const CUSTOM_PROTOCOL = 'custom';
+const PROTOCOL_KEYS = [...Object.keys(FASTING_PROTOCOLS), CUSTOM_PROTOCOL];
+
+const MIN_FASTING_HOURS = 1;
+const MAX_FASTING_HOURS = 72;
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+function roundHours(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Planned fasting hours for a protocol (custom uses the given hours)
+ * @returns {number|null} null for custom without hours
+ */
+function resolveFastingHours(protocol, fastingHours) {
+    if (protocol !== CUSTOM_PROTOCOL && FASTING_PROTOCOLS[protocol]) {
+        return FASTING_PROTOCOLS[protocol].fastingHours;
+    }
+    return fastingHours ? Number(fastingHours) : null;
+}
+
+function calculatePlannedEnd(startedAt, fastingHours) {
+    return new Date(new Date(startedAt).getTime() + fastingHours * MS_PER_HOUR);
+}
+
+/**
+ * Elapsed / remaining time of a fast (ended fasts are measured up to endedAt)
+ * @returns {Object} { elapsedMinutes, remainingMinutes, progress (0-100), goalReached }
+ */
+function buildFastProgress(session, now = new Date()) {
+    const start = new Date(session.startedAt).getTime();
+    const plannedEnd = new Date(session.plannedEndAt).getTime();
+    const end = session.endedAt ? new Date(session.endedAt).getTime() : now.getTime();
+
+    const elapsed = Math.max(end - start, 0);
+    const planned = Math.max(plannedEnd - start, 1);
+
+    return {
+        elapsedMinutes: Math.floor(elapsed / MS_PER_MINUTE),
+        remainingMinutes: Math.max(Math.ceil((plannedEnd - end) / MS_PER_MINUTE), 0),
+        progress: Math.min(Math.round((elapsed / planned) * 100), 100),
+        goalReached: end >= plannedEnd
+    };
+}
+
+/**
+ * Longest run of consecutive dates
+ * @param {Array} dates - "YYYY-MM-DD", any order, duplicates allowed
+ */
+function calculateBestStreak(dates = []) {
+    const sorted = [...new Set(dates)].sort();
+    let best = 0;
+    let run = 0;
+    sorted.forEach((date, i) => {
+        run = i > 0 && timeZoneUtil.addDaysToDateString(sorted[i - 1], 1) === date ? run + 1 : 1;
+        best = Math.max(best, run);
+    });
+    return best;
+}
+
+/**
+ * Consecutive days with a completed fast up to today. A streak ending yesterday still
+ * counts, since today's fast may not have finished yet.
+ * @param {Array} dates - "YYYY-MM-DD" end dates of completed fasts
+ */
+function calculateCurrentStreak(dates = [], today) {
+    const completed = new Set(dates);
+    let day = completed.has(today) ? today : timeZoneUtil.addDaysToDateString(today, -1);
+    let streak = 0;
+    while (completed.has(day)) {
+        streak++;
+        day = timeZoneUtil.addDaysToDateString(day, -1);
+    }
+    return streak;
+}
+
+/**
+ * Totals for a set of ended fasts
+ * @returns {Object} { total, completed, broken, completionRate, totalHours, avgHours, longestHours }
+ */
+function summarizeFasts(sessions = []) {
+    const ended = sessions.filter(s => s.endedAt);
+    const hours = ended.map(s => (new Date(s.endedAt) - new Date(s.startedAt)) / MS_PER_HOUR);
+    const completed = ended.filter(s => s.status === 'completed').length;
+    const totalHours = hours.reduce((sum, h) => sum + h, 0);
+
+    return {
+        total: ended.length,
+        completed,
+        broken: ended.length - completed,
+        completionRate: ended.length ? Math.round((completed / ended.length) * 100) : 0,
+        totalHours: roundHours(totalHours),
+        avgHours: ended.length ? roundHours(totalHours / ended.length) : 0,
+        longestHours: hours.length ? roundHours(Math.max(...hours)) : 0
+    };
+}
+
+module.exports = {
+    FASTING_PROTOCOLS,
+    CUSTOM_PROTOCOL,
+    PROTOCOL_KEYS,
+    MIN_FASTING_HOURS,
+    MAX_FASTING_HOURS,
+    resolveFastingHours,
+    calculatePlannedEnd,
+    buildFastProgress,
+    calculateBestStreak,
+    calculateCurrentStreak,
+    summarizeFasts
+};
@@ -0,0 +1,231 @@
+// src/utils/foodCatalog.js
+// Food catalogue helpers: search keys / trigram matching, dataset row parsing and serving nutrition
+
+const { MACRO_KEYS } = require('./macroCalculator');
+
+const NUTRIENT_KEYS = ['calories', ...MACRO_KEYS];
+
+// Per-100 g limits (same as models/Food.js)
+const NUTRIENT_MAX = { calories: 1000, protein: 100, carbs: 100, fat: 100, fiber: 100 };
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+function normalizeFoodText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Word-padded trigrams of a normalised string ("egg" → "  e", " eg", "egg", "gg ")
+ */
+function buildTrigrams(key) {
+    const trigrams = new Set();
+    key.split(' ').filter(Boolean).forEach(word => {
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) {
+            trigrams.add(padded.slice(i, i + 3));
+        }
+    });
+    return [...trigrams];
+}
+
+/**
+ * Search key + trigrams stored on a catalogue food
+ */
+function buildSearchFields({ name, brand }) {
+    const nameKey = normalizeFoodText([name, brand].filter(Boolean).join(' '));
+    return { nameKey, trigrams: buildTrigrams(nameKey) };
+}
+
+/**
+ * Relevance of a food for a query, 0-1.
+ * Mostly how many of the query's trigrams the food has (typo tolerant), with a bonus
+ * for word-prefix matches and a small penalty for long names that only share a word.
+ */
+function scoreFoodMatch(queryKey, queryTrigrams, food) {
+    if (!queryTrigrams.length) return 0;
+
+    const foodTrigrams = new Set(food.trigrams || []);
+    const shared = queryTrigrams.filter(t => foodTrigrams.has(t)).length;
+    const coverage = shared / queryTrigrams.length;
+    const dice = (2 * shared) / (queryTrigrams.length + foodTrigrams.size || 1);
+
+    let score = coverage * 0.7 + dice * 0.3;
+    if (food.nameKey === queryKey) score += 0.3;
+    else if (food.nameKey.startsWith(queryKey)) score += 0.2;
+    else if (` ${food.nameKey}`.includes(` ${queryKey}`)) score += 0.1;
+
+    return Math.min(1, Math.round(score * 1000) / 1000);
+}
+
+/**
+ * Minimal RFC 4180 CSV parser (quoted fields, "" escapes, CRLF).
+ * @returns {Array<Object>} One object per data row, keyed by the header row
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...data] = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (!header) return [];
+
+    const keys = header.map(h => h.trim().replace(/^\uFEFF/, ''));
+    return data.map(values => {
+        const record = {};
+        keys.forEach((key, index) => (record[key] = (values[index] ?? '').trim()));
+        return record;
+    });
+}
+
+/**
+ * Serving sizes from a dataset value: [{ label, grams }] or "1 cup:240|1 tbsp:15"
+ */
+function parseServingSizes(value) {
+    if (!value) return [];
+    const list = Array.isArray(value)
+        ? value
+        : String(value).split('|').map(part => {
+            const separator = part.lastIndexOf(':');
+            return { label: part.slice(0, separator), grams: part.slice(separator + 1) };
+        });
+
+    return list.map(serving => ({
+        label: String(serving.label || '').trim(),
+        grams: Number(serving.grams)
+    }));
+}
+
+/**
+ * Validate and normalise one dataset row (CSV record or JSON object)
+ * @returns {Object} { food } or { error }
+ */
+function normalizeFoodRow(raw) {
+    const name = String(raw.name || '').trim();
+    if (!name || name.length > 100) return { error: 'name is required (max 100 characters)' };
+
+    const brand = String(raw.brand || '').trim() || undefined;
+    const barcode = String(raw.barcode || '').trim() || undefined;
+    if (barcode && !/^\d{8,14}$/.test(barcode)) return { error: 'barcode must be 8-14 digits' };
+
+    const food = { name, brand, barcode };
+    for (const key of NUTRIENT_KEYS) {
+        const empty = raw[key] === undefined || raw[key] === null || raw[key] === '';
+        if (empty && key === 'calories') return { error: 'calories is required' };
+
+        const value = empty ? 0 : Number(raw[key]);
+        if (!Number.isFinite(value) || value < 0 || value > NUTRIENT_MAX[key]) {
+            return { error: `${key} must be between 0 and ${NUTRIENT_MAX[key]} per 100 g` };
+        }
+        food[key] = value;
+    }
+
+    food.servingSizes = parseServingSizes(raw.servingSizes ?? raw.servings);
+    if (food.servingSizes.some(s => !s.label || !(s.grams > 0) || s.grams > 5000)) {
+        return { error: 'servingSizes must be label:grams pairs (grams 0.1-5000)' };
+    }
+
+    return { food: { ...food, ...buildSearchFields(food) } };
+}
+
+/**
+ * Nutrition for an amount of a catalogue food.
+ * Amount = grams, or servings × a serving size (by label; first serving size, else 100 g, by default).
+ * @returns {Object|null} { grams, quantity, calories, protein, carbs, fat, fiber } - null for an unknown serving label
+ */
+function calculateServingNutrition(food, { serving, servings = 1, grams } = {}) {
+    let amountGrams = grams;
+    let quantity = `${grams} g`;
+
+    if (!amountGrams) {
+        const sizes = food.servingSizes || [];
+        const size = serving
+            ? sizes.find(s => s.label.toLowerCase() === String(serving).toLowerCase())
+            : sizes[0] || { label: '100 g', grams: 100 };
+        if (!size) return null;
+
+        amountGrams = size.grams * servings;
+        quantity = servings === 1 ? size.label : `${servings} × ${size.label}`;
+    }
+
+    const factor = amountGrams / 100;
+    const nutrition = {
+        grams: Math.round(amountGrams * 10) / 10,
+        quantity,
+        calories: Math.round((food.calories || 0) * factor)
+    };
+    MACRO_KEYS.forEach(key => (nutrition[key] = Math.round((food[key] || 0) * factor * 10) / 10));
+    return nutrition;
+}
+
+/**
+ * Food item fields stored on meals, calorie-entry logs, favourites, recents and templates
+ */
+function pickFoodItem(source) {
+    const item = {
+        name: source.name,
+        quantity: source.quantity,
+        calories: Number(source.calories) || 0
+    };
+    MACRO_KEYS.forEach(key => (item[key] = Number(source[key]) || 0));
+    if (source.foodId) item.foodId = source.foodId;
+    if (source.grams) item.grams = source.grams;
+    return item;
+}
+
+/**
+ * Identity of a food item for de-duplication (same food, amount and calories)
+ */
+function buildFoodItemKey(item) {
+    if (item.foodId) return `food:${item.foodId}:${item.grams || ''}`;
+    return [normalizeFoodText(item.name), normalizeFoodText(item.quantity), Number(item.calories) || 0].join('|');
+}
+
+module.exports = {
+    normalizeFoodText,
+    buildTrigrams,
+    buildSearchFields,
+    scoreFoodMatch,
+    parseCsv,
+    normalizeFoodRow,
+    calculateServingNutrition,
+    pickFoodItem,
+    buildFoodItemKey
+};
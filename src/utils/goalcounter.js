@@ -1,13 +1,16 @@
 // src/utils/goalcounter.js
+const WaterConverter = require('./waterConverter');
 
-// CONFIGURABLE GOAL SYSTEM - Easy to modify which goals count for streaks
-const STREAK_GOALS = [
-    'steps',
-    // 'sleep',
-    // 'caloriesBurn',
-    // 'water',
-    // 'caloriesIntake'
-];
+// Goals a streak rule can count (keys of calculateAllGoals results)
+const STREAK_GOAL_KEYS = ['steps', 'sleep', 'caloriesBurn', 'water', 'caloriesIntake'];
+
+// Used until an admin saves a rule (see models/StreakRule.js)
+const DEFAULT_STREAK_RULE = {
+    goals: ['steps'],
+    mode: 'all',      // 'all' = every goal, 'atLeast' = minGoals of goals
+    minGoals: 1,
+    graceDays: 0      // missed days tolerated before the streak resets
+};
 
 /**
  * Calculate individual goal completion status for the day.
@@ -20,10 +23,10 @@ function calculateAllGoals(data, existingHealthData, goals) {
 
         caloriesBurn: data.calories && data.calories.burned >= (goals.caloriesBurnGoal || 2000),
 
-        // Convert water goal glasses → ml (1 glass = 200ml)
+        // Water is stored in ml; the goal is ml too (legacy glasses goals are converted)
         water:
             (existingHealthData?.water?.consumed || 0) >=
-            ((goals.waterIntakeGoal || 8) * 200),
+            WaterConverter.getGoalMl(goals),
 
         caloriesIntake:
             (existingHealthData?.calories?.consumed || 0) >=
@@ -34,24 +37,31 @@ function calculateAllGoals(data, existingHealthData, goals) {
 }
 
 /**
- * Determines streak completion based on goal results.
+ * Determines streak completion for the day based on goal results and the streak rule.
  */
-function calculateStreakCompletion(goalResults, streakGoals = STREAK_GOALS) {
+function calculateStreakCompletion(goalResults, rule = DEFAULT_STREAK_RULE) {
+    const streakGoals = rule.goals || [];
     const completedGoals = streakGoals.filter(goal => goalResults[goal]);
     const totalStreakGoals = streakGoals.length;
 
-    const allStreakGoalsCompleted = completedGoals.length === totalStreakGoals;
+    const requiredGoals = rule.mode === 'atLeast'
+        ? Math.min(rule.minGoals || 1, totalStreakGoals)
+        : totalStreakGoals;
+
+    const allStreakGoalsCompleted = totalStreakGoals > 0 && completedGoals.length >= requiredGoals;
 
     return {
         completedGoals,
         totalStreakGoals,
+        requiredGoals,
         allCompleted: allStreakGoalsCompleted,
         goalResults
     };
 }
 
 module.exports = {
-    STREAK_GOALS,
+    STREAK_GOAL_KEYS,
+    DEFAULT_STREAK_RULE,
     calculateAllGoals,
     calculateStreakCompletion
 };
@@ -0,0 +1,105 @@
+// src/utils/healthRange.js
+// Metric definitions and date buckets for the range query API (/health/range)
+
+const { addDaysToDateString, getWeekStartDate } = require('./timeZone');
+
+// Metric name → aggregation expression on a DailyHealthData document + unit of the value
+const RANGE_METRICS = {
+    steps: { expr: '$steps.count', unit: 'steps' },
+    distance: { expr: '$steps.distance', unit: 'km' },
+    water: { expr: '$water.consumed', unit: 'ml' },
+    caloriesConsumed: { expr: '$calories.consumed', unit: 'kcal' },
+    caloriesBurned: { expr: '$calories.burned', unit: 'kcal' },
+    sleep: { expr: '$sleep.duration', unit: 'hours' },
+    workoutMinutes: { expr: { $sum: '$workouts.duration' }, unit: 'minutes' },
+    heartRate: { expr: '$heartRate.avgBpm', unit: 'bpm' },
+    restingHeartRate: { expr: '$heartRate.restingBpm', unit: 'bpm' }
+};
+
+const RANGE_METRIC_KEYS = Object.keys(RANGE_METRICS);
+const RANGE_GRANULARITIES = ['day', 'week', 'month'];
+
+// Longest window per granularity (days, inclusive)
+const MAX_RANGE_DAYS = {
+    day: 366,
+    week: 731,
+    month: 1826
+};
+
+/**
+ * Days between two "YYYY-MM-DD" strings, both ends included
+ */
+function countDays(from, to) {
+    return Math.round((new Date(to + "T00:00:00Z") - new Date(from + "T00:00:00Z")) / 86400000) + 1;
+}
+
+/**
+ * First date of the bucket a date falls in. Weeks start on the user's week start (Sunday by default).
+ */
+function getBucketStart(date, granularity, weekStart = 'sunday') {
+    if (granularity === 'month') return `${date.slice(0, 7)}-01`;
+    if (granularity === 'week') return getWeekStartDate(date, weekStart);
+    return date;
+}
+
+/**
+ * Every bucket between from and to (inclusive), clipped to the range
+ * @returns {Array} [{ key, start, end, days }] - key is the unclipped bucket start
+ */
+function listBuckets(from, to, granularity, weekStart = 'sunday') {
+    const buckets = [];
+    let cursor = from;
+
+    while (cursor <= to) {
+        const key = getBucketStart(cursor, granularity, weekStart);
+        let nextKey;
+        if (granularity === 'month') {
+            const d = new Date(key + "T00:00:00Z");
+            d.setUTCMonth(d.getUTCMonth() + 1);
+            nextKey = d.toISOString().split("T")[0];
+        } else {
+            nextKey = addDaysToDateString(key, granularity === 'week' ? 7 : 1);
+        }
+
+        const lastDay = addDaysToDateString(nextKey, -1);
+        const end = lastDay < to ? lastDay : to;
+        buckets.push({ key, start: cursor, end, days: countDays(cursor, end) });
+        cursor = nextKey;
+    }
+
+    return buckets;
+}
+
+/**
+ * Aggregation expression giving a document's bucket key ("YYYY-MM-DD" bucket start)
+ */
+function bucketKeyExpression(granularity, weekStart = 'sunday') {
+    if (granularity === 'month') {
+        return { $concat: [{ $substrBytes: ['$date', 0, 7] }, '-01'] };
+    }
+    if (granularity === 'week') {
+        const day = { $dateFromString: { dateString: '$date', format: '%Y-%m-%d' } };
+        // $dayOfWeek is 1 (Sunday) .. 7 (Saturday); days back to the week start
+        const offset = weekStart === 'monday'
+            ? { $mod: [{ $add: [{ $dayOfWeek: day }, 5] }, 7] }
+            : { $subtract: [{ $dayOfWeek: day }, 1] };
+        return {
+            $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $subtract: [day, { $multiply: [offset, 86400000] }] }
+            }
+        };
+    }
+    return '$date';
+}
+
+module.exports = {
+    RANGE_METRICS,
+    RANGE_METRIC_KEYS,
+    RANGE_GRANULARITIES,
+    MAX_RANGE_DAYS,
+    countDays,
+    getBucketStart,
+    listBuckets,
+    bucketKeyExpression
+};
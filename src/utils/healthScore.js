@@ -0,0 +1,105 @@
+// src/utils/healthScore.js
+// 0-100 daily health score from partial progress toward each daily goal
+const WaterConverter = require('./waterConverter');
+
+// Parts of the score (weights are keyed by these)
+const SCORE_COMPONENTS = ['steps', 'water', 'caloriesIntake', 'caloriesBurn', 'sleep', 'workouts'];
+
+// Used until an admin saves a rule (see models/HealthScoreRule.js)
+const DEFAULT_SCORE_RULE = {
+    weights: {
+        steps: 25,
+        water: 15,
+        caloriesIntake: 15,
+        caloriesBurn: 15,
+        sleep: 20,
+        workouts: 10
+    },
+    workoutMinutesGoal: 30   // daily workout minutes counted as a full workouts component
+};
+
+function ratio(value, goal) {
+    if (!goal) return 0;
+    return Math.min((Number(value) || 0) / goal, 1);
+}
+
+/**
+ * Progress (0-1) toward each goal for a day.
+ * Calorie intake is about hitting the target, not exceeding it: progress falls
+ * back off above the goal and reaches 0 at twice the goal.
+ */
+function calculateGoalProgress(record, goals, rule = DEFAULT_SCORE_RULE) {
+    const consumed = record?.calories?.consumed || 0;
+    const intakeGoal = goals.caloriesIntakeGoal || 2000;
+    const workoutMinutes = (record?.workouts || []).reduce((sum, w) => sum + (Number(w.duration) || 0), 0);
+
+    return {
+        steps: ratio(record?.steps?.count, goals.stepsGoal || 10000),
+        water: ratio(record?.water?.consumed, WaterConverter.getGoalMl(goals)),
+        caloriesIntake: consumed <= intakeGoal
+            ? ratio(consumed, intakeGoal)
+            : Math.max(1 - (consumed - intakeGoal) / intakeGoal, 0),
+        caloriesBurn: ratio(record?.calories?.burned, goals.caloriesBurnGoal || 2000),
+        sleep: ratio(record?.sleep?.duration, goals.sleepGoal?.hours || 8),
+        workouts: ratio(workoutMinutes, rule.workoutMinutesGoal || DEFAULT_SCORE_RULE.workoutMinutesGoal)
+    };
+}
+
+/**
+ * Weighted health score for a day
+ * @param {Object} record - DailyHealthData (lean) for the day
+ * @param {Object} goals - Goals to judge against
+ * @param {Object} rule - Score rule ({ weights, workoutMinutesGoal })
+ * @returns {Object} { score, components: { [component]: { progress, weight, points } } }
+ */
+function calculateHealthScore(record, goals = {}, rule = DEFAULT_SCORE_RULE) {
+    const progress = calculateGoalProgress(record, goals, rule);
+    const weights = rule.weights || DEFAULT_SCORE_RULE.weights;
+    const totalWeight = SCORE_COMPONENTS.reduce((sum, key) => sum + (weights[key] || 0), 0);
+
+    const components = {};
+    let score = 0;
+    SCORE_COMPONENTS.forEach(key => {
+        const weight = weights[key] || 0;
+        const points = totalWeight ? (progress[key] * weight * 100) / totalWeight : 0;
+        components[key] = {
+            progress: Math.round(progress[key] * 100),   // percent of the goal
+            weight,
+            points: Math.round(points * 10) / 10
+        };
+        score += points;
+    });
+
+    return { score: Math.round(score), components };
+}
+
+/**
+ * Average / best / lowest score over a report's days (days without a score are skipped)
+ * @param {Array} days - [{ date, healthScore }]
+ * @returns {Object} { average, daysScored, best, lowest, scores }
+ */
+function summarizeHealthScores(days) {
+    const scored = days.filter(d => typeof d.healthScore === 'number');
+    const byScore = [...scored].sort((a, b) => b.healthScore - a.healthScore);
+
+    return {
+        average: scored.length
+            ? Math.round(scored.reduce((sum, d) => sum + d.healthScore, 0) / scored.length)
+            : null,
+        daysScored: scored.length,
+        best: byScore.length ? { date: byScore[0].date, score: byScore[0].healthScore } : null,
+        lowest: byScore.length
+            ? { date: byScore[byScore.length - 1].date, score: byScore[byScore.length - 1].healthScore }
+            : null,
+        // Chart series, one point per day (null = no record)
+        scores: days.map(d => ({ date: d.date, score: d.healthScore ?? null }))
+    };
+}
+
+module.exports = {
+    SCORE_COMPONENTS,
+    DEFAULT_SCORE_RULE,
+    calculateGoalProgress,
+    calculateHealthScore,
+    summarizeHealthScores
+};
@@ -0,0 +1,116 @@
+// src/utils/heartRateCalculator.js
+// Helpers for DailyHealthData.heartRate (daily figures from intraday samples, report summaries)
+
+// One reading per minute is the most a day keeps
+const MAX_SAMPLES_PER_DAY = 1440;
+
+/**
+ * Merge new readings into a day's samples (same timestamp = replaced), sorted by time
+ * @param {Array} existing - [{ at, bpm }]
+ * @param {Array} incoming - [{ at, bpm }]
+ * @returns {Array} Merged samples, newest MAX_SAMPLES_PER_DAY kept
+ */
+function mergeSamples(existing = [], incoming = []) {
+    const byTime = new Map();
+    [...existing, ...incoming].forEach(sample => {
+        const at = new Date(sample.at);
+        byTime.set(at.getTime(), { at, bpm: Number(sample.bpm) });
+    });
+
+    return [...byTime.values()]
+        .sort((a, b) => a.at - b.at)
+        .slice(-MAX_SAMPLES_PER_DAY);
+}
+
+/**
+ * Daily avg/min/max from intraday samples
+ * @param {Array} samples - [{ at, bpm }]
+ * @returns {Object} { avgBpm, minBpm, maxBpm } (empty object when there are no samples)
+ */
+function summarizeSamples(samples = []) {
+    if (!samples.length) return {};
+
+    const values = samples.map(s => s.bpm);
+    return {
+        avgBpm: Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+        minBpm: Math.min(...values),
+        maxBpm: Math.max(...values)
+    };
+}
+
+/**
+ * Dotted $set fields for heart rate data sent by the watch sync.
+ * Samples are merged into the day's stored samples (readings logged by hand are kept);
+ * avg/min/max fall back to values derived from the merged samples.
+ * @param {Object} heartRate - { avgBpm, restingBpm, minBpm, maxBpm, samples }
+ * @param {Array} existingSamples - the day's stored samples
+ * @returns {Object} e.g. { 'heartRate.avgBpm': 72, 'heartRate.samples': [...] }
+ */
+function buildHeartRateUpdate(heartRate, existingSamples = []) {
+    const setDoc = {};
+    if (!heartRate) return setDoc;
+
+    const derived = {};
+    if (Array.isArray(heartRate.samples)) {
+        const samples = mergeSamples(existingSamples, heartRate.samples);
+        setDoc['heartRate.samples'] = samples;
+        Object.assign(derived, summarizeSamples(samples));
+    }
+
+    ['avgBpm', 'restingBpm', 'minBpm', 'maxBpm'].forEach(key => {
+        const value = heartRate[key] ?? derived[key];
+        if (value !== undefined) setDoc[`heartRate.${key}`] = value;
+    });
+
+    return setDoc;
+}
+
+/**
+ * Format one day's heart rate for responses
+ * @param {Object} heartRate - DailyHealthData.heartRate
+ * @param {Object} options - { includeSamples }
+ */
+function formatHeartRate(heartRate, { includeSamples = false } = {}) {
+    const formatted = {
+        avgBpm: heartRate?.avgBpm ?? null,
+        restingBpm: heartRate?.restingBpm ?? null,
+        minBpm: heartRate?.minBpm ?? null,
+        maxBpm: heartRate?.maxBpm ?? null,
+        sampleCount: heartRate?.samples?.length || 0
+    };
+    if (includeSamples) formatted.samples = heartRate?.samples || [];
+    return formatted;
+}
+
+/**
+ * Summarise heart rate across several days (weekly/monthly reports)
+ * @param {Array} records - DailyHealthData records with heartRate
+ * @returns {Object} { avgBpm, avgRestingBpm, minBpm, maxBpm, daysWithData }
+ */
+function buildHeartRateSummary(records = []) {
+    const withAvg = records.filter(r => r.heartRate?.avgBpm);
+    const withResting = records.filter(r => r.heartRate?.restingBpm);
+    const mins = records.map(r => r.heartRate?.minBpm).filter(Boolean);
+    const maxes = records.map(r => r.heartRate?.maxBpm).filter(Boolean);
+
+    const average = (list, key) => list.length
+        ? Math.round(list.reduce((sum, r) => sum + r.heartRate[key], 0) / list.length)
+        : null;
+
+    return {
+        avgBpm: average(withAvg, 'avgBpm'),
+        avgRestingBpm: average(withResting, 'restingBpm'),
+        minBpm: mins.length ? Math.min(...mins) : null,
+        maxBpm: maxes.length ? Math.max(...maxes) : null,
+        daysWithData: records.filter(r => r.heartRate?.avgBpm || r.heartRate?.restingBpm).length
+    };
+}
+
+module.exports = {
+    MAX_SAMPLES_PER_DAY,
+    mergeSamples,
+    summarizeSamples,
+    buildHeartRateUpdate,
+    formatHeartRate,
+    buildHeartRateSummary
+};
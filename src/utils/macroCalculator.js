@@ -0,0 +1,143 @@
+// src/utils/macroCalculator.js
+// Macronutrients (grams) on calorie entries / meal foods, daily totals and macro goals
+
+const MACRO_KEYS = ['protein', 'carbs', 'fat', 'fiber'];
+
+// Energy per gram; fibre is not counted towards the calorie split
+const KCAL_PER_GRAM = {
+    protein: 4,
+    carbs: 4,
+    fat: 9
+};
+
+// Default split of caloriesIntakeGoal when the user has not set macro goals
+const DEFAULT_MACRO_SPLIT = {
+    protein: 0.2,
+    carbs: 0.5,
+    fat: 0.3
+};
+const FIBER_GRAMS_PER_1000_KCAL = 14;
+
+function roundGrams(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Read the macros of an entry / food item (missing values count as 0)
+ * @returns {Object} { protein, carbs, fat, fiber }
+ */
+function formatMacros(source) {
+    const macros = {};
+    MACRO_KEYS.forEach(key => (macros[key] = roundGrams(Number(source?.[key]) || 0)));
+    return macros;
+}
+
+/**
+ * Sum the macros of entries / food items / meals
+ * @param {Array} items - objects carrying protein, carbs, fat, fiber
+ */
+function sumMacros(items = []) {
+    const totals = formatMacros(null);
+    items.forEach(item => {
+        MACRO_KEYS.forEach(key => (totals[key] += Number(item?.[key]) || 0));
+    });
+    MACRO_KEYS.forEach(key => (totals[key] = roundGrams(totals[key])));
+    return totals;
+}
+
+/**
+ * Recompute the day's macros from quick calorie entries + meal foods.
+ * Meal totalMacros are refreshed on the way. Mutates the health document.
+ * @returns {Object} Day totals { protein, carbs, fat, fiber }
+ */
+function recalculateDayMacros(healthDoc) {
+    (healthDoc.meals || []).forEach(meal => {
+        meal.totalMacros = sumMacros(meal.foods || []);
+    });
+
+    healthDoc.macros = sumMacros([
+        ...(healthDoc.calories?.entries || []),
+        ...(healthDoc.meals || []).map(meal => meal.totalMacros)
+    ]);
+    return healthDoc.macros;
+}
+
+/**
+ * Macro goals in grams. Values the user set win; the rest follow caloriesIntakeGoal.
+ * @param {Object} goals - Goals document / goal version
+ */
+function getMacroGoals(goals = {}) {
+    const intakeGoal = goals.caloriesIntakeGoal || 2000;
+    const derived = {
+        fiber: Math.round((intakeGoal / 1000) * FIBER_GRAMS_PER_1000_KCAL)
+    };
+    Object.keys(DEFAULT_MACRO_SPLIT).forEach(key => {
+        derived[key] = Math.round((intakeGoal * DEFAULT_MACRO_SPLIT[key]) / KCAL_PER_GRAM[key]);
+    });
+
+    const macroGoals = {};
+    MACRO_KEYS.forEach(key => (macroGoals[key] = goals.macroGoals?.[key] ?? derived[key]));
+    return macroGoals;
+}
+
+/**
+ * Per-macro grams vs goal, plus each macro's share of the calories coming from macros
+ * @param {Object} macros - { protein, carbs, fat, fiber } grams
+ * @param {Object} macroGoals - getMacroGoals() result
+ */
+function buildMacroBreakdown(macros, macroGoals) {
+    const grams = formatMacros(macros);
+    const macroCalories = Object.keys(KCAL_PER_GRAM)
+        .reduce((sum, key) => sum + grams[key] * KCAL_PER_GRAM[key], 0);
+
+    const breakdown = {};
+    MACRO_KEYS.forEach(key => {
+        const goal = macroGoals?.[key] || 0;
+        breakdown[key] = {
+            grams: grams[key],
+            goal,
+            progress: goal > 0 ? Math.round((grams[key] / goal) * 100) : 0
+        };
+        if (KCAL_PER_GRAM[key]) {
+            breakdown[key].calories = Math.round(grams[key] * KCAL_PER_GRAM[key]);
+            breakdown[key].percentOfCalories = macroCalories > 0
+                ? Math.round(((grams[key] * KCAL_PER_GRAM[key]) / macroCalories) * 100)
+                : 0;
+        }
+    });
+    return breakdown;
+}
+
+/**
+ * Period macro summary for reports
+ * @param {Array} days - [{ macros }] (dailyBreakdown)
+ * @param {Object} macroGoals - current macro goals, compared with the daily average
+ * @returns {Object} { totals, dailyAvg, daysLogged, breakdown } - dailyAvg is over days with any macros logged
+ */
+function summarizeMacros(days = [], macroGoals) {
+    const logged = days.filter(day => MACRO_KEYS.some(key => (day.macros?.[key] || 0) > 0));
+    const totals = sumMacros(logged.map(day => day.macros));
+
+    const dailyAvg = {};
+    MACRO_KEYS.forEach(key => {
+        dailyAvg[key] = logged.length ? roundGrams(totals[key] / logged.length) : 0;
+    });
+
+    return {
+        totals,
+        dailyAvg,
+        daysLogged: logged.length,
+        breakdown: buildMacroBreakdown(dailyAvg, macroGoals)
+    };
+}
+
+module.exports = {
+    MACRO_KEYS,
+    KCAL_PER_GRAM,
+    formatMacros,
+    sumMacros,
+    recalculateDayMacros,
+    getMacroGoals,
+    buildMacroBreakdown,
+    summarizeMacros
+};
@@ -0,0 +1,76 @@
+// src/utils/mealCalculator.js
+// Helpers to keep DailyHealthData.meals and calories.consumed in sync
+
+const { recalculateDayMacros } = require('./macroCalculator');
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Sum the calories of a meal's food items
+ * @param {Array} foods - [{ name, quantity, calories }]
+ * @returns {number} Total calories for the meal
+ */
+function calculateMealTotal(foods = []) {
+    return foods.reduce((sum, food) => sum + (Number(food.calories) || 0), 0);
+}
+
+/**
+ * Recompute calories.consumed from quick calorie entries + meal totals
+ * (day and meal macros are recomputed alongside).
+ * Mutates the (mongoose or plain) health document and returns the new total.
+ * @param {Object} healthDoc - DailyHealthData document
+ * @returns {number} Total calories consumed for the day
+ */
+function recalculateCaloriesConsumed(healthDoc) {
+    if (!healthDoc.calories) {
+        healthDoc.calories = { consumed: 0, burned: 0, entries: [] };
+    }
+
+    const entriesTotal = (healthDoc.calories.entries || [])
+        .reduce((sum, entry) => sum + (Number(entry.consumed) || 0), 0);
+
+    const mealsTotal = (healthDoc.meals || [])
+        .reduce((sum, meal) => sum + (Number(meal.totalCalories) || 0), 0);
+
+    healthDoc.calories.consumed = entriesTotal + mealsTotal;
+    recalculateDayMacros(healthDoc);
+    return healthDoc.calories.consumed;
+}
+
+/**
+ * Build calories per meal type for one or more days of meals
+ * @param {Array} meals - DailyHealthData.meals
+ * @returns {Object} { breakfast: { calories, count }, lunch: ..., dinner: ..., snack: ... }
+ */
+function buildMealBreakdown(meals = []) {
+    const breakdown = {};
+    MEAL_TYPES.forEach(type => (breakdown[type] = { calories: 0, count: 0 }));
+
+    meals.forEach(meal => {
+        const bucket = breakdown[meal.type];
+        if (!bucket) return;
+        bucket.calories += Number(meal.totalCalories) || 0;
+        bucket.count += 1;
+    });
+
+    return breakdown;
+}
+
+/**
+ * Add one meal breakdown into another (used for weekly/monthly totals)
+ */
+function mergeMealBreakdown(target, source) {
+    MEAL_TYPES.forEach(type => {
+        target[type].calories += source[type].calories;
+        target[type].count += source[type].count;
+    });
+    return target;
+}
+
+module.exports = {
+    MEAL_TYPES,
+    calculateMealTotal,
+    recalculateCaloriesConsumed,
+    buildMealBreakdown,
+    mergeMealBreakdown
+};
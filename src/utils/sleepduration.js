@@ -30,5 +30,131 @@ function calculateSleepDuration(bedtime, wakeupTime) {
     };
 }
 
-module.exports = { calculateSleepDuration };
+const { getMinutesOfDayInTimezone } = require('./timeZone');
+
+const SLEEP_TYPES = ['main', 'nap'];
+const MAX_SESSION_HOURS = 16;
+// Cap on the hours logged as a bare duration for one day (per request and day total)
+const MAX_DAILY_SLEEP_HOURS = 12;
+
+/**
+ * Duration in hours (2 decimals) between bedtime and wake timestamps
+ * @param {Date|string} startTime - Bedtime
+ * @param {Date|string} endTime - Wake time
+ * @returns {number|null} Hours slept, or null when the range is invalid
+ */
+function calculateSessionDuration(startTime, endTime) {
+    const start = new Date(startTime).getTime();
+    const end = new Date(endTime).getTime();
+    if (isNaN(start) || isNaN(end) || end <= start) return null;
+
+    return Number(((end - start) / 3600000).toFixed(2));
+}
+
+/**
+ * Format a sleep entry for response
+ */
+function formatSleepEntry(entry) {
+    return {
+        _id: entry._id,
+        type: entry.type || 'main',
+        duration: entry.duration || 0,
+        startTime: entry.startTime || null,
+        endTime: entry.endTime || null,
+        at: entry.at
+    };
+}
+
+// "HH:MM" from minutes since midnight (wraps past 24h)
+function minutesToClock(minutes) {
+    const wrapped = ((Math.round(minutes) % 1440) + 1440) % 1440;
+    const hours = String(Math.floor(wrapped / 60)).padStart(2, '0');
+    const mins = String(wrapped % 60).padStart(2, '0');
+    return `${hours}:${mins}`;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function standardDeviation(values) {
+    const avg = mean(values);
+    return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+}
+
+/**
+ * Sleep timing + consistency over a set of day records (weekly/monthly reports).
+ * Only main sleep sessions with start/end times count towards timing; naps are totalled separately.
+ * consistencyScore: 100 = same bedtime and wake time every night, 0 = times vary by 2h or more.
+ * @param {Array} records - DailyHealthData records with sleep.entries
+ * @param {string} timezone - User's timezone for local clock times
+ * @returns {Object} Sleep consistency summary
+ */
+function buildSleepConsistency(records = [], timezone = 'UTC') {
+    const bedtimes = [];
+    const wakeTimes = [];
+    const mainDurations = [];
+    let napCount = 0;
+    let napHours = 0;
+
+    records.forEach(record => {
+        (record.sleep?.entries || []).forEach(entry => {
+            if (entry.type === 'nap') {
+                napCount += 1;
+                napHours += entry.duration || 0;
+                return;
+            }
+            if (!entry.startTime || !entry.endTime) return;
+
+            // Bedtimes after noon are shifted back a day so 23:30 and 00:30 average to midnight
+            const bed = getMinutesOfDayInTimezone(entry.startTime, timezone);
+            const wake = getMinutesOfDayInTimezone(entry.endTime, timezone);
+            if (bed === null || wake === null) return;
+
+            bedtimes.push(bed >= 720 ? bed - 1440 : bed);
+            wakeTimes.push(wake);
+            mainDurations.push(entry.duration || 0);
+        });
+    });
+
+    if (!bedtimes.length) {
+        return {
+            sessions: 0,
+            avgBedtime: null,
+            avgWakeTime: null,
+            bedtimeDeviationMinutes: null,
+            wakeTimeDeviationMinutes: null,
+            consistencyScore: null,
+            avgMainSleepHours: null,
+            napCount,
+            totalNapHours: Number(napHours.toFixed(2))
+        };
+    }
+
+    const bedtimeDeviation = standardDeviation(bedtimes);
+    const wakeDeviation = standardDeviation(wakeTimes);
+    const avgDeviation = (bedtimeDeviation + wakeDeviation) / 2;
+
+    return {
+        sessions: bedtimes.length,
+        avgBedtime: minutesToClock(mean(bedtimes)),
+        avgWakeTime: minutesToClock(mean(wakeTimes)),
+        bedtimeDeviationMinutes: Math.round(bedtimeDeviation),
+        wakeTimeDeviationMinutes: Math.round(wakeDeviation),
+        consistencyScore: Math.max(0, Math.round(100 - (avgDeviation / 120) * 100)),
+        avgMainSleepHours: Number(mean(mainDurations).toFixed(2)),
+        napCount,
+        totalNapHours: Number(napHours.toFixed(2))
+    };
+}
+
+module.exports = {
+    SLEEP_TYPES,
+    MAX_SESSION_HOURS,
+    MAX_DAILY_SLEEP_HOURS,
+    calculateSleepDuration,
+    calculateSessionDuration,
+    formatSleepEntry,
+    buildSleepConsistency
+};
 
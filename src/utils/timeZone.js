@@ -1,33 +1,77 @@
-function isDateValidForTimezone(Date1, timezone) {
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// How many days back manual water/calorie/sleep entries may be logged (MANUAL_LOG_LOOKBACK_DAYS, default 7)
+function getManualLogLookbackDays() {
+  const days = parseInt(process.env.MANUAL_LOG_LOOKBACK_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 7 : days;
+}
+
+// "YYYY-MM-DD" shifted by a number of days
+function addDaysToDateString(dateString, days) {
+  const date = new Date(dateString + "T00:00:00Z");
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+}
+
+const WEEK_START_DAYS = ['sunday', 'monday'];
+
+// First day ("YYYY-MM-DD") of the week a date falls in; weekStart is 'sunday' or 'monday'
+function getWeekStartDate(dateString, weekStart = 'sunday') {
+  const dayOfWeek = new Date(dateString + "T00:00:00Z").getUTCDay();
+  const offset = weekStart === 'monday' ? (dayOfWeek + 6) % 7 : dayOfWeek;
+  return addDaysToDateString(dateString, -offset);
+}
+
+/**
+ * Check a date against "today" in the user's timezone.
+ * Without lookbackDays the date must be today; with it, anything from
+ * (today - lookbackDays) up to today is accepted.
+ * @param {string|Date} Date1 - "YYYY-MM-DD" (taken as-is) or a date-time
+ */
+function isDateValidForTimezone(Date1, timezone, lookbackDays = 0) {
   try {
-    // Parse input date
-    const date = new Date(Date1);
-    if (isNaN(date)) {
-      return false; // invalid date input
-    }
+    let inputDateStr;
 
-    // Format input date to YYYY-MM-DD
-    const inputDateStr = new Intl.DateTimeFormat('en-CA', {
-      timeZone: timezone,
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    }).format(date);
+    if (typeof Date1 === 'string' && DATE_ONLY_REGEX.test(Date1)) {
+      inputDateStr = Date1;
+    } else {
+      // Parse input date
+      const date = new Date(Date1);
+      if (isNaN(date)) {
+        return false; // invalid date input
+      }
+
+      // Format input date to YYYY-MM-DD
+      inputDateStr = new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+      }).format(date);
+    }
 
     // Get current date in user's timezone
     const nowInUserTZ = getCurrentDateInTimezone(timezone);
+    const earliest = addDaysToDateString(nowInUserTZ, -lookbackDays);
 
     // Compare the formatted dates
-    console.log('Input date:', inputDateStr);
-    console.log('Current date in timezone:', nowInUserTZ);
-    
-    return inputDateStr === nowInUserTZ;
+    return inputDateStr <= nowInUserTZ && inputDateStr >= earliest;
   } catch (err) {
     console.error("Timezone validation error:", err);
     return false;
   }
 }
 
+/**
+ * Date a manual entry belongs to: an explicit date, the local date of an
+ * explicit time, or today
+ */
+function getLogDateInTimezone({ date, at } = {}, timezone) {
+  if (date) return date;
+  if (at) return formatDateInTimezone(at, timezone);
+  return getCurrentDateInTimezone(timezone);
+}
+
 function getCurrentDateInTimezone(timezone) {
   try {
     const formatter = new Intl.DateTimeFormat('en-CA', {
@@ -38,14 +82,31 @@ function getCurrentDateInTimezone(timezone) {
     });
 
     // returns like "2025-11-07"
-    console.log('Current date in timezone:', formatter.format(new Date()));
-
     return formatter.format(new Date());
   } catch (err) {
     console.error("Invalid timezone:", err);
     return null;
   }
 }
+function formatDateInTimezone(dateInput, timezone) {
+  try {
+    const date = new Date(dateInput);
+    if (isNaN(date)) {
+      return null;
+    }
+
+    // returns like "2025-11-07"
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(date);
+  } catch (err) {
+    console.error("Invalid timezone:", err);
+    return null;
+  }
+}
 function getCurrentTimeInTimezone(timezone) {
   try {
     // Get user's current local time in that timezone
@@ -75,9 +136,42 @@ function getCurrentTimeInTimezone(timezone) {
   }
 }
 
+// Minutes since local midnight (0-1439) for a date in the user's timezone
+function getMinutesOfDayInTimezone(dateInput, timezone) {
+  try {
+    const date = new Date(dateInput);
+    if (isNaN(date)) {
+      return null;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const map = {};
+    for (const { type, value } of parts) {
+      if (type !== 'literal') map[type] = Number(value);
+    }
+
+    return map.hour * 60 + map.minute;
+  } catch (err) {
+    console.error("Invalid timezone:", err);
+    return null;
+  }
+}
 
 module.exports = {
   isDateValidForTimezone,
   getCurrentDateInTimezone,
-  getCurrentTimeInTimezone
+  getCurrentTimeInTimezone,
+  formatDateInTimezone,
+  getMinutesOfDayInTimezone,
+  getManualLogLookbackDays,
+  getLogDateInTimezone,
+  addDaysToDateString,
+  WEEK_START_DAYS,
+  getWeekStartDate
 };
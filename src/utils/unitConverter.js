@@ -153,6 +153,32 @@ function getDisplayWeight(weightInKg, preferredUnit = 'kg') {
     };
 }
 
+/**
+ * Calculate BMI from standard units
+ * @param {number} weightInKg - Weight in kilograms
+ * @param {number} heightInCm - Height in centimeters
+ * @returns {number|null} BMI (1 decimal place) or null when either value is missing
+ */
+function calculateBmi(weightInKg, heightInCm) {
+    if (!weightInKg || !heightInCm) return null;
+
+    const heightInM = heightInCm / 100;
+    return Math.round((weightInKg / (heightInM * heightInM)) * 10) / 10;
+}
+
+/**
+ * Get the WHO BMI category
+ * @param {number} bmi - BMI value
+ * @returns {string|null} 'underweight' | 'normal' | 'overweight' | 'obese'
+ */
+function getBmiCategory(bmi) {
+    if (!bmi) return null;
+    if (bmi < 18.5) return 'underweight';
+    if (bmi < 25) return 'normal';
+    if (bmi < 30) return 'overweight';
+    return 'obese';
+}
+
 module.exports = {
     convertHeightToCm,
     convertWeightToKg,
@@ -163,5 +189,7 @@ module.exports = {
     getHeightRangeMessage,
     getWeightRangeMessage,
     getDisplayHeight,
-    getDisplayWeight
+    getDisplayWeight,
+    calculateBmi,
+    getBmiCategory
 };
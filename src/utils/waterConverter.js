@@ -29,6 +29,76 @@ class WaterConverter {
 
         return ml / this.GLASS_TO_ML;
     }
+
+    // Display units a user can pick (userPreferences.waterUnit); storage is always ml
+    static UNITS = ['ml', 'fl_oz', 'glasses'];
+    static ML_PER_FL_OZ = 29.5735;
+    static UNIT_LABELS = { ml: 'ml', fl_oz: 'fl oz', glasses: 'glasses' };
+
+    /**
+     * Convert an amount in a display unit to milliliters
+     * @param {number} value - Amount in `unit`
+     * @param {string} unit - 'ml' | 'fl_oz' | 'glasses'
+     * @returns {number} - Milliliters (whole number)
+     */
+    static toMl(value, unit = 'glasses') {
+        switch (unit) {
+            case 'ml':
+                return Math.round(value);
+            case 'fl_oz':
+                return Math.round(value * this.ML_PER_FL_OZ);
+            case 'glasses':
+                return Math.round(this.glassesToMl(value));
+            default:
+                throw new Error(`Invalid water unit. Must be one of: ${this.UNITS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Convert milliliters to a display unit
+     * @param {number} ml - Milliliters
+     * @param {string} unit - 'ml' | 'fl_oz' | 'glasses'
+     * @returns {number} - Amount in `unit` (ml whole, fl oz 1 decimal, glasses 2 decimals)
+     */
+    static fromMl(ml, unit = 'glasses') {
+        switch (unit) {
+            case 'ml':
+                return Math.round(ml);
+            case 'fl_oz':
+                return Math.round((ml / this.ML_PER_FL_OZ) * 10) / 10;
+            case 'glasses':
+                return Math.round(this.mlToGlasses(ml) * 100) / 100;
+            default:
+                throw new Error(`Invalid water unit. Must be one of: ${this.UNITS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Water amount for display in the user's unit
+     * @returns {Object} - { ml, value, unit, display }
+     */
+    static format(ml, unit = 'glasses') {
+        const safeUnit = this.UNITS.includes(unit) ? unit : 'glasses';
+        const value = this.fromMl(ml || 0, safeUnit);
+        return {
+            ml: ml || 0,
+            value,
+            unit: safeUnit,
+            display: `${value} ${this.UNIT_LABELS[safeUnit]}`
+        };
+    }
+
+    /**
+     * Daily water goal in ml (falls back to the legacy glasses goal)
+     * @param {Object} goals - Goals / goal version
+     * @returns {number} - Goal in milliliters
+     */
+    static getGoalMl(goals = {}) {
+        if (goals.waterIntakeGoalMl !== undefined && goals.waterIntakeGoalMl !== null) {
+            return goals.waterIntakeGoalMl;
+        }
+        return (goals.waterIntakeGoal || 8) * this.GLASS_TO_ML;
+    }
 }
 
 module.exports = WaterConverter;
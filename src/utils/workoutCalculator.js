@@ -0,0 +1,87 @@
+// src/utils/workoutCalculator.js
+// Helpers to keep DailyHealthData.workouts and calories.burned in sync
+
+const WORKOUT_INTENSITIES = ['low', 'moderate', 'high', 'intense'];
+
+// Rough kcal per minute, used when a session is logged without a calorie figure
+const KCAL_PER_MINUTE = {
+    low: 4,
+    moderate: 6,
+    high: 8,
+    intense: 10
+};
+
+/**
+ * Estimate calories for a session from its duration and intensity
+ * @param {number} duration - Minutes
+ * @param {string} intensity - One of WORKOUT_INTENSITIES (defaults to moderate)
+ * @returns {number} Estimated calories burned
+ */
+function estimateWorkoutCalories(duration, intensity = 'moderate') {
+    const perMinute = KCAL_PER_MINUTE[intensity] || KCAL_PER_MINUTE.moderate;
+    return Math.round((Number(duration) || 0) * perMinute);
+}
+
+/**
+ * Sum the calories of logged workouts
+ * @param {Array} workouts - DailyHealthData.workouts
+ * @returns {number} Total calories burned by workouts
+ */
+function calculateWorkoutsBurned(workouts = []) {
+    return workouts.reduce((sum, w) => sum + (Number(w.caloriesBurned) || 0), 0);
+}
+
+/**
+ * Recompute calories.burned from the watch figure + logged workouts.
+ * Days written before workouts were tracked only hold the watch figure in
+ * calories.burned, so it is copied to deviceBurned the first time round.
+ * Call this BEFORE changing workouts on such a day, and again after.
+ * @param {Object} healthDoc - DailyHealthData document
+ * @returns {number} Total calories burned for the day
+ */
+function recalculateCaloriesBurned(healthDoc) {
+    if (!healthDoc.calories) {
+        healthDoc.calories = { consumed: 0, burned: 0, entries: [] };
+    }
+
+    if (healthDoc.calories.deviceBurned === undefined || healthDoc.calories.deviceBurned === null) {
+        healthDoc.calories.deviceBurned =
+            (healthDoc.calories.burned || 0) - calculateWorkoutsBurned(healthDoc.workouts);
+    }
+
+    healthDoc.calories.burned =
+        healthDoc.calories.deviceBurned + calculateWorkoutsBurned(healthDoc.workouts);
+    return healthDoc.calories.burned;
+}
+
+/**
+ * Summarise one or more days of workouts
+ * @param {Array} workouts - DailyHealthData.workouts
+ * @returns {Object} { count, totalDuration, totalCaloriesBurned }
+ */
+function buildWorkoutSummary(workouts = []) {
+    return {
+        count: workouts.length,
+        totalDuration: workouts.reduce((sum, w) => sum + (Number(w.duration) || 0), 0),
+        totalCaloriesBurned: calculateWorkoutsBurned(workouts)
+    };
+}
+
+/**
+ * Add one workout summary into another (used for weekly/monthly totals)
+ */
+function mergeWorkoutSummary(target, source) {
+    target.count += source.count;
+    target.totalDuration += source.totalDuration;
+    target.totalCaloriesBurned += source.totalCaloriesBurned;
+    return target;
+}
+
+module.exports = {
+    WORKOUT_INTENSITIES,
+    estimateWorkoutCalories,
+    calculateWorkoutsBurned,
+    recalculateCaloriesBurned,
+    buildWorkoutSummary,
+    mergeWorkoutSummary
+};
@@ -1,8 +1,19 @@
 // Health Data Validation Rules using express-validator
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Logger = require('../utils/logger');
 const ResponseHandler = require('../utils/ResponseHandler');
 const { validate } = require('../models/DailyHealthData');
+const { MEAL_TYPES } = require('../utils/mealCalculator');
+const { WORKOUT_INTENSITIES } = require('../utils/workoutCalculator');
+const { STREAK_GOAL_KEYS } = require('../utils/goalcounter');
+const { SCORE_COMPONENTS } = require('../utils/healthScore');
+const { SLEEP_TYPES, MAX_SESSION_HOURS, MAX_DAILY_SLEEP_HOURS } = require('../utils/sleepduration');
+const { isDateValidForTimezone, getManualLogLookbackDays, formatDateInTimezone } = require('../utils/timeZone');
+const WaterConverter = require('../utils/waterConverter');
+const { RANGE_METRIC_KEYS, RANGE_GRANULARITIES, MAX_RANGE_DAYS, countDays } = require('../utils/healthRange');
+const { PROTOCOL_KEYS, CUSTOM_PROTOCOL, MIN_FASTING_HOURS, MAX_FASTING_HOURS } = require('../utils/fastingCalculator');
+const { CUSTOM_METRIC_TYPES, TARGET_DIRECTIONS } = require('../utils/customMetrics');
+const { CHECK_IN_SCORES, CHECK_IN_FIELDS, SCORE_MIN, SCORE_MAX, MAX_NOTE_LENGTH } = require('../utils/checkInCalculator');
 
 
 // Date format validation helper
@@ -221,36 +232,1197 @@ const validateDateBody = [
 ];
 
 
-// Validation for water consumption
-const validateWaterBody = [
+// Manual entries may target a past day inside the configured lookback window
+const isWithinLogLookback = (value, { req }) => {
+    const timezone = req.headers.timezone || 'UTC';
+    const lookbackDays = getManualLogLookbackDays();
+    if (!isDateValidForTimezone(value, timezone, lookbackDays)) {
+        throw new Error(lookbackDays === 0
+            ? 'Entries can only be logged for today'
+            : `Entries can only be logged for today or the last ${lookbackDays} days`);
+    }
+    return true;
+};
+
+// Optional target date (YYYY-MM-DD) or time (ISO 8601) for water / calories / sleep duration
+const logDateRules = [
+    body()
+        .custom((value) => !(value?.date !== undefined && value?.at !== undefined))
+        .withMessage('Provide either date or at, not both'),
+    body('date')
+        .optional()
+        .custom(isValidDateFormat)
+        .bail()
+        .custom(isWithinLogLookback),
+    body('at')
+        .optional()
+        .isISO8601()
+        .withMessage('Entry time must be an ISO 8601 date-time')
+        .bail()
+        .custom((value) => new Date(value) <= new Date())
+        .withMessage('Entry time cannot be in the future')
+        .bail()
+        .custom(isWithinLogLookback),
+];
+
+
+// Water can be logged (or an entry edited) as glasses (consumed), an amount in a unit, or one of the user's containers
+const waterAmountRules = [
+    body('water')
+        .custom((value) => ['consumed', 'amount', 'containerId'].some(key => value?.[key] !== undefined))
+        .withMessage('Water consumed, amount or containerId is required'),
     body('water.consumed')
-        .notEmpty()
-        .withMessage('Water consumed is required')
+        .optional()
         .isFloat({ min: 0, max: 50 })
         .withMessage('Water consumed must be between 0 and 50 glasses'),
+    body('water.amount')
+        .optional()
+        .isFloat({ min: 0, max: 10000 })
+        .withMessage('Water amount must be between 0 and 10000'),
+    body('water.unit')
+        .optional()
+        .isIn(WaterConverter.UNITS)
+        .withMessage(`Water unit must be one of: ${WaterConverter.UNITS.join(', ')}`),
+    body('water.containerId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid container ID format'),
+    body('water.servings')
+        .optional()
+        .isInt({ min: 1, max: 10 })
+        .withMessage('Servings must be between 1 and 10')
+        .toInt(),
+];
+
+const validateWaterBody = [...waterAmountRules, ...logDateRules];
+
+const waterContainerIdParam = param('containerId')
+    .isMongoId()
+    .withMessage('Invalid container ID format');
+
+const waterContainerRules = [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 40 })
+        .withMessage('Container name must be between 1 and 40 characters'),
+    body('volume')
+        .optional()
+        .isFloat({ gt: 0, max: 5000 })
+        .withMessage('Container volume must be a positive number')
+        .toFloat(),
+    body('unit')
+        .optional()
+        .isIn(WaterConverter.UNITS)
+        .withMessage(`Unit must be one of: ${WaterConverter.UNITS.join(', ')}`),
 ];
 
+const validateWaterContainerBody = [
+    body('name')
+        .exists()
+        .withMessage('Container name is required'),
+    body('volume')
+        .exists()
+        .withMessage('Container volume is required'),
+    ...waterContainerRules,
+];
 
-// Validation for sleep duration
+const validateWaterContainerUpdate = [
+    waterContainerIdParam,
+    body()
+        .custom((value) => value?.name !== undefined || value?.volume !== undefined)
+        .withMessage('At least one of name or volume is required'),
+    ...waterContainerRules,
+];
+
+const validateWaterContainerParams = [waterContainerIdParam];
+
+
+// Bedtime/wake time rules for a sleep session (prefix = 'sleep.' inside the add body)
+const sleepSessionRules = (prefix = '') => [
+    body(`${prefix}startTime`)
+        .optional()
+        .isISO8601()
+        .withMessage('Bedtime must be an ISO 8601 date-time'),
+    body(`${prefix}endTime`)
+        .optional()
+        .isISO8601()
+        .withMessage('Wake time must be an ISO 8601 date-time')
+        .custom((value) => new Date(value) <= new Date())
+        .withMessage('Wake time cannot be in the future')
+        .bail()
+        .custom(isWithinLogLookback),
+    body(`${prefix}endTime`)
+        .if(body(`${prefix}startTime`).exists())
+        .notEmpty()
+        .withMessage('Wake time is required when bedtime is given')
+        .bail()
+        .custom((value, { req }) => {
+            const start = new Date(prefix ? req.body.sleep.startTime : req.body.startTime);
+            const hours = (new Date(value) - start) / 3600000;
+            if (hours <= 0) throw new Error('Wake time must be after bedtime');
+            if (hours > MAX_SESSION_HOURS) throw new Error(`A sleep session cannot be longer than ${MAX_SESSION_HOURS} hours`);
+            return true;
+        }),
+    body(`${prefix}startTime`)
+        .if(body(`${prefix}endTime`).exists())
+        .notEmpty()
+        .withMessage('Bedtime is required when wake time is given'),
+    body(`${prefix}type`)
+        .optional()
+        .isIn(SLEEP_TYPES)
+        .withMessage(`Sleep type must be one of: ${SLEEP_TYPES.join(', ')}`),
+];
+
+// Either a duration (added to today) or a bedtime/wake session
 const validateSleepBody = [
+    body('sleep')
+        .custom((value) => value?.duration !== undefined || value?.startTime !== undefined)
+        .withMessage('Sleep duration or bedtime and wake time are required'),
     body('sleep.duration')
-        .notEmpty()
-        .withMessage('Sleep duration is required')
-        .isFloat({ min: 0, max: 12 })
-        .withMessage('Sleep duration must be between 0 and 12 hours'),
+        .optional()
+        .isFloat({ min: 0, max: MAX_DAILY_SLEEP_HOURS })
+        .withMessage(`Sleep duration must be between 0 and ${MAX_DAILY_SLEEP_HOURS} hours`),
+    ...sleepSessionRules('sleep.'),
+    ...logDateRules,
+];
+
+const sleepSessionIdParam = param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid sleep session ID format');
+
+const validateSleepSessionUpdate = [
+    sleepSessionIdParam,
+    body()
+        .custom((value) => value?.type !== undefined || value?.startTime !== undefined || value?.endTime !== undefined)
+        .withMessage('At least one of type or bedtime/wake time is required'),
+    ...sleepSessionRules(),
 ];
 
+const validateSleepSessionParams = [sleepSessionIdParam];
+
+
+// Optional macro grams on a calorie entry / food item (prefix e.g. 'calories.', 'foods.*.')
+const MACRO_LIMITS = { protein: 1000, carbs: 1000, fat: 1000, fiber: 200 };
+const macroRules = (prefix) => Object.keys(MACRO_LIMITS).map((key) =>
+    body(`${prefix}${key}`)
+        .optional()
+        .isFloat({ min: 0, max: MACRO_LIMITS[key] })
+        .withMessage(`${key} must be between 0 and ${MACRO_LIMITS[key]} grams`)
+        .toFloat()
+);
 
 // Validation for calories consumed
-const validatecalories = [
-    body('calories.consumed')
+const caloriesConsumedRule = body('calories.consumed')
+    .notEmpty()
+    .withMessage('Calories consumed is required')
+    .isFloat({ min: 0, max: 5000 })
+    .withMessage('Calories consumed must be between 0 and 5000');
+
+// Optional food name on a quick calorie entry (named entries show up in recent foods)
+const calorieEntryNameRule = body('calories.name')
+    .optional()
+    .isString()
+    .withMessage('Food name must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Food name must be 1 to 100 characters long');
+
+const validatecalories = [caloriesConsumedRule, calorieEntryNameRule, ...macroRules('calories.'), ...logDateRules];
+
+
+// Validation for editing / deleting a single water or calorie entry (any date)
+const intakeEntryIdParam = param('entryId')
+    .isMongoId()
+    .withMessage('Invalid entry ID format');
+
+const validateWaterEntryUpdate = [intakeEntryIdParam, ...waterAmountRules];
+
+const validateCalorieEntryUpdate = [intakeEntryIdParam, caloriesConsumedRule, ...macroRules('calories.')];
+
+const validateIntakeEntryParams = [intakeEntryIdParam];
+
+// Validation for goals update (at least one goal required)
+const validateGoalsUpdate = [
+    body()
+        .custom((value) => {
+            const goalFields = ['stepsGoal', 'caloriesBurnGoal', 'waterIntakeGoal', 'waterIntakeGoalMl', 'caloriesIntakeGoal', 'macroGoals', 'sleepGoal'];
+            if (!value || !goalFields.some((field) => value[field] !== undefined)) {
+                throw new Error('At least one goal must be provided');
+            }
+            return true;
+        }),
+    body('stepsGoal')
+        .optional()
+        .isInt({ min: 0, max: 100000 })
+        .withMessage('Steps goal must be between 0 and 100000')
+        .toInt(),
+    body('caloriesBurnGoal')
+        .optional()
+        .isInt({ min: 0, max: 10000 })
+        .withMessage('Calories burn goal must be between 0 and 10000')
+        .toInt(),
+    body('waterIntakeGoal')
+        .optional()
+        .isFloat({ min: 0, max: 50 })
+        .withMessage('Water intake goal must be between 0 and 50 glasses')
+        .toFloat(),
+    body('waterIntakeGoalMl')
+        .optional()
+        .isInt({ min: 0, max: 10000 })
+        .withMessage('Water intake goal must be between 0 and 10000 ml')
+        .toInt(),
+    body('caloriesIntakeGoal')
+        .optional()
+        .isInt({ min: 500, max: 5000 })
+        .withMessage('Calories intake goal must be between 500 and 5000')
+        .toInt(),
+    body('macroGoals')
+        .optional()
+        .isObject()
+        .withMessage('Macro goals must be an object'),
+    // null puts a macro goal back on the default derived from the calorie intake goal
+    ...[['protein', 500], ['carbs', 1000], ['fat', 500], ['fiber', 150]].map(([key, max]) =>
+        body(`macroGoals.${key}`)
+            .optional({ values: 'null' })
+            .isInt({ min: 0, max })
+            .withMessage(`${key} goal must be between 0 and ${max} grams`)
+            .toInt()
+    ),
+    body('sleepGoal')
+        .optional()
+        .isObject()
+        .withMessage('Sleep goal must be an object'),
+    body('sleepGoal.hours')
+        .if(body('sleepGoal').exists())
         .notEmpty()
-        .withMessage('Calories consumed is required')
+        .withMessage('Sleep goal hours is required')
+        .isFloat({ min: 4, max: 12 })
+        .withMessage('Sleep goal must be between 4 and 12 hours')
+        .toFloat(),
+];
+
+
+// Food item fields (shared by meal create/update and food item endpoints)
+const foodItemRules = (prefix, { optional = false } = {}) => {
+    const field = (name) => {
+        const chain = body(`${prefix}${name}`);
+        return optional ? chain.optional() : chain;
+    };
+
+    return [
+        field('name')
+            .notEmpty()
+            .withMessage('Food name is required')
+            .isString()
+            .withMessage('Food name must be a string')
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage('Food name can be at most 100 characters long'),
+        body(`${prefix}quantity`)
+            .optional()
+            .isString()
+            .withMessage('Quantity must be a string')
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Quantity can be at most 50 characters long'),
+        field('calories')
+            .notEmpty()
+            .withMessage('Food calories are required')
+            .isFloat({ min: 0, max: 5000 })
+            .withMessage('Food calories must be between 0 and 5000')
+            .toFloat(),
+        ...macroRules(prefix),
+    ];
+};
+
+const mealIdParam = param('mealId')
+    .isMongoId()
+    .withMessage('Invalid meal ID format');
+
+const foodIdParam = param('foodId')
+    .isMongoId()
+    .withMessage('Invalid food item ID format');
+
+const mealTimeRule = body('time')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+    .withMessage('Meal time must be in HH:mm (24h) format');
+
+const mealNotesRule = body('notes')
+    .optional()
+    .isString()
+    .withMessage('Notes must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes can be at most 500 characters long');
+
+
+// Validation for adding a meal
+const validateMealBody = [
+    body('type')
+        .notEmpty()
+        .withMessage('Meal type is required')
+        .isIn(MEAL_TYPES)
+        .withMessage(`Meal type must be one of: ${MEAL_TYPES.join(', ')}`),
+    mealTimeRule,
+    body('foods')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Foods must be an array with 1 to 50 items'),
+    ...foodItemRules('foods.*.'),
+    mealNotesRule,
+];
+
+
+// Validation for updating a meal (all fields optional)
+const validateMealUpdate = [
+    mealIdParam,
+    body('type')
+        .optional()
+        .isIn(MEAL_TYPES)
+        .withMessage(`Meal type must be one of: ${MEAL_TYPES.join(', ')}`),
+    mealTimeRule,
+    body('foods')
+        .optional()
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Foods must be an array with 1 to 50 items'),
+    ...foodItemRules('foods.*.'),
+    mealNotesRule,
+];
+
+
+// Validation for meal / food item ids in the URL
+const validateMealParams = [mealIdParam];
+const validateFoodItemParams = [mealIdParam, foodIdParam];
+
+
+// Validation for adding / updating a single food item
+const validateFoodItemBody = [mealIdParam, ...foodItemRules('')];
+const validateFoodItemUpdate = [mealIdParam, foodIdParam, ...foodItemRules('', { optional: true })];
+
+
+// Validation for image estimate form fields (multipart, so values arrive as strings)
+const validateEstimateBody = [
+    body('save')
+        .optional()
+        .isBoolean()
+        .withMessage('save must be true or false')
+        .toBoolean(),
+    body('storeImage')
+        .optional()
+        .isBoolean()
+        .withMessage('storeImage must be true or false')
+        .toBoolean(),
+    body('mealType')
+        .if(body('save').equals('true'))
+        .notEmpty()
+        .withMessage('Meal type is required when saving the estimate')
+        .bail()
+        .isIn(MEAL_TYPES)
+        .withMessage(`Meal type must be one of: ${MEAL_TYPES.join(', ')}`),
+    mealTimeRule,
+];
+
+
+// Validation for the food catalogue (search / barcode / details / logging)
+const validateFoodSearch = [
+    query('q')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Search text (q) must be 2 to 100 characters long'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+        .toInt(),
+];
+
+const validateFoodBarcodeParam = [
+    param('barcode')
+        .matches(/^\d{8,14}$/)
+        .withMessage('Barcode must be 8 to 14 digits'),
+];
+
+const catalogueFoodIdRule = (location) => location('foodId')
+    .isMongoId()
+    .withMessage('Invalid food ID format');
+
+const validateCatalogueFoodParams = [catalogueFoodIdRule(param)];
+
+// Amount of a catalogue food: grams, or servings of a serving size
+const catalogueAmountRules = [
+    body()
+        .custom((value) => !(value?.grams !== undefined && (value?.serving !== undefined || value?.servings !== undefined)))
+        .withMessage('Provide either grams or serving/servings, not both'),
+    body('serving')
+        .optional()
+        .isString()
+        .withMessage('Serving must be a string')
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Serving must be 1 to 50 characters long'),
+    body('servings')
+        .optional()
+        .isFloat({ min: 0.1, max: 20 })
+        .withMessage('Servings must be between 0.1 and 20')
+        .toFloat(),
+    body('grams')
+        .optional()
+        .isFloat({ min: 1, max: 5000 })
+        .withMessage('Grams must be between 1 and 5000')
+        .toFloat(),
+];
+
+// Where a one-call food log goes: existing meal, new meal for today, or a (backdatable) calorie entry
+const foodLogTargetRules = [
+    body()
+        .custom((value) => !(value?.mealId !== undefined && value?.mealType !== undefined))
+        .withMessage('Provide either mealId or mealType, not both'),
+    body()
+        .custom((value) => !((value?.mealId !== undefined || value?.mealType !== undefined) &&
+            (value?.date !== undefined || value?.at !== undefined)))
+        .withMessage('date / at only apply to calorie entries (meals are logged for today)'),
+    body('mealId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid meal ID format'),
+    body('mealType')
+        .optional()
+        .isIn(MEAL_TYPES)
+        .withMessage(`Meal type must be one of: ${MEAL_TYPES.join(', ')}`),
+    mealTimeRule,
+    ...logDateRules,
+];
+
+const validateFoodLog = [
+    catalogueFoodIdRule(body),
+    ...catalogueAmountRules,
+    ...foodLogTargetRules,
+];
+
+// Validation for favourite foods (catalogue pick or typed food item)
+const favoriteIdParam = param('favoriteId')
+    .isMongoId()
+    .withMessage('Invalid favourite ID format');
+
+const validateFavoriteBody = [
+    body()
+        .custom((value) => value?.foodId !== undefined || (value?.name !== undefined && value?.calories !== undefined))
+        .withMessage('Either foodId or name and calories are required'),
+    body('foodId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid food ID format'),
+    ...catalogueAmountRules,
+    ...foodItemRules('', { optional: true }),
+];
+
+const validateFavoriteParams = [favoriteIdParam];
+const validateFavoriteLog = [favoriteIdParam, ...foodLogTargetRules];
+
+// Validation for recent foods
+const recentIdParam = param('recentId')
+    .isMongoId()
+    .withMessage('Invalid recent food ID format');
+
+const validateRecentFoodsQuery = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 30 })
+        .withMessage('Limit must be between 1 and 30')
+        .toInt(),
+];
+
+const validateRecentFoodLog = [recentIdParam, ...foodLogTargetRules];
+
+// Validation for meal templates
+const templateIdParam = param('templateId')
+    .isMongoId()
+    .withMessage('Invalid meal template ID format');
+
+const templateNameRule = ({ optional = false } = {}) => {
+    const chain = body('name');
+    return (optional ? chain.optional() : chain)
+        .isString()
+        .withMessage('Template name must be a string')
+        .trim()
+        .isLength({ min: 1, max: 60 })
+        .withMessage('Template name must be 1 to 60 characters long');
+};
+
+const templateTypeRule = body('type')
+    .optional()
+    .isIn(MEAL_TYPES)
+    .withMessage(`Meal type must be one of: ${MEAL_TYPES.join(', ')}`);
+
+const validateMealTemplateBody = [
+    templateNameRule(),
+    templateTypeRule,
+    body()
+        .custom((value) => !(value?.foods !== undefined && value?.mealId !== undefined))
+        .withMessage('Provide either foods or mealId, not both'),
+    body('mealId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid meal ID format'),
+    body('foods')
+        .if(body('mealId').not().exists())
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Foods must be an array with 1 to 50 items'),
+    ...foodItemRules('foods.*.'),
+    mealNotesRule,
+];
+
+const validateMealTemplateUpdate = [
+    templateIdParam,
+    body()
+        .custom((value) => ['name', 'type', 'foods', 'notes'].some((field) => value?.[field] !== undefined))
+        .withMessage('At least one of name, type, foods or notes is required'),
+    templateNameRule({ optional: true }),
+    templateTypeRule,
+    body('foods')
+        .optional()
+        .isArray({ min: 1, max: 50 })
+        .withMessage('Foods must be an array with 1 to 50 items'),
+    ...foodItemRules('foods.*.'),
+    mealNotesRule,
+];
+
+const validateMealTemplateParams = [templateIdParam];
+
+const validateMealTemplateLog = [templateIdParam, templateTypeRule, mealTimeRule];
+
+// Validation for the admin food dataset import (JSON body; file uploads are checked by the controller)
+const validateFoodImport = [
+    body('foods')
+        .optional()
+        .isArray({ min: 1, max: 20000 })
+        .withMessage('Foods must be an array with 1 to 20000 items'),
+];
+
+
+// Shared rules for workout sessions (optional = every field may be omitted)
+const workoutSessionRules = ({ optional = false } = {}) => [
+    body('type')
+        .optional()
+        .isString()
+        .withMessage('Workout type must be a string')
+        .trim()
+        .isLength({ max: 50 })
+        .withMessage('Workout type can be at most 50 characters long'),
+    body('name')
+        .optional()
+        .isString()
+        .withMessage('Workout name must be a string')
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Workout name can be at most 100 characters long'),
+    // Catalogue workouts fall back to the catalogue duration
+    (optional ? body('duration').optional() : body('duration').if(body('workoutId').not().exists()))
+        .notEmpty()
+        .withMessage('Duration is required')
+        .bail()
+        .isInt({ min: 1, max: 600 })
+        .withMessage('Duration must be between 1 and 600 minutes')
+        .toInt(),
+    body('caloriesBurned')
+        .optional()
         .isFloat({ min: 0, max: 5000 })
-        .withMessage('Calories consumed must be between 0 and 5000'),
+        .withMessage('Calories burned must be between 0 and 5000')
+        .toFloat(),
+    body('intensity')
+        .optional()
+        .isIn(WORKOUT_INTENSITIES)
+        .withMessage(`Intensity must be one of: ${WORKOUT_INTENSITIES.join(', ')}`),
+    body('exercises')
+        .optional()
+        .isArray({ max: 50 })
+        .withMessage('Exercises must be an array with at most 50 items'),
+    body('exercises.*')
+        .isString()
+        .withMessage('Each exercise must be a string')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each exercise must be 1 to 100 characters long'),
+    mealNotesRule,
+];
+
+const workoutSessionIdParam = param('sessionId')
+    .isMongoId()
+    .withMessage('Invalid workout session ID format');
+
+
+// Validation for logging a workout session (catalogue workoutId or free-form)
+const validateWorkoutBody = [
+    body('workoutId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid workout ID format'),
+    ...workoutSessionRules(),
+];
+
+
+// Validation for editing a workout session
+const validateWorkoutUpdate = [workoutSessionIdParam, ...workoutSessionRules({ optional: true })];
+const validateWorkoutParams = [workoutSessionIdParam];
+
+
+// Validation for the admin streak rule (at least one field)
+const validateStreakRuleUpdate = [
+    body()
+        .custom((value) => ['goals', 'mode', 'minGoals', 'graceDays'].some(key => value?.[key] !== undefined))
+        .withMessage('At least one of goals, mode, minGoals or graceDays is required'),
+    body('goals')
+        .optional()
+        .isArray({ min: 1, max: STREAK_GOAL_KEYS.length })
+        .withMessage(`Goals must be a non-empty array of: ${STREAK_GOAL_KEYS.join(', ')}`)
+        .custom((goals) => new Set(goals).size === goals.length)
+        .withMessage('Goals must not contain duplicates'),
+    body('goals.*')
+        .isIn(STREAK_GOAL_KEYS)
+        .withMessage(`Each goal must be one of: ${STREAK_GOAL_KEYS.join(', ')}`),
+    body('mode')
+        .optional()
+        .isIn(['all', 'atLeast'])
+        .withMessage('Mode must be one of: all, atLeast'),
+    body('minGoals')
+        .optional()
+        .isInt({ min: 1, max: STREAK_GOAL_KEYS.length })
+        .withMessage(`minGoals must be between 1 and ${STREAK_GOAL_KEYS.length}`)
+        .toInt(),
+    body('graceDays')
+        .optional()
+        .isInt({ min: 0, max: 7 })
+        .withMessage('graceDays must be between 0 and 7')
+        .toInt(),
 ];
 
 
+// Validation for the admin streak recompute trigger (no userId = all users)
+const validateStreakRecompute = [
+    body('userId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid user ID format'),
+    body('fromDate')
+        .optional()
+        .custom(isValidDateFormat)
+        .withMessage('fromDate must be in YYYY-MM-DD format'),
+];
+
+// Validation for the admin cross-user rollup summary (date = any day in the period, default today UTC)
+const validateRollupSummaryQuery = [
+    query('period')
+        .optional()
+        .isIn(['week', 'month'])
+        .withMessage('Period must be one of: week, month'),
+    query('date')
+        .optional()
+        .custom(isValidDateFormat)
+        .withMessage('date must be in YYYY-MM-DD format'),
+    query('weekStart')
+        .optional()
+        .isIn(['sunday', 'monday'])
+        .withMessage('weekStart must be one of: sunday, monday'),
+];
+
+
+// Validation for the admin health score rule (at least one field, weights 0-100 per component)
+const validateHealthScoreRuleUpdate = [
+    body()
+        .custom((value) => value?.weights !== undefined || value?.workoutMinutesGoal !== undefined)
+        .withMessage('At least one of weights or workoutMinutesGoal is required'),
+    body('weights')
+        .optional()
+        .isObject()
+        .withMessage('Weights must be an object')
+        .custom((weights) => Object.keys(weights).length > 0 && Object.keys(weights).every(key => SCORE_COMPONENTS.includes(key)))
+        .withMessage(`Weights can only contain: ${SCORE_COMPONENTS.join(', ')}`),
+    body('weights.*')
+        .isInt({ min: 0, max: 100 })
+        .withMessage('Each weight must be a whole number between 0 and 100')
+        .toInt(),
+    body('workoutMinutesGoal')
+        .optional()
+        .isInt({ min: 5, max: 300 })
+        .withMessage('workoutMinutesGoal must be between 5 and 300 minutes')
+        .toInt(),
+];
+
+
+// Validation for manual heart rate capture (samples and/or resting value)
+const validateHeartRateBody = [
+    body()
+        .custom((value) => value?.samples !== undefined || value?.restingBpm !== undefined)
+        .withMessage('Either samples or restingBpm is required'),
+    body('samples')
+        .optional()
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Samples must be an array with 1 to 500 readings'),
+    body('samples.*.bpm')
+        .notEmpty()
+        .withMessage('Each sample needs a bpm value')
+        .isInt({ min: 25, max: 250 })
+        .withMessage('Heart rate must be between 25 and 250 bpm')
+        .toInt(),
+    body('samples.*.at')
+        .optional()
+        .isISO8601()
+        .withMessage('Sample time must be an ISO 8601 date-time')
+        .bail()
+        .custom((value) => new Date(value) <= new Date())
+        .withMessage('Sample time cannot be in the future')
+        .bail()
+        // Samples are stored on today's record, so earlier readings would land on the wrong day
+        .custom((value, { req }) => {
+            const timezone = req.headers.timezone || 'UTC';
+            return formatDateInTimezone(value, timezone) === getCurrentDateInTimezone(timezone);
+        })
+        .withMessage('Sample time must be today in your timezone'),
+    body('restingBpm')
+        .optional()
+        .isInt({ min: 25, max: 200 })
+        .withMessage('Resting heart rate must be between 25 and 200 bpm')
+        .toInt(),
+];
+
+
+// Shared rules for body metric values (weight in the given/preferred unit, measurements in cm)
+const bodyMetricValueRules = [
+    body('weight')
+        .optional()
+        .isFloat({ min: 1, max: 1200 })
+        .withMessage('Weight must be a positive number')
+        .toFloat(),
+    body('weightUnit')
+        .optional()
+        .isIn(['kg', 'lbs'])
+        .withMessage('Weight unit must be "kg" or "lbs"'),
+    body('bodyFatPercent')
+        .optional()
+        .isFloat({ min: 2, max: 75 })
+        .withMessage('Body fat must be between 2 and 75 percent')
+        .toFloat(),
+    ...['waist', 'hip', 'chest'].map(field =>
+        body(field)
+            .optional()
+            .isFloat({ min: 30, max: 300 })
+            .withMessage(`${field} must be between 30 and 300 cm`)
+            .toFloat()
+    ),
+    body('notes')
+        .optional()
+        .isString()
+        .isLength({ max: 500 })
+        .withMessage('Notes cannot exceed 500 characters'),
+];
+
+const hasBodyMetricValue = body()
+    .custom((value) => ['weight', 'bodyFatPercent', 'waist', 'hip', 'chest', 'notes'].some(key => value?.[key] !== undefined))
+    .withMessage('At least one of weight, bodyFatPercent, waist, hip, chest or notes is required');
+
+const bodyMetricEntryIdParam = param('entryId')
+    .isMongoId()
+    .withMessage('Invalid body metrics entry ID format');
+
+
+// Validation for logging body metrics (date defaults to today, past dates allowed)
+const validateBodyMetricsBody = [
+    hasBodyMetricValue,
+    body('date')
+        .optional()
+        .custom(isValidDateFormat)
+        .custom((value, { req }) => {
+            const timezone = req.headers.timezone || 'UTC';
+            return isDatePastOrTodayInTimezone(value, timezone);
+        }),
+    ...bodyMetricValueRules,
+];
+
+const validateBodyMetricsUpdate = [
+    bodyMetricEntryIdParam,
+    hasBodyMetricValue,
+    ...bodyMetricValueRules,
+];
+
+const validateBodyMetricsParams = [bodyMetricEntryIdParam];
+
+const validateBodyMetricsQuery = [
+    query('from')
+        .optional()
+        .custom(isValidDateFormat),
+    query('to')
+        .optional()
+        .custom(isValidDateFormat),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 366 })
+        .withMessage('Limit must be between 1 and 366')
+        .toInt(),
+];
+
+// Fasting start / end / edit fields (times are ISO 8601, never in the future)
+const fastingTimeRule = (field, label) => body(field)
+    .optional()
+    .isISO8601()
+    .withMessage(`${label} must be an ISO 8601 date-time`)
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage(`${label} cannot be in the future`)
+    .bail()
+    .custom(isWithinLogLookback);
+
+const fastingPlanRules = (protocolRequired) => [
+    protocolRequired
+        ? body('protocol').notEmpty().withMessage('Protocol is required').bail()
+            .isIn(PROTOCOL_KEYS).withMessage(`Protocol must be one of: ${PROTOCOL_KEYS.join(', ')}`)
+        : body('protocol').optional()
+            .isIn(PROTOCOL_KEYS).withMessage(`Protocol must be one of: ${PROTOCOL_KEYS.join(', ')}`),
+    body('fastingHours')
+        .if(body('protocol').equals(CUSTOM_PROTOCOL))
+        .notEmpty()
+        .withMessage('fastingHours is required for a custom protocol'),
+    body('fastingHours')
+        .optional()
+        .isFloat({ min: MIN_FASTING_HOURS, max: MAX_FASTING_HOURS })
+        .withMessage(`Fasting hours must be between ${MIN_FASTING_HOURS} and ${MAX_FASTING_HOURS}`)
+        .toFloat(),
+];
+
+const fastingReminderRules = [
+    body('reminder')
+        .optional()
+        .isObject()
+        .withMessage('Reminder must be an object'),
+    body('reminder.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('reminder.enabled must be true or false')
+        .toBoolean(),
+    body('reminder.minutesBefore')
+        .optional()
+        .isInt({ min: 0, max: 240 })
+        .withMessage('reminder.minutesBefore must be between 0 and 240')
+        .toInt(),
+];
+
+const fastingNotesRule = body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters');
+
+const fastIdParam = param('fastId')
+    .isMongoId()
+    .withMessage('Invalid fast ID format');
+
+const validateFastStart = [
+    ...fastingPlanRules(true),
+    fastingTimeRule('startedAt', 'Start time'),
+    ...fastingReminderRules,
+    fastingNotesRule,
+];
+
+const validateFastEnd = [
+    fastingTimeRule('endedAt', 'End time'),
+    fastingNotesRule,
+];
+
+const validateFastUpdate = [
+    fastIdParam,
+    body()
+        .custom((value) => ['protocol', 'fastingHours', 'startedAt', 'endedAt', 'reminder', 'notes'].some(key => value?.[key] !== undefined))
+        .withMessage('At least one of protocol, fastingHours, startedAt, endedAt, reminder or notes is required'),
+    ...fastingPlanRules(false),
+    fastingTimeRule('startedAt', 'Start time'),
+    fastingTimeRule('endedAt', 'End time'),
+    ...fastingReminderRules,
+    fastingNotesRule,
+];
+
+const validateFastParams = [fastIdParam];
+
+const validateFastingQuery = [
+    query('from')
+        .optional()
+        .custom(isValidDateFormat),
+    query('to')
+        .optional()
+        .custom(isValidDateFormat),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100')
+        .toInt(),
+];
+
+// Custom metric / template definition fields. The target is checked against the
+// value type in the service, since an update does not carry the type.
+const customMetricDefinitionRules = ({ nameRequired }) => [
+    nameRequired
+        ? body('name').trim().notEmpty().withMessage('Name is required').bail()
+            .isLength({ max: 40 }).withMessage('Name cannot exceed 40 characters')
+        : body('name').optional().trim().notEmpty().withMessage('Name cannot be empty').bail()
+            .isLength({ max: 40 }).withMessage('Name cannot exceed 40 characters'),
+    body('unit')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 20 })
+        .withMessage('Unit cannot exceed 20 characters'),
+    body('description')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+    body('target')
+        .optional()
+        .custom(value => value === null || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value)))
+        .withMessage('Target must be a number, true/false, or null to remove it'),
+    body('targetDirection')
+        .optional()
+        .isIn(TARGET_DIRECTIONS)
+        .withMessage(`Target direction must be one of: ${TARGET_DIRECTIONS.join(', ')}`),
+];
+
+const valueTypeLockedRule = body('valueType')
+    .not().exists()
+    .withMessage('The value type of a metric cannot be changed');
+
+const customMetricIdParam = param('metricId')
+    .isMongoId()
+    .withMessage('Invalid custom metric ID format');
+
+const customMetricTemplateIdParam = param('templateId')
+    .isMongoId()
+    .withMessage('Invalid custom metric template ID format');
+
+const hasCustomMetricField = (fields) => body()
+    .custom(value => fields.some(key => value?.[key] !== undefined))
+    .withMessage(`At least one of ${fields.join(', ')} is required`);
+
+// New metric: from an admin template (fields optional overrides) or a full definition
+const validateCustomMetricBody = [
+    body('templateId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid custom metric template ID format'),
+    body('valueType')
+        .if(body('templateId').not().exists())
+        .notEmpty()
+        .withMessage('Value type is required'),
+    body('valueType')
+        .if(body('templateId').exists())
+        .not().exists()
+        .withMessage('The value type comes from the template'),
+    body('valueType')
+        .optional()
+        .isIn(CUSTOM_METRIC_TYPES)
+        .withMessage(`Value type must be one of: ${CUSTOM_METRIC_TYPES.join(', ')}`),
+    body('name')
+        .if(body('templateId').not().exists())
+        .notEmpty()
+        .withMessage('Name is required'),
+    ...customMetricDefinitionRules({ nameRequired: false }),
+];
+
+const validateCustomMetricUpdate = [
+    customMetricIdParam,
+    valueTypeLockedRule,
+    hasCustomMetricField(['name', 'unit', 'description', 'target', 'targetDirection']),
+    ...customMetricDefinitionRules({ nameRequired: false }),
+];
+
+const validateCustomMetricParams = [customMetricIdParam];
+
+// Day value: type-checked against the metric in the service; null clears the day
+const validateCustomMetricValue = [
+    customMetricIdParam,
+    body('value')
+        .exists()
+        .withMessage('value is required (null clears the day)'),
+    body('date')
+        .optional()
+        .custom(isValidDateFormat)
+        .bail()
+        .custom(isWithinLogLookback),
+];
+
+const validateCustomMetricValuesQuery = [
+    customMetricIdParam,
+    query('from')
+        .optional()
+        .custom(isValidDateFormat),
+    query('to')
+        .optional()
+        .custom(isValidDateFormat)
+        .bail()
+        .custom((to, { req }) => {
+            if (req.query.from && to < req.query.from) {
+                throw new Error('to must be on or after from');
+            }
+            if (req.query.from && countDays(req.query.from, to) > MAX_RANGE_DAYS.day) {
+                throw new Error(`Range cannot exceed ${MAX_RANGE_DAYS.day} days`);
+            }
+            return true;
+        }),
+];
+
+// Admin custom metric templates
+const validateCustomMetricTemplateBody = [
+    body('valueType')
+        .notEmpty()
+        .withMessage('Value type is required')
+        .bail()
+        .isIn(CUSTOM_METRIC_TYPES)
+        .withMessage(`Value type must be one of: ${CUSTOM_METRIC_TYPES.join(', ')}`),
+    ...customMetricDefinitionRules({ nameRequired: true }),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean(),
+];
+
+const validateCustomMetricTemplateUpdate = [
+    customMetricTemplateIdParam,
+    valueTypeLockedRule,
+    hasCustomMetricField(['name', 'unit', 'description', 'target', 'targetDirection', 'isActive']),
+    ...customMetricDefinitionRules({ nameRequired: false }),
+    body('isActive')
+        .optional()
+        .isBoolean()
+        .withMessage('isActive must be true or false')
+        .toBoolean(),
+];
+
+const validateCustomMetricTemplateParams = [customMetricTemplateIdParam];
+
+// Daily check-in: only the given fields change, null clears one
+const validateCheckInBody = [
+    body()
+        .custom(value => CHECK_IN_FIELDS.some(key => value?.[key] !== undefined))
+        .withMessage(`At least one of ${CHECK_IN_FIELDS.join(', ')} is required`),
+    ...CHECK_IN_SCORES.map(key => body(key)
+        .optional({ values: 'null' })
+        .isInt({ min: SCORE_MIN, max: SCORE_MAX })
+        .withMessage(`${key} must be a whole number from ${SCORE_MIN} to ${SCORE_MAX}`)
+        .toInt()),
+    body('note')
+        .optional({ values: 'null' })
+        .isString()
+        .withMessage('Note must be text')
+        .bail()
+        .trim()
+        .isLength({ max: MAX_NOTE_LENGTH })
+        .withMessage(`Note cannot exceed ${MAX_NOTE_LENGTH} characters`),
+    body('date')
+        .optional()
+        .custom(isValidDateFormat)
+        .bail()
+        .custom(isWithinLogLookback),
+];
+
+const validateCheckInParams = [
+    param('date')
+        .custom(isValidDateFormat),
+];
+
+const validateCheckInQuery = [
+    query('from')
+        .optional()
+        .custom(isValidDateFormat),
+    query('to')
+        .optional()
+        .custom(isValidDateFormat)
+        .bail()
+        .custom((to, { req }) => {
+            if (req.query.from && to < req.query.from) {
+                throw new Error('to must be on or after from');
+            }
+            if (req.query.from && countDays(req.query.from, to) > MAX_RANGE_DAYS.day) {
+                throw new Error(`Range cannot exceed ${MAX_RANGE_DAYS.day} days`);
+            }
+            return true;
+        }),
+];
+
+const validateCheckInReminder = [
+    body()
+        .custom(value => value?.enabled !== undefined || value?.time !== undefined)
+        .withMessage('At least one of enabled, time is required'),
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be true or false')
+        .toBoolean(),
+    body('time')
+        .optional()
+        .matches(/^([01]\d|2[0-3]):([0-5]\d)$/)
+        .withMessage('time must be in HH:mm (24h) format'),
+];
+
+// Validation for the date-range query (/health/range)
+const validateHealthRangeQuery = [
+    query('from')
+        .notEmpty()
+        .withMessage('from is required')
+        .custom(isValidDateFormat),
+    query('to')
+        .notEmpty()
+        .withMessage('to is required')
+        .custom(isValidDateFormat),
+    query('granularity')
+        .optional()
+        .isIn(RANGE_GRANULARITIES)
+        .withMessage(`Granularity must be one of: ${RANGE_GRANULARITIES.join(', ')}`),
+    query('metrics')
+        .optional()
+        // ?metrics=steps,water or ?metrics=steps&metrics=water
+        .customSanitizer(value => [].concat(value).join(',').split(',').map(m => m.trim()).filter(Boolean))
+        .custom(value => {
+            const unknown = value.filter(m => !RANGE_METRIC_KEYS.includes(m));
+            if (unknown.length) {
+                throw new Error(`Unknown metrics: ${unknown.join(', ')}. Allowed: ${RANGE_METRIC_KEYS.join(', ')}`);
+            }
+            return true;
+        }),
+    query('customMetrics')
+        .optional()
+        // ?customMetrics=all or ?customMetrics=<id>,<id>
+        .customSanitizer(value => [].concat(value).join(',').split(',').map(m => m.trim()).filter(Boolean))
+        .custom(value => {
+            const invalid = value.filter(id => id !== 'all' && !/^[a-f\d]{24}$/i.test(id));
+            if (invalid.length) {
+                throw new Error(`Invalid custom metric IDs: ${invalid.join(', ')}`);
+            }
+            return true;
+        }),
+];
+
+
+// Validation for the custom-period report (at most a year)
+const validateCustomReportBody = [
+    body('from')
+        .notEmpty()
+        .withMessage('from is required')
+        .custom(isValidDateFormat),
+    body('to')
+        .notEmpty()
+        .withMessage('to is required')
+        .custom(isValidDateFormat)
+        .custom((to, { req }) => {
+            if (to < req.body.from) {
+                throw new Error('to must be on or after from');
+            }
+            if (countDays(req.body.from, to) > MAX_RANGE_DAYS.day) {
+                throw new Error(`Custom report range cannot exceed ${MAX_RANGE_DAYS.day} days`);
+            }
+            return true;
+        }),
+];
+
 // Validation for bulk update (can include historical dates)
 const validateBulkUpdate = [
     // Validate root array
@@ -300,6 +1472,14 @@ const validateBulkUpdate = [
     // Optional: Validate inner fields if they exist
     body("health_data.*.data.steps").optional().isObject(),
     body("health_data.*.data.calories").optional().isObject(),
+    body("health_data.*.data.heartRate").optional().isObject(),
+    body("health_data.*.data.heartRate.samples")
+        .optional()
+        .isArray({ max: 1440 }).withMessage("Heart rate samples must be an array of at most 1440 readings"),
+    body("health_data.*.data.heartRate.samples.*.at")
+        .isISO8601().withMessage("Heart rate sample time must be an ISO 8601 date-time"),
+    body("health_data.*.data.heartRate.samples.*.bpm")
+        .isInt({ min: 25, max: 250 }).withMessage("Heart rate sample bpm must be between 25 and 250"),
 ];
 
 
@@ -322,6 +1502,67 @@ module.exports = {
     validateWaterBody,
     validatecalories,
     validateSleepBody,
+    validateWaterContainerBody,
+    validateWaterContainerUpdate,
+    validateWaterContainerParams,
+    validateWaterEntryUpdate,
+    validateCalorieEntryUpdate,
+    validateIntakeEntryParams,
+    validateSleepSessionUpdate,
+    validateSleepSessionParams,
+    validateGoalsUpdate,
+    validateMealBody,
+    validateMealUpdate,
+    validateMealParams,
+    validateFoodItemBody,
+    validateFoodItemUpdate,
+    validateFoodItemParams,
+    validateEstimateBody,
+    validateFoodSearch,
+    validateFoodBarcodeParam,
+    validateCatalogueFoodParams,
+    validateFoodLog,
+    validateFoodImport,
+    validateFavoriteBody,
+    validateFavoriteParams,
+    validateFavoriteLog,
+    validateRecentFoodsQuery,
+    validateRecentFoodLog,
+    validateMealTemplateBody,
+    validateMealTemplateUpdate,
+    validateMealTemplateParams,
+    validateMealTemplateLog,
+    validateWorkoutBody,
+    validateWorkoutUpdate,
+    validateWorkoutParams,
+    validateStreakRuleUpdate,
+    validateStreakRecompute,
+    validateRollupSummaryQuery,
+    validateHealthScoreRuleUpdate,
+    validateHeartRateBody,
+    validateBodyMetricsBody,
+    validateBodyMetricsUpdate,
+    validateBodyMetricsParams,
+    validateBodyMetricsQuery,
+    validateFastStart,
+    validateFastEnd,
+    validateFastUpdate,
+    validateFastParams,
+    validateFastingQuery,
+    validateCustomMetricBody,
+    validateCustomMetricUpdate,
+    validateCustomMetricParams,
+    validateCustomMetricValue,
+    validateCustomMetricValuesQuery,
+    validateCustomMetricTemplateBody,
+    validateCustomMetricTemplateUpdate,
+    validateCustomMetricTemplateParams,
+    validateCheckInBody,
+    validateCheckInParams,
+    validateCheckInQuery,
+    validateCheckInReminder,
+    validateHealthRangeQuery,
+    validateCustomReportBody,
     isDateTodayInTimezone,
     isDateNotFutureInTimezone,
     getCurrentDateInTimezone
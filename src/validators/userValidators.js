@@ -339,6 +339,18 @@ const validateUserProfileUpdate = [
             return true;
         }),
 
+    // Hydration display unit (optional)
+    body('waterUnit')
+        .optional()
+        .isIn(['ml', 'fl_oz', 'glasses'])
+        .withMessage('Water unit must be ml, fl_oz or glasses'),
+
+    // First day of the week for reports (optional)
+    body('weekStart')
+        .optional()
+        .isIn(['sunday', 'monday'])
+        .withMessage('Week start must be sunday or monday'),
+
 ];
 
 
@@ -107,6 +107,33 @@ const getworkoutByIdvalidator = [
     .isMongoId().withMessage('Invalid Workout ID format')
 ];
 
+const workoutProgressValidator = [
+    body('workoutId')
+    .notEmpty().withMessage('Workout ID is required')
+    .isMongoId().withMessage('Invalid Workout ID format'),
+    body('videoIndex')
+    .notEmpty().withMessage('Video index is required')
+    .isInt({ min: 0 }).withMessage('Video index must be a non-negative integer')
+    .toInt()
+];
+
+const completeWorkoutValidator = [
+    body('workoutId')
+    .notEmpty().withMessage('Workout ID is required')
+    .isMongoId().withMessage('Invalid Workout ID format'),
+    body('logSession')
+    .optional()
+    .isBoolean().withMessage('logSession must be true or false')
+    .toBoolean(),
+    body('duration')
+    .optional()
+    .isInt({ min: 1, max: 600 }).withMessage('Duration must be between 1 and 600 minutes')
+    .toInt(),
+    body('intensity')
+    .optional()
+    .isIn(['low', 'moderate', 'high', 'intense']).withMessage('Intensity must be one of: low, moderate, high, intense')
+];
+
 const createWorkoutValidator = [
   body('name')
     .notEmpty().withMessage('Workout name is required')
@@ -213,6 +240,8 @@ module.exports = {
     updatesequencevalidator,
     updateWorkoutValidator,
     getworkoutByIdvalidator,
+    workoutProgressValidator,
+    completeWorkoutValidator,
     deleteWorkoutValidator,
     getworkByIdvalidator,
     validateWorkoutImages,
@@ -12,6 +12,10 @@ const { notificationQueue } = require("../queues/notificationQueue");
 const Logger = require("../utils/logger");
 const { getJobId, calculateNextOccurrenceInTimezone } = require("../services/Notifications/timezoneJobService");
 const { buildUserFilterQuery } = require("../utils/filterQueryBuilder");
+const FastingSession = require("../models/FastingSession");
+const DailyHealthData = require("../models/DailyHealthData");
+const CheckInReminderService = require("../services/Health/checkIn/checkInReminder.service");
+const timeZoneUtil = require("../utils/timeZone");
 
 (async () => {
   try {
@@ -54,6 +58,14 @@ const { buildUserFilterQuery } = require("../utils/filterQueryBuilder");
               result = await handleRetry(job, requestId);
               break;
 
+            case "fasting-end-reminder":
+              result = await handleFastingEndReminder(job, requestId);
+              break;
+
+            case "check-in-prompt":
+              result = await handleCheckInPrompt(job, requestId);
+              break;
+
             default:
               throw new Error(`Unknown job type: ${job.name}`);
           }
@@ -537,6 +549,105 @@ async function handleInstantGlobalSend(job, requestId) {
   return { successCount: result.successCount, failureCount: result.failureCount };
 }
 
+/**
+ * ⏰ Fasting reminder for one user (queued by services/Health/fasting/fastingReminder.service.js)
+ * Skipped when the fast has ended or its planned end moved since the job was queued
+ */
+async function handleFastingEndReminder(job, requestId) {
+  const { sessionId, plannedEndAt } = job.data;
+
+  const session = await FastingSession.findById(sessionId).lean();
+  if (!session || session.status !== "active" || !session.reminder?.enabled || session.reminder.sentAt) {
+    Logger.info(requestId, "⏭️ Fast no longer needs a reminder", { sessionId });
+    return { skipped: true, reason: "fast_not_active" };
+  }
+  if (new Date(session.plannedEndAt).toISOString() !== plannedEndAt) {
+    return { skipped: true, reason: "plan_changed" };
+  }
+
+  const user = await User.findById(session.userId).select("fcmToken").lean();
+  const token = user?.fcmToken?.token;
+  if (!token || typeof token !== "string" || token.trim().length === 0) {
+    Logger.warn(requestId, "⚠️ No FCM token for fasting reminder", { sessionId });
+    return { skipped: true, reason: "no_token" };
+  }
+
+  const minutesLeft = Math.max(Math.round((new Date(session.plannedEndAt) - Date.now()) / 60000), 0);
+  const payload = {
+    notification: minutesLeft > 0
+      ? {
+        title: "Your fast is almost done",
+        body: `${minutesLeft} min left of your ${session.fastingHours}-hour fast. Keep going!`
+      }
+      : {
+        title: "Fasting goal reached",
+        body: `You completed your ${session.fastingHours}-hour fast. Remember to end it in the app.`
+      },
+    data: { category: "Fasting", sessionId: String(session._id) }
+  };
+
+  const result = await FCMService.sendToToken(token, payload);
+
+  if (result.success) {
+    await FastingSession.updateOne({ _id: session._id }, { $set: { "reminder.sentAt": new Date() } });
+  } else if (!isRetryableError(result.code)) {
+    await deleteInvalidTokens([{ token }], requestId);
+  }
+
+  return { sent: result.success, sessionId };
+}
+
+/**
+ * 📝 Daily check-in prompt for one user (queued by services/Health/checkIn/checkInReminder.service.js)
+ * Jobs the user no longer points at (reminder moved or turned off) are dropped; otherwise the
+ * next day's prompt is queued first, and users who already checked in today are not prompted
+ */
+async function handleCheckInPrompt(job, requestId) {
+  const { userId } = job.data;
+
+  const user = await User.findById(userId)
+    .select("fcmToken timezone isActive notificationsEnabled checkInReminder")
+    .lean();
+  if (!user || !user.checkInReminder?.enabled || user.checkInReminder.jobId !== job.id) {
+    Logger.info(requestId, "⏭️ Check-in prompt no longer scheduled", { userId });
+    return { skipped: true, reason: "prompt_replaced" };
+  }
+
+  await CheckInReminderService.scheduleReminder(user, requestId, { cancelQueued: false });
+
+  if (!user.isActive || user.notificationsEnabled === false) {
+    return { skipped: true, reason: "notifications_disabled" };
+  }
+
+  const today = timeZoneUtil.getCurrentDateInTimezone(user.timezone);
+  const checkedIn = await DailyHealthData.exists({ userId, date: today, checkIn: { $exists: true } });
+  if (checkedIn) {
+    return { skipped: true, reason: "already_checked_in" };
+  }
+
+  const token = user.fcmToken?.token;
+  if (!token || typeof token !== "string" || token.trim().length === 0) {
+    Logger.warn(requestId, "⚠️ No FCM token for check-in prompt", { userId });
+    return { skipped: true, reason: "no_token" };
+  }
+
+  const payload = {
+    notification: {
+      title: "How are you feeling today?",
+      body: "Take a few seconds to log your mood, energy, stress and soreness."
+    },
+    data: { category: "CheckIn", date: today }
+  };
+
+  const result = await FCMService.sendToToken(token, payload);
+
+  if (!result.success && !isRetryableError(result.code)) {
+    await deleteInvalidTokens([{ token }], requestId);
+  }
+
+  return { sent: result.success, userId };
+}
+
 /**
  * 🔄 Handle retry of failed tokens
  */
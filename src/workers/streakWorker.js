@@ -0,0 +1,89 @@
+// workers/streakWorker.js
+require("dotenv").config();
+const { Worker } = require("bullmq");
+const Redis = require("ioredis");
+const connectDB = require("../config/db");
+const { streakQueue } = require("../queues/streakQueue");
+const { recomputeUserStreaks, findUsersWithHealthData } = require("../services/Health/streak/streakRecompute.service");
+const StreakJobService = require("../services/Health/streak/streakJob.service");
+const Logger = require("../utils/logger");
+
+const FAN_OUT_BATCH_SIZE = 500;
+
+(async () => {
+  try {
+    Logger.info("streak-worker-startup", "⏳ Connecting to MongoDB...");
+    await connectDB();
+    Logger.success("streak-worker-startup", "✅ MongoDB connected. Starting streak worker...");
+
+    const connection = new Redis(process.env.REDIS_URL, {
+      maxRetriesPerRequest: null,
+    });
+
+    connection.on("connect", () =>
+      Logger.success("redis", "✅ Streak worker connected to Redis")
+    );
+    connection.on("error", (err) =>
+      Logger.error("redis", "❌ Redis streak worker error", { error: err.message })
+    );
+
+    const worker = new Worker(
+      "streakQueue",
+      async (job) => {
+        const requestId = Logger.generateId("streak-worker");
+        Logger.info(requestId, `⚙️ Job started: ${job.name} (ID: ${job.id})`, job.data);
+
+        switch (job.name) {
+          case "recompute-user":
+            return recomputeUserStreaks({
+              userId: job.data.userId,
+              fromDate: job.data.fromDate,
+              requestId
+            });
+
+          case "recompute-all":
+            return handleRecomputeAll(job, requestId);
+
+          default:
+            throw new Error(`Unknown job type: ${job.name}`);
+        }
+      },
+      {
+        connection,
+        concurrency: 2,
+      }
+    );
+
+    worker.on("completed", (job, result) =>
+      Logger.success("streak-worker", `🎉 Job ${job.id} completed`, result)
+    );
+
+    worker.on("failed", (job, err) =>
+      Logger.error("streak-worker", `❌ Job ${job?.id} failed`, { error: err.message })
+    );
+
+    Logger.success("streak-worker", "✅ Streak worker ready and listening for jobs...");
+  } catch (error) {
+    Logger.error("streak-worker-startup", "❌ Streak worker startup failed", { error: error.message });
+  }
+})();
+
+/**
+ * Fan a full rebuild out into one recompute-user job per user
+ */
+async function handleRecomputeAll(job, requestId) {
+  const userIds = await findUsersWithHealthData();
+  const { fromDate } = job.data;
+
+  for (let i = 0; i < userIds.length; i += FAN_OUT_BATCH_SIZE) {
+    const batch = userIds.slice(i, i + FAN_OUT_BATCH_SIZE).map((userId) => ({
+      name: "recompute-user",
+      data: { userId: String(userId), fromDate: fromDate || null },
+      opts: StreakJobService.getUserRecomputeOptions(userId, fromDate),
+    }));
+    await streakQueue.addBulk(batch);
+  }
+
+  Logger.info(requestId, "Fanned out streak recompute jobs", { users: userIds.length, fromDate });
+  return { queuedUsers: userIds.length };
+}
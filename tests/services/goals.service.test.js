@@ -0,0 +1,54 @@
+// Goal history: which goal version judges a given day
+jest.mock('../../src/repositories/GoalRepository');
+jest.mock('../../src/utils/logger');
+
+const GoalsRepository = require('../../src/repositories/GoalRepository');
+const goalsService = require('../../src/services/Health/goals/goals.service');
+
+const version = (effectiveFrom, stepsGoal) => ({ ...goalsService.DEFAULT_GOALS, effectiveFrom, stepsGoal });
+
+describe('goalsService.resolveGoalsForDate', () => {
+    const timeline = {
+        versions: [version('2026-03-01', 6000), version('2026-06-15', 8000), version('2026-09-01', 12000)],
+        fallback: { ...goalsService.DEFAULT_GOALS, stepsGoal: 99999 }
+    };
+
+    test('uses the current goals when the user never changed them', () => {
+        const goals = goalsService.resolveGoalsForDate({ versions: [], fallback: timeline.fallback }, '2026-07-01');
+        expect(goals.stepsGoal).toBe(99999);
+    });
+
+    test('uses the version in effect on the date', () => {
+        expect(goalsService.resolveGoalsForDate(timeline, '2026-07-01').stepsGoal).toBe(8000);
+        expect(goalsService.resolveGoalsForDate(timeline, '2026-10-19').stepsGoal).toBe(12000);
+    });
+
+    test('a version applies from its effectiveFrom date on', () => {
+        expect(goalsService.resolveGoalsForDate(timeline, '2026-06-14').stepsGoal).toBe(6000);
+        expect(goalsService.resolveGoalsForDate(timeline, '2026-06-15').stepsGoal).toBe(8000);
+    });
+
+    test('days before the first version use the oldest known goals', () => {
+        expect(goalsService.resolveGoalsForDate(timeline, '2025-12-31').stepsGoal).toBe(6000);
+    });
+
+    test('returns formatted goals (water goal in ml, derived macro goals)', () => {
+        const goals = goalsService.resolveGoalsForDate(timeline, '2026-07-01');
+        expect(goals).toEqual(expect.objectContaining({
+            waterIntakeGoal: 8,
+            waterIntakeGoalMl: expect.any(Number),
+            sleepGoal: { hours: 8 }
+        }));
+        expect(Object.keys(goals.macroGoals).sort()).toEqual(['carbs', 'fat', 'fiber', 'protein']);
+    });
+});
+
+describe('goalsService.getGoalTimeline', () => {
+    test('falls back to the current goals, then the defaults', async () => {
+        GoalsRepository.findHistory.mockResolvedValue([]);
+
+        const current = { ...goalsService.DEFAULT_GOALS, stepsGoal: 7000 };
+        expect(await goalsService.getGoalTimeline('user-1', current)).toEqual({ versions: [], fallback: current });
+        expect((await goalsService.getGoalTimeline('user-1', null)).fallback).toBe(goalsService.DEFAULT_GOALS);
+    });
+});
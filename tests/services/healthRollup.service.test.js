@@ -0,0 +1,133 @@
+// Rollups: a write applies the day's change to the stored week / month totals
+jest.mock('../../src/models/HealthRollup', () => {
+    // In-memory rollup collection keyed by period + periodStart
+    const docs = new Map();
+    const keyOf = (filter) => `${filter.period}:${filter.periodStart}`;
+    const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+    const setPath = (doc, path, value) => {
+        const parts = path.split('.');
+        const last = parts.pop();
+        const target = parts.reduce((obj, part) => (obj[part] = obj[part] || {}), doc);
+        target[last] = value;
+    };
+    const getPath = (doc, path) => path.split('.').reduce((obj, part) => obj?.[part], doc);
+    const query = (result) => {
+        const chain = { select: () => chain, lean: () => chain, then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+        return chain;
+    };
+
+    return {
+        docs,
+        findOneAndUpdate: jest.fn((filter, update, options = {}) => {
+            const existing = docs.get(keyOf(filter));
+            if (filter.dayValues?.$exists && !existing?.dayValues) return query(null);
+            if (!existing && !options.upsert) return query(null);
+
+            const before = clone(existing);
+            const doc = existing || {};
+            Object.entries(update.$set).forEach(([path, value]) => setPath(doc, path, clone(value)));
+            docs.set(keyOf(filter), doc);
+            return query(options.new ? clone(doc) : before);
+        }),
+        updateOne: jest.fn(async (filter, update) => {
+            const doc = docs.get(keyOf(filter));
+            Object.entries(update.$inc).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+        })
+    };
+});
+jest.mock('../../src/models/DailyHealthData', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/Goals', () => ({ findOne: () => ({ lean: async () => null }) }));
+jest.mock('../../src/models/User', () => ({
+    findById: () => ({ select: () => ({ lean: async () => ({ userPreferences: { weekStart: 'monday' } }) }) })
+}));
+jest.mock('../../src/repositories/GoalRepository', () => ({ findHistory: async () => [] }));
+jest.mock('../../src/services/Health/reports/reportCache.service', () => ({ invalidateDates: jest.fn() }));
+jest.mock('../../src/utils/logger');
+
+const HealthRollup = require('../../src/models/HealthRollup');
+const DailyHealthData = require('../../src/models/DailyHealthData');
+const reportPeriodService = require('../../src/services/Health/reports/reportPeriod.service');
+const goalsService = require('../../src/services/Health/goals/goals.service');
+const healthRollupService = require('../../src/services/Health/rollups/healthRollup.service');
+
+const userId = 'user-1';
+const goalTimeline = { versions: [], fallback: goalsService.DEFAULT_GOALS };
+
+// Day records of the user; DailyHealthData.find filters them like MongoDB would for the queries used
+let records;
+DailyHealthData.find.mockImplementation(({ date }) => {
+    const matches = records.filter(r => (date.$in ? date.$in.includes(r.date) : r.date >= date.$gte && r.date <= date.$lte));
+    return { select: () => ({ lean: async () => JSON.parse(JSON.stringify(matches)) }) };
+});
+
+function writeDay(day) {
+    records = records.filter(r => r.date !== day.date).concat(day);
+    return healthRollupService.refreshForDates({ userId, dates: [day.date] });
+}
+
+function expectMatchesFullBuild(period, periodStart, periodEnd) {
+    const stored = HealthRollup.docs.get(`${period}:${periodStart}`);
+    const inPeriod = records.filter(r => r.date >= periodStart && r.date <= periodEnd);
+    const summary = reportPeriodService.summarizePeriod(inPeriod, { startDate: periodStart, endDate: periodEnd }, goalTimeline);
+
+    expect(stored).toEqual(expect.objectContaining({
+        daysLogged: summary.daysLogged,
+        steps: summary.steps.total,
+        waterMl: summary.water.totalMl,
+        caloriesConsumed: summary.calories.consumed,
+        caloriesBurned: summary.calories.burned,
+        sleepHours: summary.sleep.totalHours,
+        goalsMetDays: summary.goalsMetDays
+    }));
+}
+
+beforeEach(() => {
+    HealthRollup.docs.clear();
+    jest.clearAllMocks();
+    records = [
+        { date: '2026-10-12', steps: { count: 12000 }, water: { consumed: 2000 } },
+        { date: '2026-10-13', steps: { count: 3000 }, sleep: { duration: 7 } }
+    ];
+});
+
+describe('healthRollupService.refreshForDates', () => {
+    test('builds a missing rollup from the whole period once', async () => {
+        await writeDay({ date: '2026-10-14', steps: { count: 8000 } });
+
+        expect(HealthRollup.docs.has('week:2026-10-12')).toBe(true);
+        expect(HealthRollup.docs.has('month:2026-10-01')).toBe(true);
+        expectMatchesFullBuild('week', '2026-10-12', '2026-10-18');
+        expectMatchesFullBuild('month', '2026-10-01', '2026-10-31');
+    });
+
+    test('later writes only read the written day and apply its change', async () => {
+        await writeDay({ date: '2026-10-14', steps: { count: 8000 } });
+        DailyHealthData.find.mockClear();
+
+        await writeDay({ date: '2026-10-13', steps: { count: 11000 }, sleep: { duration: 7 }, water: { consumed: 500 } });
+        await writeDay({ date: '2026-10-15', steps: { count: 2000 }, calories: { consumed: 1800, burned: 250 } });
+
+        expect(DailyHealthData.find).toHaveBeenCalledTimes(2);
+        DailyHealthData.find.mock.calls.forEach(([filter]) => expect(filter.date.$in).toHaveLength(1));
+
+        expectMatchesFullBuild('week', '2026-10-12', '2026-10-18');
+        expectMatchesFullBuild('month', '2026-10-01', '2026-10-31');
+        expect(HealthRollup.docs.get('week:2026-10-12').goalsMetDays.steps).toBe(2);
+    });
+
+    test('a day that drops below its goal is taken off the goal count', async () => {
+        await writeDay({ date: '2026-10-14', steps: { count: 8000 } });
+        await writeDay({ date: '2026-10-12', steps: { count: 500 }, water: { consumed: 2000 } });
+
+        expect(HealthRollup.docs.get('week:2026-10-12').goalsMetDays.steps).toBe(0);
+        expectMatchesFullBuild('week', '2026-10-12', '2026-10-18');
+    });
+
+    test('rollups stored before per-day values existed are rebuilt', async () => {
+        HealthRollup.docs.set('week:2026-10-12', { period: 'week', periodStart: '2026-10-12', steps: 999999 });
+
+        await writeDay({ date: '2026-10-14', steps: { count: 8000 } });
+
+        expectMatchesFullBuild('week', '2026-10-12', '2026-10-18');
+    });
+});
@@ -0,0 +1,132 @@
+// Report cache: hits, tag-based invalidation by date, per user and globally
+jest.mock('../../src/utils/redisClient', () => {
+    // In-memory stand-in for the node-redis commands the cache uses
+    const strings = new Map();
+    const sets = new Map();
+    const commands = {
+        set: (key, value) => strings.set(key, value),
+        get: (key) => strings.get(key) ?? null,
+        incr: (key) => {
+            const value = Number(strings.get(key) || 0) + 1;
+            strings.set(key, String(value));
+            return value;
+        },
+        expire: () => true,
+        del: (keys) => [].concat(keys).forEach(key => strings.delete(key) || sets.delete(key)),
+        sAdd: (key, member) => {
+            if (!sets.has(key)) sets.set(key, new Set());
+            sets.get(key).add(member);
+        },
+        sRem: (key, members) => [].concat(members).forEach(member => sets.get(key)?.delete(member)),
+        sMembers: (key) => [...(sets.get(key) || [])]
+    };
+
+    const client = { isReady: true, reset: () => { strings.clear(); sets.clear(); } };
+    Object.entries(commands).forEach(([name, run]) => (client[name] = jest.fn(async (...args) => run(...args))));
+    client.mGet = jest.fn(async (keys) => keys.map(key => strings.get(key) ?? null));
+    client.multi = () => {
+        const queued = [];
+        const chain = { exec: async () => queued.map(run => run()) };
+        Object.entries(commands).forEach(([name, run]) => {
+            chain[name] = (...args) => {
+                queued.push(() => run(...args));
+                return chain;
+            };
+        });
+        return chain;
+    };
+    return client;
+});
+jest.mock('../../src/models/DailyHealthData', () => ({
+    findOne: jest.fn(() => ({ select: () => ({ lean: async () => ({ streak: 3, goalcomplete: true }) }) }))
+}));
+jest.mock('../../src/utils/logger');
+
+const redisClient = require('../../src/utils/redisClient');
+const reportCacheService = require('../../src/services/Health/reports/reportCache.service');
+
+const userId = 'user-1';
+
+// Weekly report for 2026-10-12..18, compared with the week before
+function weeklyRequest(build) {
+    return reportCacheService.getOrBuild({
+        userId,
+        type: 'weekly',
+        params: '2026-10-12',
+        timezone: 'UTC',
+        build,
+        range: () => ({ from: '2026-10-05', to: '2026-10-18', periodEnd: '2026-10-18' })
+    });
+}
+
+describe('reportCacheService', () => {
+    let build;
+
+    beforeEach(() => {
+        redisClient.reset();
+        redisClient.isReady = true;
+        build = jest.fn(async () => ({ steps: 1000, streak: 0 }));
+    });
+
+    test('serves a second request from cache, with the live streak', async () => {
+        expect(await weeklyRequest(build)).toEqual({ report: { steps: 1000, streak: 0 }, cached: false });
+
+        const second = await weeklyRequest(build);
+        expect(second).toEqual({ report: { steps: 1000, streak: 3 }, cached: true });
+        expect(build).toHaveBeenCalledTimes(1);
+    });
+
+    test('a write to a day in the report range drops it', async () => {
+        await weeklyRequest(build);
+        await reportCacheService.invalidateDates({ userId, dates: ['2026-10-07'] });
+
+        expect((await weeklyRequest(build)).cached).toBe(false);
+        expect(build).toHaveBeenCalledTimes(2);
+    });
+
+    test('writes outside the range, or by another user, keep it', async () => {
+        await weeklyRequest(build);
+        await reportCacheService.invalidateDates({ userId, dates: ['2026-10-19', '2026-09-30'] });
+        await reportCacheService.invalidateDates({ userId: 'user-2', dates: ['2026-10-14'] });
+
+        expect((await weeklyRequest(build)).cached).toBe(true);
+    });
+
+    test('invalidateUser drops all of the user\'s reports', async () => {
+        await weeklyRequest(build);
+        await reportCacheService.invalidateUser({ userId });
+
+        expect((await weeklyRequest(build)).cached).toBe(false);
+    });
+
+    test('invalidateAll makes every cached report stale', async () => {
+        await weeklyRequest(build);
+        await reportCacheService.invalidateAll();
+
+        expect((await weeklyRequest(build)).cached).toBe(false);
+    });
+
+    test('a report whose data changed while it was being built is not cached', async () => {
+        const racingBuild = jest.fn(async () => {
+            await reportCacheService.invalidateDates({ userId, dates: ['2026-10-14'] });
+            return { steps: 1000 };
+        });
+        await weeklyRequest(racingBuild);
+
+        expect((await weeklyRequest(build)).cached).toBe(false);
+    });
+
+    test('error reports are not cached', async () => {
+        await weeklyRequest(async () => ({ error: 'No data' }));
+
+        expect((await weeklyRequest(build)).cached).toBe(false);
+    });
+
+    test('builds uncached while Redis is down', async () => {
+        redisClient.isReady = false;
+
+        expect(await weeklyRequest(build)).toEqual({ report: { steps: 1000, streak: 0 }, cached: false });
+        expect(await weeklyRequest(build)).toEqual({ report: { steps: 1000, streak: 0 }, cached: false });
+        expect(build).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,176 @@
+// Report periods: previous period, period totals and to-date comparison
+jest.mock('../../src/utils/redisClient', () => ({ isReady: false }));
+jest.mock('../../src/utils/logger');
+
+const reportPeriodService = require('../../src/services/Health/reports/reportPeriod.service');
+
+const goalTimeline = { versions: [], fallback: { stepsGoal: 10000, waterIntakeGoalMl: 2000 } };
+
+describe('reportPeriodService.getPreviousPeriod', () => {
+    test('previous week is the 7 days before', () => {
+        expect(reportPeriodService.getPreviousPeriod('2026-10-12', '2026-10-18', 'week'))
+            .toEqual({ startDate: '2026-10-05', endDate: '2026-10-11' });
+    });
+
+    test('previous month is the whole calendar month', () => {
+        expect(reportPeriodService.getPreviousPeriod('2026-03-01', '2026-03-31', 'month'))
+            .toEqual({ startDate: '2026-02-01', endDate: '2026-02-28' });
+    });
+
+    test('previous year is the whole calendar year', () => {
+        expect(reportPeriodService.getPreviousPeriod('2026-01-01', '2026-12-31', 'year'))
+            .toEqual({ startDate: '2025-01-01', endDate: '2025-12-31' });
+    });
+
+    test('a custom range is compared with the same number of days right before it', () => {
+        expect(reportPeriodService.getPreviousPeriod('2026-10-10', '2026-10-19', 'custom'))
+            .toEqual({ startDate: '2026-09-30', endDate: '2026-10-09' });
+    });
+});
+
+describe('reportPeriodService.summarizePeriod', () => {
+    const records = [
+        { date: '2026-10-12', steps: { count: 12000 }, water: { consumed: 2500 }, sleep: { duration: 7.5 } },
+        { date: '2026-10-14', steps: { count: 4000 }, water: { consumed: 1000 }, calories: { consumed: 1800, burned: 300 } }
+    ];
+
+    test('totals the records and averages per logged day', () => {
+        const summary = reportPeriodService.summarizePeriod(records, { startDate: '2026-10-12', endDate: '2026-10-18' }, goalTimeline);
+
+        expect(summary.days).toBe(7);
+        expect(summary.daysLogged).toBe(2);
+        expect(summary.steps).toEqual({ total: 16000, dailyAvg: 8000 });
+        expect(summary.water).toEqual({ totalMl: 3500, dailyAvgMl: 1750 });
+        expect(summary.calories.consumed).toBe(1800);
+        expect(summary.sleep).toEqual({ totalHours: 7.5, avgHours: 3.75 });
+    });
+
+    test('counts goal-hit days against the goals in effect each day', () => {
+        const timeline = {
+            versions: [
+                { effectiveFrom: '2026-01-01', stepsGoal: 10000 },
+                { effectiveFrom: '2026-10-13', stepsGoal: 3000 }
+            ],
+            fallback: {}
+        };
+        const summary = reportPeriodService.summarizePeriod(records, { startDate: '2026-10-12', endDate: '2026-10-18' }, timeline);
+
+        // 12000 ≥ 10000 on the 12th, 4000 ≥ 3000 on the 14th
+        expect(summary.goalsMetDays.steps).toBe(2);
+    });
+
+    test('an empty period has zero averages', () => {
+        const summary = reportPeriodService.summarizePeriod([], { startDate: '2026-10-12', endDate: '2026-10-18' }, goalTimeline);
+        expect(summary.daysLogged).toBe(0);
+        expect(summary.steps.dailyAvg).toBe(0);
+        expect(summary.goalsMetDays.steps).toBe(0);
+    });
+});
+
+describe('reportPeriodService.buildComparison', () => {
+    const summary = (steps, goalsMetDays = {}) => reportPeriodService.buildSummary({
+        startDate: '2026-10-12', endDate: '2026-10-18', days: 7, daysLogged: 7,
+        steps, waterMl: 0, caloriesConsumed: 0, caloriesBurned: 0, sleepHours: 0, goalsMetDays
+    });
+
+    test('reports the change and percentage against the previous period', () => {
+        const { steps } = reportPeriodService.buildComparison(summary(60000), summary(50000));
+        expect(steps).toEqual({ current: 60000, previous: 50000, change: 10000, changePercent: 20 });
+    });
+
+    test('has no percentage when the previous period is 0', () => {
+        const { steps } = reportPeriodService.buildComparison(summary(1000), summary(0));
+        expect(steps.changePercent).toBeNull();
+    });
+
+    test('compares goals present in either period', () => {
+        const { goalsMetDays } = reportPeriodService.buildComparison(summary(0, { steps: 3 }), summary(0, { water: 2 }));
+        expect(goalsMetDays.steps).toEqual(expect.objectContaining({ current: 3, previous: 0 }));
+        expect(goalsMetDays.water).toEqual(expect.objectContaining({ current: 0, previous: 2 }));
+    });
+});
+
+describe('reportPeriodService.comparePeriods', () => {
+    const loadSummary = jest.fn(async ({ period }) => ({ ...period, steps: { total: 0 }, water: { totalMl: 0 }, calories: {}, sleep: {}, goalsMetDays: {} }));
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: new Date('2026-10-14T12:00:00Z') });
+        loadSummary.mockClear();
+    });
+    afterEach(() => jest.useRealTimers());
+
+    test('compares a period in progress to-date against the same days of the previous one', async () => {
+        const result = await reportPeriodService.comparePeriods({
+            userId: 'user-1',
+            current: { startDate: '2026-10-12', endDate: '2026-10-18' },
+            previous: { startDate: '2026-10-05', endDate: '2026-10-11' },
+            goalTimeline,
+            timezone: 'UTC',
+            loadSummary
+        });
+
+        expect(result.toDate).toBe(true);
+        expect(loadSummary.mock.calls.map(([args]) => args.period)).toEqual([
+            { startDate: '2026-10-12', endDate: '2026-10-14' },
+            { startDate: '2026-10-05', endDate: '2026-10-07' }
+        ]);
+    });
+
+    test('a longer current month is cut at the end of a shorter previous one', async () => {
+        jest.setSystemTime(new Date('2026-03-30T12:00:00Z'));
+
+        await reportPeriodService.comparePeriods({
+            userId: 'user-1',
+            current: { startDate: '2026-03-01', endDate: '2026-03-31' },
+            previous: { startDate: '2026-02-01', endDate: '2026-02-28' },
+            goalTimeline,
+            timezone: 'UTC',
+            loadSummary
+        });
+
+        expect(loadSummary.mock.calls[1][0].period).toEqual({ startDate: '2026-02-01', endDate: '2026-02-28' });
+    });
+
+    test('compares finished periods in full', async () => {
+        const result = await reportPeriodService.comparePeriods({
+            userId: 'user-1',
+            current: { startDate: '2026-10-05', endDate: '2026-10-11' },
+            previous: { startDate: '2026-09-28', endDate: '2026-10-04' },
+            goalTimeline,
+            timezone: 'UTC',
+            loadSummary
+        });
+
+        expect(result.toDate).toBe(false);
+        expect(loadSummary.mock.calls[1][0].period).toEqual({ startDate: '2026-09-28', endDate: '2026-10-04' });
+    });
+
+    test('uses the date in the user timezone', async () => {
+        jest.setSystemTime(new Date('2026-10-14T20:00:00Z'));
+
+        await reportPeriodService.comparePeriods({
+            userId: 'user-1',
+            current: { startDate: '2026-10-12', endDate: '2026-10-18' },
+            previous: { startDate: '2026-10-05', endDate: '2026-10-11' },
+            goalTimeline,
+            timezone: 'Asia/Tokyo',
+            loadSummary
+        });
+
+        expect(loadSummary.mock.calls[0][0].period.endDate).toBe('2026-10-15');
+    });
+
+    test('returns null for a period that has not started', async () => {
+        const result = await reportPeriodService.comparePeriods({
+            userId: 'user-1',
+            current: { startDate: '2026-10-19', endDate: '2026-10-25' },
+            previous: { startDate: '2026-10-12', endDate: '2026-10-18' },
+            goalTimeline,
+            timezone: 'UTC',
+            loadSummary
+        });
+
+        expect(result).toBeNull();
+        expect(loadSummary).not.toHaveBeenCalled();
+    });
+});
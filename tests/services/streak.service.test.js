@@ -0,0 +1,100 @@
+// Streak rule evaluation and grace days
+jest.mock('../../src/utils/redisClient', () => ({ isReady: false }));
+jest.mock('../../src/utils/logger');
+
+const streakService = require('../../src/services/Health/streak/streak.service');
+
+const goals = { stepsGoal: 10000, sleepGoal: { hours: 8 }, caloriesBurnGoal: 2000, waterIntakeGoalMl: 2000, caloriesIntakeGoal: 2000 };
+
+describe('streakService.evaluateStreakDay', () => {
+    const record = { steps: { count: 12000 }, sleep: { duration: 6 }, water: { consumed: 2500 } };
+
+    test("'all' mode needs every goal of the rule", () => {
+        expect(streakService.evaluateStreakDay(record, goals, { goals: ['steps', 'water'], mode: 'all' }).allCompleted).toBe(true);
+        expect(streakService.evaluateStreakDay(record, goals, { goals: ['steps', 'sleep'], mode: 'all' }).allCompleted).toBe(false);
+    });
+
+    test("'atLeast' mode needs minGoals of the rule's goals", () => {
+        const rule = { goals: ['steps', 'sleep', 'caloriesBurn'], mode: 'atLeast', minGoals: 1 };
+        expect(streakService.evaluateStreakDay(record, goals, rule).allCompleted).toBe(true);
+        expect(streakService.evaluateStreakDay(record, goals, { ...rule, minGoals: 2 }).allCompleted).toBe(false);
+    });
+
+    test('minGoals above the number of goals requires all of them', () => {
+        const result = streakService.evaluateStreakDay(record, goals, { goals: ['steps', 'water'], mode: 'atLeast', minGoals: 5 });
+        expect(result.requiredGoals).toBe(2);
+        expect(result.allCompleted).toBe(true);
+    });
+
+    test('a missing record completes nothing', () => {
+        expect(streakService.evaluateStreakDay(null, goals, { goals: ['steps'], mode: 'all' }).allCompleted).toBe(false);
+    });
+});
+
+describe('streakService.nextStreakState', () => {
+    const noGrace = { graceDays: 0 };
+    const twoGrace = { graceDays: 2 };
+
+    test('starts a streak on the first completed day', () => {
+        expect(streakService.nextStreakState(null, '2026-10-19', true, noGrace))
+            .toEqual({ streak: 1, goalcomplete: true, streakMisses: 0 });
+    });
+
+    test('extends the streak from yesterday', () => {
+        const prev = { date: '2026-10-18', streak: 4, goalcomplete: true, streakMisses: 0 };
+        expect(streakService.nextStreakState(prev, '2026-10-19', true, noGrace).streak).toBe(5);
+    });
+
+    test('a missed day shows the streak it carries (today may still be completed)', () => {
+        const prev = { date: '2026-10-18', streak: 4, goalcomplete: true, streakMisses: 0 };
+        expect(streakService.nextStreakState(prev, '2026-10-19', false, noGrace))
+            .toEqual({ streak: 4, goalcomplete: false, streakMisses: 1 });
+    });
+
+    test('without grace days the day after a miss starts over', () => {
+        const missed = { date: '2026-10-19', streak: 4, goalcomplete: false, streakMisses: 1 };
+        expect(streakService.nextStreakState(missed, '2026-10-20', true, noGrace).streak).toBe(1);
+        expect(streakService.nextStreakState(missed, '2026-10-20', false, noGrace).streak).toBe(0);
+
+        // A day without a record is a miss too
+        const prev = { date: '2026-10-18', streak: 4, goalcomplete: true, streakMisses: 0 };
+        expect(streakService.nextStreakState(prev, '2026-10-20', true, noGrace).streak).toBe(1);
+    });
+
+    test('a missed day inside the grace window keeps the streak without adding to it', () => {
+        const prev = { date: '2026-10-18', streak: 4, goalcomplete: true, streakMisses: 0 };
+        expect(streakService.nextStreakState(prev, '2026-10-19', false, twoGrace))
+            .toEqual({ streak: 4, goalcomplete: false, streakMisses: 1 });
+    });
+
+    test('the streak continues after missed days within the grace window', () => {
+        const missedOnce = { date: '2026-10-19', streak: 4, goalcomplete: false, streakMisses: 1 };
+        expect(streakService.nextStreakState(missedOnce, '2026-10-20', true, twoGrace).streak).toBe(5);
+
+        // One logged miss + one day without a record = 2 misses, still within grace
+        expect(streakService.nextStreakState(missedOnce, '2026-10-21', true, twoGrace).streak).toBe(5);
+    });
+
+    test('the streak resets once the misses before a day exceed the grace days', () => {
+        const missedTwice = { date: '2026-10-19', streak: 4, goalcomplete: false, streakMisses: 2 };
+        expect(streakService.nextStreakState(missedTwice, '2026-10-20', true, twoGrace).streak).toBe(5);
+
+        const missedThrice = { date: '2026-10-20', streak: 4, goalcomplete: false, streakMisses: 3 };
+        expect(streakService.nextStreakState(missedThrice, '2026-10-21', true, twoGrace).streak).toBe(1);
+        expect(streakService.nextStreakState(missedThrice, '2026-10-21', false, twoGrace))
+            .toEqual({ streak: 0, goalcomplete: false, streakMisses: 4 });
+    });
+});
+
+describe('streakService.formatRule', () => {
+    test('fills unset fields from the default rule', () => {
+        expect(streakService.formatRule(null)).toEqual({
+            goals: ['steps'],
+            mode: 'all',
+            minGoals: 1,
+            graceDays: 0,
+            updatedAt: null
+        });
+        expect(streakService.formatRule({ goals: ['water'], graceDays: 0 }).graceDays).toBe(0);
+    });
+});
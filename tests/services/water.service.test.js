@@ -0,0 +1,97 @@
+// Water amounts from requests (container / amount + unit / glasses) and container size limits
+jest.mock('../../src/models/WaterContainer', () => ({
+    findOne: jest.fn(),
+    countDocuments: jest.fn(),
+    create: jest.fn()
+}));
+jest.mock('../../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../../src/utils/logger');
+
+const WaterContainer = require('../../src/models/WaterContainer');
+const User = require('../../src/models/User');
+const waterService = require('../../src/services/Health/water/water.service');
+
+const userId = '64b000000000000000000001';
+
+function mockWaterUnit(waterUnit) {
+    User.findById.mockReturnValue({
+        select: () => ({ lean: async () => ({ userPreferences: { waterUnit } }) })
+    });
+}
+
+function mockContainer(container) {
+    WaterContainer.findOne.mockReturnValue({ lean: async () => container });
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('waterService.resolveWaterAmount', () => {
+    test('uses the container volume times servings', async () => {
+        mockContainer({ _id: 'c1', name: 'Bottle', volumeMl: 750 });
+
+        const result = await waterService.resolveWaterAmount({ userId, water: { containerId: 'c1', servings: 2 } });
+        expect(result.ml).toBe(1500);
+        expect(result.container.name).toBe('Bottle');
+        expect(WaterContainer.findOne).toHaveBeenCalledWith({ _id: 'c1', userId });
+    });
+
+    test("rejects another user's or a missing container", async () => {
+        mockContainer(null);
+
+        await expect(waterService.resolveWaterAmount({ userId, water: { containerId: 'c1' } }))
+            .rejects.toMatchObject({ code: 'WATER_CONTAINER_NOT_FOUND' });
+    });
+
+    test('converts an amount in the given unit', async () => {
+        const result = await waterService.resolveWaterAmount({ userId, water: { amount: 12, unit: 'fl_oz' } });
+        expect(result).toEqual({ ml: 355, container: null });
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("an amount without a unit is in the user's display unit", async () => {
+        mockWaterUnit('fl_oz');
+
+        const result = await waterService.resolveWaterAmount({ userId, water: { amount: 16 } });
+        expect(result.ml).toBe(473);
+    });
+
+    test('still accepts glasses (consumed)', async () => {
+        const result = await waterService.resolveWaterAmount({ userId, water: { consumed: 2 } });
+        expect(result.ml).toBe(400);
+    });
+
+    test('rejects a single entry above the maximum', async () => {
+        await expect(waterService.resolveWaterAmount({ userId, water: { amount: 400, unit: 'fl_oz' } }))
+            .rejects.toMatchObject({ code: 'WATER_AMOUNT_OUT_OF_RANGE' });
+    });
+});
+
+describe('waterService.createContainer', () => {
+    beforeEach(() => {
+        WaterContainer.countDocuments.mockResolvedValue(0);
+        mockWaterUnit('ml');
+    });
+
+    test('stores the volume in ml', async () => {
+        WaterContainer.create.mockImplementation(async (doc) => ({ _id: 'c1', ...doc }));
+
+        const { container } = await waterService.createContainer({ userId, name: 'Can', volume: 12, unit: 'fl_oz' });
+        expect(WaterContainer.create).toHaveBeenCalledWith({ userId, name: 'Can', volumeMl: 355 });
+        expect(container.volumeMl).toBe(355);
+    });
+
+    test('checks the size limits after converting to ml', async () => {
+        await expect(waterService.createContainer({ userId, name: 'Tank', volume: 5000, unit: 'fl_oz' }))
+            .rejects.toMatchObject({ code: 'WATER_CONTAINER_VOLUME_OUT_OF_RANGE' });
+        await expect(waterService.createContainer({ userId, name: 'Drop', volume: 5, unit: 'ml' }))
+            .rejects.toMatchObject({ code: 'WATER_CONTAINER_VOLUME_OUT_OF_RANGE' });
+        expect(WaterContainer.create).not.toHaveBeenCalled();
+    });
+
+    test('refuses more than the container limit', async () => {
+        WaterContainer.countDocuments.mockResolvedValue(waterService.MAX_CONTAINERS);
+
+        await expect(waterService.createContainer({ userId, name: 'Mug', volume: 300, unit: 'ml' }))
+            .rejects.toMatchObject({ code: 'WATER_CONTAINER_LIMIT' });
+    });
+});
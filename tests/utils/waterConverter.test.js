@@ -0,0 +1,50 @@
+// Water unit conversion (storage is always ml)
+jest.mock('../../src/utils/logger');
+
+const WaterConverter = require('../../src/utils/waterConverter');
+
+describe('WaterConverter.toMl', () => {
+    test('converts each unit to whole ml', () => {
+        expect(WaterConverter.toMl(330, 'ml')).toBe(330);
+        expect(WaterConverter.toMl(12, 'fl_oz')).toBe(355);
+        expect(WaterConverter.toMl(1.5, 'glasses')).toBe(300);
+    });
+
+    test('defaults to glasses', () => {
+        expect(WaterConverter.toMl(2)).toBe(400);
+    });
+
+    test('rejects unknown units', () => {
+        expect(() => WaterConverter.toMl(1, 'cups')).toThrow('Invalid water unit');
+    });
+});
+
+describe('WaterConverter.fromMl', () => {
+    test('rounds per unit (ml whole, fl oz 1 decimal, glasses 2 decimals)', () => {
+        expect(WaterConverter.fromMl(330.4, 'ml')).toBe(330);
+        expect(WaterConverter.fromMl(500, 'fl_oz')).toBe(16.9);
+        expect(WaterConverter.fromMl(330, 'glasses')).toBe(1.65);
+    });
+
+    test('round-trips through a unit without drifting', () => {
+        expect(WaterConverter.toMl(WaterConverter.fromMl(355, 'fl_oz'), 'fl_oz')).toBe(355);
+    });
+});
+
+describe('WaterConverter.format', () => {
+    test("shows an amount in the user's unit", () => {
+        expect(WaterConverter.format(500, 'fl_oz')).toEqual({ ml: 500, value: 16.9, unit: 'fl_oz', display: '16.9 fl oz' });
+    });
+
+    test('falls back to glasses for an unknown unit and treats missing amounts as 0', () => {
+        expect(WaterConverter.format(undefined, 'cups')).toEqual({ ml: 0, value: 0, unit: 'glasses', display: '0 glasses' });
+    });
+});
+
+describe('WaterConverter.getGoalMl', () => {
+    test('prefers the ml goal, then the legacy glasses goal, then 8 glasses', () => {
+        expect(WaterConverter.getGoalMl({ waterIntakeGoalMl: 2500, waterIntakeGoal: 8 })).toBe(2500);
+        expect(WaterConverter.getGoalMl({ waterIntakeGoal: 10 })).toBe(2000);
+        expect(WaterConverter.getGoalMl()).toBe(1600);
+    });
+});